@@ -23,17 +23,35 @@ import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { StatusBar } from 'expo-status-bar';
 import { Moon, PenTool, User, BarChart3 } from 'lucide-react-native';
 import Animated, { FadeInDown, FadeInUp, FadeInLeft, FadeInRight, FadeIn } from 'react-native-reanimated';
-import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { onAuthStateChanged } from 'firebase/auth';
-import { auth } from './firebase';
+import { auth, db } from './firebase';
+import { setCurrentUser, getPendingLegacyDreamCount, declineLegacyData } from './storage/UserStorage';
+import { claimLegacyDreams } from './storage/DreamRepository';
+import { startAutoSync } from './storage/SyncEngine';
+import { isJournalLocked, lockJournal, subscribeToLockState } from './storage/Encryption';
+import { createFirestoreRemote } from './storage/FirestoreRemote';
+import { startAIQueue } from './storage/AIQueue';
+import { purgeExpiredTrash } from './storage/Trash';
+import { startAttachmentCleanup } from './storage/Attachments';
 
 import Home from './screens/Home';
 import DreamInput from './screens/Create';
 import Account from './screens/Help';
 import DreamView from './screens/DreamViewScreen';
 import EditDream from './screens/EditDream';
+import DreamHistory from './screens/DreamHistory';
 import Stats from './screens/Stats';
+import SyncConflicts from './screens/SyncConflicts';
+import Unlock from './screens/Unlock';
+import EncryptionSettings from './screens/EncryptionSettings';
+import Export from './screens/Export';
+import Import from './screens/Import';
+import Trash from './screens/Trash';
+import Tags from './screens/Tags';
+import Symbols from './screens/Symbols';
+import Sketch from './screens/Sketch';
 import Login from './screens/Login';
 import Signup from './screens/Signup';
 import SplashScreen from './components/SplashScreen';
@@ -245,6 +263,46 @@ function TabNavigator() {
   );
 }
 
+/**
+ * Offer dreams saved before per-user storage existed to the user who just signed in
+ * 
+ * Older versions kept a single shared journal on the device. The first account
+ * to accept takes ownership of it; declining leaves it for another account.
+ * 
+ * @param {string} uid - Firebase uid of the signed-in user
+ */
+const offerLegacyDreams = async (uid) => {
+  try {
+    const count = await getPendingLegacyDreamCount(uid);
+    if (count === 0) return;
+
+    Alert.alert(
+      'Existing Dreams Found',
+      `This device has ${count} dream${count === 1 ? '' : 's'} saved before accounts were separated. Add them to your journal?`,
+      [
+        {
+          text: 'Not Mine',
+          style: 'cancel',
+          onPress: () => declineLegacyData(uid),
+        },
+        {
+          text: 'Add to My Journal',
+          onPress: async () => {
+            try {
+              await claimLegacyDreams();
+            } catch (error) {
+              console.error('Failed to move existing dreams:', error);
+              Alert.alert('Error', 'Failed to move existing dreams. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  } catch (error) {
+    console.error('Failed to check for existing dreams:', error);
+  }
+};
+
 /**
  * Main App Component
  * 
@@ -259,17 +317,62 @@ export default function App() {
   const [showSplashScreen, setShowSplashScreen] = useState(true);
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
+  const [journalLocked, setJournalLocked] = useState(false);
 
   // Listen for authentication state changes
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      // Forget the previous account's journal key before switching namespaces
+      lockJournal();
+
+      // Point local storage at this user's namespace before any screen reads it
+      setCurrentUser(user?.uid);
+
+      if (user) {
+        try {
+          setJournalLocked(await isJournalLocked());
+        } catch (error) {
+          console.error('Failed to check journal encryption:', error);
+        }
+      }
+
       setUser(user);
       setAuthLoading(false);
     });
 
-    return unsubscribe;
+    // Encryption can be turned on from another device during a sync
+    const unsubscribeLock = subscribeToLockState(setJournalLocked);
+
+    return () => {
+      unsubscribeLock();
+      unsubscribe();
+    };
   }, []);
 
+  // Sync in the background while a user is signed in with an unlocked journal
+  useEffect(() => {
+    if (!user || journalLocked) return undefined;
+    // Tag and analyze dreams that were saved while the AI couldn't be reached
+    const stopAIQueue = startAIQueue();
+    // Delete voice memos and sketches along with dreams removed for good
+    const stopAttachmentCleanup = startAttachmentCleanup();
+    // Remove dreams that have been in the Trash past the retention period
+    purgeExpiredTrash().catch(error => console.error('Failed to purge trash:', error));
+    const stopSync = startAutoSync(createFirestoreRemote(db));
+    return () => {
+      stopSync();
+      stopAttachmentCleanup();
+      stopAIQueue();
+    };
+  }, [user, journalLocked]);
+
+  // Offer dreams from before per-user storage once the splash screen's
+  // migrations have finished and the journal can be written
+  useEffect(() => {
+    if (showSplashScreen || !user || journalLocked) return;
+    offerLegacyDreams(user.uid);
+  }, [showSplashScreen, user, journalLocked]);
+
   const handleSplashFinish = () => {
     setShowSplashScreen(false);
   };
@@ -308,7 +411,14 @@ export default function App() {
             gestureDirection: 'horizontal',
           }}
         >
-          {user ? (
+          {user && journalLocked ? (
+            // Encrypted journal - ask for the passphrase first
+            <Stack.Screen 
+              name="Unlock" 
+              component={Unlock} 
+              options={{ headerShown: false }} 
+            />
+          ) : user ? (
             // Authenticated user - show main app
             <>
               {/* Main tab navigator as the root screen */}
@@ -331,6 +441,69 @@ export default function App() {
                 component={EditDream} 
                 options={{ headerShown: false }} 
               />
+              
+              {/* Revision history with diffs and restore */}
+              <Stack.Screen 
+                name="DreamHistory" 
+                component={DreamHistory} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Sync conflict review for dreams edited on two devices */}
+              <Stack.Screen 
+                name="SyncConflicts" 
+                component={SyncConflicts} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Passphrase encryption settings */}
+              <Stack.Screen 
+                name="EncryptionSettings" 
+                component={EncryptionSettings} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Journal export (JSON, Markdown, CSV, PDF) */}
+              <Stack.Screen 
+                name="Export" 
+                component={Export} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Journal import (JSON archive, CSV, text journals) */}
+              <Stack.Screen 
+                name="Import" 
+                component={Import} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Deleted dreams waiting to be restored or purged */}
+              <Stack.Screen 
+                name="Trash" 
+                component={Trash} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Tag management (rename, merge, delete) */}
+              <Stack.Screen 
+                name="Tags" 
+                component={Tags} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Recurring symbols across the journal */}
+              <Stack.Screen 
+                name="Symbols" 
+                component={Symbols} 
+                options={{ headerShown: false }} 
+              />
+              
+              {/* Drawing canvas for sketching a dream scene */}
+              <Stack.Screen 
+                name="Sketch" 
+                component={Sketch} 
+                options={{ headerShown: false, gestureEnabled: false }} 
+              />
             </>
           ) : (
             // Not authenticated - show auth screens
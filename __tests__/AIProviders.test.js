@@ -0,0 +1,323 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setCurrentUser } from '../storage/UserStorage';
+import {
+  DEFAULT_AI_PROVIDER,
+  registerAIProvider,
+  getAIProviders,
+  getAIProviderId,
+  setAIProviderId,
+  generateMoodTag,
+  analyzeDream,
+  rewriteDream,
+  streamDreamAnalysis,
+} from '../apis/AIProviders';
+import { sendAIRequest, streamAIRequest } from '../apis/AIRequest';
+import { parseMoodTag, buildPrompt } from '../apis/AIPrompts';
+import { auth } from '../firebase';
+import { makeDream } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../firebase', () => ({ auth: { currentUser: null } }));
+
+const CHASE_DREAM = 'I was being chased through a dark forest and I was terrified.';
+
+/**
+ * Build a provider that answers with the given results in turn
+ * Errors are thrown, anything else is returned.
+ */
+const makeProvider = (results, fields = {}) => ({
+  id: 'fake',
+  name: 'Fake',
+  retryDelayMs: 0,
+  complete: jest.fn(async () => {
+    const result = results.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  }),
+  ...fields,
+});
+
+/**
+ * Stand-in for XMLHttpRequest that plays back a server's response in chunks
+ * Each chunk fires a progress event; `end` is 'load' or 'error'.
+ */
+const makeFakeXHR = ({ status = 200, chunks = [], end = 'load', headers = {} }) => {
+  const requests = [];
+  class FakeXHR {
+    constructor() {
+      this.responseText = '';
+      this.status = 0;
+      this.headers = {};
+      requests.push(this);
+    }
+
+    open(method, url) {
+      Object.assign(this, { method, url });
+    }
+
+    setRequestHeader(name, value) {
+      this.headers[name] = value;
+    }
+
+    getResponseHeader(name) {
+      return headers[name] ?? null;
+    }
+
+    abort() {
+      this.aborted = true;
+    }
+
+    async send(body) {
+      this.body = body;
+      this.status = status;
+      for (const chunk of chunks) {
+        await Promise.resolve();
+        if (this.aborted) return;
+        this.responseText += chunk;
+        this.onprogress?.();
+      }
+      if (end === 'load') this.onload();
+      else this.onerror();
+    }
+  }
+  return { FakeXHR, requests };
+};
+
+const textEvent = (text) => `event: text\ndata: ${JSON.stringify({ text })}\n\n`;
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('AIProviders', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    auth.currentUser = null;
+    delete global.fetch;
+    delete global.XMLHttpRequest;
+  });
+
+  test('maps provider answers onto the app\'s moods', () => {
+    expect(parseMoodTag('Peaceful')).toBe('Joyful');
+    expect(parseMoodTag('**Scary**.')).toBe('Scary');
+    expect(parseMoodTag('  surreal\n')).toBe('Strange');
+    expect(parseMoodTag('Bewildering')).toBe('Neutral');
+    expect(parseMoodTag(undefined)).toBe('Neutral');
+  });
+
+  test('offers every built-in provider and remembers the choice per user', async () => {
+    expect(getAIProviders().map(provider => provider.id)).toEqual(['gemini', 'server', 'mock']);
+    expect(await getAIProviderId()).toBe(DEFAULT_AI_PROVIDER);
+
+    await setAIProviderId('mock');
+    expect(await getAIProviderId()).toBe('mock');
+    setCurrentUser('user-b');
+    expect(await getAIProviderId()).toBe(DEFAULT_AI_PROVIDER);
+
+    await expect(setAIProviderId('nope')).rejects.toThrow('Unknown AI provider: nope');
+  });
+
+  test('the offline mock answers the same way every time', async () => {
+    await setAIProviderId('mock');
+
+    expect(await generateMoodTag(CHASE_DREAM)).toBe('Scary');
+    expect(await generateMoodTag('We sat at a table.')).toBe('Neutral');
+
+    const analysis = await analyzeDream(CHASE_DREAM);
+    expect(analysis.summary).toContain('chased');
+    expect(analysis.settings).toEqual(['Forest']);
+    expect(await analyzeDream(CHASE_DREAM)).toEqual(analysis);
+    expect(await rewriteDream('i woke up.  then i fell  asleep')).toBe('I woke up. Then I fell asleep');
+  });
+
+  test('retries failures worth retrying', async () => {
+    const provider = makeProvider([httpError(503), new TypeError('Network request failed'), 'Joyful']);
+
+    expect(await sendAIRequest(provider, { task: 'mood' })).toBe('Joyful');
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up straight away on errors that would repeat', async () => {
+    const provider = makeProvider([httpError(403), 'Joyful']);
+
+    await expect(sendAIRequest(provider, { task: 'mood' })).rejects.toThrow('API access denied. Please check your API key.');
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts requests that take too long', async () => {
+    const provider = makeProvider([], {
+      timeoutMs: 10,
+      complete: jest.fn((request, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+      })),
+    });
+
+    await expect(sendAIRequest(provider, { task: 'analysis' }, { retries: 1 })).rejects.toThrow('Request timed out. Please try again.');
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends the request input to a registered provider and normalizes its mood', async () => {
+    const provider = makeProvider(['Anxious, mostly.']);
+    registerAIProvider(provider);
+    await setAIProviderId('fake');
+
+    expect(await generateMoodTag(CHASE_DREAM)).toBe('Scary');
+    const [request] = provider.complete.mock.calls[0];
+    expect(request).toEqual({ task: 'mood', input: { dreamText: CHASE_DREAM } });
+    expect(buildPrompt(request.task, request.input)).toContain(CHASE_DREAM);
+
+    await expect(generateMoodTag(CHASE_DREAM, 0)).rejects.toThrow('Unable to tag mood at this time.');
+    expect(() => registerAIProvider({ id: 'broken' })).toThrow('AI providers need an id, a name and a complete function');
+  });
+
+  test('gives the newest dream titles as context', async () => {
+    const provider = makeProvider(['{ "summary": "Old places return.", "symbols": [] }']);
+    registerAIProvider(provider);
+    await setAIProviderId('fake');
+
+    const history = [5, 1, 4, 2, 3].map(n => makeDream(n));
+    await analyzeDream(CHASE_DREAM, history);
+
+    const [request] = provider.complete.mock.calls[0];
+    expect(request.input.recentTitles).toEqual(['Dream 5', 'Dream 4', 'Dream 3']);
+    expect(buildPrompt(request.task, request.input)).toContain('Context from recent dreams: Dream 5, Dream 4, Dream 3');
+  });
+
+  test('asks again when an analysis comes back malformed', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = makeProvider([
+      'Here is my analysis of your dream!',
+      '```json\n{ "summary": "You feel pursued.", "emotions": [{ "name": "Fear", "intensity": 9 }], }\n```',
+    ]);
+    registerAIProvider(provider);
+    await setAIProviderId('fake');
+
+    const history = ['1', '2'].map(id => ({ id, title: `Wolves ${id}`, analysis: 'Chased.', analysisDetails: { symbols: ['Wolf'] } }));
+    expect(await analyzeDream(CHASE_DREAM, history)).toMatchObject({
+      summary: 'You feel pursued.',
+      emotions: [{ name: 'Fear', intensity: 5 }],
+      symbols: [],
+    });
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    const [request] = provider.complete.mock.calls[0];
+    expect(request.input.recurringSymbols).toEqual([{ name: 'Wolf', count: 2 }]);
+    expect(buildPrompt(request.task, request.input)).toContain('recur across the dreamer\'s journal: Wolf (2 dreams)');
+
+    provider.complete.mockResolvedValue('{ "symbols": [] }');
+    await expect(analyzeDream(CHASE_DREAM)).rejects.toThrow('Unable to analyze dream at this time.');
+    console.log.mockRestore();
+  });
+
+  test('asks Gemini through the server with the user\'s ID token', async () => {
+    auth.currentUser = { getIdToken: jest.fn(async () => 'id-token') };
+    const reply = (status, body, headers = {}) => ({
+      ok: status < 400,
+      status,
+      headers: { get: (name) => headers[name] ?? null },
+      json: async () => body,
+    });
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(reply(200, { mood: 'terrified' }))
+      .mockResolvedValueOnce(reply(429, { error: 'Quota exceeded' }, { 'Retry-After': '3600' }));
+
+    expect(await generateMoodTag(CHASE_DREAM)).toBe('Scary');
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/api\/gemini\/mood$/);
+    expect(options.headers.Authorization).toBe('Bearer id-token');
+    expect(JSON.parse(options.body)).toEqual({ dreamText: CHASE_DREAM });
+
+    await expect(analyzeDream(CHASE_DREAM)).rejects.toThrow('Unable to analyze dream at this time.');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('streams answers as they\'re written and hands back what arrived when they stop', async () => {
+    const pieces = ['Water ', 'stands ', 'for ', 'feelings.'];
+    const streaming = makeProvider([], {
+      stream: jest.fn(async (request, { onText }) => {
+        pieces.forEach(onText);
+        return pieces.join('');
+      }),
+    });
+    const seen = [];
+    expect(await streamAIRequest(streaming, { task: 'analysis' }, { onText: text => seen.push(text) })).toBe('Water stands for feelings.');
+    expect(seen).toEqual(['Water ', 'Water stands ', 'Water stands for ', 'Water stands for feelings.']);
+
+    // Nothing arrived yet: worth another try
+    const flaky = makeProvider([], {
+      stream: jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockImplementationOnce(async (request, { onText }) => {
+          onText('Calm.');
+          return 'Calm.';
+        }),
+    });
+    expect(await streamAIRequest(flaky, { task: 'analysis' }, { onText: () => {} })).toBe('Calm.');
+    expect(flaky.stream).toHaveBeenCalledTimes(2);
+
+    // Dropped partway: can't be resumed, so the partial answer comes back instead
+    const dropping = makeProvider([], {
+      stream: jest.fn(async (request, { onText }) => {
+        onText('Water often ');
+        throw new Error('Network request failed');
+      }),
+    });
+    await expect(streamAIRequest(dropping, { task: 'analysis' }, { onText: () => {} }))
+      .rejects.toMatchObject({ partialText: 'Water often ' });
+    expect(dropping.stream).toHaveBeenCalledTimes(1);
+
+    // Providers without streaming answer all at once
+    const plain = makeProvider(['All at once.']);
+    const onText = jest.fn();
+    expect(await streamAIRequest(plain, { task: 'analysis' }, { onText })).toBe('All at once.');
+    expect(onText).toHaveBeenCalledWith('All at once.');
+  });
+
+  test('cancels a streaming analysis and keeps what was written', async () => {
+    await setAIProviderId('mock');
+    const controller = new AbortController();
+    const onText = jest.fn((text) => {
+      if (text.split(' ').length > 3) controller.abort();
+    });
+
+    const error = await streamDreamAnalysis(CHASE_DREAM, [], { onText, signal: controller.signal }).catch(e => e);
+
+    const whole = (await analyzeDream(CHASE_DREAM)).summary;
+    expect(error).toMatchObject({ cancelled: true });
+    expect(error.partialText).toBe(onText.mock.calls[onText.mock.calls.length - 1][0]);
+    expect(whole.startsWith(error.partialText)).toBe(true);
+    expect(error.partialText.length).toBeLessThan(whole.length);
+  });
+
+  test('reads the server\'s streamed analysis piece by piece', async () => {
+    auth.currentUser = { getIdToken: jest.fn(async () => 'id-token') };
+    const { FakeXHR, requests } = makeFakeXHR({
+      chunks: [
+        textEvent('{"summary": "Water often '),
+        `${textEvent('stands for feelings.", "symbols": [{"name": "Water"}]}')}event: do`,
+        'ne\ndata: {}\n\n',
+      ],
+    });
+    global.XMLHttpRequest = FakeXHR;
+
+    const seen = [];
+    const analysis = await streamDreamAnalysis('A flood', [{ title: 'Rain' }], { onText: text => seen.push(text) });
+
+    expect(analysis).toMatchObject({ summary: 'Water often stands for feelings.', symbols: [{ name: 'Water', meaning: '' }] });
+    expect(seen).toEqual(['Water often ', 'Water often stands for feelings.']);
+    expect(requests[0].url).toMatch(/\/api\/gemini\/analyze\/stream$/);
+    expect(requests[0].headers.Authorization).toBe('Bearer id-token');
+    expect(JSON.parse(requests[0].body)).toEqual({ dreamText: 'A flood', recentTitles: ['Rain'], recurringSymbols: [] });
+
+    // The connection drops after the first piece
+    global.XMLHttpRequest = makeFakeXHR({ chunks: [textEvent('{"summary": "Water often ')], end: 'error' }).FakeXHR;
+    await expect(streamDreamAnalysis('A flood', [], { onText: () => {} }))
+      .rejects.toMatchObject({ message: 'The analysis stopped partway through.', partialText: 'Water often ' });
+  });
+});
@@ -0,0 +1,162 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addDream, getDream, updateDream } from '../storage/DreamRepository';
+import { setCurrentUser } from '../storage/UserStorage';
+import { saveDreamEdit } from '../storage/RevisionHistory';
+import { toMoodChanges } from '../storage/Moods';
+import {
+  getRetryDelay,
+  processAIQueue,
+  queueAIJobs,
+  getAIQueueStatus,
+  getAIJobStatus,
+  getJobKey,
+} from '../storage/AIQueue';
+import { generateMoodTag, analyzeDream } from '../apis/AIProviders';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../apis/AIProviders', () => ({
+  generateMoodTag: jest.fn(),
+  analyzeDream: jest.fn(),
+}));
+
+const offline = () => Promise.reject(new Error('Unable to tag mood at this time.'));
+
+describe('AIQueue', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+    generateMoodTag.mockReset();
+    analyzeDream.mockReset();
+  });
+
+  test('backs off exponentially up to an hour', () => {
+    expect(getRetryDelay(1)).toBe(30 * 1000);
+    expect(getRetryDelay(2)).toBe(60 * 1000);
+    expect(getRetryDelay(4)).toBe(4 * 60 * 1000);
+    expect(getRetryDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('tags and analyzes pending dreams, then clears the mark', async () => {
+    generateMoodTag.mockResolvedValue('Scary');
+    analyzeDream.mockResolvedValue({
+      summary: 'A fear of falling behind.',
+      symbols: [{ name: 'Falling', meaning: 'Losing your footing' }],
+      emotions: [{ name: 'Fear', intensity: 4 }],
+      themes: [],
+      characters: [],
+      settings: [],
+      reflections: [],
+    });
+    await addDream(makeDream(1, { moods: [], pendingAnalysis: ['mood', 'analysis'], wasEdited: true }));
+
+    expect(await processAIQueue()).toBeNull();
+
+    const dream = await getDream(dreamId(1));
+    expect(dream.moods).toEqual([{ mood: 'Scary', intensity: 3 }]);
+    expect(dream).toMatchObject({ analysis: 'A fear of falling behind.', wasEdited: false });
+    expect(dream.analysisDetails.symbols).toEqual([{ name: 'Falling', meaning: 'Losing your footing' }]);
+    expect(dream.pendingAnalysis).toBeUndefined();
+  });
+
+  test('keeps a mood the user picked while the dream was waiting', async () => {
+    await addDream(makeDream(1, { moods: [], pendingAnalysis: ['mood'] }));
+    await updateDream(dreamId(1), { moods: [{ mood: 'Joyful', intensity: 4 }] });
+
+    await processAIQueue();
+
+    expect(generateMoodTag).not.toHaveBeenCalled();
+    expect(await getDream(dreamId(1))).toMatchObject({ moods: [{ mood: 'Joyful', intensity: 4 }] });
+    expect((await getDream(dreamId(1))).pendingAnalysis).toBeUndefined();
+  });
+
+  test('still tags the mood when the dream is edited without picking one', async () => {
+    generateMoodTag.mockResolvedValue('Strange');
+    await addDream(makeDream(1, { moods: [], pendingAnalysis: ['mood'] }));
+    await saveDreamEdit(dreamId(1), { title: 'Renamed', ...toMoodChanges([]) });
+
+    expect((await getDream(dreamId(1))).pendingAnalysis).toEqual(['mood']);
+    await processAIQueue();
+
+    expect(generateMoodTag).toHaveBeenCalled();
+    expect(await getDream(dreamId(1))).toMatchObject({ title: 'Renamed', moods: [{ mood: 'Strange', intensity: 3 }] });
+    expect((await getDream(dreamId(1))).pendingAnalysis).toBeUndefined();
+  });
+
+  test('analyzes a dream again when it was edited during its analysis', async () => {
+    analyzeDream.mockImplementationOnce(async () => {
+      await updateDream(dreamId(1), { text: 'Rewritten while waiting', wasEdited: true });
+      return { summary: 'About the old text.', symbols: [], emotions: [], themes: [], characters: [], settings: [], reflections: [] };
+    });
+    await addDream(makeDream(1, { pendingAnalysis: ['analysis'] }));
+
+    await processAIQueue();
+
+    const stale = await getDream(dreamId(1));
+    expect(stale).toMatchObject({ text: 'Rewritten while waiting', wasEdited: true, pendingAnalysis: ['analysis'] });
+    expect(stale).not.toHaveProperty('analysis');
+
+    analyzeDream.mockResolvedValue({ summary: 'About the new text.', symbols: [], emotions: [], themes: [], characters: [], settings: [], reflections: [] });
+    await processAIQueue();
+
+    expect(analyzeDream).toHaveBeenLastCalledWith('Rewritten while waiting', expect.any(Array));
+    expect(await getDream(dreamId(1))).toMatchObject({ analysis: 'About the new text.', wasEdited: false });
+    expect((await getDream(dreamId(1))).pendingAnalysis).toBeUndefined();
+  });
+
+  test('stops at the first failure and waits out the backoff before retrying', async () => {
+    generateMoodTag.mockImplementation(offline);
+    await addDream(makeDream(1, { moods: [], pendingAnalysis: ['mood'] }));
+    await addDream(makeDream(2, { moods: [], pendingAnalysis: ['mood'] }));
+
+    const before = Date.now();
+    const nextAt = await processAIQueue();
+
+    expect(generateMoodTag).toHaveBeenCalledTimes(1);
+    expect(nextAt).toBeGreaterThanOrEqual(before + getRetryDelay(1));
+    const { jobs } = await getAIQueueStatus();
+    expect(jobs[getJobKey(dreamId(1), 'mood')]).toMatchObject({ attempts: 1, lastError: 'Unable to tag mood at this time.' });
+    expect(getAIJobStatus(await getDream(dreamId(1)), { jobs })).toMatchObject({ kinds: ['mood'], state: 'retrying', nextAttemptAt: nextAt });
+    expect(getAIJobStatus(await getDream(dreamId(2)), { jobs })).toMatchObject({ state: 'waiting' });
+
+    // Not due yet, so the failed job is skipped and the next one is tried
+    generateMoodTag.mockResolvedValue('Sad');
+    await processAIQueue();
+    expect((await getDream(dreamId(1))).pendingAnalysis).toEqual(['mood']);
+    expect((await getDream(dreamId(2))).moods).toEqual([{ mood: 'Sad', intensity: 3 }]);
+
+    // Connectivity is back: forcing retries it straight away
+    expect(await processAIQueue({ force: true })).toBeNull();
+    expect((await getDream(dreamId(1))).pendingAnalysis).toBeUndefined();
+    expect((await getAIQueueStatus()).jobs).toEqual({});
+  });
+
+  test('queues work on existing dreams and starts on it', async () => {
+    analyzeDream.mockResolvedValue({ summary: 'Water stands for feelings.', symbols: [], emotions: [], themes: ['Feelings'], characters: [], settings: [], reflections: [] });
+    await addDream(makeDream(1));
+
+    await queueAIJobs([dreamId(1)], 'analysis');
+    expect((await getDream(dreamId(1))).pendingAnalysis).toEqual(['analysis']);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await processAIQueue();
+
+    expect(await getDream(dreamId(1))).toMatchObject({ analysis: 'Water stands for feelings.' });
+    await expect(queueAIJobs([dreamId(1)], 'summary')).rejects.toThrow('Unknown AI job: summary');
+  });
+
+  test('moves the old import mood queue onto the dreams', async () => {
+    generateMoodTag.mockImplementation(offline);
+    await addDream(makeDream(1, { moods: [] }));
+    await addDream(makeDream(2, { moods: [{ mood: 'Joyful', intensity: 3 }] }));
+    await AsyncStorage.setItem('user:user-a:moodBackfillQueue', JSON.stringify([dreamId(1), dreamId(2), 'gone']));
+
+    await processAIQueue();
+
+    expect((await getDream(dreamId(1))).pendingAnalysis).toEqual(['mood']);
+    expect((await getDream(dreamId(2))).pendingAnalysis).toBeUndefined();
+    expect(await AsyncStorage.getItem('user:user-a:moodBackfillQueue')).toBeNull();
+  });
+});
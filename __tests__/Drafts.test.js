@@ -0,0 +1,81 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getDrafts,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  getDraftName,
+  hasDraftContent,
+  subscribeToDrafts,
+} from '../storage/Drafts';
+import { enableEncryption, disableEncryption, lockJournal } from '../storage/Encryption';
+import { isEncryptedValue } from '../storage/DreamCrypto';
+import { setCurrentUser } from '../storage/UserStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const PASSPHRASE = 'correct horse battery';
+
+const readStored = async () => JSON.parse(await AsyncStorage.getItem('user:user-a:drafts'));
+
+describe('Drafts', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    lockJournal();
+    setCurrentUser('user-a');
+  });
+
+  test('saves, updates and lists drafts most recently edited first', async () => {
+    const first = await saveDraft({ text: 'Falling through clouds' });
+    const second = await saveDraft({ text: 'A house with no doors', tags: ['house'] });
+    await saveDraft({ ...first, text: 'Falling through clouds into the sea' });
+
+    const drafts = await getDrafts();
+    expect(drafts.map(draft => draft.id)).toEqual([first.id, second.id]);
+    expect(drafts[0]).toMatchObject({ text: 'Falling through clouds into the sea', createdAt: first.createdAt });
+    expect(await getDraft(second.id)).toMatchObject({ tags: ['house'] });
+  });
+
+  test('deletes drafts and tells listeners', async () => {
+    const listener = jest.fn();
+    const stop = subscribeToDrafts(listener);
+    const draft = await saveDraft({ text: 'Lost keys' });
+
+    await deleteDraft(draft.id);
+    stop();
+
+    expect(await getDraft(draft.id)).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith([]);
+  });
+
+  test('names drafts after their name, title or opening words', () => {
+    expect(getDraftName({ name: ' Ocean series ', title: 'Tide' })).toBe('Ocean series');
+    expect(getDraftName({ title: 'Tide', text: 'Water everywhere' })).toBe('Tide');
+    expect(getDraftName({ text: 'I was walking\nthrough a forest of glass trees that sang to me' }))
+      .toBe('I was walking through a forest of glass...');
+    expect(getDraftName({ text: '  ' })).toBe('Untitled draft');
+    expect(hasDraftContent({ title: ' ', text: '' })).toBe(false);
+    expect(hasDraftContent({ text: 'x' })).toBe(true);
+    expect(hasDraftContent({ text: '', sketches: [{ key: 'a', uri: 'file:///docs/pending/u/sketch-a.svg' }] })).toBe(true);
+  });
+
+  test('drafts are sealed while encryption is on', async () => {
+    await saveDraft({ name: 'Secret', text: 'Before encryption' });
+    await enableEncryption(PASSPHRASE);
+    await saveDraft({ text: 'After encryption' });
+
+    const stored = await readStored();
+    stored.forEach(draft => expect(isEncryptedValue(draft.text)).toBe(true));
+    expect(isEncryptedValue(stored.find(draft => draft.name).name)).toBe(true);
+    expect((await getDrafts()).map(draft => draft.text).sort()).toEqual(['After encryption', 'Before encryption']);
+
+    lockJournal();
+    await expect(getDrafts()).rejects.toThrow('Journal is locked');
+
+    await disableEncryption(PASSPHRASE);
+    (await readStored()).forEach(draft => expect(isEncryptedValue(draft.text)).toBe(false));
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  normalizeAnalysis,
+  toAnalysisFields,
+  getAnalysisDetails,
+  getAnalysisNames,
+  getAnalysisCounts,
+} from '../storage/DreamAnalysis';
+import { parseAnalysisResponse, getPartialSummary } from '../apis/AIPrompts';
+
+const ANALYSIS = {
+  summary: 'Water rising through the house.',
+  symbols: [{ name: 'Water', meaning: 'Feelings rising to the surface' }],
+  emotions: [{ name: 'Fear', intensity: 4 }],
+  themes: ['Loss of control'],
+  characters: ['Mom'],
+  settings: ['Childhood home'],
+  reflections: ['What felt out of reach this week?'],
+};
+
+describe('DreamAnalysis', () => {
+  test('cleans up the shapes the AI gets slightly wrong', () => {
+    expect(normalizeAnalysis({
+      summary: '  Water   rising. ',
+      symbols: ['Water', { name: 'water', meaning: 'Again' }, { meaning: 'No name' }],
+      emotions: [{ name: 'Fear', intensity: 4.6 }, { name: 'Awe', intensity: 'high' }, { name: 'Joy', intensity: -2 }],
+      themes: [' Loss of control ', '', null],
+      characters: null,
+    })).toEqual({
+      summary: 'Water rising.',
+      symbols: [{ name: 'Water', meaning: '' }],
+      emotions: [
+        { name: 'Fear', intensity: 5 },
+        { name: 'Awe', intensity: 3 },
+        { name: 'Joy', intensity: 1 },
+      ],
+      themes: ['Loss of control'],
+      characters: [],
+      settings: [],
+      reflections: [],
+    });
+    expect(normalizeAnalysis({ ...ANALYSIS, themes: Array.from({ length: 12 }, (_, i) => `Theme ${i}`) }).themes).toHaveLength(8);
+  });
+
+  test('rejects answers that can\'t be used', () => {
+    expect(() => normalizeAnalysis('Water rising.')).toThrow('Analysis should be a JSON object');
+    expect(() => normalizeAnalysis({ symbols: [] })).toThrow('Analysis needs a summary');
+    expect(() => normalizeAnalysis({ summary: 'Hi', themes: 'Loss' })).toThrow('Analysis themes should be a list');
+  });
+
+  test('repairs fences, curly quotes, trailing commas and cut-off answers', () => {
+    expect(parseAnalysisResponse(`Sure!\n\`\`\`json\n${JSON.stringify(ANALYSIS)}\n\`\`\``)).toEqual(ANALYSIS);
+    expect(parseAnalysisResponse('{ “summary”: “Calm.”, "themes": ["Rest",], }').themes).toEqual(['Rest']);
+    expect(parseAnalysisResponse('{ "summary": "Calm.", "symbols": [{ "name": "Lake", "meaning": "Still wat')).toMatchObject({
+      summary: 'Calm.',
+      symbols: [{ name: 'Lake', meaning: 'Still wat' }],
+    });
+    expect(() => parseAnalysisResponse('Water often stands for feelings.')).toThrow('Analysis answer has no JSON object');
+    expect(() => parseAnalysisResponse('{ "summary": ')).toThrow(/isn't valid JSON/);
+  });
+
+  test('reads the summary out of an analysis still streaming in', () => {
+    expect(getPartialSummary('{ "summ')).toBe('');
+    expect(getPartialSummary('{ "summary": "Water \\"rising')).toBe('Water "rising');
+    expect(getPartialSummary('{ "summary": "Line one\\')).toBe('Line one');
+    expect(getPartialSummary('{ "summary": "Done.", "symbols": [')).toBe('Done.');
+  });
+
+  test('splits an analysis into dream fields and reads them back', () => {
+    const dream = { id: 'a', ...toAnalysisFields(ANALYSIS) };
+    expect(dream.analysis).toBe(ANALYSIS.summary);
+    expect(getAnalysisDetails(dream).symbols).toEqual(ANALYSIS.symbols);
+    expect(getAnalysisNames(dream, 'emotions')).toEqual(['Fear']);
+
+    expect(getAnalysisDetails({ analysis: 'Old prose analysis' })).toBeNull();
+    expect(getAnalysisNames({ analysis: 'Old prose analysis' }, 'symbols')).toEqual([]);
+  });
+
+  test('counts names across dreams ignoring case', () => {
+    const dreams = [
+      { analysis: 'A', analysisDetails: { symbols: ['Water', 'House'], emotions: [{ name: 'Fear', intensity: 4 }] } },
+      { analysis: 'B', analysisDetails: { symbols: ['water'], emotions: [{ name: 'fear', intensity: 1 }] } },
+      { analysis: 'Prose only' },
+    ];
+
+    expect(getAnalysisCounts(dreams, 'symbols')).toEqual([
+      { name: 'Water', count: 2 },
+      { name: 'House', count: 1 },
+    ]);
+    expect(getAnalysisCounts(dreams, 'emotions')).toEqual([{ name: 'Fear', count: 2, averageIntensity: 2.5 }]);
+    expect(getAnalysisCounts(dreams, 'themes')).toEqual([]);
+  });
+});
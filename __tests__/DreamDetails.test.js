@@ -0,0 +1,96 @@
+import {
+  getDreamDetails,
+  toDetailChanges,
+  getDetailBadges,
+  filterByDetails,
+  getDetailBreakdown,
+  toNightKey,
+  parseNightKey,
+  shiftNight,
+  getDefaultNight,
+  getNightOf,
+  compareByNight,
+} from '../storage/DreamDetails';
+
+describe('DreamDetails', () => {
+  test('keeps only valid details and drops lucidity from non-lucid dreams', () => {
+    expect(getDreamDetails({
+      nightOf: '2025-02-30',
+      lucid: false,
+      lucidity: 4,
+      vividness: 6,
+      recurring: 'yes',
+      nightmare: true,
+      sleepQuality: 2,
+    })).toEqual({ lucid: false, nightmare: true, sleepQuality: 2 });
+
+    expect(getDreamDetails({ nightOf: '2025-03-01', lucid: true, lucidity: 4 })).toEqual({
+      nightOf: '2025-03-01',
+      lucid: true,
+      lucidity: 4,
+    });
+  });
+
+  test('clears details that are no longer set when saving', () => {
+    const changes = toDetailChanges({ lucid: true, vividness: 3 });
+    expect(changes).toEqual({
+      nightOf: undefined,
+      lucid: true,
+      lucidity: undefined,
+      vividness: 3,
+      recurring: undefined,
+      nightmare: undefined,
+      sleepQuality: undefined,
+    });
+    expect(Object.keys(changes)).toHaveLength(7);
+  });
+
+  test('builds badges for the card', () => {
+    expect(getDetailBadges({ lucid: true, lucidity: 5, nightmare: true, recurring: false, vividness: 4, sleepQuality: 1 })
+      .map(badge => badge.label)).toEqual(['Lucid 5/5', 'Nightmare', 'Vivid', 'Terrible sleep']);
+    expect(getDetailBadges({})).toEqual([]);
+  });
+
+  test('filters and breaks dreams down by detail', () => {
+    const dreams = [
+      { id: 1, lucid: true, lucidity: 2, vividness: 5, sleepQuality: 4 },
+      { id: 2, lucid: false, nightmare: true, vividness: 4, sleepQuality: 1 },
+      { id: 3, recurring: true },
+    ];
+
+    expect(filterByDetails(dreams, 'lucid').map(d => d.id)).toEqual([1]);
+    expect(filterByDetails(dreams, 'notLucid').map(d => d.id)).toEqual([2, 3]);
+    expect(filterByDetails(dreams, 'vivid').map(d => d.id)).toEqual([1, 2]);
+    expect(filterByDetails(dreams, 'poorSleep').map(d => d.id)).toEqual([2]);
+    expect(() => filterByDetails(dreams, 'colour')).toThrow('Unknown dream filter "colour"');
+
+    const { flags, levels } = getDetailBreakdown(dreams);
+    expect(flags.lucid).toEqual({ yes: 1, no: 1, unknown: 1 });
+    expect(flags.recurring).toEqual({ yes: 1, no: 0, unknown: 2 });
+    expect(levels.vividness).toEqual({ counts: [0, 0, 0, 1, 1], unknown: 1 });
+    expect(levels.lucidity).toEqual({ counts: [0, 1, 0, 0, 0], unknown: 0 });
+  });
+
+  test('night keys are local dates', () => {
+    expect(toNightKey(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05');
+    expect(parseNightKey('2025-01-05').getDate()).toBe(5);
+    expect(parseNightKey('2025-13-01')).toBeNull();
+    expect(shiftNight('2025-03-01', -1)).toBe('2025-02-28');
+  });
+
+  test('defaults to last night before noon and tonight after', () => {
+    expect(getDefaultNight(new Date(2025, 2, 1, 9))).toBe('2025-02-28');
+    expect(getDefaultNight(new Date(2025, 2, 1, 12))).toBe('2025-03-01');
+  });
+
+  test('falls back to the night implied by the recording time', () => {
+    expect(getNightOf({ nightOf: '2025-01-01', timestamp: new Date(2025, 0, 9, 8).toISOString() })).toBe('2025-01-01');
+    expect(getNightOf({ timestamp: new Date(2025, 0, 9, 8).toISOString() })).toBe('2025-01-08');
+    expect(getNightOf({})).toBeNull();
+
+    const undated = { id: 'c' };
+    const older = { id: 'b', nightOf: '2025-01-01' };
+    const newer = { id: 'a', nightOf: '2025-01-02' };
+    expect([undated, older, newer].sort(compareByNight).map(d => d.id)).toEqual(['a', 'b', 'c']);
+  });
+});
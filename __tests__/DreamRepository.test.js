@@ -0,0 +1,218 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getDreams,
+  getDream,
+  queryDreams,
+  addDream,
+  updateDream,
+  deleteDream,
+  trashDream,
+  restoreDream,
+  purgeTrash,
+  getTrashedDreams,
+  getAllDreams,
+  subscribe,
+  sortDreamsByNight,
+  claimLegacyDreams,
+} from '../storage/DreamRepository';
+import { setCurrentUser } from '../storage/UserStorage';
+import { legacyIdToUuid } from '../storage/DreamIds';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+describe('DreamRepository', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+  });
+
+  describe('sorting', () => {
+    test('sorts newest first without mutating the input', () => {
+      const dreams = [makeDream(1), makeDream(3), makeDream(2)];
+      const sorted = sortDreamsByNight(dreams);
+
+      expect(sorted.map(d => d.id)).toEqual([3, 2, 1].map(dreamId));
+      expect(dreams.map(d => d.id)).toEqual([1, 3, 2].map(dreamId));
+    });
+
+    test('treats missing timestamps as oldest', () => {
+      const sorted = sortDreamsByNight([makeDream(1, { timestamp: undefined, nightOf: undefined }), makeDream(2)]);
+      expect(sorted.map(d => d.id)).toEqual([2, 1].map(dreamId));
+    });
+
+    test('orders by the night dreamed, then by when it was recorded', () => {
+      const backdated = makeDream(1, { nightOf: '2024-12-30', timestamp: new Date(2025, 0, 5, 20).toISOString() });
+      const early = makeDream(2, { nightOf: '2025-01-02', timestamp: new Date(2025, 0, 3, 7).toISOString() });
+      const late = makeDream(3, { nightOf: '2025-01-02', timestamp: new Date(2025, 0, 3, 8).toISOString() });
+
+      expect(sortDreamsByNight([backdated, early, late]).map(d => d.id)).toEqual([3, 2, 1].map(dreamId));
+    });
+  });
+
+  describe('CRUD', () => {
+    test('returns an empty journal when nothing is stored', async () => {
+      expect(await getDreams()).toEqual([]);
+      expect(await getDream(dreamId(1))).toBeNull();
+    });
+
+    test('adds, updates and deletes dreams', async () => {
+      await addDream(makeDream(1));
+      await addDream(makeDream(2));
+
+      expect((await getDreams()).map(d => d.id)).toEqual([2, 1].map(dreamId));
+
+      const updated = await updateDream(dreamId(1), { title: 'Renamed' });
+      expect(updated.title).toBe('Renamed');
+      expect((await getDream(dreamId(1))).title).toBe('Renamed');
+
+      const removed = await deleteDream(dreamId(2));
+      expect(removed.id).toBe(dreamId(2));
+      expect((await getDreams()).map(d => d.id)).toEqual([dreamId(1)]);
+    });
+
+    test('finds migrated dreams by their old numeric id', async () => {
+      await addDream(makeDream(1, { id: legacyIdToUuid(1700000000000) }));
+
+      expect((await getDream(1700000000000)).id).toBe(legacyIdToUuid(1700000000000));
+      expect(await getDream(1700000000001)).toBeNull();
+    });
+
+    test('accepts an updater function', async () => {
+      await addDream(makeDream(1, { text: 'abc' }));
+      await updateDream(dreamId(1), dream => ({ text: dream.text.toUpperCase() }));
+      expect((await getDream(dreamId(1))).text).toBe('ABC');
+    });
+
+    test('returns null when updating or deleting a missing dream', async () => {
+      expect(await updateDream(dreamId(42), { title: 'x' })).toBeNull();
+      expect(await deleteDream(dreamId(42))).toBeNull();
+    });
+
+    test('concurrent writes do not overwrite each other', async () => {
+      await Promise.all([
+        addDream(makeDream(1)),
+        addDream(makeDream(2)),
+        addDream(makeDream(3)),
+      ]);
+
+      expect((await getDreams()).map(d => d.id)).toEqual([3, 2, 1].map(dreamId));
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(async () => {
+      await addDream(makeDream(1, { title: 'Flying high', moods: [{ mood: 'Joyful', intensity: 3 }] }));
+      await addDream(makeDream(2, { text: 'A dark forest', moods: [{ mood: 'Scary', intensity: 4 }, { mood: 'Strange', intensity: 2 }] }));
+      await addDream(makeDream(3, { moods: [] }));
+    });
+
+    test('matches title and text case-insensitively', async () => {
+      expect((await queryDreams({ query: 'FLYING' })).map(d => d.id)).toEqual([dreamId(1)]);
+      expect((await queryDreams({ query: 'forest' })).map(d => d.id)).toEqual([dreamId(2)]);
+    });
+
+    test('filters by any of a dream\'s moods', async () => {
+      expect((await queryDreams({ mood: 'Strange' })).map(d => d.id)).toEqual([dreamId(2)]);
+      expect((await queryDreams({ mood: 'Neutral' })).map(d => d.id)).toEqual([dreamId(3)]);
+      expect(await queryDreams()).toHaveLength(3);
+    });
+  });
+
+  describe('user namespaces', () => {
+    test('keeps each user\'s journal separate', async () => {
+      await addDream(makeDream(1));
+
+      setCurrentUser('user-b');
+      expect(await getDreams()).toEqual([]);
+
+      setCurrentUser('user-a');
+      expect((await getDreams()).map(d => d.id)).toEqual([dreamId(1)]);
+      expect(await AsyncStorage.getItem('dreams')).toBeNull();
+    });
+
+    test('hands the shared journal from older versions over in the current shape', async () => {
+      const kept = legacyIdToUuid(1700000000001);
+      await addDream(makeDream(1, { id: kept, title: 'Mine' }));
+      await AsyncStorage.setItem('dreams', JSON.stringify([
+        { id: 1700000000000, title: 'Old dream', text: 'Falling', mood: 'Scary, Sad' },
+        { id: 1700000000001, title: 'Old copy', text: 'Flying', mood: 'Joyful' },
+      ]));
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
+
+      expect(await claimLegacyDreams()).toBe(1);
+
+      const claimed = await getDream(legacyIdToUuid(1700000000000));
+      expect(claimed.moods).toEqual([{ mood: 'Scary', intensity: 3 }, { mood: 'Sad', intensity: 3 }]);
+      expect(claimed).not.toHaveProperty('mood');
+      expect(claimed.nightOf).toEqual(expect.any(String));
+      expect((await getDream(kept)).title).toBe('Mine');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'reload' }));
+      expect(await AsyncStorage.multiGet(['dreams', 'dreams:schemaVersion'])).toEqual([['dreams', null], ['dreams:schemaVersion', null]]);
+      expect(await claimLegacyDreams()).toBe(0);
+      unsubscribe();
+    });
+
+    test('rejects access while signed out', async () => {
+      setCurrentUser(null);
+      await expect(getDreams()).rejects.toThrow('No signed-in user');
+    });
+  });
+
+  describe('subscriptions', () => {
+    test('notifies listeners until they unsubscribe', async () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
+
+      await addDream(makeDream(1));
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'add',
+        dream: expect.objectContaining({ id: dreamId(1) }),
+        dreams: [expect.objectContaining({ id: dreamId(1) })],
+      }));
+
+      unsubscribe();
+      await deleteDream(dreamId(1));
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('trash', () => {
+    test('trashed dreams leave the journal until restored', async () => {
+      await addDream(makeDream(1));
+      await addDream(makeDream(2));
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
+
+      const trashed = await trashDream(dreamId(2));
+      expect(trashed.deletedAt).toEqual(expect.any(String));
+      expect((await getDreams()).map(d => d.id)).toEqual([dreamId(1)]);
+      expect((await getTrashedDreams()).map(d => d.id)).toEqual([dreamId(2)]);
+      expect((await getAllDreams()).map(d => d.id)).toEqual([2, 1].map(dreamId));
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'trash',
+        dreams: [expect.objectContaining({ id: dreamId(1) })],
+      }));
+
+      const restored = await restoreDream(dreamId(2));
+      expect(restored).not.toHaveProperty('deletedAt');
+      expect((await getDreams()).map(d => d.id)).toEqual([2, 1].map(dreamId));
+      expect(await getTrashedDreams()).toEqual([]);
+      unsubscribe();
+    });
+
+    test('purges only dreams trashed before the cutoff', async () => {
+      await addDream(makeDream(1, { deletedAt: '2025-01-01T00:00:00.000Z' }));
+      await addDream(makeDream(2, { deletedAt: '2025-03-01T00:00:00.000Z' }));
+      await addDream(makeDream(3));
+
+      const purged = await purgeTrash('2025-02-01T00:00:00.000Z');
+
+      expect(purged.map(d => d.id)).toEqual([dreamId(1)]);
+      expect((await getAllDreams()).map(d => d.id)).toEqual([3, 2].map(dreamId));
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  enableEncryption,
+  unlockWithPassphrase,
+  unlockWithRecoveryKey,
+  changePassphrase,
+  disableEncryption,
+  isJournalLocked,
+  lockJournal,
+} from '../storage/Encryption';
+import { encryptDream, decryptDream, isEncryptedValue } from '../storage/DreamCrypto';
+import { getDreams, addDream, updateDream, claimLegacyDreams } from '../storage/DreamRepository';
+import { syncDreams } from '../storage/SyncEngine';
+import { createMemoryRemote } from '../storage/MemoryRemote';
+import { setCurrentUser } from '../storage/UserStorage';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const PASSPHRASE = 'correct horse battery';
+
+const readStored = async () => JSON.parse(await AsyncStorage.getItem('user:user-a:dreams'));
+
+describe('Encryption', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    lockJournal();
+    setCurrentUser('user-a');
+  });
+
+  test('field encryption round-trips and binds values to their field', () => {
+    const key = new Uint8Array(32).fill(7);
+    const encrypted = encryptDream(makeDream(1, { analysis: { themes: ['flight'] } }), key);
+
+    expect(isEncryptedValue(encrypted.text)).toBe(true);
+    expect(encrypted.moods).toEqual([{ mood: 'Neutral', intensity: 3 }]);
+    expect(decryptDream(encrypted, key)).toEqual(makeDream(1, { analysis: { themes: ['flight'] } }));
+    expect(() => decryptDream({ ...encrypted, title: encrypted.text }, key)).toThrow('could not be decrypted');
+  });
+
+  test('encrypts existing and new dreams at rest', async () => {
+    await addDream(makeDream(1, { analysis: 'Analysis 1' }));
+    const recoveryKey = await enableEncryption(PASSPHRASE);
+    await addDream(makeDream(2, { analysis: 'Analysis 2' }));
+
+    expect(recoveryKey).toMatch(/^([0-9A-F]{4}-){7}[0-9A-F]{4}$/);
+    const stored = await readStored();
+    stored.forEach(dream => {
+      expect(isEncryptedValue(dream.title)).toBe(true);
+      expect(isEncryptedValue(dream.text)).toBe(true);
+      expect(isEncryptedValue(dream.analysis)).toBe(true);
+    });
+    expect((await getDreams()).map(d => d.title)).toEqual(['Dream 2', 'Dream 1']);
+  });
+
+  test('blocks access while locked and unlocks with the passphrase', async () => {
+    await addDream(makeDream(1));
+    await enableEncryption(PASSPHRASE);
+    lockJournal();
+
+    expect(await isJournalLocked()).toBe(true);
+    await expect(getDreams()).rejects.toThrow('Journal is locked');
+    await expect(updateDream(dreamId(1), { title: 'x' })).rejects.toThrow('Journal is locked');
+    await expect(unlockWithPassphrase('wrong passphrase')).rejects.toThrow('Incorrect passphrase');
+
+    await unlockWithPassphrase(PASSPHRASE);
+    expect((await getDreams())[0].text).toBe('Dream text 1');
+  });
+
+  test('recovers with the recovery key and sets a new passphrase', async () => {
+    await addDream(makeDream(1));
+    const recoveryKey = await enableEncryption(PASSPHRASE);
+    lockJournal();
+
+    await expect(unlockWithRecoveryKey('0000-0000-0000-0000-0000-0000-0000-0000', 'new passphrase'))
+      .rejects.toThrow('Incorrect recovery key');
+    await unlockWithRecoveryKey(recoveryKey.toLowerCase(), 'new passphrase');
+    expect((await getDreams())[0].title).toBe('Dream 1');
+
+    lockJournal();
+    await expect(unlockWithPassphrase(PASSPHRASE)).rejects.toThrow('Incorrect passphrase');
+    await unlockWithPassphrase('new passphrase');
+  });
+
+  test('encrypts dreams handed over from older versions', async () => {
+    await enableEncryption(PASSPHRASE);
+    await AsyncStorage.setItem('dreams', JSON.stringify([{ id: 1700000000000, title: 'Old dream', text: 'Falling' }]));
+
+    expect(await claimLegacyDreams()).toBe(1);
+    const [stored] = await readStored();
+    expect(isEncryptedValue(stored.title)).toBe(true);
+    expect(isEncryptedValue(stored.text)).toBe(true);
+    expect((await getDreams())[0].text).toBe('Falling');
+  });
+
+  test('changes the passphrase without re-encrypting dreams', async () => {
+    await addDream(makeDream(1));
+    await enableEncryption(PASSPHRASE);
+    const before = await readStored();
+
+    await changePassphrase(PASSPHRASE, 'another passphrase');
+    lockJournal();
+    await unlockWithPassphrase('another passphrase');
+
+    expect(await readStored()).toEqual(before);
+  });
+
+  test('turning encryption off stores plaintext again', async () => {
+    await addDream(makeDream(1));
+    await enableEncryption(PASSPHRASE);
+    await disableEncryption(PASSPHRASE);
+
+    expect((await readStored())[0].title).toBe('Dream 1');
+    expect(await isJournalLocked()).toBe(false);
+  });
+
+  test('syncs ciphertext and the keyring to the cloud', async () => {
+    const remote = createMemoryRemote();
+    await addDream(makeDream(1));
+    await enableEncryption(PASSPHRASE);
+    await syncDreams(remote);
+
+    const [remoteDream] = await remote.listDreams('user-a');
+    expect(isEncryptedValue(remoteDream.text)).toBe(true);
+    expect(JSON.stringify(await AsyncStorage.getItem('user:user-a:syncState'))).not.toContain('Dream text 1');
+
+    // A second device signed in as the same user picks up the keyring and stays locked until unlocked
+    await AsyncStorage.clear();
+    lockJournal();
+    await expect(syncDreams(remote)).rejects.toThrow('Journal is locked');
+    expect(await isJournalLocked()).toBe(true);
+
+    await unlockWithPassphrase(PASSPHRASE);
+    await syncDreams(remote);
+    expect((await getDreams())[0].text).toBe('Dream text 1');
+  });
+});
@@ -0,0 +1,69 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+  ARCHIVE_FORMAT,
+  CSV_COLUMNS,
+  toJSONArchive,
+  toMarkdown,
+  toMarkdownFiles,
+  toMarkdownZip,
+  toCSV,
+  toHTML,
+} from '../storage/ExportFormats';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+describe('ExportFormats', () => {
+  test('JSON archive keeps every field', () => {
+    const dreams = [makeDream(1, { analysis: 'Deep', lastEdited: '2025-02-01T00:00:00.000Z', custom: { a: 1 } })];
+    const archive = JSON.parse(toJSONArchive(dreams, { query: 'x', mood: 'all' }));
+
+    expect(archive.format).toBe(ARCHIVE_FORMAT);
+    expect(archive.filter).toEqual({ query: 'x', mood: 'all' });
+    expect(archive.dreams).toEqual(dreams);
+  });
+
+  test('Markdown has front-matter and an analysis section', () => {
+    const markdown = toMarkdown(makeDream(1, { title: 'Say "hi"', moods: [{ mood: 'Sad', intensity: 3 }, { mood: 'Scary', intensity: 3 }], analysis: 'Fear' }));
+
+    expect(markdown).toContain(`---\nid: "${dreamId(1)}"\ntitle: "Say \\"hi\\""\nmoods: ["Sad", "Scary"]\n`);
+    expect(markdown).toContain('# Say "hi"\n\nDream text 1\n\n## Analysis\n\nFear\n');
+  });
+
+  test('Markdown file names are dated and unique', () => {
+    const files = toMarkdownFiles([makeDream(1, { title: 'Same!' }), makeDream(1, { title: 'Same?' }), makeDream(2, { title: '' })]);
+
+    expect(files.map(f => f.name)).toEqual(['2025-01-01-same.md', '2025-01-01-same-2.md', '2025-01-02-untitled.md']);
+  });
+
+  test('Markdown is dated by the night dreamed, not when it was written down', () => {
+    const backdated = makeDream(1, { title: 'Late', nightOf: '2024-12-28' });
+
+    expect(toMarkdownFiles([backdated])[0].name).toBe('2024-12-28-late.md');
+    expect(toMarkdown(backdated)).toContain('nightOf: "2024-12-28"\n');
+  });
+
+  test('Markdown zip contains one file per dream', () => {
+    const entries = unzipSync(toMarkdownZip([makeDream(1), makeDream(2)]));
+
+    expect(Object.keys(entries).sort()).toEqual(['2025-01-01-dream-1.md', '2025-01-02-dream-2.md']);
+    expect(strFromU8(entries['2025-01-01-dream-1.md'])).toContain('Dream text 1');
+  });
+
+  test('CSV quotes commas, quotes and line breaks', () => {
+    const csv = toCSV([makeDream(1, { text: 'Line one\nsaid "hello", then left', wasEdited: true, tags: ['Mom', 'water'] })]);
+    const [header, row] = csv.replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(header).toBe(CSV_COLUMNS.join(','));
+    expect(row).toBe(`${dreamId(1)},Dream 1,"Line one\nsaid ""hello"", then left",Neutral,,2025-01-01T00:00:00.000Z,,true,"Mom, water",2025-01-01`);
+  });
+
+  test('HTML escapes dream content', () => {
+    const html = toHTML([makeDream(1, { title: '<script>alert(1)</script>' })]);
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+});
@@ -0,0 +1,120 @@
+import { toJSONArchive, toMarkdown, toCSV } from '../storage/ExportFormats';
+import {
+  findDate,
+  parseJSONArchive,
+  parseCSV,
+  guessColumnMapping,
+  csvRowsToDrafts,
+  parseTextJournal,
+  markDuplicates,
+} from '../storage/ImportFormats';
+import { makeDream } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const localDay = (iso) => {
+  const date = new Date(iso);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+};
+
+describe('ImportFormats', () => {
+  test('JSON archives round-trip and newer archives are rejected', () => {
+    const dreams = [makeDream(1, { analysis: 'Deep' }), makeDream(2)];
+    expect(parseJSONArchive(toJSONArchive(dreams))).toEqual(dreams);
+
+    const newer = JSON.stringify({ format: 'dreamio-journal', schemaVersion: 999, dreams });
+    expect(() => parseJSONArchive(newer)).toThrow('newer version');
+    expect(() => parseJSONArchive('{"hello": 1}')).toThrow('not a dream journal archive');
+    expect(() => parseJSONArchive('not json')).toThrow('not valid JSON');
+  });
+
+  test('CSV export parses back including quotes and newlines', () => {
+    const dreams = [makeDream(1, { title: 'Say "hi", friend', text: 'Line one\nLine two' })];
+    const rows = parseCSV(toCSV(dreams));
+    const mapping = guessColumnMapping(rows[0]);
+
+    expect(rows[1][1]).toBe('Say "hi", friend');
+    expect(mapping).toMatchObject({ title: 1, text: 2, mood: 3, analysis: 4 });
+
+    const [draft] = csvRowsToDrafts(rows, { ...mapping, date: 5 });
+    expect(draft).toMatchObject({ title: 'Say "hi", friend', text: 'Line one\nLine two', moods: [{ mood: 'Neutral', intensity: 3 }] });
+  });
+
+  test('CSV rows need a text column and get a title when missing', () => {
+    const rows = parseCSV('Date,Entry\n2024-03-05,I was flying over a city made of glass today\n2024-03-06,\n');
+    const mapping = guessColumnMapping(rows[0]);
+
+    expect(() => csvRowsToDrafts(rows, { ...mapping, text: null })).toThrow('dream text');
+
+    const drafts = csvRowsToDrafts(rows, mapping);
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0].title).toBe('I was flying over a city...');
+    expect(drafts[0].moods).toBeUndefined();
+    expect(localDay(drafts[0].timestamp)).toEqual([2024, 3, 5]);
+  });
+
+  test('finds dates in common formats', () => {
+    expect(localDay(findDate('## 2024-03-05 Flying').date)).toEqual([2024, 3, 5]);
+    expect(localDay(findDate('March 5th, 2024').date)).toEqual([2024, 3, 5]);
+    expect(localDay(findDate('Tue 5 Mar 2024').date)).toEqual([2024, 3, 5]);
+    expect(localDay(findDate('03/05/2024').date)).toEqual([2024, 3, 5]);
+    expect(findDate('2024-03-05T06:30:00.000Z').date).toBe('2024-03-05T06:30:00.000Z');
+    expect(findDate('no date here')).toBeNull();
+  });
+
+  test('bare dates are the night itself and timestamps follow the recording rule', () => {
+    expect(findDate('2024-03-05').night).toBe('2024-03-05');
+    expect(findDate(new Date(2024, 2, 5, 7).toISOString()).night).toBe('2024-03-04');
+    expect(findDate(new Date(2024, 2, 5, 22).toISOString()).night).toBe('2024-03-05');
+
+    const rows = parseCSV('Written,Dreamed On,Entry\n2024-03-07,2024-03-05,Falling\n2024-03-08,,Swimming\n');
+    const mapping = guessColumnMapping(rows[0]);
+    expect(mapping).toMatchObject({ nightOf: 1, text: 2 });
+    expect(csvRowsToDrafts(rows, { ...mapping, date: 0 }).map(d => d.nightOf)).toEqual(['2024-03-05', '2024-03-08']);
+  });
+
+  test('text journals split on date headings', () => {
+    const journal = [
+      'My dream journal',
+      '',
+      '## 2024-03-05 - Flying',
+      'I flew over the city.',
+      '',
+      'Then I landed.',
+      '',
+      'March 6, 2024',
+      '### The Exam',
+      'I forgot my pencil.',
+      '',
+      '## 2024-03-07',
+    ].join('\n');
+
+    const drafts = parseTextJournal(journal);
+
+    expect(drafts).toHaveLength(2);
+    expect(drafts[0]).toMatchObject({ title: 'Flying', text: 'I flew over the city.\n\nThen I landed.' });
+    expect(drafts[1]).toMatchObject({ title: 'The Exam', text: 'I forgot my pencil.' });
+    expect(localDay(drafts[1].timestamp)).toEqual([2024, 3, 6]);
+  });
+
+  test('Markdown exported by the app is read back from front-matter', () => {
+    const dream = makeDream(3, { title: 'Ocean', text: 'Waves\n\n# not a title', moods: [{ mood: 'Sad', intensity: 5 }, { mood: 'Strange', intensity: 2 }], analysis: 'Water' });
+    const [draft] = parseTextJournal(toMarkdown(dream));
+
+    expect(draft).toEqual({ ...dream, text: 'Waves\n\n# not a title' });
+  });
+
+  test('duplicates are flagged against the journal and within the import', () => {
+    const existing = [makeDream(1)];
+    const drafts = [
+      { ...makeDream(9), text: '  dream   TEXT 1 ', timestamp: existing[0].timestamp, nightOf: existing[0].nightOf },
+      makeDream(2),
+      makeDream(2, { id: undefined }),
+      makeDream(1, { text: 'Edited elsewhere' }),
+    ];
+
+    expect(markDuplicates(drafts, existing).map(d => d.duplicateOf)).toEqual(['journal', null, 'import', null]);
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  normalizeMoods,
+  getMoodEntries,
+  getDreamMoods,
+  getPrimaryMood,
+  setPrimaryMood,
+  isSameMoods,
+  getMoodCounts,
+  getMoodWeights,
+} from '../storage/Moods';
+
+describe('Moods', () => {
+  test('reads legacy strings, names and entries', () => {
+    expect(normalizeMoods('Scary, strange')).toEqual([
+      { mood: 'Scary', intensity: 3 },
+      { mood: 'Strange', intensity: 3 },
+    ]);
+    expect(normalizeMoods([{ mood: 'sad', intensity: 9 }, 'Sad', { mood: 'Dreamy', intensity: 0 }, ' '])).toEqual([
+      { mood: 'Sad', intensity: 5 },
+      { mood: 'Dreamy', intensity: 1 },
+    ]);
+    expect(normalizeMoods(undefined)).toEqual([]);
+  });
+
+  test('prefers mood entries over a leftover legacy string', () => {
+    const dream = { mood: 'Joyful', moods: [{ mood: 'Scary', intensity: 4 }] };
+    expect(getMoodEntries(dream)).toEqual([{ mood: 'Scary', intensity: 4 }]);
+    expect(getDreamMoods({})).toEqual(['Neutral']);
+    expect(getPrimaryMood({ mood: 'Sad, Scary' })).toBe('Sad');
+  });
+
+  test('moves the chosen mood to the front as primary', () => {
+    const entries = normalizeMoods(['Sad', 'Scary', 'Strange']);
+    const reordered = setPrimaryMood(entries, 'Scary');
+
+    expect(reordered.map(entry => entry.mood)).toEqual(['Scary', 'Sad', 'Strange']);
+    expect(isSameMoods(reordered, entries)).toBe(false);
+    expect(isSameMoods(setPrimaryMood(entries, 'Joyful'), entries)).toBe(true);
+  });
+
+  test('counts dreams per mood and weights them by intensity', () => {
+    const dreams = [
+      { moods: [{ mood: 'Scary', intensity: 5 }, { mood: 'Strange', intensity: 1 }] },
+      { moods: [{ mood: 'Scary', intensity: 2 }] },
+      { mood: 'Strange' },
+      {},
+    ];
+
+    expect(getMoodCounts(dreams)).toEqual({ Scary: 2, Strange: 2, Neutral: 1 });
+    expect(getMoodWeights(dreams)).toEqual({ Scary: 7, Strange: 4, Neutral: 3 });
+  });
+});
@@ -0,0 +1,90 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addDream, getDream } from '../storage/DreamRepository';
+import {
+  MAX_REVISIONS,
+  getRevisions,
+  addRevision,
+  saveDreamEdit,
+  restoreRevision,
+  diffWords,
+} from '../storage/RevisionHistory';
+import { setCurrentUser } from '../storage/UserStorage';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+describe('RevisionHistory', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('dreams without history start with their current content', () => {
+    const dream = makeDream(1);
+    expect(getRevisions(dream)).toEqual([
+      { savedAt: dream.timestamp, source: 'original', title: 'Dream 1', text: 'Dream text 1', moods: [{ mood: 'Neutral', intensity: 3 }] },
+    ]);
+  });
+
+  test('keeps the text replaced by an AI rewrite', () => {
+    const revisions = addRevision(makeDream(1), { text: 'Polished text' }, {
+      source: 'rewrite',
+      rewrittenFrom: 'my own words',
+      savedAt: '2025-02-01T00:00:00.000Z',
+    });
+
+    expect(revisions.map(r => [r.source, r.text])).toEqual([
+      ['original', 'Dream text 1'],
+      ['edit', 'my own words'],
+      ['rewrite', 'Polished text'],
+    ]);
+  });
+
+  test('unchanged saves add nothing and the original survives trimming', () => {
+    let dream = makeDream(1);
+    expect(addRevision(dream, { title: 'Dream 1' })).toHaveLength(1);
+
+    for (let n = 0; n < MAX_REVISIONS + 5; n++) {
+      dream = { ...dream, text: `Version ${n}`, revisions: addRevision(dream, { text: `Version ${n}` }) };
+    }
+
+    expect(dream.revisions).toHaveLength(MAX_REVISIONS);
+    expect(dream.revisions[0].text).toBe('Dream text 1');
+    expect(dream.revisions[MAX_REVISIONS - 1].text).toBe(`Version ${MAX_REVISIONS + 4}`);
+  });
+
+  test('edits are saved with history and earlier versions can be restored', async () => {
+    await addDream(makeDream(1));
+    await saveDreamEdit(dreamId(1), { title: 'Renamed', text: 'New text', wasEdited: true });
+
+    const restored = await restoreRevision(dreamId(1), 0);
+
+    expect(restored).toMatchObject({ title: 'Dream 1', text: 'Dream text 1', wasEdited: true });
+    expect(getRevisions(await getDream(dreamId(1))).map(r => r.source)).toEqual(['original', 'edit', 'restore']);
+    await expect(restoreRevision(dreamId(1), 10)).rejects.toThrow('no longer exists');
+  });
+
+  test('mood and intensity changes are revisions and legacy mood strings restore as entries', async () => {
+    const dream = makeDream(1, { moods: [{ mood: 'Sad', intensity: 3 }, { mood: 'Scary', intensity: 3 }] });
+    // Revisions saved before mood entries existed keep the comma-joined string
+    const original = { savedAt: dream.timestamp, source: 'original', title: dream.title, text: dream.text, mood: 'Sad, Scary' };
+    await addDream({ ...dream, revisions: [original] });
+    await saveDreamEdit(dreamId(1), { moods: [{ mood: 'Sad', intensity: 5 }, { mood: 'Scary', intensity: 3 }] });
+
+    expect(getRevisions(await getDream(dreamId(1))).map(r => r.source)).toEqual(['original', 'edit']);
+    const restored = await restoreRevision(dreamId(1), 0);
+    expect(restored.moods).toEqual([{ mood: 'Sad', intensity: 3 }, { mood: 'Scary', intensity: 3 }]);
+  });
+
+  test('diffs text word by word', () => {
+    expect(diffWords('I was flying over the sea', 'I was swimming under the sea')).toEqual([
+      { type: 'equal', text: 'I was ' },
+      { type: 'removed', text: 'flying over' },
+      { type: 'added', text: 'swimming under' },
+      { type: 'equal', text: ' the sea' },
+    ]);
+    expect(diffWords('', 'New')).toEqual([{ type: 'added', text: 'New' }]);
+  });
+});
@@ -0,0 +1,223 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersionKey,
+  migrateDreams,
+  migrateJournal,
+  runMigrations,
+} from '../storage/SchemaMigrations';
+import { createDreamId, isDreamId, legacyIdToUuid } from '../storage/DreamIds';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const getStep = (version) => MIGRATIONS.find(step => step.version === version);
+
+const readJSON = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+describe('SchemaMigrations', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('migration versions are unique and ascending', () => {
+    const versions = MIGRATIONS.map(step => step.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    expect(CURRENT_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  describe('step 1: backfill missing fields', () => {
+    const migrate = getStep(1).migrate;
+
+    test('derives a missing timestamp from the Date.now() id', () => {
+      const [dream] = migrate([{ id: 1700000000000, title: 'Old', text: 'Dream' }]);
+      expect(dream.timestamp).toBe(new Date(1700000000000).toISOString());
+    });
+
+    test('fills missing strings and normalizes wasEdited', () => {
+      const [dream] = migrate([{ id: 1, timestamp: '2025-01-01T00:00:00.000Z', wasEdited: undefined }]);
+      expect(dream).toEqual({
+        id: 1,
+        title: '',
+        text: '',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        wasEdited: false,
+      });
+    });
+
+    test('keeps existing fields untouched', () => {
+      const original = { id: 1, title: 'T', text: 'X', mood: 'Sad', analysis: 'A', timestamp: '2025-01-01T00:00:00.000Z', wasEdited: true };
+      expect(migrate([original])).toEqual([original]);
+    });
+  });
+
+  describe('step 2: UUID ids', () => {
+    const migrate = getStep(2).migrate;
+
+    test('replaces Date.now() ids with the same UUID on every device', () => {
+      const dreams = migrate([{ id: 1700000000000 }, { id: 1700000000001 }]);
+
+      expect(dreams.every(d => isDreamId(d.id))).toBe(true);
+      expect(dreams[0].id).toBe(legacyIdToUuid(1700000000000));
+      expect(migrate([{ id: 1700000000000 }])[0].id).toBe(dreams[0].id);
+    });
+
+    test('gives dreams sharing an id their own ids and keeps UUIDs', () => {
+      const uuid = createDreamId();
+      const dreams = migrate([{ id: 5, text: 'a' }, { id: 5, text: 'b' }, { id: uuid }]);
+
+      expect(new Set(dreams.map(d => d.id)).size).toBe(3);
+      expect(dreams[2].id).toBe(uuid);
+    });
+  });
+
+  describe('step 3: mood entries', () => {
+    const migrate = getStep(3).migrate;
+
+    test('splits the mood string into entries with the first as primary', () => {
+      const [dream] = migrate([{ id: 1, mood: 'Scary, strange' }]);
+      expect(dream).toEqual({
+        id: 1,
+        moods: [{ mood: 'Scary', intensity: 3 }, { mood: 'Strange', intensity: 3 }],
+      });
+    });
+
+    test('leaves dreams without a mood and already migrated dreams alone', () => {
+      const migrated = { id: 2, moods: [{ mood: 'Sad', intensity: 5 }] };
+      expect(migrate([{ id: 1, mood: '' }, migrated])).toEqual([{ id: 1 }, migrated]);
+    });
+  });
+
+  describe('step 4: night of each dream', () => {
+    const migrate = getStep(4).migrate;
+
+    test('attributes morning recordings to the night before', () => {
+      const morning = new Date(2025, 2, 10, 7, 30).toISOString();
+      const evening = new Date(2025, 2, 10, 21, 0).toISOString();
+      const dreams = migrate([{ id: 1, timestamp: morning }, { id: 2, timestamp: evening }]);
+
+      expect(dreams.map(d => d.nightOf)).toEqual(['2025-03-09', '2025-03-10']);
+    });
+
+    test('keeps a night that is already set and skips undated dreams', () => {
+      const dated = { id: 1, nightOf: '2025-01-02', timestamp: new Date(2025, 2, 10, 7).toISOString() };
+      expect(migrate([dated, { id: 2 }])).toEqual([dated, { id: 2 }]);
+    });
+  });
+
+  describe('migrateDreams', () => {
+    const steps = [
+      { version: 2, migrate: dreams => dreams.map(d => ({ ...d, order: [...d.order, 2] })) },
+      { version: 1, migrate: dreams => dreams.map(d => ({ ...d, order: [...d.order, 1] })) },
+      { version: 3, migrate: dreams => dreams.map(d => ({ ...d, order: [...d.order, 3] })) },
+    ];
+
+    test('runs pending steps in version order without touching the input', () => {
+      const input = [{ id: 1, order: [] }];
+      expect(migrateDreams(input, 1, steps)).toEqual([{ id: 1, order: [2, 3] }]);
+      expect(input).toEqual([{ id: 1, order: [] }]);
+    });
+
+    test('rejects a step that does not return an array', () => {
+      expect(() => migrateDreams([], 0, [{ version: 1, migrate: () => null }]))
+        .toThrow('Migration 1 did not return a dream array');
+    });
+  });
+
+  describe('migrateJournal', () => {
+    const key = 'user:alice:dreams';
+    const steps = [
+      { version: 1, migrate: dreams => dreams.map(d => ({ ...d, v1: true })) },
+      { version: 2, migrate: dreams => dreams.map(d => ({ ...d, v2: true })) },
+    ];
+
+    test('upgrades the journal and stamps the new version', async () => {
+      await AsyncStorage.setItem(key, JSON.stringify([{ id: 1 }]));
+
+      expect(await migrateJournal(key, steps)).toBe(true);
+      expect(await readJSON(key)).toEqual([{ id: 1, v1: true, v2: true }]);
+      expect(await readJSON(getSchemaVersionKey(key))).toBe(2);
+    });
+
+    test('skips journals that are already current', async () => {
+      await AsyncStorage.setItem(key, JSON.stringify([{ id: 1 }]));
+      await AsyncStorage.setItem(getSchemaVersionKey(key), '2');
+
+      expect(await migrateJournal(key, steps)).toBe(false);
+      expect(await readJSON(key)).toEqual([{ id: 1 }]);
+    });
+
+    test('rolls back when a step fails', async () => {
+      await AsyncStorage.setItem(key, JSON.stringify([{ id: 1 }]));
+      await AsyncStorage.setItem(getSchemaVersionKey(key), '1');
+      const failing = [...steps, { version: 3, migrate: () => { throw new Error('boom'); } }];
+
+      await expect(migrateJournal(key, failing)).rejects.toThrow('boom');
+      expect(await readJSON(key)).toEqual([{ id: 1 }]);
+      expect(await readJSON(getSchemaVersionKey(key))).toBe(1);
+      expect(await AsyncStorage.getItem(`${key}:migrationBackup`)).toBeNull();
+    });
+
+    test('rolls back when writing the result fails', async () => {
+      await AsyncStorage.setItem(key, JSON.stringify([{ id: 1 }]));
+      // setItem goes through multiSet in the mock, so only fail the combined journal write
+      const realMultiSet = AsyncStorage.multiSet.getMockImplementation();
+      let failed = false;
+      AsyncStorage.multiSet.mockImplementation((pairs, ...rest) => {
+        if (!failed && pairs.length > 1) {
+          failed = true;
+          return Promise.reject(new Error('disk full'));
+        }
+        return realMultiSet(pairs, ...rest);
+      });
+
+      await expect(migrateJournal(key, steps)).rejects.toThrow('disk full');
+      expect(await readJSON(key)).toEqual([{ id: 1 }]);
+      expect(await readJSON(getSchemaVersionKey(key))).toBe(0);
+      AsyncStorage.multiSet.mockImplementation(realMultiSet);
+    });
+
+    test('restores a backup left behind by an interrupted run', async () => {
+      await AsyncStorage.setItem(key, JSON.stringify([{ id: 1, v1: true, half: true }]));
+      await AsyncStorage.setItem(`${key}:migrationBackup`, JSON.stringify({ dreams: [{ id: 1 }], version: 0 }));
+
+      await migrateJournal(key, steps);
+
+      expect(await readJSON(key)).toEqual([{ id: 1, v1: true, v2: true }]);
+    });
+  });
+
+  describe('runMigrations', () => {
+    test('migrates the legacy and per-user journals independently', async () => {
+      await AsyncStorage.setItem('dreams', JSON.stringify([{ id: 1 }]));
+      await AsyncStorage.setItem('user:alice:dreams', JSON.stringify([{ id: 2 }]));
+      await AsyncStorage.setItem('user:bob:dreams', JSON.stringify([{ id: 3 }]));
+      await AsyncStorage.setItem('user:alice:settings', JSON.stringify({}));
+
+      const steps = [{
+        version: 1,
+        migrate: dreams => dreams.map(d => {
+          if (d.id === 3) throw new Error('bad dream');
+          return { ...d, migrated: true };
+        }),
+      }];
+
+      const summary = await runMigrations(steps);
+
+      expect(summary.migrated.sort()).toEqual(['dreams', 'user:alice:dreams']);
+      expect(summary.failed).toEqual(['user:bob:dreams']);
+      expect(await readJSON('user:alice:dreams')).toEqual([{ id: 2, migrated: true }]);
+      expect(await readJSON('user:bob:dreams')).toEqual([{ id: 3 }]);
+      expect(await readJSON('user:alice:settings')).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { stem, tokenize, findHighlights, buildSnippet, createSearchIndex } from '../storage/SearchIndex';
+import { makeDream, dreamId } from './helpers/dreams';
+
+const ids = (index, query) => index.search(query).results.map(result => result.id);
+
+describe('SearchIndex', () => {
+  test('stems related word forms to the same key', () => {
+    expect(stem('flying')).toBe(stem('fly'));
+    expect(stem('flies')).toBe(stem('fly'));
+    expect(stem('chased')).toBe(stem('chasing'));
+    expect(stem('running')).toBe(stem('run'));
+    expect(tokenize("The dog's house")).toEqual([
+      { term: 'the', start: 0, end: 3 },
+      { term: 'dog', start: 4, end: 9 },
+      { term: 'hous', start: 10, end: 15 },
+    ]);
+  });
+
+  test('ranks title matches above text matches', () => {
+    const index = createSearchIndex();
+    index.sync([
+      makeDream(1, { title: 'At the beach', text: 'I was flying over the ocean' }),
+      makeDream(2, { title: 'Flying high', text: 'Over the mountains' }),
+      makeDream(3, { title: 'Lost keys', text: 'Nothing about the sky' }),
+    ]);
+
+    expect(ids(index, 'flying')).toEqual([2, 1].map(dreamId));
+  });
+
+  test('requires every word, matches the last word as a prefix and tolerates typos', () => {
+    const index = createSearchIndex();
+    index.sync([
+      makeDream(1, { title: 'Forest', text: 'A wolf chased me through the forest' }),
+      makeDream(2, { title: 'Ocean', text: 'A whale sang in the ocean' }),
+    ]);
+
+    expect(ids(index, 'wolf forest')).toEqual([dreamId(1)]);
+    expect(ids(index, 'wolf ocean')).toEqual([]);
+    expect(ids(index, 'oce')).toEqual([dreamId(2)]);
+    expect(ids(index, 'forrest')).toEqual([dreamId(1)]);
+    expect(ids(index, 'chasing')).toEqual([dreamId(1)]);
+  });
+
+  test('re-indexes only what changed between syncs', () => {
+    const index = createSearchIndex();
+    const first = makeDream(1, { title: 'Castle', text: 'A tall castle' });
+    index.sync([first, makeDream(2, { title: 'Train', text: 'A night train' })]);
+    expect(index.size()).toBe(2);
+
+    index.sync([{ ...first, title: 'Tower', text: 'A tall tower' }, makeDream(3, { title: 'Garden', text: 'Roses' })]);
+    expect(index.size()).toBe(2);
+    expect(ids(index, 'castle')).toEqual([]);
+    expect(ids(index, 'tower')).toEqual([dreamId(1)]);
+    expect(ids(index, 'train')).toEqual([]);
+    expect(ids(index, 'roses')).toEqual([dreamId(3)]);
+  });
+
+  test('highlights matches and cuts a snippet around the first one', () => {
+    const index = createSearchIndex();
+    const text = `${'Nothing happened here. '.repeat(10)}Then a dragon appeared.`;
+    index.sync([makeDream(1, { title: 'Dragon', text })]);
+    const { terms } = index.search('dragons');
+
+    const ranges = findHighlights(text, terms);
+    expect(ranges).toEqual([[text.indexOf('dragon'), text.indexOf('dragon') + 6]]);
+
+    const snippet = buildSnippet(text, ranges, 60);
+    expect(snippet.text.startsWith('...')).toBe(true);
+    const [start, end] = snippet.ranges[0];
+    expect(snippet.text.slice(start, end)).toBe('dragon');
+  });
+});
@@ -0,0 +1,115 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { searchDreams } from '../storage/DreamRepository';
+import { parseQuery, getQuerySuggestions } from '../storage/SearchQuery';
+import { getSmartFilters, saveSmartFilter, deleteSmartFilter } from '../storage/SmartFilters';
+import { setCurrentUser } from '../storage/UserStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const moods = (...names) => names.map(mood => ({ mood, intensity: 3 }));
+
+const dreams = [
+  { id: 'a', title: 'Dark forest', text: 'Wolves chased me through the dark forest', moods: moods('Scary'), timestamp: new Date(2025, 2, 10, 8).toISOString(), wasEdited: true },
+  { id: 'b', title: 'Flying', text: 'I was flying over a dark and quiet forest', moods: moods('Joyful'), timestamp: new Date(2025, 1, 5, 8).toISOString() },
+  { id: 'c', title: 'Exam', text: 'I forgot my exam and a wolf was the teacher', moods: moods('Scary', 'Strange'), timestamp: new Date(2024, 11, 20, 8).toISOString() },
+  { id: 'd', title: 'Beach', text: 'Calm waves at sunset', moods: moods('Neutral'), timestamp: new Date(2025, 0, 1, 8).toISOString() },
+];
+
+const search = (query) => searchDreams(dreams, { query }).dreams.map(dream => dream.id);
+
+describe('SearchQuery', () => {
+  test('plain words keep the simple search behaviour', () => {
+    expect(search('forest')).toEqual(['a', 'b']);
+    expect(search('wolf')).toEqual(['c', 'a']);
+    expect(search('fly')).toEqual(['b']);
+  });
+
+  test('supports phrases, negation and OR', () => {
+    expect(search('"dark forest"')).toEqual(['a']);
+    expect(search('forest -flying')).toEqual(['a']);
+    expect(search('exam OR beach').sort()).toEqual(['c', 'd']);
+    expect(search('-(forest OR wolf)')).toEqual(['d']);
+  });
+
+  test('supports field filters and dates', () => {
+    expect(search('mood:scary')).toEqual(['a', 'c']);
+    expect(search('mood:scary after:2025-01-01')).toEqual(['a']);
+    expect(search('before:2025-01')).toEqual(['c', 'd']);
+    expect(search('on:2025-02')).toEqual(['b']);
+    expect(searchDreams([{ ...dreams[1], nightOf: '2025-01-31' }], { query: 'on:2025-01' }).dreams).toHaveLength(1);
+    expect(search('edited:true')).toEqual(['a']);
+    expect(search('title:forest')).toEqual(['a']);
+    expect(search('mood:scary after:2025-01-01 -flying "dark forest" edited:true')).toEqual(['a']);
+  });
+
+  test('filters on the symbols, themes and emotions of structured analyses', () => {
+    const analyzed = [
+      { ...dreams[0], analysis: 'Being chased.', analysisDetails: { symbols: [{ name: 'Wolf', meaning: 'A threat' }], emotions: [{ name: 'Fear', intensity: 4 }], themes: ['Loss of control'] } },
+      { ...dreams[1], analysis: 'Freedom.', analysisDetails: { symbols: [{ name: 'Open sky', meaning: 'Freedom' }], themes: ['Escape'] } },
+      dreams[2],
+    ];
+    const find = (query) => searchDreams(analyzed, { query }).dreams.map(dream => dream.id);
+
+    expect(find('symbol:wolf')).toEqual(['a']);
+    expect(find('symbol:"open sky"')).toEqual(['b']);
+    expect(find('theme:control OR theme:escape').sort()).toEqual(['a', 'b']);
+    expect(find('emotion:fear -symbol:sky')).toEqual(['a']);
+    expect(find('setting:forest')).toEqual([]);
+    expect(getQuerySuggestions('symbol:o', { analysisNames: { symbols: ['Open sky', 'Owl'] } }).map(s => s.query))
+      .toEqual(['symbol:"Open sky" ', 'symbol:Owl ']);
+  });
+
+  test('reports syntax errors and falls back to a plain word search', () => {
+    expect(parseQuery('"dark forest').error.message).toBe('Missing closing quote');
+    expect(parseQuery('after:yesterday').error.message).toMatch(/isn't a date/);
+    expect(parseQuery('colour:red').error.message).toMatch(/^Unknown filter "colour:"/);
+    expect(parseQuery('wolf OR').error.message).toBe('OR needs something to search for on both sides');
+    expect(parseQuery('(wolf').error.message).toBe('Missing closing parenthesis');
+
+    const result = searchDreams(dreams, { query: '"dark forest' });
+    expect(result.error).not.toBeNull();
+    expect(result.dreams.map(dream => dream.id)).toEqual(['a', 'b']);
+  });
+
+  test('suggests filters and values for the word being typed', () => {
+    const now = new Date(2025, 5, 15);
+    expect(getQuerySuggestions('wolf mo').map(s => s.query)).toEqual(['wolf mood:']);
+    expect(getQuerySuggestions('mood:sc', { moods: ['Scary', 'Sad'] })).toEqual([
+      { label: 'mood:Scary', query: 'mood:Scary ' },
+    ]);
+    expect(getQuerySuggestions('-edited:', { now }).map(s => s.label)).toEqual(['-edited:true', '-edited:false']);
+    expect(getQuerySuggestions('after:', { now }).map(s => s.label)).toEqual([
+      'after:2025-06-08',
+      'after:2025-05-16',
+      'after:2025',
+    ]);
+  });
+});
+
+describe('SmartFilters', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('saves, replaces and deletes named queries', async () => {
+    await saveSmartFilter('Nightmares', 'mood:scary');
+    await saveSmartFilter('Recent', 'after:2025-01-01');
+    await saveSmartFilter('nightmares', 'mood:scary -exam');
+
+    expect((await getSmartFilters()).map(({ name, query }) => ({ name, query }))).toEqual([
+      { name: 'nightmares', query: 'mood:scary -exam' },
+      { name: 'Recent', query: 'after:2025-01-01' },
+    ]);
+
+    await deleteSmartFilter('Recent');
+    expect((await getSmartFilters()).map(filter => filter.name)).toEqual(['nightmares']);
+  });
+
+  test('rejects empty names and invalid queries', async () => {
+    await expect(saveSmartFilter('  ', 'wolf')).rejects.toThrow('Give the filter a name');
+    await expect(saveSmartFilter('Broken', '"wolf')).rejects.toThrow('Fix the search before saving it: Missing closing quote');
+  });
+});
@@ -0,0 +1,193 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { unzipSync, strFromU8 } from 'fflate';
+import { addDream, deleteDream } from '../storage/DreamRepository';
+import { setCurrentUser } from '../storage/UserStorage';
+import {
+  SKETCH_BACKGROUND,
+  toPathData,
+  toSketchSVG,
+  writeSketch,
+  attachSketches,
+  getDreamSketches,
+  getSketchUri,
+  readSketchSVG,
+} from '../storage/Sketches';
+import {
+  getAttachmentDirectory,
+  pruneAttachmentFiles,
+  startAttachmentCleanup,
+  readAttachmentFiles,
+  deleteUserAttachments,
+} from '../storage/Attachments';
+import { toMarkdown, toMarkdownZip, toHTML } from '../storage/ExportFormats';
+import { enableEncryption, lockJournal } from '../storage/Encryption';
+import { isSealedFile } from '../storage/DreamCrypto';
+import { saveDraft } from '../storage/Drafts';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// In-memory file system: file URI -> { content, encoding, modificationTime (seconds) }
+jest.mock('expo-file-system', () => {
+  const files = new Map();
+  return {
+    files,
+    documentDirectory: 'file:///docs/',
+    cacheDirectory: 'file:///cache/',
+    EncodingType: { Base64: 'base64' },
+    makeDirectoryAsync: jest.fn(async () => {}),
+    getInfoAsync: jest.fn(async (uri) => {
+      if (files.has(uri)) return { exists: true, modificationTime: files.get(uri).modificationTime };
+      return { exists: [...files.keys()].some(key => key.startsWith(uri)) };
+    }),
+    readDirectoryAsync: jest.fn(async (uri) => [...files.keys()]
+      .filter(key => key.startsWith(uri))
+      .map(key => key.slice(uri.length))),
+    moveAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    }),
+    deleteAsync: jest.fn(async (uri) => {
+      [...files.keys()].filter(key => key.startsWith(uri)).forEach(key => files.delete(key));
+    }),
+    readAsStringAsync: jest.fn(async (uri, options = {}) => {
+      const { content, encoding = 'utf8' } = files.get(uri);
+      return Buffer.from(content, encoding).toString(options.encoding || 'utf8');
+    }),
+    writeAsStringAsync: jest.fn(async (uri, content, options = {}) => {
+      files.set(uri, { content, encoding: options.encoding || 'utf8', modificationTime: Date.now() / 1000 });
+    }),
+  };
+});
+
+const STROKES = [
+  { color: '#A78BFA', width: 4, points: [[10, 10], [20, 20], [30, 10]] },
+  { color: '#A78BFA', width: 24, erase: true, points: [[15, 15]] },
+];
+
+describe('Sketches', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    FileSystem.files.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('builds smooth path data and draws taps as dots', () => {
+    expect(toPathData([[10, 10], [20, 20], [30, 10]])).toBe('M10 10Q20 20 25 15L30 10');
+    expect(toPathData([[1.234, 5.678]])).toBe('M1.2 5.7L1.2 5.7');
+    expect(toPathData([])).toBe('');
+  });
+
+  test('writes strokes as SVG with the eraser painting the background', () => {
+    const svg = toSketchSVG({ strokes: STROKES, width: 300, height: 200 });
+
+    expect(svg).toContain('viewBox="0 0 300 200"');
+    expect(svg).toContain(`<rect width="100%" height="100%" fill="${SKETCH_BACKGROUND}"/>`);
+    expect(svg).toContain('stroke="#A78BFA" stroke-width="4"');
+    expect(svg).toContain(`stroke="${SKETCH_BACKGROUND}" stroke-width="24"`);
+  });
+
+  test('attaches pending sketches into the user sketch folder', async () => {
+    const pending = await writeSketch({ strokes: STROKES, width: 300, height: 200 });
+    expect(pending.uri).toBe(`file:///docs/pending/user-a/sketch-${pending.key}.svg`);
+
+    const [sketch] = await attachSketches([pending]);
+
+    expect(sketch).toMatchObject({ width: 300, height: 200, createdAt: pending.createdAt });
+    expect(sketch.file).toMatch(/\.svg$/);
+    expect(getSketchUri(sketch)).toBe(`file:///docs/sketches/user-a/${sketch.file}`);
+    expect(FileSystem.files.has(pending.uri)).toBe(false);
+    expect(await readSketchSVG(sketch)).toContain('<svg');
+    expect(await readSketchSVG({ id: 'x', file: 'elsewhere.svg' })).toBeNull();
+  });
+
+  test('ignores malformed entries', () => {
+    expect(getDreamSketches({ sketches: [{ file: 'a.svg' }, { file: 'x/b.svg' }, null] })).toEqual([{ file: 'a.svg' }]);
+    expect(getDreamSketches({})).toEqual([]);
+  });
+
+  test('cleans up sketches and memos together', async () => {
+    const stop = startAttachmentCleanup();
+    const [sketch] = await attachSketches([await writeSketch({ strokes: STROKES, width: 100, height: 100 })]);
+    const memoUri = `${getAttachmentDirectory('memos')}m.m4a`;
+    FileSystem.files.set(memoUri, { content: 'AAAA', modificationTime: Date.now() / 1000 });
+    await addDream(makeDream(1, { sketches: [sketch], memos: [{ id: 'm', file: 'm.m4a' }] }));
+
+    await deleteDream(dreamId(1));
+    await new Promise(resolve => setImmediate(resolve));
+    stop();
+
+    expect(FileSystem.files.size).toBe(0);
+  });
+
+  test('prunes old sketch files no dream refers to', async () => {
+    const orphan = `${getAttachmentDirectory('sketches')}orphan.svg`;
+    FileSystem.files.set(orphan, { content: '<svg/>', modificationTime: Date.now() / 1000 - 2 * 60 * 60 });
+
+    expect(await pruneAttachmentFiles()).toBe(1);
+    expect(FileSystem.files.has(orphan)).toBe(false);
+  });
+
+  test('deletes a user\'s files of every kind', async () => {
+    FileSystem.files.set(`${getAttachmentDirectory('memos')}m.m4a`, { content: 'AAAA' });
+    FileSystem.files.set(`${getAttachmentDirectory('sketches')}s.svg`, { content: '<svg/>' });
+    FileSystem.files.set(`${getAttachmentDirectory('sketches', 'user-b')}s.svg`, { content: '<svg/>' });
+
+    await deleteUserAttachments('user-a');
+
+    expect([...FileSystem.files.keys()]).toEqual(['file:///docs/sketches/user-b/s.svg']);
+  });
+
+  test('seals sketches with the journal key while encryption is on', async () => {
+    await enableEncryption('correct horse battery');
+    const [sketch] = await attachSketches([await writeSketch({ strokes: STROKES, width: 100, height: 100 })]);
+    const stored = FileSystem.files.get(getSketchUri(sketch));
+
+    expect(isSealedFile(Buffer.from(stored.content, stored.encoding).toString('base64'))).toBe(true);
+    expect(await readSketchSVG(sketch)).toContain('<svg');
+    const attachments = await readAttachmentFiles([makeDream(1, { sketches: [sketch] })]);
+    expect(Buffer.from(attachments[`sketches/${sketch.file}`], 'base64').toString()).toContain('<svg');
+
+    lockJournal();
+    await expect(readSketchSVG(sketch)).rejects.toThrow('Journal is locked');
+  });
+
+  test('seals pending sketches kept for drafts while encryption is on', async () => {
+    const onDisk = (uri) => FileSystem.readAsStringAsync(uri, { encoding: 'base64' });
+    const before = await writeSketch({ strokes: STROKES, width: 100, height: 100 });
+    await saveDraft({ text: 'Half remembered', sketches: [before] });
+    expect(isSealedFile(await onDisk(before.uri))).toBe(false);
+
+    await enableEncryption('correct horse battery');
+    const after = await writeSketch({ strokes: STROKES, width: 100, height: 100 });
+
+    expect(isSealedFile(await onDisk(after.uri))).toBe(true);
+    expect(isSealedFile(await onDisk(before.uri))).toBe(true);
+    expect(await readSketchSVG(after)).toContain('<svg');
+
+    const [sketch] = await attachSketches([after]);
+    expect(isSealedFile(await onDisk(getSketchUri(sketch)))).toBe(true);
+    expect(await readSketchSVG(sketch)).toContain('<svg');
+
+    lockJournal();
+    await expect(readSketchSVG(before)).rejects.toThrow('Journal is locked');
+  });
+
+  test('exports embed or link each sketch', async () => {
+    const [sketch] = await attachSketches([await writeSketch({ strokes: STROKES, width: 100, height: 100 })]);
+    const dream = makeDream(1, { sketches: [sketch] });
+    const attachments = await readAttachmentFiles([dream]);
+    const path = `sketches/${sketch.file}`;
+
+    expect(Object.keys(attachments)).toEqual([path]);
+    expect(toMarkdown(dream)).toContain(`## Sketches\n\n![Sketch 1](${path})\n`);
+    expect(toHTML([dream], attachments)).toContain(`<img class="sketch" src="data:image/svg+xml;base64,${attachments[path]}" />`);
+    expect(toHTML([dream])).not.toContain('<img');
+
+    const zip = unzipSync(toMarkdownZip([dream], attachments));
+    expect(strFromU8(zip[path])).toContain('<svg');
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import { render, waitFor } from '@testing-library/react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import Stats from '../screens/Stats';
+import { setCurrentUser } from '../storage/UserStorage';
 
 // Mock AsyncStorage
 jest.mock('@react-native-async-storage/async-storage', () => ({
@@ -34,6 +35,7 @@ jest.mock('expo-linear-gradient', () => ({
 describe('Stats Screen', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    setCurrentUser('test-user');
   });
 
   it('renders without crashing', async () => {
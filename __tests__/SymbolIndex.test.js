@@ -0,0 +1,75 @@
+import { createSymbolIndex, toSymbolQuery } from '../storage/SymbolIndex';
+import { searchDreams } from '../storage/DreamRepository';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const analyzed = (id, nightOf, mood, details) => ({
+  id,
+  title: `Dream ${id}`,
+  nightOf,
+  mood,
+  analysis: 'Summary.',
+  analysisDetails: details,
+});
+
+const dreams = [
+  analyzed('c', '2025-03-10', 'Scary', { symbols: [{ name: 'water', meaning: '' }], themes: ['Loss of control'], settings: ['Old house'] }),
+  analyzed('b', '2025-02-05', 'Sad', { symbols: [{ name: 'Water', meaning: 'Feelings' }], characters: ['Mom'] }),
+  analyzed('a', '2025-01-01', 'Scary', { symbols: ['Water', 'Key'], themes: ['Loss of control'] }),
+  { id: 'd', title: 'Prose only', nightOf: '2025-04-01', analysis: 'An older analysis.' },
+];
+
+describe('SymbolIndex', () => {
+  test('lists each symbol with its dreams, nights and moods', () => {
+    const index = createSymbolIndex();
+    index.sync(dreams);
+
+    const water = index.getEntry('symbols', 'WATER');
+    expect(water).toMatchObject({ kind: 'symbols', name: 'water', query: 'symbol:water', count: 3 });
+    expect(water.dreams.map(dream => dream.id)).toEqual(['c', 'b', 'a']);
+    expect(water.firstNight).toEqual(new Date(2025, 0, 1));
+    expect(water.lastNight).toEqual(new Date(2025, 2, 10));
+    expect(water.moods).toEqual([{ mood: 'Scary', count: 2 }, { mood: 'Sad', count: 1 }]);
+
+    expect(index.getEntries().map(entry => `${entry.kind}:${entry.name}`)).toEqual([
+      'symbols:water',
+      'themes:Loss of control',
+      'symbols:Key',
+      'characters:Mom',
+      'settings:Old house',
+    ]);
+    expect(index.getEntries({ kind: 'themes' }).map(entry => entry.name)).toEqual(['Loss of control']);
+    expect(index.getEntry('symbols', 'Fire')).toBeNull();
+  });
+
+  test('keeps up with added, changed and removed analyses', () => {
+    const index = createSymbolIndex();
+    index.sync(dreams);
+    expect(index.getRecurring()).toEqual([
+      { kind: 'symbols', name: 'water', count: 3 },
+      { kind: 'themes', name: 'Loss of control', count: 2 },
+    ]);
+
+    index.sync([
+      { ...dreams[0], analysisDetails: { symbols: ['Fire'] } },
+      dreams[1],
+      { ...dreams[3], analysisDetails: { symbols: ['Fire'] } },
+    ]);
+    expect(index.getRecurring()).toEqual([{ kind: 'symbols', name: 'Fire', count: 2 }]);
+    expect(index.getEntry('symbols', 'water')).toMatchObject({ name: 'Water', count: 1 });
+    expect(index.getEntry('symbols', 'Key')).toBeNull();
+
+    index.clear();
+    expect(index.size()).toBe(0);
+  });
+
+  test('builds the Home search that finds a symbol\'s dreams', () => {
+    expect(toSymbolQuery('themes', 'Loss of control')).toBe('theme:"Loss of control"');
+    expect(toSymbolQuery('characters', 'The "boss"')).toBe('character:"The boss"');
+
+    const query = toSymbolQuery('themes', 'Loss of control');
+    expect(searchDreams(dreams, { query }).dreams.map(dream => dream.id)).toEqual(['c', 'a']);
+  });
+});
@@ -0,0 +1,229 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  mergeDream,
+  planSync,
+  syncDreams,
+  getSyncState,
+  resolveConflict,
+  deleteCloudJournal,
+} from '../storage/SyncEngine';
+import { createMemoryRemote } from '../storage/MemoryRemote';
+import { getDreams, addDream, updateDream, deleteDream, trashDream, restoreDream } from '../storage/DreamRepository';
+import { setCurrentUser } from '../storage/UserStorage';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const JOYFUL = [{ mood: 'Joyful', intensity: 3 }];
+
+describe('SyncEngine', () => {
+  describe('mergeDream', () => {
+    const base = makeDream(1);
+
+    test('takes each field from the side that changed it', () => {
+      const local = { ...base, title: 'Local title' };
+      const remote = { ...base, moods: JOYFUL };
+
+      const { merged, conflicts } = mergeDream(base, local, remote);
+
+      expect(merged).toEqual({ ...base, title: 'Local title', moods: JOYFUL });
+      expect(conflicts).toBeNull();
+    });
+
+    test('resolves other fields changed on both sides by lastEdited', () => {
+      const local = { ...base, moods: [{ mood: 'Sad', intensity: 3 }], lastEdited: '2025-02-01T00:00:00.000Z' };
+      const remote = { ...base, moods: JOYFUL, lastEdited: '2025-03-01T00:00:00.000Z' };
+
+      expect(mergeDream(base, local, remote).merged.moods).toEqual(JOYFUL);
+    });
+
+    test('holds title and text edited on both sides for review', () => {
+      const local = { ...base, text: 'Written here' };
+      const remote = { ...base, text: 'Written there' };
+
+      const { merged, conflicts } = mergeDream(base, local, remote);
+
+      expect(conflicts).toEqual({ text: { local: 'Written here', remote: 'Written there' } });
+      expect(merged.text).toBe('Written here');
+    });
+  });
+
+  describe('planSync', () => {
+    test('infers deletions from the last synced snapshot', () => {
+      const dream = makeDream(1);
+      const plan = planSync({ local: [dream], remote: [], base: { [dreamId(1)]: dream } });
+
+      expect(plan.localDeletes).toEqual([dreamId(1)]);
+      expect(plan.nextBase).toEqual({});
+    });
+
+    test('keeps a dream edited locally after it was deleted remotely', () => {
+      const dream = makeDream(1);
+      const edited = { ...dream, title: 'Still mine' };
+      const plan = planSync({ local: [edited], remote: [], base: { [dreamId(1)]: dream } });
+
+      expect(plan.localDeletes).toEqual([]);
+      expect(plan.remoteUpserts).toEqual([edited]);
+    });
+
+    test('leaves dreams with open conflicts alone', () => {
+      const dream = makeDream(1);
+      const plan = planSync({
+        local: [{ ...dream, title: 'A' }],
+        remote: [{ ...dream, title: 'B' }],
+        base: { [dreamId(1)]: dream },
+        skipIds: [dreamId(1)],
+      });
+
+      expect(plan.remoteUpserts).toEqual([]);
+      expect(plan.conflicts).toEqual([]);
+      expect(plan.nextBase).toEqual({ [dreamId(1)]: dream });
+    });
+  });
+
+  describe('syncDreams', () => {
+    let remote;
+
+    beforeEach(async () => {
+      await AsyncStorage.clear();
+      setCurrentUser('user-a');
+      remote = createMemoryRemote();
+    });
+
+    test('pushes local dreams and pulls remote ones', async () => {
+      await addDream(makeDream(1));
+      await remote.putDream('user-a', makeDream(2));
+
+      const summary = await syncDreams(remote);
+
+      expect(summary).toEqual({ pushed: 1, pulled: 1, conflicts: 0 });
+      expect((await getDreams()).map(d => d.id)).toEqual([2, 1].map(dreamId));
+      expect((await remote.listDreams('user-a')).map(d => d.id).sort()).toEqual([1, 2].map(dreamId).sort());
+    });
+
+    test('keeps working offline and catches up afterwards', async () => {
+      remote.setOffline(true);
+      await addDream(makeDream(1));
+
+      await expect(syncDreams(remote)).rejects.toThrow('offline');
+      expect(await getDreams()).toHaveLength(1);
+
+      remote.setOffline(false);
+      await syncDreams(remote);
+      expect(await remote.listDreams('user-a')).toHaveLength(1);
+    });
+
+    test('deletes the cloud journal and keyring but keeps the local one', async () => {
+      await addDream(makeDream(1));
+      await addDream(makeDream(2));
+      await syncDreams(remote);
+      await remote.putKeyring('user-a', { enabled: true, keyId: 'key-1' });
+      await remote.putDream('user-b', makeDream(3));
+
+      await deleteCloudJournal(remote);
+
+      expect(await remote.listDreams('user-a')).toEqual([]);
+      expect(await remote.getKeyring('user-a')).toBeNull();
+      expect(await remote.listDreams('user-b')).toHaveLength(1);
+      expect(await getDreams()).toHaveLength(2);
+    });
+
+    test('fails to delete the cloud journal while offline', async () => {
+      await addDream(makeDream(1));
+      await syncDreams(remote);
+
+      remote.setOffline(true);
+      await expect(deleteCloudJournal(remote)).rejects.toThrow('offline');
+
+      remote.setOffline(false);
+      expect(await remote.listDreams('user-a')).toHaveLength(1);
+    });
+
+    test('propagates deletions in both directions', async () => {
+      await addDream(makeDream(1));
+      await addDream(makeDream(2));
+      await syncDreams(remote);
+
+      await deleteDream(dreamId(1));
+      await remote.deleteDream('user-a', dreamId(2));
+      await syncDreams(remote);
+
+      expect(await getDreams()).toEqual([]);
+      expect(await remote.listDreams('user-a')).toEqual([]);
+    });
+
+    test('syncs dreams moved to and restored from the Trash', async () => {
+      await addDream(makeDream(1));
+      await syncDreams(remote);
+
+      await trashDream(dreamId(1));
+      await syncDreams(remote);
+      expect((await remote.listDreams('user-a'))[0].deletedAt).toEqual(expect.any(String));
+
+      await remote.putDream('user-a', makeDream(1));
+      await syncDreams(remote);
+      expect((await getDreams()).map(d => d.id)).toEqual([dreamId(1)]);
+
+      await trashDream(dreamId(1));
+      await restoreDream(dreamId(1));
+      await syncDreams(remote);
+      expect(await remote.listDreams('user-a')).toEqual([makeDream(1)]);
+    });
+
+    test('records conflicting edits and applies the user\'s resolution', async () => {
+      await addDream(makeDream(1));
+      await syncDreams(remote);
+
+      await updateDream(dreamId(1), { text: 'Phone version' });
+      await remote.putDream('user-a', { ...makeDream(1), text: 'Tablet version' });
+
+      const summary = await syncDreams(remote);
+      expect(summary.conflicts).toBe(1);
+      expect((await getSyncState()).conflicts[0].fields.text).toEqual({
+        local: 'Phone version',
+        remote: 'Tablet version',
+      });
+
+      await resolveConflict(dreamId(1), { text: 'remote' });
+      await syncDreams(remote);
+
+      expect((await getDreams())[0].text).toBe('Tablet version');
+      expect((await remote.listDreams('user-a'))[0].text).toBe('Tablet version');
+      expect((await getSyncState()).conflicts).toEqual([]);
+    });
+
+    test('does not overwrite local edits made while the sync was running', async () => {
+      await addDream(makeDream(1));
+      await syncDreams(remote);
+      await remote.putDream('user-a', { ...makeDream(1), moods: JOYFUL });
+
+      // Edit the dream locally while the remote is being read
+      const listDreams = remote.listDreams;
+      remote.listDreams = async (uid) => {
+        const dreams = await listDreams(uid);
+        await updateDream(dreamId(1), { title: 'Edited mid-sync' });
+        return dreams;
+      };
+      await syncDreams(remote);
+      remote.listDreams = listDreams;
+
+      expect((await getDreams())[0]).toMatchObject({ title: 'Edited mid-sync', moods: [{ mood: 'Neutral', intensity: 3 }] });
+
+      await syncDreams(remote);
+      expect((await getDreams())[0]).toMatchObject({ title: 'Edited mid-sync', moods: JOYFUL });
+    });
+
+    test('keeps each user\'s cloud data separate', async () => {
+      await addDream(makeDream(1));
+      await syncDreams(remote);
+
+      setCurrentUser('user-b');
+      await syncDreams(remote);
+
+      expect(await getDreams()).toEqual([]);
+      expect(await remote.listDreams('user-b')).toEqual([]);
+    });
+  });
+});
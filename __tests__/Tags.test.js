@@ -0,0 +1,95 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addDream, getAllDreams, searchDreams } from '../storage/DreamRepository';
+import {
+  normalizeTag,
+  normalizeTags,
+  getTagCounts,
+  suggestTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} from '../storage/Tags';
+import { normalizeDraft } from '../storage/ImportFormats';
+import { setCurrentUser } from '../storage/UserStorage';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const tagsById = async () => Object.fromEntries((await getAllDreams()).map(dream => [dream.id, dream.tags]));
+
+describe('Tags', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('normalizes names and drops duplicates ignoring case', () => {
+    expect(normalizeTag('  #Old   house ')).toBe('Old house');
+    expect(normalizeTags(['Mom', 'water', 'mom', '#', ' Water '])).toEqual(['Mom', 'water']);
+  });
+
+  test('counts tags and suggests the ones being typed', () => {
+    const counts = getTagCounts([
+      makeDream(1, { tags: ['Mom', 'water'] }),
+      makeDream(2, { tags: ['mom', 'teeth'] }),
+      makeDream(3, { tags: ['Water'] }),
+      makeDream(4),
+    ]);
+    expect(counts).toEqual([
+      { name: 'Mom', count: 2 },
+      { name: 'water', count: 2 },
+      { name: 'teeth', count: 1 },
+    ]);
+    expect(suggestTags('t', counts)).toEqual(['teeth', 'water']);
+    expect(suggestTags('', counts, ['mom'])).toEqual(['water', 'teeth']);
+  });
+
+  test('renames and merges tags on every dream, including the Trash', async () => {
+    await addDream(makeDream(1, { tags: ['Mom', 'water'] }));
+    await addDream(makeDream(2, { tags: ['mother'] }));
+    await addDream(makeDream(3, { tags: ['MOM'], deletedAt: new Date().toISOString() }));
+    await addDream(makeDream(4));
+
+    expect(await renameTag('water', 'Ocean')).toBe(1);
+    expect(await mergeTags(['mother'], 'Mom')).toBe(3);
+    expect(await tagsById()).toEqual({
+      [dreamId(1)]: ['Mom', 'Ocean'],
+      [dreamId(2)]: ['Mom'],
+      [dreamId(3)]: ['Mom'],
+      [dreamId(4)]: undefined,
+    });
+
+    await expect(renameTag('Mom', ' # ')).rejects.toThrow("Tag names can't be empty");
+  });
+
+  test('deletes a tag and drops the field once no tags remain', async () => {
+    await addDream(makeDream(1, { tags: ['Mom', 'water'] }));
+    await addDream(makeDream(2, { tags: ['mom'] }));
+
+    expect(await deleteTag('MOM')).toBe(2);
+    const dreams = await getAllDreams();
+    expect(dreams.find(dream => dream.id === dreamId(1)).tags).toEqual(['water']);
+    expect('tags' in dreams.find(dream => dream.id === dreamId(2))).toBe(false);
+  });
+
+  test('filters searches by tag', () => {
+    const dreams = [
+      makeDream(1, { tags: ['Mom', 'water'], text: 'Swimming with mom' }),
+      makeDream(2, { tags: ['teeth'], text: 'My teeth fell out' }),
+      makeDream(3, { tags: ['water'] }),
+    ];
+    const search = (options) => searchDreams(dreams, options).dreams.map(dream => dream.id).sort();
+
+    expect(search({ tag: 'Water' })).toEqual([1, 3].map(dreamId).sort());
+    expect(search({ tag: 'water', query: 'swimming' })).toEqual([dreamId(1)]);
+    expect(search({ query: 'tag:mom OR tag:teeth' })).toEqual([1, 2].map(dreamId).sort());
+    expect(search({ query: '-tag:water' })).toEqual([dreamId(2)]);
+  });
+
+  test('imports tags given as text', () => {
+    expect(normalizeDraft({ text: 'A dream', tags: 'Mom; water, mom' }).tags).toEqual(['Mom', 'water']);
+    expect('tags' in normalizeDraft({ text: 'A dream', tags: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { addDream, getAllDreams } from '../storage/DreamRepository';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+} from '../storage/Trash';
+import { setCurrentUser } from '../storage/UserStorage';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('Trash', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('purges dreams older than the retention period', async () => {
+    expect(await getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+
+    await addDream(makeDream(1, { deletedAt: daysAgo(45) }));
+    await addDream(makeDream(2, { deletedAt: daysAgo(10) }));
+    await addDream(makeDream(3));
+
+    expect((await purgeExpiredTrash()).map(d => d.id)).toEqual([dreamId(1)]);
+    expect((await getAllDreams()).map(d => d.id)).toEqual([3, 2].map(dreamId));
+  });
+
+  test('a shorter retention period purges straight away', async () => {
+    await addDream(makeDream(1, { deletedAt: daysAgo(10) }));
+
+    expect((await setTrashRetentionDays(7)).map(d => d.id)).toEqual([dreamId(1)]);
+    expect(await getTrashRetentionDays()).toBe(7);
+    await expect(setTrashRetentionDays(3)).rejects.toThrow('Unsupported trash retention period');
+  });
+
+  test('reports when a dream will be purged', () => {
+    const dream = makeDream(1, { deletedAt: '2025-01-01T00:00:00.000Z' });
+    expect(getPurgeDate(dream, 30).toISOString()).toBe('2025-01-31T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,62 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  setCurrentUser,
+  getUserKey,
+  getUserItem,
+  setUserItem,
+  clearUserData,
+  getPendingLegacyDreamCount,
+  declineLegacyData,
+} from '../storage/UserStorage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+describe('UserStorage', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    setCurrentUser('alice');
+  });
+
+  test('namespaces keys by uid', () => {
+    expect(getUserKey('dreams')).toBe('user:alice:dreams');
+    expect(getUserKey('dreams', 'bob')).toBe('user:bob:dreams');
+  });
+
+  test('reads and writes JSON values for the current user only', async () => {
+    await setUserItem('settings', { theme: 'dark' });
+    expect(await getUserItem('settings')).toEqual({ theme: 'dark' });
+
+    setCurrentUser('bob');
+    expect(await getUserItem('settings', {})).toEqual({});
+  });
+
+  test('clears only the given user\'s data', async () => {
+    await setUserItem('dreams', [{ id: 1 }]);
+    setCurrentUser('bob');
+    await setUserItem('dreams', [{ id: 2 }]);
+
+    await clearUserData('alice');
+
+    expect(await AsyncStorage.getItem('user:alice:dreams')).toBeNull();
+    expect(await getUserItem('dreams')).toEqual([{ id: 2 }]);
+  });
+
+  describe('legacy data hand-over', () => {
+    beforeEach(async () => {
+      await AsyncStorage.setItem('dreams', JSON.stringify([{ id: 1 }, { id: 2 }]));
+    });
+
+    test('reports legacy dreams waiting to be claimed', async () => {
+      expect(await getPendingLegacyDreamCount('alice')).toBe(2);
+    });
+
+    test('stops asking a user who declined but keeps the data for others', async () => {
+      await declineLegacyData('alice');
+
+      expect(await getPendingLegacyDreamCount('alice')).toBe(0);
+      expect(await getPendingLegacyDreamCount('bob')).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { addDream, trashDream, deleteDream, purgeTrash } from '../storage/DreamRepository';
+import { setCurrentUser } from '../storage/UserStorage';
+import {
+  getMemoDirectory,
+  getDreamMemos,
+  formatDuration,
+  keepRecording,
+  attachRecordings,
+  openMemo,
+} from '../storage/VoiceMemos';
+import {
+  pruneAttachmentFiles,
+  startAttachmentCleanup,
+  findPendingFiles,
+  readAttachmentFiles,
+  restoreAttachmentFiles,
+} from '../storage/Attachments';
+import { toJSONArchive, toMarkdown } from '../storage/ExportFormats';
+import { parseArchiveAttachments } from '../storage/ImportFormats';
+import { enableEncryption, disableEncryption } from '../storage/Encryption';
+import { isSealedFile } from '../storage/DreamCrypto';
+import { saveDraft, deleteDraft } from '../storage/Drafts';
+import { makeDream, dreamId } from './helpers/dreams';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// In-memory file system: file URI -> { content, modificationTime (seconds) }
+jest.mock('expo-file-system', () => {
+  const files = new Map();
+  const now = () => Date.now() / 1000;
+  return {
+    files,
+    documentDirectory: 'file:///docs/',
+    cacheDirectory: 'file:///cache/',
+    EncodingType: { Base64: 'base64' },
+    makeDirectoryAsync: jest.fn(async () => {}),
+    getInfoAsync: jest.fn(async (uri) => {
+      if (files.has(uri)) return { exists: true, modificationTime: files.get(uri).modificationTime };
+      return { exists: [...files.keys()].some(key => key.startsWith(uri)) };
+    }),
+    readDirectoryAsync: jest.fn(async (uri) => [...files.keys()]
+      .filter(key => key.startsWith(uri))
+      .map(key => key.slice(uri.length))),
+    moveAsync: jest.fn(async ({ from, to }) => {
+      files.set(to, files.get(from));
+      files.delete(from);
+    }),
+    deleteAsync: jest.fn(async (uri) => {
+      [...files.keys()].filter(key => key.startsWith(uri)).forEach(key => files.delete(key));
+    }),
+    readAsStringAsync: jest.fn(async (uri) => files.get(uri).content),
+    writeAsStringAsync: jest.fn(async (uri, content) => {
+      files.set(uri, { content, modificationTime: now() });
+    }),
+  };
+});
+
+const HOUR = 60 * 60;
+
+const record = (name, content = 'AAAA', ageSeconds = 0) => {
+  const uri = `${FileSystem.cacheDirectory}${name}`;
+  FileSystem.files.set(uri, { content, modificationTime: Date.now() / 1000 - ageSeconds });
+  return { uri, durationMs: 65000 };
+};
+
+const memoFiles = () => [...FileSystem.files.keys()]
+  .filter(key => key.startsWith(getMemoDirectory()))
+  .map(key => key.slice(getMemoDirectory().length));
+
+describe('VoiceMemos', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    FileSystem.files.clear();
+    setCurrentUser('user-a');
+  });
+
+  test('attaches recordings into the user memo folder', async () => {
+    const memos = await attachRecordings([record('one.m4a'), record('two.caf')]);
+
+    expect(memos).toHaveLength(2);
+    expect(memos[0]).toMatchObject({ durationMs: 65000 });
+    expect(memos[1].file).toMatch(/\.caf$/);
+    expect(memoFiles().sort()).toEqual(memos.map(memo => memo.file).sort());
+    expect(FileSystem.files.has(`${FileSystem.cacheDirectory}one.m4a`)).toBe(false);
+    expect(getMemoDirectory()).toBe('file:///docs/memos/user-a/');
+  });
+
+  test('ignores malformed entries and formats durations', () => {
+    expect(getDreamMemos({ memos: [{ file: 'a.m4a' }, { file: '../b.m4a' }, null, {}] })).toEqual([{ file: 'a.m4a' }]);
+    expect(getDreamMemos({})).toEqual([]);
+    expect(formatDuration(65000)).toBe('1:05');
+    expect(formatDuration(undefined)).toBe('0:00');
+  });
+
+  test('deletes files with their dream but keeps them while it is in the Trash', async () => {
+    const stop = startAttachmentCleanup();
+    const [kept] = await attachRecordings([record('kept.m4a')]);
+    const [removed] = await attachRecordings([record('removed.m4a')]);
+    await addDream(makeDream(1, { memos: [kept] }));
+    await addDream(makeDream(2, { memos: [removed] }));
+
+    await trashDream(dreamId(1));
+    await deleteDream(dreamId(2));
+    await new Promise(resolve => setImmediate(resolve));
+    stop();
+
+    expect(memoFiles()).toEqual([kept.file]);
+  });
+
+  test('prunes old files no dream refers to', async () => {
+    const [referenced] = await attachRecordings([record('referenced.m4a', 'AAAA', 2 * HOUR)]);
+    await attachRecordings([record('orphan.m4a', 'AAAA', 2 * HOUR)]);
+    const [recent] = await attachRecordings([record('recent.m4a')]);
+    await addDream(makeDream(1, { memos: [referenced] }));
+    await trashDream(dreamId(1));
+
+    expect(await pruneAttachmentFiles()).toBe(1);
+    expect(memoFiles().sort()).toEqual([referenced.file, recent.file].sort());
+
+    await purgeTrash();
+    await pruneAttachmentFiles();
+    expect(memoFiles()).toEqual([recent.file]);
+  });
+
+  test('keeps pending recordings while a draft refers to them', async () => {
+    const kept = { key: 'kept', uri: await keepRecording(record('kept.m4a').uri), durationMs: 65000 };
+    const dropped = await keepRecording(record('dropped.m4a').uri);
+    expect(kept.uri).toMatch(/^file:\/\/\/docs\/pending\/user-a\/memo-.+\.m4a$/);
+    [kept.uri, dropped].forEach(uri => { FileSystem.files.get(uri).modificationTime -= 2 * HOUR; });
+    const draft = await saveDraft({ text: '', recordings: [kept] });
+
+    expect(await pruneAttachmentFiles()).toBe(1);
+    expect(FileSystem.files.has(kept.uri)).toBe(true);
+    expect(FileSystem.files.has(dropped)).toBe(false);
+
+    // Reopening finds the files even after the document directory moved
+    const moved = { ...kept, uri: kept.uri.replace('file:///docs/', 'file:///old-docs/') };
+    expect(await findPendingFiles([moved, { key: 'gone', uri: `${FileSystem.cacheDirectory}gone.m4a` }])).toEqual([kept]);
+
+    await deleteDraft(draft.id);
+    expect(await pruneAttachmentFiles()).toBe(1);
+    expect(FileSystem.files.size).toBe(0);
+  });
+
+  test('audio travels in JSON archives and is restored on import', async () => {
+    const [memo] = await attachRecordings([record('clip.m4a', 'QUJD')]);
+    const dream = makeDream(1, { memos: [memo] });
+    const attachments = await readAttachmentFiles([dream, makeDream(2, { memos: [{ id: 'x', file: 'elsewhere.m4a' }] })]);
+
+    expect(attachments).toEqual({ [`memos/${memo.file}`]: 'QUJD' });
+    const archive = toJSONArchive([dream], null, attachments);
+    expect(JSON.parse(toJSONArchive([dream])).attachments).toBeUndefined();
+
+    FileSystem.files.clear();
+    setCurrentUser('user-b');
+    expect(await restoreAttachmentFiles([dream], parseArchiveAttachments(archive))).toBe(1);
+    expect(FileSystem.files.get(`${getMemoDirectory()}${memo.file}`).content).toBe('QUJD');
+  });
+
+  test('seals audio with the journal key while encryption is on', async () => {
+    const stored = (memo) => FileSystem.files.get(`${getMemoDirectory()}${memo.file}`).content;
+    const [before] = await attachRecordings([record('before.m4a', 'QUJD')]);
+    await addDream(makeDream(1, { memos: [before] }));
+
+    await enableEncryption('correct horse battery');
+    const [after] = await attachRecordings([record('after.m4a', 'REVG')]);
+    await addDream(makeDream(2, { memos: [after] }));
+
+    expect(isSealedFile(stored(before))).toBe(true);
+    expect(isSealedFile(stored(after))).toBe(true);
+    expect(await readAttachmentFiles([makeDream(1, { memos: [before, after] })])).toEqual({
+      [`memos/${before.file}`]: 'QUJD',
+      [`memos/${after.file}`]: 'REVG',
+    });
+
+    // Playback reads a decrypted copy in the cache, removed when cleanup stops (e.g. the journal locks)
+    const opened = await openMemo(after);
+    expect(opened.startsWith(FileSystem.cacheDirectory)).toBe(true);
+    expect(FileSystem.files.get(opened).content).toBe('REVG');
+    startAttachmentCleanup()();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(FileSystem.files.has(opened)).toBe(false);
+
+    FileSystem.files.delete(`${getMemoDirectory()}${after.file}`);
+    expect(await restoreAttachmentFiles([makeDream(2, { memos: [after] })], { [`memos/${after.file}`]: 'REVG' })).toBe(1);
+    expect(isSealedFile(stored(after))).toBe(true);
+
+    await disableEncryption('correct horse battery');
+    expect(stored(before)).toBe('QUJD');
+    expect(stored(after)).toBe('REVG');
+    expect(await openMemo(before)).toBe(`${getMemoDirectory()}${before.file}`);
+  });
+
+  test('restores audio from archives keyed by bare file name', async () => {
+    const dream = makeDream(1, { memos: [{ id: 'm', file: 'm.m4a', durationMs: 5000 }] });
+
+    expect(await restoreAttachmentFiles([dream], { 'm.m4a': 'QUJD' })).toBe(1);
+    expect(FileSystem.files.get(`${getMemoDirectory()}m.m4a`).content).toBe('QUJD');
+  });
+
+  test('Markdown links each memo', () => {
+    const markdown = toMarkdown(makeDream(1, { memos: [{ id: 'm', file: 'm.m4a', durationMs: 5000 }] }));
+    expect(markdown).toContain('## Voice Memos\n\n- [Voice memo 1 (0:05)](memos/m.m4a)\n');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Test Dreams
+ *
+ * Builds dreams in the shape the app stores today (see SchemaMigrations):
+ * UUID ids, mood entries and the night each dream happened. Tests refer to
+ * dreams by number; legacy shapes belong only in the migration tests.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { legacyIdToUuid } from '../../storage/DreamIds';
+
+/**
+ * Get the id of a numbered test dream
+ * The same number always gives the same UUID
+ *
+ * @param {number|string} n - Dream number
+ * @returns {string} UUID
+ */
+export const dreamId = (n) => legacyIdToUuid(`test-dream-${n}`);
+
+/**
+ * Build a numbered test dream
+ * Dream n happened on the night of January n, 2025 and was recorded at midnight UTC that day
+ *
+ * @param {number} n - Dream number, from 1 to 31
+ * @param {Object} [overrides] - Fields to set or replace
+ * @returns {Object} Dream
+ */
+export const makeDream = (n, overrides = {}) => ({
+  id: dreamId(n),
+  title: `Dream ${n}`,
+  text: `Dream text ${n}`,
+  moods: [{ mood: 'Neutral', intensity: 3 }],
+  timestamp: new Date(Date.UTC(2025, 0, n)).toISOString(),
+  nightOf: `2025-01-${String(n).padStart(2, '0')}`,
+  wasEdited: false,
+  ...overrides,
+});
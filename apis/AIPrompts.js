@@ -0,0 +1,165 @@
+/**
+ * AI Prompts - Shared Prompts and Mood Normalization
+ *
+ * Every AI provider is asked the same questions. The prompts themselves live
+ * in server/api/prompts.js, the one copy shared with the server's Gemini
+ * proxy; buildPrompt is re-exported here for providers that send a prompt
+ * to a model themselves. Providers answer moods in their own words
+ * ("peaceful", "**Scary**."), which parseMoodTag maps onto the app's mood
+ * categories. Analyses are asked for as JSON, which parseAnalysisResponse
+ * repairs where it can and checks (see DreamAnalysis).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { normalizeAnalysis } from '../storage/DreamAnalysis';
+
+export { buildPrompt } from '../server/api/prompts';
+
+// Words providers answer with, mapped to the app's mood categories
+const MOOD_MAPPING = {
+  // Positive emotions -> Joyful
+  peaceful: 'Joyful',
+  joyful: 'Joyful',
+  happy: 'Joyful',
+  exciting: 'Joyful',
+  hopeful: 'Joyful',
+  grateful: 'Joyful',
+  loving: 'Joyful',
+  confident: 'Joyful',
+  content: 'Joyful',
+
+  // Negative emotions -> Scary or Sad
+  scary: 'Scary',
+  scared: 'Scary',
+  anxious: 'Scary',
+  fearful: 'Scary',
+  terrified: 'Scary',
+  panicked: 'Scary',
+  stressed: 'Scary',
+  sad: 'Sad',
+  angry: 'Sad',
+  frustrated: 'Sad',
+  lonely: 'Sad',
+  guilty: 'Sad',
+  depressed: 'Sad',
+  disappointed: 'Sad',
+  heartbroken: 'Sad',
+
+  // Unusual emotions -> Strange
+  strange: 'Strange',
+  curious: 'Strange',
+  confused: 'Strange',
+  confusing: 'Strange',
+  mysterious: 'Strange',
+  surreal: 'Strange',
+  bizarre: 'Strange',
+  puzzling: 'Strange',
+
+  // Intense emotions -> Scary
+  overwhelming: 'Scary',
+  intense: 'Scary',
+
+  // Neutral emotions -> Neutral
+  calm: 'Neutral',
+  neutral: 'Neutral',
+  indifferent: 'Neutral',
+  balanced: 'Neutral',
+  mixed: 'Neutral',
+};
+
+/**
+ * Map a provider's mood answer onto one of the app's mood categories
+ *
+ * @param {string} response - Provider answer, e.g. 'Peaceful' or '**scary**.'
+ * @returns {string} Joyful, Sad, Scary, Strange or Neutral; Neutral when the word isn't recognized
+ */
+export const parseMoodTag = (response) => {
+  const word = String(response || '').toLowerCase().match(/[a-z]+/);
+  return (word && MOOD_MAPPING[word[0]]) || 'Neutral';
+};
+
+/**
+ * Close whatever an answer cut off mid-way left open
+ * Tracks open strings, objects and lists so a truncated answer still parses.
+ *
+ * @param {string} json - JSON text, possibly truncated
+ * @returns {string} JSON text with open strings and brackets closed
+ */
+const closeTruncatedJSON = (json) => {
+  const open = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of json) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      open.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      open.pop();
+    }
+  }
+
+  let closed = inString ? `${json}"` : json;
+  closed = closed.replace(/,\s*$/, '');
+  return closed + open.reverse().join('');
+};
+
+/**
+ * Parse a provider's analysis answer, repairing the usual mistakes
+ * Handles code fences, text around the JSON, curly quotes, trailing commas
+ * and answers cut off part way.
+ *
+ * @param {string} response - Provider answer
+ * @returns {Object} Normalized analysis (see DreamAnalysis)
+ * @throws {Error} When the answer isn't a usable analysis even after repair
+ */
+export const parseAnalysisResponse = (response) => {
+  const text = String(response || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  if (start === -1) {
+    throw new Error('Analysis answer has no JSON object');
+  }
+  const end = text.lastIndexOf('}');
+  const json = end > start ? text.slice(start, end + 1) : text.slice(start);
+
+  const attempts = [
+    json,
+    json.replace(/[\u201C\u201D]/g, '"').replace(/,\s*([}\]])/g, '$1'),
+    closeTruncatedJSON(text.slice(start).replace(/[\u201C\u201D]/g, '"')).replace(/,\s*([}\]])/g, '$1'),
+  ];
+  let parseError = null;
+  for (const attempt of attempts) {
+    let value;
+    try {
+      value = JSON.parse(attempt);
+    } catch (error) {
+      parseError = error;
+      continue;
+    }
+    return normalizeAnalysis(value);
+  }
+  throw new Error(`Analysis answer isn't valid JSON: ${parseError.message}`);
+};
+
+/**
+ * Read the summary out of an analysis that is still streaming in
+ *
+ * @param {string} partial - JSON received so far
+ * @returns {string} Summary so far, '' until it starts
+ */
+export const getPartialSummary = (partial) => {
+  const match = /"summary"\s*:\s*"((?:[^"\\]|\\.)*)/.exec(String(partial || ''));
+  if (!match) return '';
+  try {
+    return JSON.parse(`"${match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '')}"`);
+  } catch (error) {
+    return match[1];
+  }
+};
@@ -0,0 +1,282 @@
+/**
+ * AI Providers - Registry and the App's AI Functions
+ *
+ * Screens and storage call the functions here (generateMoodTag,
+ * analyzeDream, streamDreamAnalysis, getDreamHelp, rewriteDream) and never a
+ * provider directly.
+ * Each call goes to the provider the user picked in Account Settings.
+ *
+ * A provider is a plain object:
+ *   {
+ *     id, name, description,
+ *     timeoutMs, minIntervalMs, retryDelayMs,   // optional, see AIRequest
+ *     complete({ task, input }, { signal }) -> Promise<string>
+ *     stream({ task, input }, { signal, onText }) -> Promise<string>   // optional
+ *   }
+ * `task` is 'mood', 'analysis', 'help' or 'rewrite' and `input` holds only
+ * the values the prompt is built from, the same ones the Gemini proxy
+ * accepts: { dreamText }, { dreamText, recentTitles, recurringSymbols } or
+ * { question, stats }. Providers that talk to a model themselves build the
+ * prompt with buildPrompt (AIPrompts); the Gemini proxy builds it on the
+ * server from the same shared module. Retries,
+ * timeouts, rate limiting and mood normalization are shared (AIRequest,
+ * AIPrompts), so a provider only sends one request. `stream` passes each new
+ * piece of an analysis to onText as it's written; without it, analyses
+ * arrive all at once.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getUserItem, setUserItem } from '../storage/UserStorage';
+import { getRecurringSymbols, sortDreamsByNight } from '../storage/DreamRepository';
+import { sendAIRequest, streamAIRequest } from './AIRequest';
+import { getMoodCounts } from '../storage/Moods';
+import { parseMoodTag, parseAnalysisResponse, getPartialSummary } from './AIPrompts';
+import geminiProvider from './GeminiAPI';
+import serverProvider from './Ollama';
+import mockProvider from './MockAI';
+
+// Per-user key holding the id of the chosen provider
+const PROVIDER_KEY = 'aiProvider';
+
+// Extra attempts when an analysis comes back as malformed JSON
+const FORMAT_RETRIES = 2;
+
+// Titles of recent dreams sent as context; the dreams themselves stay on the device
+const CONTEXT_TITLES = 3;
+
+// Provider used until the user picks one
+export const DEFAULT_AI_PROVIDER = 'gemini';
+
+// Registered providers by id, in the order they're offered
+const providers = new Map();
+
+/**
+ * Add a provider to the registry, replacing any with the same id
+ *
+ * @param {Object} provider - Provider object (see the interface above)
+ * @throws {Error} When the provider has no id, name or complete function
+ */
+export const registerAIProvider = (provider) => {
+  if (!provider?.id || !provider.name || typeof provider.complete !== 'function') {
+    throw new Error('AI providers need an id, a name and a complete function');
+  }
+  providers.set(provider.id, provider);
+};
+
+[geminiProvider, serverProvider, mockProvider].forEach(registerAIProvider);
+
+/**
+ * List the registered providers, for the settings picker
+ *
+ * @returns {Array<Object>} Providers in the order they're offered
+ */
+export const getAIProviders = () => [...providers.values()];
+
+/**
+ * Get the id of the provider the user picked
+ * Falls back to the default if the saved provider is no longer registered.
+ *
+ * @returns {Promise<string>} Provider id
+ */
+export const getAIProviderId = async () => {
+  const id = await getUserItem(PROVIDER_KEY, DEFAULT_AI_PROVIDER);
+  return providers.has(id) ? id : DEFAULT_AI_PROVIDER;
+};
+
+/**
+ * Choose the provider used for every AI feature
+ *
+ * @param {string} id - Id of a registered provider
+ * @returns {Promise<void>}
+ * @throws {Error} When no provider has that id
+ */
+export const setAIProviderId = async (id) => {
+  if (!providers.has(id)) {
+    throw new Error(`Unknown AI provider: ${id}`);
+  }
+  await setUserItem(PROVIDER_KEY, id);
+};
+
+/**
+ * Get the titles of the most recent dreams given as context
+ *
+ * @param {Array} dreams - The user's dreams, in any order
+ * @returns {Array<string>} Up to CONTEXT_TITLES titles, newest first
+ */
+const getRecentTitles = (dreams = []) => sortDreamsByNight(dreams)
+  .slice(0, CONTEXT_TITLES)
+  .map(dream => dream.title || '');
+
+/**
+ * Send a request to the chosen provider
+ *
+ * @param {Object} request - { task, input }
+ * @param {number} [retries] - Extra attempts after the first
+ * @returns {Promise<string>} The provider's answer
+ */
+const ask = async (request, retries) => {
+  const provider = providers.get(await getAIProviderId());
+  return sendAIRequest(provider, request, { retries });
+};
+
+/**
+ * Build the request for an analysis
+ * The symbols that recur across the whole journal go along as context.
+ *
+ * @param {string} dreamText - The dream content to analyze
+ * @param {Array} dreamHistory - The user's dreams
+ * @returns {Object} { task, input }
+ */
+const buildAnalysisRequest = (dreamText, dreamHistory) => ({
+  task: 'analysis',
+  input: {
+    dreamText,
+    recentTitles: getRecentTitles(dreamHistory),
+    recurringSymbols: getRecurringSymbols(dreamHistory).map(({ name, count }) => ({ name, count })),
+  },
+});
+
+/**
+ * Generate a mood tag for a dream
+ *
+ * @param {string} dreamText - The dream content to analyze
+ * @param {number} retries - Number of retry attempts (default: 2)
+ * @returns {Promise<string>} Categorized mood tag (Joyful, Sad, Neutral, Strange, Scary)
+ * @throws {Error} When the AI can't be reached
+ */
+export const generateMoodTag = async (dreamText, retries = 2) => {
+  try {
+    const response = await ask({ task: 'mood', input: { dreamText } }, retries);
+    return parseMoodTag(response);
+  } catch (error) {
+    // Callers queue the dream for tagging later rather than saving a made-up mood
+    console.error('Error generating mood tag:', error);
+    throw new Error('Unable to tag mood at this time.');
+  }
+};
+
+/**
+ * Analyze dream content and provide insights
+ * Answers that aren't a usable analysis are repaired where possible and
+ * otherwise asked for again.
+ *
+ * @param {string} dreamText - The dream content to analyze
+ * @param {Array} dreamHistory - Array of previous dream objects for context
+ * @returns {Promise<Object>} Structured analysis (see DreamAnalysis)
+ * @throws {Error} When the AI can't be reached or keeps answering malformed JSON
+ */
+export const analyzeDream = async (dreamText, dreamHistory = []) => {
+  const request = buildAnalysisRequest(dreamText, dreamHistory);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const response = await ask(request);
+      try {
+        return parseAnalysisResponse(response);
+      } catch (error) {
+        if (attempt >= FORMAT_RETRIES) throw error;
+        console.log(`Malformed analysis, asking again (attempt ${attempt + 1}/${FORMAT_RETRIES}):`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error analyzing dream:', error);
+    throw new Error('Unable to analyze dream at this time.');
+  }
+};
+
+/**
+ * Analyze a dream, passing on the summary as it's written
+ * Malformed answers are asked for again like analyzeDream, starting the
+ * summary over.
+ *
+ * @param {string} dreamText - The dream content to analyze
+ * @param {Array} dreamHistory - Array of previous dream objects for context
+ * @param {Object} options
+ * @param {Function} options.onText - Called with the summary so far each time it grows
+ * @param {AbortSignal} [options.signal] - Cancels the analysis
+ * @returns {Promise<Object>} Structured analysis (see DreamAnalysis)
+ * @throws {Error} When the AI can't be reached or the analysis is cancelled; `partialText`
+ *   holds the summary written before it stopped and `cancelled` is set when it was cancelled
+ */
+export const streamDreamAnalysis = async (dreamText, dreamHistory = [], { onText, signal }) => {
+  const provider = providers.get(await getAIProviderId());
+  const request = buildAnalysisRequest(dreamText, dreamHistory);
+
+  for (let attempt = 0; ; attempt++) {
+    let summary = '';
+    const onPartial = (text) => {
+      const next = getPartialSummary(text);
+      if (next !== summary) {
+        summary = next;
+        onText(summary);
+      }
+    };
+
+    let response;
+    try {
+      response = await streamAIRequest(provider, request, { onText: onPartial, signal });
+    } catch (error) {
+      const partialText = getPartialSummary(error.partialText);
+      if (error.cancelled) throw Object.assign(error, { partialText });
+      console.error('Error streaming dream analysis:', error);
+      const message = partialText
+        ? 'The analysis stopped partway through.'
+        : 'Unable to analyze dream at this time.';
+      throw Object.assign(new Error(message), { partialText });
+    }
+
+    try {
+      return parseAnalysisResponse(response);
+    } catch (error) {
+      if (attempt >= FORMAT_RETRIES) {
+        // The summary may still be worth keeping even though the rest didn't parse
+        console.error('Error streaming dream analysis:', error);
+        const partialText = getPartialSummary(response);
+        const message = partialText
+          ? 'The analysis came back incomplete.'
+          : 'Unable to analyze dream at this time.';
+        throw Object.assign(new Error(message), { partialText });
+      }
+      console.log(`Malformed analysis, asking again (attempt ${attempt + 1}/${FORMAT_RETRIES}):`, error.message);
+      onText('');
+    }
+  }
+};
+
+/**
+ * Answer a question about the app or the user's journal
+ *
+ * @param {string} question - User's help question
+ * @param {Array} dreamData - Array of user's dream objects for context
+ * @returns {Promise<string>} AI-generated help response, or an apology when the AI can't be reached
+ */
+export const getDreamHelp = async (question, dreamData = []) => {
+  try {
+    const stats = { total: dreamData.length, moods: getMoodCounts(dreamData), recentTitles: getRecentTitles(dreamData) };
+    return await ask({ task: 'help', input: { question, stats } });
+  } catch (error) {
+    console.error('Error getting help:', error);
+    return 'Unable to provide help at this time. Please try again later.';
+  }
+};
+
+/**
+ * Rewrite dream content to improve grammar and writing quality
+ * Preserves all of the original details and meaning.
+ *
+ * @param {string} dreamText - The original dream content to rewrite
+ * @param {number} retries - Number of retry attempts (default: 2)
+ * @returns {Promise<string>} AI-improved version of the dream text
+ * @throws {Error} When the AI can't be reached
+ */
+export const rewriteDream = async (dreamText, retries = 2) => {
+  try {
+    const response = await ask({ task: 'rewrite', input: { dreamText } }, retries);
+    return response.trim();
+  } catch (error) {
+    console.error('Error rewriting dream:', error);
+    throw new Error('Unable to improve writing at this time.');
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * AI Request - Retries, Timeouts and Rate Limiting for Every Provider
+ *
+ * Providers only know how to send one request (see AIProviders for the
+ * interface). This module spaces requests out, aborts the ones that take
+ * too long, retries the failures worth retrying and turns whatever went
+ * wrong into a message the user can act on.
+ *
+ * A provider signals an HTTP failure by throwing an Error with a `status`,
+ * and can set `retryAfterMs` when the service says how long to wait.
+ *
+ * Streamed requests (streamAIRequest) only time out when the provider goes
+ * quiet, and are only retried when nothing has arrived yet: a half-written
+ * answer can't be resumed, so it's handed back for the caller to keep or
+ * throw away.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// Defaults for providers that don't set their own
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MIN_INTERVAL_MS = 0;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+// Longest wait worth retrying for; a longer Retry-After means a used-up quota
+const MAX_RETRY_WAIT_MS = 10000;
+
+// Time each provider last sent a request, for rate limiting
+const lastRequestTimes = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until the provider may be sent another request
+ *
+ * @param {Object} provider - Provider about to be called
+ * @returns {Promise<void>}
+ */
+const waitForTurn = async (provider) => {
+  const minInterval = provider.minIntervalMs ?? DEFAULT_MIN_INTERVAL_MS;
+  const wait = (lastRequestTimes.get(provider.id) || 0) + minInterval - Date.now();
+  if (wait > 0) {
+    console.log(`Rate limiting: waiting ${wait}ms before next request...`);
+    await sleep(wait);
+  }
+  lastRequestTimes.set(provider.id, Date.now());
+};
+
+/**
+ * Check whether a rate limit is a used-up quota rather than a brief burst
+ *
+ * @param {Error} error - Failure from the provider
+ * @returns {boolean} True when the service asked to wait longer than is worth retrying
+ */
+const isQuotaExceeded = (error) => error.status === 429 && error.retryAfterMs > MAX_RETRY_WAIT_MS;
+
+/**
+ * Check whether a failed request is worth sending again
+ * Timeouts, network failures, rate limits and server errors are; other
+ * HTTP errors (a bad key, a bad request) will fail the same way again.
+ *
+ * @param {Error} error - Failure from the provider
+ * @returns {boolean} True to retry
+ */
+export const isRetryableError = (error) => {
+  if (error.name === 'AbortError' || !error.status) return true;
+  if (isQuotaExceeded(error)) return false;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Work out how long to wait before a retry
+ *
+ * @param {Object} provider - Provider being retried
+ * @param {Error} error - Failure from the provider
+ * @param {number} attempt - Attempt that failed, from 0
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryWait = (provider, error, attempt) => {
+  if (error.retryAfterMs !== undefined) return error.retryAfterMs;
+  if (error.status === 429) return 2 ** (attempt + 1) * 1000;
+  return provider.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+};
+
+/**
+ * Turn a provider failure into a message for the user
+ *
+ * @param {Error} error - Failure from the provider
+ * @returns {Error} Error with a friendly message
+ */
+const toUserError = (error) => {
+  if (error.name === 'AbortError' || error.status === 408) return new Error('Request timed out. Please try again.');
+  if (isQuotaExceeded(error)) return new Error('You\'ve used up your AI requests for now. Please try again later.');
+  if (error.status === 429) return new Error('Rate limit exceeded. Please wait a moment and try again.');
+  if (error.status === 401) return new Error('Your session has expired. Please sign in again.');
+  if (error.status === 403) return new Error('API access denied. Please check your API key.');
+  if (error.status >= 500) return new Error('AI service temporarily unavailable. Please try again in a moment.');
+  return new Error('Error connecting to AI service. Please check your internet connection.');
+};
+
+/**
+ * Send a request to a provider with rate limiting, a timeout and retries
+ *
+ * @param {Object} provider - Provider to use
+ * @param {Object} request - { task, input } passed to provider.complete
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Extra attempts after the first
+ * @returns {Promise<string>} The provider's answer
+ * @throws {Error} With a user-facing message once every attempt has failed
+ */
+export const sendAIRequest = async (provider, request, { retries = 2 } = {}) => {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    await waitForTurn(provider);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), provider.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+    try {
+      const response = await provider.complete(request, { signal: controller.signal });
+      if (typeof response !== 'string' || !response.trim()) {
+        throw new Error(`Empty response from ${provider.name}`);
+      }
+      return response;
+    } catch (error) {
+      console.error(`Error querying ${provider.name} (attempt ${attempt + 1}/${retries + 1}):`, error);
+      if (attempt < retries && isRetryableError(error)) {
+        await sleep(getRetryWait(provider, error, attempt));
+        continue;
+      }
+      throw toUserError(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw new Error('Error connecting to AI service.');
+};
+
+/**
+ * Stream a request from a provider, passing on the answer as it's written
+ * Providers without a stream function answer all at once.
+ *
+ * @param {Object} provider - Provider to use
+ * @param {Object} request - { task, input } passed to provider.stream
+ * @param {Object} options
+ * @param {Function} options.onText - Called with the answer so far each time it grows
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.retries=2] - Extra attempts while nothing has arrived
+ * @returns {Promise<string>} The provider's whole answer
+ * @throws {Error} With a user-facing message; `partialText` holds whatever arrived and
+ *   `cancelled` is set when the signal stopped it
+ */
+export const streamAIRequest = async (provider, request, { onText, signal, retries = 2 }) => {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    await waitForTurn(provider);
+
+    const controller = new AbortController();
+    const timeoutMs = provider.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    if (signal?.aborted) cancel();
+
+    let text = '';
+    const receive = (piece) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      text += piece;
+      onText(text);
+    };
+
+    try {
+      const response = provider.stream
+        ? await provider.stream(request, { signal: controller.signal, onText: receive })
+        : await provider.complete(request, { signal: controller.signal });
+      if (typeof response !== 'string' || !response.trim()) {
+        throw new Error(`Empty response from ${provider.name}`);
+      }
+      if (!provider.stream) onText(response);
+      return response;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw Object.assign(new Error('Request cancelled.'), { cancelled: true, partialText: text });
+      }
+      console.error(`Error streaming from ${provider.name} (attempt ${attempt + 1}/${retries + 1}):`, error);
+      if (!text && attempt < retries && isRetryableError(error)) {
+        await sleep(getRetryWait(provider, error, attempt));
+        continue;
+      }
+      throw Object.assign(toUserError(error), { partialText: text });
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  throw new Error('Error connecting to AI service.');
+};
@@ -0,0 +1,192 @@
+/**
+ * Dreamio Server - Requests to the App's Own Server
+ *
+ * Both the Gemini proxy and the Ollama-backed routes live on the Dreamio
+ * server (see server/). Requests that need to know who's asking carry the
+ * signed-in user's Firebase ID token.
+ *
+ * Streamed answers arrive as server-sent events (see server/api/sse.js).
+ * React Native's fetch can't read a body as it arrives, so streams are read
+ * through XMLHttpRequest's progress events instead.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { auth } from '../firebase';
+
+// Server address, overridable for local development (e.g. "http://localhost:3000")
+export const SERVER_URL = process.env.EXPO_PUBLIC_DREAMIO_SERVER_URL || 'http://192.168.1.79:3000';
+
+/**
+ * Build the headers for a request
+ *
+ * @param {boolean} authenticated - Include the signed-in user's ID token
+ * @returns {Promise<Object>} Headers
+ * @throws {Error} With status 401 when nobody is signed in
+ */
+const getHeaders = async (authenticated) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authenticated) {
+    if (!auth.currentUser) {
+      throw Object.assign(new Error('No signed-in user for the AI service'), { status: 401 });
+    }
+    headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+  }
+  return headers;
+};
+
+/**
+ * Build the error for a failed server response
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} data - Parsed response body
+ * @param {string|null} retryAfter - Retry-After header
+ * @returns {Error} Error with `status`, and `retryAfterMs` when the server gave one
+ */
+const toServerError = (status, data, retryAfter) => {
+  const error = new Error(`Server error: ${data.error || status}${data.message ? ` - ${data.message}` : ''}`);
+  error.status = status;
+  const seconds = parseInt(retryAfter, 10);
+  if (Number.isFinite(seconds)) {
+    error.retryAfterMs = seconds * 1000;
+  }
+  return error;
+};
+
+/**
+ * POST JSON to the server and read its JSON answer
+ *
+ * @param {string} path - Endpoint path, e.g. '/api/gemini/mood'
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {boolean} [options.authenticated=false] - Send the signed-in user's ID token
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the HTTP `status` (and `retryAfterMs` when given) when the server reports an error
+ */
+export const postToServer = async (path, body, { signal, authenticated = false } = {}) => {
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method: 'POST',
+    headers: await getHeaders(authenticated),
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.error) {
+    throw toServerError(response.ok ? 502 : response.status, data, response.headers.get('Retry-After'));
+  }
+  return data;
+};
+
+/**
+ * Parse one server-sent event
+ *
+ * @param {string} block - Event text, without the blank line ending it
+ * @returns {Object} { event, data }
+ */
+const parseEvent = (block) => {
+  let event = 'message';
+  let data = '';
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) data += line.slice(5).trim();
+  });
+  try {
+    return { event, data: data ? JSON.parse(data) : {} };
+  } catch (error) {
+    return { event, data: {} };
+  }
+};
+
+/**
+ * POST JSON to the server and read its answer as it streams in
+ *
+ * @param {string} path - Endpoint path, e.g. '/api/gemini/analyze/stream'
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {Function} options.onText - Called with each new piece of the answer
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {boolean} [options.authenticated=false] - Send the signed-in user's ID token
+ * @returns {Promise<string>} The whole answer
+ * @throws {Error} With the HTTP `status` when the server reports an error, an AbortError when
+ *   aborted, and no status when the connection drops; `partialText` holds what arrived first
+ */
+export const streamFromServer = async (path, body, { onText, signal, authenticated = false }) => {
+  const headers = await getHeaders(authenticated);
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let text = '';
+    let read = 0;
+    let buffered = '';
+    let settled = false;
+
+    const onAbort = () => {
+      xhr.abort();
+      finish(Object.assign(new Error('Request aborted'), { name: 'AbortError' }));
+    };
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      if (error) {
+        error.partialText = text;
+        reject(error);
+      } else {
+        resolve(text);
+      }
+    };
+
+    // Handle the events that have arrived since the last progress update
+    const readEvents = () => {
+      if (xhr.status >= 400 || settled) return;
+      buffered += xhr.responseText.slice(read);
+      read = xhr.responseText.length;
+      const blocks = buffered.split('\n\n');
+      buffered = blocks.pop();
+      blocks.forEach((block) => {
+        const { event, data } = parseEvent(block);
+        if (event === 'text' && data.text) {
+          text += data.text;
+          onText(data.text);
+        } else if (event === 'done') {
+          finish();
+        } else if (event === 'error') {
+          finish(toServerError(data.status || 502, data, null));
+        }
+      });
+    };
+
+    xhr.onprogress = readEvents;
+    xhr.onload = () => {
+      if (xhr.status >= 400) {
+        let data = {};
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (error) {
+          // Not every failure has a JSON body
+        }
+        finish(toServerError(xhr.status, data, xhr.getResponseHeader('Retry-After')));
+        return;
+      }
+      readEvents();
+      finish(new Error('The answer stopped before it was finished'));
+    };
+    xhr.onerror = () => finish(new Error('Network request failed'));
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    xhr.open('POST', `${SERVER_URL}${path}`);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    xhr.send(JSON.stringify(body));
+  });
+};
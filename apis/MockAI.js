@@ -0,0 +1,182 @@
+/**
+ * Offline Mock AI Provider
+ *
+ * Answers every request on the device without a network, always giving the
+ * same answer for the same dream. Useful for trying the app offline, for
+ * demos and for tests. Moods come from simple keyword matching and analyses
+ * are templates built from the dream's most frequent words and a few known
+ * people and places, so neither is a real interpretation. Streamed answers
+ * arrive a word at a time so the streaming screens can be tried offline too.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// Keywords that suggest each mood, checked against the dream's words
+const MOOD_KEYWORDS = {
+  scary: ['afraid', 'chase', 'chased', 'chasing', 'dark', 'fall', 'falling', 'fear', 'monster', 'nightmare', 'run', 'running', 'scared', 'scream', 'terrified', 'trapped'],
+  sad: ['alone', 'cry', 'crying', 'funeral', 'goodbye', 'grief', 'lonely', 'lost', 'miss', 'sad', 'tears'],
+  joyful: ['beautiful', 'celebrate', 'flew', 'fly', 'flying', 'friends', 'happy', 'laugh', 'laughing', 'love', 'peaceful', 'smile', 'sun', 'warm'],
+  strange: ['door', 'doors', 'glass', 'impossible', 'mirror', 'melting', 'strange', 'talking', 'teleport', 'upside', 'weird'],
+};
+
+// Words recognized as people and places for the analysis
+const CHARACTER_WORDS = ['brother', 'dad', 'father', 'friend', 'friends', 'grandma', 'grandpa', 'mom', 'mother', 'sister', 'stranger', 'teacher'];
+const SETTING_WORDS = ['beach', 'city', 'forest', 'home', 'house', 'lake', 'ocean', 'room', 'school', 'sea', 'street', 'train'];
+
+// Common words left out of the analysis's themes
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'almost', 'also', 'because', 'been', 'before', 'being', 'could', 'dream', 'dreamt',
+  'every', 'from', 'have', 'into', 'just', 'like', 'more', 'only', 'other', 'over', 'remember', 'some', 'than',
+  'that', 'then', 'there', 'they', 'this', 'through', 'very', 'were', 'what', 'when', 'where', 'which', 'while',
+  'with', 'would', 'your',
+]);
+
+/**
+ * Split text into lowercase words
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+const toWords = (text) => String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+
+/**
+ * Pick a mood word from the keywords in a dream
+ * Ties go to the mood listed first in MOOD_KEYWORDS.
+ *
+ * @param {string} dreamText - Dream to tag
+ * @returns {string} Mood word, 'neutral' when nothing matches
+ */
+const pickMood = (dreamText) => {
+  const words = toWords(dreamText);
+  let best = { mood: 'neutral', score: 0 };
+  Object.entries(MOOD_KEYWORDS).forEach(([mood, keywords]) => {
+    const score = words.filter(word => keywords.includes(word)).length;
+    if (score > best.score) best = { mood, score };
+  });
+  return best.mood;
+};
+
+/**
+ * Find the words a dream mentions most
+ *
+ * @param {string} dreamText - Dream to read
+ * @param {number} count - Number of words to return
+ * @returns {Array<string>} Most frequent meaningful words, most frequent first
+ */
+const getThemes = (dreamText, count = 3) => {
+  const counts = new Map();
+  toWords(dreamText)
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word))
+    .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+};
+
+/**
+ * Capitalize the first letter of a word
+ *
+ * @param {string} word - Word to capitalize
+ * @returns {string} Capitalized word
+ */
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Find the words from a list that a dream mentions, in the order they appear
+ *
+ * @param {string} dreamText - Dream to read
+ * @param {Array<string>} candidates - Words to look for
+ * @returns {Array<string>} Capitalized words, without duplicates
+ */
+const findWords = (dreamText, candidates) => [...new Set(toWords(dreamText).filter(word => candidates.includes(word)))]
+  .map(capitalize);
+
+/**
+ * Build a sample structured analysis (see DreamAnalysis)
+ *
+ * @param {string} dreamText - Dream to analyze
+ * @returns {string} Analysis as JSON
+ */
+const analyzeSample = (dreamText) => {
+  const themes = getThemes(dreamText);
+  const mood = pickMood(dreamText);
+  return JSON.stringify({
+    summary: `This is an offline sample analysis. The dream returns to ${themes.length > 0 ? themes.join(', ') : 'a few quiet images'}`
+      + `${mood === 'neutral' ? '' : ` and has a ${mood} feel to it`}. `
+      + 'Noticing which of these stand out when you wake can help you spot patterns across your journal.',
+    symbols: themes.map(word => ({ name: capitalize(word), meaning: 'Something the dream keeps coming back to' })),
+    emotions: mood === 'neutral' ? [] : [{ name: capitalize(mood), intensity: 3 }],
+    themes: [],
+    characters: findWords(dreamText, CHARACTER_WORDS),
+    settings: findWords(dreamText, SETTING_WORDS),
+    reflections: ['Which part of the dream stayed with you after waking?'],
+  });
+};
+
+/**
+ * Tidy whitespace and capitalize sentences, standing in for a rewrite
+ *
+ * @param {string} dreamText - Dream to tidy
+ * @returns {string} Tidied text
+ */
+const tidyText = (dreamText) => String(dreamText || '')
+  .trim()
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\bi\b/g, 'I')
+  .replace(/(^|[.!?]\s+)([a-z])/g, (match, lead, letter) => lead + letter.toUpperCase());
+
+/**
+ * Answer one request
+ *
+ * @param {Object} request - { task, input }
+ * @returns {Promise<string>} Response text
+ */
+const complete = async ({ task, input }) => {
+  if (task === 'mood') return pickMood(input.dreamText);
+  if (task === 'rewrite') return tidyText(input.dreamText);
+  if (task === 'help') {
+    return 'The offline assistant can\'t answer questions. Choose Google Gemini or a Dreamio Server in Account Settings to ask the AI.';
+  }
+
+  return analyzeSample(input.dreamText);
+};
+
+// Pause between streamed words
+const STREAM_WORD_DELAY = 40;
+
+/**
+ * Answer one request a word at a time
+ *
+ * @param {Object} request - { task, input }
+ * @param {Object} options - { signal, onText } to abort and receive each new piece
+ * @returns {Promise<string>} The whole answer
+ */
+const stream = async (request, { signal, onText }) => {
+  const answer = await complete(request);
+  const words = answer.match(/\S+\s*/g) || [];
+  for (const word of words) {
+    await new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' }));
+        return;
+      }
+      setTimeout(resolve, STREAM_WORD_DELAY);
+    });
+    onText(word);
+  }
+  return answer;
+};
+
+export default {
+  id: 'mock',
+  name: 'Offline Sample',
+  description: 'Sample answers made on this device, without the internet. Not real analysis.',
+  timeoutMs: 1000,
+  minIntervalMs: 0,
+  retryDelayMs: 0,
+  complete,
+  stream,
+};
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { CloudOff, RefreshCw, Sparkles } from 'lucide-react-native';
+import { getAIQueueStatus, subscribeToAIQueue, getAIJobStatus } from '../storage/AIQueue';
+
+// Names for each kind of queued work
+const KIND_LABELS = { mood: 'Mood', analysis: 'Analysis' };
+
+const STATE_STYLES = {
+  running: { Icon: Sparkles, color: '#A78BFA' },
+  retrying: { Icon: RefreshCw, color: '#F59E0B' },
+  waiting: { Icon: CloudOff, color: '#9CA3AF' },
+};
+
+/**
+ * Describe the queued work for a badge
+ *
+ * @param {Object} jobStatus - Status from getAIJobStatus
+ * @returns {string} e.g. 'Mood & analysis pending · retry 3:05 PM'
+ */
+const describe = ({ kinds, state, nextAttemptAt }) => {
+  const names = kinds.map(kind => KIND_LABELS[kind]).join(' & ');
+  const label = names.charAt(0) + names.slice(1).toLowerCase();
+  if (state === 'running') return `${label} in progress`;
+  if (state === 'retrying') {
+    const time = new Date(nextAttemptAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return `${label} pending · retry ${time}`;
+  }
+  return `${label} pending · waiting for connection`;
+};
+
+/**
+ * AI Job Status Component
+ *
+ * Small badge on a dream card while its mood tagging or analysis is waiting
+ * in the AI queue, showing whether it's running, waiting for a connection or
+ * set to retry after a failure.
+ *
+ * @param {Object} dream - Dream to show the status of
+ * @returns {JSX.Element|null} Status badge, or nothing when no work is queued
+ */
+export default function AIJobStatus({ dream }) {
+  const [queueStatus, setQueueStatus] = useState(null);
+  const isQueued = Array.isArray(dream.pendingAnalysis) && dream.pendingAnalysis.length > 0;
+
+  useEffect(() => {
+    if (!isQueued) return undefined;
+    let cancelled = false;
+    getAIQueueStatus()
+      .then(status => {
+        if (!cancelled) setQueueStatus(status);
+      })
+      .catch(error => console.error('Failed to read AI queue:', error));
+    const unsubscribe = subscribeToAIQueue(setQueueStatus);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [isQueued]);
+
+  const jobStatus = getAIJobStatus(dream, queueStatus);
+  if (!jobStatus) return null;
+
+  const { Icon, color } = STATE_STYLES[jobStatus.state];
+  return (
+    <View style={[styles.badge, { borderColor: color }]}>
+      <Icon size={11} color={color} />
+      <Text style={[styles.text, { color }]} numberOfLines={1}>{describe(jobStatus)}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    marginTop: -8,
+    marginBottom: 14,
+  },
+  text: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,135 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Gem, Heart, Layers, Users, MapPin, MessageCircle } from 'lucide-react-native';
+import { ANALYSIS_LISTS } from '../storage/DreamAnalysis';
+import { MAX_INTENSITY } from '../storage/Moods';
+
+// Icon and accent color for each section
+const SECTION_STYLES = {
+  symbols: { Icon: Gem, color: '#06D6A0' },
+  emotions: { Icon: Heart, color: '#F472B6' },
+  themes: { Icon: Layers, color: '#A78BFA' },
+  characters: { Icon: Users, color: '#60A5FA' },
+  settings: { Icon: MapPin, color: '#F59E0B' },
+  reflections: { Icon: MessageCircle, color: '#9CA3AF' },
+};
+
+/**
+ * Analysis Details Component
+ *
+ * The sections of a structured analysis under its summary: symbols with
+ * their meanings, emotions with how strongly they were felt, themes,
+ * characters and settings as chips, and questions to reflect on. Empty
+ * sections are left out.
+ *
+ * @param {Object} details - Lists from getAnalysisDetails
+ * @returns {JSX.Element|null} Sections, or nothing when every list is empty
+ */
+export default function AnalysisDetails({ details }) {
+  const fields = Object.keys(ANALYSIS_LISTS).filter(field => details?.[field]?.length > 0);
+  if (fields.length === 0) return null;
+
+  const renderItems = (field, color) => {
+    if (field === 'symbols') {
+      return details.symbols.map(({ name, meaning }) => (
+        <View key={name} style={styles.symbol}>
+          <Text style={[styles.symbolName, { color }]}>{name}</Text>
+          {meaning ? <Text style={styles.symbolMeaning}>{meaning}</Text> : null}
+        </View>
+      ));
+    }
+    if (field === 'reflections') {
+      return details.reflections.map(question => (
+        <Text key={question} style={styles.reflection}>• {question}</Text>
+      ));
+    }
+    return (
+      <View style={styles.chipList}>
+        {details[field].map(item => (field === 'emotions' ? (
+          <View key={item.name} style={[styles.chip, { borderColor: color }]}>
+            <Text style={[styles.chipText, { color }]}>{item.name} {item.intensity}/{MAX_INTENSITY}</Text>
+          </View>
+        ) : (
+          <View key={item} style={[styles.chip, { borderColor: color }]}>
+            <Text style={[styles.chipText, { color }]}>{item}</Text>
+          </View>
+        )))}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {fields.map(field => {
+        const { Icon, color } = SECTION_STYLES[field];
+        return (
+          <View key={field} style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Icon size={14} color={color} />
+              <Text style={styles.sectionTitle}>{ANALYSIS_LISTS[field]}</Text>
+            </View>
+            {renderItems(field, color)}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#2A2A2A',
+    paddingTop: 16,
+  },
+  section: {
+    gap: 8,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  sectionTitle: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  symbol: {
+    gap: 2,
+  },
+  symbolName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  symbolMeaning: {
+    color: '#E5E7EB',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  chipList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    backgroundColor: '#1F1F1F',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  reflection: {
+    color: '#E5E7EB',
+    fontSize: 14,
+    lineHeight: 20,
+    fontStyle: 'italic',
+  },
+});
@@ -2,13 +2,16 @@
  * Dream Card Component
  * 
  * A reusable card component for displaying dream entries in the journal.
- * Features include mood indicators, timestamp display, preview text,
+ * Features include mood indicators, night display, preview text,
  * and interactive menu for editing/deleting dreams.
  * 
  * Key Features:
  * - Mood-based color coding and icons
- * - Relative timestamp formatting
- * - Text preview with truncation
+ * - The dream's first few tags
+ * - Relative formatting of the night dreamed
+ * - Text preview with truncation, or a snippet around search matches
+ * - Thumbnail of the dream's first sketch
+ * - Status of mood tagging or analysis waiting for a connection
  * - Slide-out action menu
  * - Touch interactions for navigation
  * - Smooth animations and transitions
@@ -18,9 +21,9 @@
  * @since 2024
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, TouchableWithoutFeedback } from 'react-native';
-import { EllipsisVertical, Pencil, Trash, Clock, Heart, Frown, Meh, Zap, AlertTriangle } from 'lucide-react-native';
+import { EllipsisVertical, Pencil, Trash, Moon, Heart, Frown, Meh, Zap, AlertTriangle } from 'lucide-react-native';
 import Animated, { 
   FadeIn, 
   FadeOut, 
@@ -33,19 +36,63 @@ import Animated, {
   interpolate
 } from 'react-native-reanimated';
 import DeleteConfirmationModal from './DeleteConfirmationModal';
+import SketchImage from './SketchImage';
+import AIJobStatus from './AIJobStatus';
+import { findHighlights, buildSnippet } from '../storage/SearchIndex';
+import { getDreamTags } from '../storage/Tags';
+import { getMoodEntries } from '../storage/Moods';
+import { getDetailBadges, getNightDate } from '../storage/DreamDetails';
+import { getDreamSketches } from '../storage/Sketches';
+
+// Tags shown on a card before the rest are summarised as "+N"
+const MAX_CARD_TAGS = 3;
+
+// Color of each detail badge
+const BADGE_COLORS = {
+  lucid: '#A78BFA',
+  nightmare: '#EF4444',
+  recurring: '#F59E0B',
+  vividness: '#10B981',
+  sleepQuality: '#3B82F6',
+};
+
+/**
+ * Render text with some character ranges highlighted
+ *
+ * @param {string} text - Text to render
+ * @param {Array<Array<number>>} ranges - [start, end] ranges to highlight, in order
+ * @returns {Array} Plain strings and highlighted Text elements
+ */
+const renderHighlighted = (text, ranges) => {
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start < position) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <Text key={index} style={styles.highlight}>{text.slice(start, end)}</Text>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return parts;
+};
 
 /**
  * Dream Card Component
  * 
  * Displays a single dream entry with interactive elements and visual indicators.
- * Handles mood display, timestamp formatting, and user interactions.
+ * Handles mood display, night formatting, and user interactions.
  * 
- * @param {Object} dream - Dream object containing id, title, text, mood, timestamp
+ * @param {Object} dream - Dream object containing id, title, text, moods, nightOf, timestamp
  * @param {Function} onDelete - Callback function for deleting the dream
  * @param {Object} navigation - React Navigation object for screen transitions
+ * @param {Set<string>} [highlightTerms] - Matched search terms to highlight
  * @returns {JSX.Element} Dream card with interactive elements
  */
-export default function DreamCard({ dream, onDelete, navigation }) {
+export default function DreamCard({ dream, onDelete, navigation, highlightTerms }) {
   // State for controlling the action menu visibility
   const [showMenu, setShowMenu] = useState(false);
   // State for controlling the delete confirmation modal
@@ -94,32 +141,26 @@ export default function DreamCard({ dream, onDelete, navigation }) {
   };
 
   /**
-   * Format timestamp into human-readable relative time
-   * Shows "Just now", "Xh ago", "Yesterday", "X days ago", or full date
-   * 
-   * @param {string} timestamp - ISO timestamp string
-   * @returns {string} Formatted relative time string
+   * Format the night a dream happened relative to today
+   * Shows "Tonight", "Last night", "X nights ago", or the full date
+   *
+   * @param {Object} dream - Dream to describe
+   * @returns {string} Formatted night, '' when it's unknown
    */
-  const formatDate = (timestamp) => {
-    if (!timestamp) return '';
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diffTime = now - date;
-    const diffHours = diffTime / (1000 * 60 * 60);
-    const diffDays = diffTime / (1000 * 60 * 60 * 24);
-    
-    if (diffDays < 1) {
-      if (diffHours < 1) {
-        const diffMinutes = Math.floor(diffTime / (1000 * 60));
-        return diffMinutes < 1 ? 'Just now' : `${diffMinutes}m ago`;
-      }
-      return `${Math.floor(diffHours)}h ago`;
-    } else if (diffDays < 2) {
-      return 'Yesterday';
+  const formatNight = (dream) => {
+    const night = getNightDate(dream);
+    if (!night) return '';
+    const today = new Date();
+    const diffDays = Math.round((new Date(today.getFullYear(), today.getMonth(), today.getDate()) - night) / (1000 * 60 * 60 * 24));
+
+    if (diffDays <= 0) {
+      return 'Tonight';
+    } else if (diffDays === 1) {
+      return 'Last night';
     } else if (diffDays < 7) {
-      return `${Math.floor(diffDays)} days ago`;
+      return `${diffDays} nights ago`;
     } else {
-      return date.toLocaleDateString();
+      return night.toLocaleDateString();
     }
   };
 
@@ -136,17 +177,26 @@ export default function DreamCard({ dream, onDelete, navigation }) {
     return text.substring(0, maxLength) + '...';
   };
 
+  // Highlighted title and a snippet around the first match while searching
+  const highlighted = useMemo(() => {
+    if (!highlightTerms || highlightTerms.size === 0) return null;
+    return {
+      titleRanges: findHighlights(dream.title, highlightTerms),
+      snippet: buildSnippet(dream.text, findHighlights(dream.text, highlightTerms)),
+    };
+  }, [dream.title, dream.text, highlightTerms]);
+
   /**
    * Render mood tags with icons and colors
-   * Handles multiple moods separated by commas
+   * The primary mood comes first
    * 
-   * @param {string} mood - Comma-separated mood string
+   * @param {Array<Object>} entries - Mood entries from getMoodEntries
    * @returns {JSX.Element|null} Mood tag components or null
    */
-  const renderMoodTags = (mood) => {
-    if (!mood) return null;
+  const renderMoodTags = (entries) => {
+    if (entries.length === 0) return null;
     
-    const moods = mood.split(', ');
+    const moods = entries.map(entry => entry.mood);
     
     return (
       <View style={styles.moodContainer}>
@@ -292,7 +342,9 @@ export default function DreamCard({ dream, onDelete, navigation }) {
           {/* Card header with title and action buttons */}
           <View style={styles.header}>
             <View style={styles.titleContainer}>
-              <Text style={styles.title} numberOfLines={2}>{dream.title}</Text>
+              <Text style={styles.title} numberOfLines={2}>
+                {highlighted ? renderHighlighted(dream.title, highlighted.titleRanges) : dream.title}
+              </Text>
             </View>
             <View style={styles.headerRight}>
               {/* Menu toggle button */}
@@ -311,22 +363,51 @@ export default function DreamCard({ dream, onDelete, navigation }) {
             </View>
           </View>
 
-          {/* Dream text preview */}
-          <Text style={styles.preview} numberOfLines={3}>
-            {getDreamPreview(dream.text)}
-          </Text>
+          {/* Dream text preview, next to the first sketch if there is one */}
+          <View style={styles.previewRow}>
+            <Text style={styles.preview} numberOfLines={3}>
+              {highlighted
+                ? renderHighlighted(highlighted.snippet.text, highlighted.snippet.ranges)
+                : getDreamPreview(dream.text)}
+            </Text>
+            {getDreamSketches(dream).length > 0 && (
+              <SketchImage sketch={getDreamSketches(dream)[0]} width={60} height={60} compact />
+            )}
+          </View>
+
+          {/* Lucidity, nightmare and other detail badges */}
+          {getDetailBadges(dream).length > 0 && (
+            <View style={styles.badges}>
+              {getDetailBadges(dream).map(({ key, label }) => (
+                <View key={key} style={[styles.badge, { borderColor: BADGE_COLORS[key] }]}>
+                  <Text style={[styles.badgeText, { color: BADGE_COLORS[key] }]}>{label}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {/* Mood tagging or analysis still waiting in the AI queue */}
+          <AIJobStatus dream={dream} />
+
+          {/* First few tags */}
+          {getDreamTags(dream).length > 0 && (
+            <Text style={styles.tags} numberOfLines={1}>
+              {getDreamTags(dream).slice(0, MAX_CARD_TAGS).map(tag => `#${tag}`).join('  ')}
+              {getDreamTags(dream).length > MAX_CARD_TAGS ? `  +${getDreamTags(dream).length - MAX_CARD_TAGS}` : ''}
+            </Text>
+          )}
 
-          {/* Card footer with mood tags and timestamp */}
+          {/* Card footer with mood tags and night */}
           <View style={styles.footer}>
             <View style={styles.footerLeft}>
-              {renderMoodTags(dream.mood)}
+              {renderMoodTags(getMoodEntries(dream))}
             </View>
 
-            {/* Timestamp display */}
-            {dream.timestamp && (
+            {/* Night the dream happened */}
+            {getNightDate(dream) && (
               <View style={styles.dateContainer}>
-                <Clock size={12} color="#6B7280" />
-                <Text style={styles.dateText}>{formatDate(dream.timestamp)}</Text>
+                <Moon size={12} color="#6B7280" />
+                <Text style={styles.dateText}>{formatNight(dream)}</Text>
               </View>
             )}
           </View>
@@ -376,6 +457,9 @@ export default function DreamCard({ dream, onDelete, navigation }) {
       <DeleteConfirmationModal
         visible={showDeleteModal}
         dreamTitle={dream.title}
+        title="Move to Trash?"
+        message={`"${dream.title}" will be moved to the Trash, where you can restore it until it's removed for good.`}
+        confirmLabel="Move to Trash"
         onConfirm={confirmDelete}
         onCancel={cancelDelete}
       />
@@ -433,13 +517,43 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+    marginBottom: 16,
+  },
   preview: {
+    flex: 1,
     color: '#9CA3AF',
     fontSize: 14,
     lineHeight: 20,
-    marginBottom: 16,
     fontWeight: '400',
   },
+  badges: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: -8,
+    marginBottom: 14,
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    borderWidth: 1,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  tags: {
+    color: '#A78BFA',
+    fontSize: 12,
+    fontWeight: '500',
+    marginTop: -8,
+    marginBottom: 14,
+  },
   footer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -463,6 +577,11 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginLeft: 4,
   },
+  highlight: {
+    color: '#FFFFFF',
+    backgroundColor: 'rgba(139, 92, 246, 0.35)',
+    fontWeight: '600',
+  },
   dateContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -3,7 +3,15 @@ import { View, Text, TouchableOpacity, StyleSheet, Modal } from 'react-native';
 import { Trash2, X } from 'lucide-react-native';
 import Animated, { FadeIn } from 'react-native-reanimated';
 
-export default function DeleteConfirmationModal({ visible, dreamTitle, onConfirm, onCancel }) {
+export default function DeleteConfirmationModal({
+  visible,
+  dreamTitle,
+  onConfirm,
+  onCancel,
+  title = 'Delete Dream?',
+  message = `Are you sure you want to delete "${dreamTitle}"? This action cannot be undone.`,
+  confirmLabel = 'Delete',
+}) {
   return (
     <Modal 
       visible={visible} 
@@ -38,10 +46,8 @@ export default function DeleteConfirmationModal({ visible, dreamTitle, onConfirm
             </View>
 
             <View style={styles.textContainer}>
-              <Text style={styles.title}>Delete Dream?</Text>
-              <Text style={styles.subtitle}>
-                Are you sure you want to delete "{dreamTitle}"? This action cannot be undone.
-              </Text>
+              <Text style={styles.title}>{title}</Text>
+              <Text style={styles.subtitle}>{message}</Text>
             </View>
 
             <View style={styles.buttonContainer}>
@@ -58,7 +64,7 @@ export default function DeleteConfirmationModal({ visible, dreamTitle, onConfirm
                 onPress={onConfirm}
                 activeOpacity={0.8}
               >
-                <Text style={styles.deleteButtonText}>Delete</Text>
+                <Text style={styles.deleteButtonText}>{confirmLabel}</Text>
               </TouchableOpacity>
             </View>
           </View>
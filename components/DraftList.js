@@ -0,0 +1,91 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { FileText, X } from 'lucide-react-native';
+import { getDraftName } from '../storage/Drafts';
+
+/**
+ * Describe how long ago a draft was last edited
+ *
+ * @param {string} updatedAt - ISO timestamp
+ * @returns {string} e.g. '5 min ago'
+ */
+const formatEdited = (updatedAt) => {
+  const minutes = Math.floor((Date.now() - new Date(updatedAt).getTime()) / 60000);
+  if (!(minutes >= 1)) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Draft List Component
+ *
+ * Unsaved drafts shown above the journal on Home. Tapping a draft opens it
+ * in Create to finish it; the X discards it.
+ *
+ * @param {Array<Object>} drafts - Drafts, most recently edited first
+ * @param {Function} onOpen - Called with a draft's id
+ * @param {Function} onDiscard - Called with the draft to discard
+ * @returns {JSX.Element|null} Drafts section, or nothing when there are none
+ */
+export default function DraftList({ drafts, onOpen, onDiscard }) {
+  if (drafts.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Drafts</Text>
+      {drafts.map(draft => (
+        <TouchableOpacity key={draft.id} style={styles.draft} onPress={() => onOpen(draft.id)} activeOpacity={0.7}>
+          <FileText size={16} color="#A78BFA" />
+          <View style={styles.draftContent}>
+            <Text style={styles.draftName} numberOfLines={1}>{getDraftName(draft)}</Text>
+            <Text style={styles.draftMeta}>Edited {formatEdited(draft.updatedAt)}</Text>
+          </View>
+          <TouchableOpacity onPress={() => onDiscard(draft)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <X size={16} color="#9CA3AF" />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 20,
+    marginBottom: 16,
+    gap: 8,
+  },
+  title: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  draft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    borderStyle: 'dashed',
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+  },
+  draftContent: {
+    flex: 1,
+  },
+  draftName: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  draftMeta: {
+    color: '#6B7280',
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,162 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Switch } from 'react-native';
+import NightPicker from './NightPicker';
+import { LEVEL_FIELDS } from '../storage/DreamDetails';
+
+/**
+ * Row of 1-5 buttons for a level field; tapping the selected level clears it
+ */
+const LevelRow = ({ label, labels, value, onChange }) => (
+  <View style={styles.field}>
+    <View style={styles.fieldHeader}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <Text style={styles.fieldValue}>{value ? labels[value - 1] : 'Not set'}</Text>
+    </View>
+    <View style={styles.levelRow}>
+      {labels.map((_, index) => {
+        const level = index + 1;
+        const isSelected = value === level;
+        return (
+          <TouchableOpacity
+            key={level}
+            style={[styles.level, isSelected && styles.levelSelected]}
+            onPress={() => onChange(isSelected ? undefined : level)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.levelText, isSelected && styles.levelTextSelected]}>{level}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  </View>
+);
+
+/**
+ * Switch row for a yes/no field
+ */
+const FlagRow = ({ label, description, value, onChange }) => (
+  <View style={[styles.field, styles.flagRow]}>
+    <View style={styles.flagContent}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <Text style={styles.flagDescription}>{description}</Text>
+    </View>
+    <Switch
+      value={value === true}
+      onValueChange={onChange}
+      trackColor={{ false: '#2A2A2A', true: '#8B5CF6' }}
+      thumbColor="#FFFFFF"
+    />
+  </View>
+);
+
+/**
+ * Dream Details Form Component
+ *
+ * Editor for the optional details recorded with a dream: the night it
+ * happened, lucidity, vividness, recurrence, nightmare and sleep quality.
+ *
+ * @param {Object} values - Current details, as returned by getDreamDetails
+ * @param {Function} onChange - Called with the updated details
+ * @returns {JSX.Element} Details form
+ */
+export default function DreamDetailsForm({ values, onChange }) {
+  const set = (field, value) => onChange({ ...values, [field]: value });
+
+  return (
+    <View>
+      <View style={styles.field}>
+        <Text style={styles.fieldLabel}>Dreamed On</Text>
+        <NightPicker value={values.nightOf} onChange={(nightOf) => set('nightOf', nightOf)} />
+      </View>
+
+      <FlagRow
+        label="Lucid"
+        description="I knew I was dreaming"
+        value={values.lucid}
+        onChange={(lucid) => onChange({ ...values, lucid, lucidity: lucid ? values.lucidity : undefined })}
+      />
+      {values.lucid === true && (
+        <LevelRow label="Lucidity" labels={LEVEL_FIELDS.lucidity} value={values.lucidity} onChange={(level) => set('lucidity', level)} />
+      )}
+
+      <LevelRow label="Vividness" labels={LEVEL_FIELDS.vividness} value={values.vividness} onChange={(level) => set('vividness', level)} />
+
+      <FlagRow
+        label="Recurring"
+        description="I've had this dream before"
+        value={values.recurring}
+        onChange={(recurring) => set('recurring', recurring)}
+      />
+      <FlagRow
+        label="Nightmare"
+        description="It was distressing or woke me up"
+        value={values.nightmare}
+        onChange={(nightmare) => set('nightmare', nightmare)}
+      />
+
+      <LevelRow label="Sleep Quality" labels={LEVEL_FIELDS.sleepQuality} value={values.sleepQuality} onChange={(level) => set('sleepQuality', level)} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  field: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  fieldHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  fieldLabel: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  fieldValue: {
+    color: '#A78BFA',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  levelRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  level: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+    backgroundColor: '#2A2A2A',
+    alignItems: 'center',
+  },
+  levelSelected: {
+    backgroundColor: '#8B5CF6',
+    borderColor: '#8B5CF6',
+  },
+  levelText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  levelTextSelected: {
+    color: '#FFFFFF',
+  },
+  flagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  flagContent: {
+    flex: 1,
+  },
+  flagDescription: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
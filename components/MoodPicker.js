@@ -0,0 +1,187 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Heart, Frown, Meh, Zap, AlertTriangle, Star } from 'lucide-react-native';
+import { MOODS, MIN_INTENSITY, MAX_INTENSITY, DEFAULT_INTENSITY, setPrimaryMood } from '../storage/Moods';
+
+// Icon and color for each mood option
+const MOOD_STYLES = {
+  Joyful: { icon: Heart, color: '#10B981' },
+  Sad: { icon: Frown, color: '#3B82F6' },
+  Neutral: { icon: Meh, color: '#6B7280' },
+  Strange: { icon: Zap, color: '#F59E0B' },
+  Scary: { icon: AlertTriangle, color: '#EF4444' },
+};
+
+const INTENSITY_LEVELS = Array.from({ length: MAX_INTENSITY - MIN_INTENSITY + 1 }, (_, i) => MIN_INTENSITY + i);
+
+/**
+ * Mood Picker Component
+ *
+ * Multi-select mood editor. Each chosen mood gets an intensity from 1 to 5,
+ * and one of them is marked as the primary mood with the star. At least one
+ * mood stays selected.
+ *
+ * @param {Array<Object>} moods - Selected mood entries ({ mood, intensity }), primary first
+ * @param {Function} onChange - Called with the new mood entries
+ * @returns {JSX.Element} Mood editor
+ */
+export default function MoodPicker({ moods, onChange }) {
+  // Moods from older versions or imports that aren't in the built-in list stay selectable
+  const options = [...MOODS, ...moods.map(entry => entry.mood).filter(mood => !MOODS.includes(mood))];
+
+  const getStyle = (mood) => MOOD_STYLES[mood] || { icon: Meh, color: '#6B7280' };
+
+  /**
+   * Add or remove a mood; the last selected mood can't be removed
+   *
+   * @param {string} mood - Mood tapped
+   */
+  const toggleMood = (mood) => {
+    if (!moods.some(entry => entry.mood === mood)) {
+      onChange([...moods, { mood, intensity: DEFAULT_INTENSITY }]);
+    } else if (moods.length > 1) {
+      onChange(moods.filter(entry => entry.mood !== mood));
+    }
+  };
+
+  const setIntensity = (mood, intensity) => {
+    onChange(moods.map(entry => (entry.mood === mood ? { ...entry, intensity } : entry)));
+  };
+
+  return (
+    <View>
+      <View style={styles.optionsContainer}>
+        {options.map(mood => {
+          const { icon: MoodIcon, color } = getStyle(mood);
+          const isSelected = moods.some(entry => entry.mood === mood);
+
+          return (
+            <TouchableOpacity
+              key={mood}
+              style={[styles.option, isSelected && { backgroundColor: color, borderColor: color }]}
+              onPress={() => toggleMood(mood)}
+              activeOpacity={0.7}
+            >
+              <MoodIcon size={16} color={isSelected ? '#FFFFFF' : color} />
+              <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>{mood}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.selectedList}>
+        {moods.map((entry, index) => {
+          const { color } = getStyle(entry.mood);
+          const isPrimary = index === 0;
+
+          return (
+            <View key={entry.mood} style={styles.selectedRow}>
+              <TouchableOpacity
+                onPress={() => onChange(setPrimaryMood(moods, entry.mood))}
+                disabled={isPrimary}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <Star size={16} color={isPrimary ? '#FBBF24' : '#4B5563'} fill={isPrimary ? '#FBBF24' : 'transparent'} />
+              </TouchableOpacity>
+              <View style={styles.selectedName}>
+                <Text style={styles.selectedText} numberOfLines={1}>{entry.mood}</Text>
+                {isPrimary && <Text style={styles.primaryLabel}>Primary</Text>}
+              </View>
+              <View style={styles.intensityRow}>
+                {INTENSITY_LEVELS.map(level => (
+                  <TouchableOpacity
+                    key={level}
+                    style={[
+                      styles.intensityDot,
+                      { borderColor: color },
+                      level <= entry.intensity && { backgroundColor: color },
+                    ]}
+                    onPress={() => setIntensity(entry.mood, level)}
+                    hitSlop={{ top: 6, bottom: 6, left: 2, right: 2 }}
+                  />
+                ))}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+
+      {moods.length > 1 && (
+        <Text style={styles.hint}>Tap the star to choose the main mood. Dots set how strongly you felt it.</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  optionsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+    backgroundColor: '#2A2A2A',
+    minWidth: 80,
+    justifyContent: 'center',
+  },
+  optionText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  optionTextSelected: {
+    color: '#FFFFFF',
+  },
+  selectedList: {
+    marginTop: 14,
+    gap: 8,
+  },
+  selectedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 10,
+  },
+  selectedName: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  selectedText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  primaryLabel: {
+    color: '#FBBF24',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  intensityRow: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  intensityDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 1.5,
+  },
+  hint: {
+    color: '#6B7280',
+    fontSize: 12,
+    marginTop: 8,
+  },
+});
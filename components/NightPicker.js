@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { ChevronLeft, ChevronRight, Calendar } from 'lucide-react-native';
+import { toNightKey, parseNightKey, shiftNight, getDefaultNight } from '../storage/DreamDetails';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+/**
+ * Format a night key for the picker
+ *
+ * @param {string} key - Night key
+ * @returns {string} e.g. 'Last night (Mon, Mar 3)'
+ */
+const formatNight = (key) => {
+  const date = parseNightKey(key);
+  if (!date) return 'Choose a night';
+  const label = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const today = toNightKey(new Date());
+  if (key === shiftNight(today, -1)) return `Last night (${label})`;
+  if (key === today) return `Tonight (${label})`;
+  return label;
+};
+
+/**
+ * Night Picker Component
+ *
+ * Chooses the night a dream happened. The arrows step a night at a time;
+ * tapping the date opens a month calendar for backdating further. Nights
+ * after today can't be picked.
+ *
+ * @param {string} value - Selected night key
+ * @param {Function} onChange - Called with the new night key
+ * @returns {JSX.Element} Night picker
+ */
+export default function NightPicker({ value, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const today = toNightKey(new Date());
+  const selected = parseNightKey(value) || parseNightKey(getDefaultNight());
+  const [month, setMonth] = useState(new Date(selected.getFullYear(), selected.getMonth(), 1));
+
+  const current = toNightKey(selected);
+  const isCurrentMonth = toNightKey(month).slice(0, 7) === today.slice(0, 7);
+
+  const selectNight = (key) => {
+    if (key > today) return;
+    onChange(key);
+    const date = parseNightKey(key);
+    setMonth(new Date(date.getFullYear(), date.getMonth(), 1));
+  };
+
+  const moveMonth = (months) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + months, 1));
+  };
+
+  // Leading blanks line the first day up under its weekday
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array.from({ length: month.getDay() }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, i) => toNightKey(new Date(month.getFullYear(), month.getMonth(), i + 1))),
+  ];
+
+  return (
+    <View>
+      <View style={styles.stepRow}>
+        <TouchableOpacity onPress={() => selectNight(shiftNight(current, -1))} style={styles.stepButton} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+          <ChevronLeft size={18} color="#FFFFFF" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.dateButton} onPress={() => setIsOpen(!isOpen)} activeOpacity={0.7}>
+          <Calendar size={14} color="#A78BFA" />
+          <Text style={styles.dateText}>{formatNight(value)}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => selectNight(shiftNight(current, 1))}
+          style={[styles.stepButton, current >= today && styles.disabled]}
+          disabled={current >= today}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <ChevronRight size={18} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+
+      {isOpen && (
+        <View style={styles.calendar}>
+          <View style={styles.monthRow}>
+            <TouchableOpacity onPress={() => moveMonth(-1)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+              <ChevronLeft size={18} color="#FFFFFF" />
+            </TouchableOpacity>
+            <Text style={styles.monthText}>
+              {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            </Text>
+            <TouchableOpacity
+              onPress={() => moveMonth(1)}
+              style={isCurrentMonth && styles.disabled}
+              disabled={isCurrentMonth}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <ChevronRight size={18} color="#FFFFFF" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.grid}>
+            {WEEKDAYS.map((day, index) => (
+              <Text key={`weekday-${index}`} style={[styles.cell, styles.weekday]}>{day}</Text>
+            ))}
+            {cells.map((key, index) => {
+              if (!key) return <View key={`blank-${index}`} style={styles.cell} />;
+              const isSelected = key === value;
+              const isFuture = key > today;
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.cell, styles.day, isSelected && styles.daySelected, isFuture && styles.disabled]}
+                  onPress={() => {
+                    selectNight(key);
+                    setIsOpen(false);
+                  }}
+                  disabled={isFuture}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.dayText, key === today && styles.dayTextToday, isSelected && styles.dayTextSelected]}>
+                    {Number(key.slice(8))}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 8,
+  },
+  stepButton: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 10,
+    padding: 6,
+  },
+  dateButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+  },
+  dateText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
+  disabled: {
+    opacity: 0.3,
+  },
+  calendar: {
+    marginTop: 12,
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    padding: 12,
+  },
+  monthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  monthText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  cell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  weekday: {
+    color: '#6B7280',
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+    textAlignVertical: 'center',
+  },
+  day: {
+    borderRadius: 999,
+  },
+  daySelected: {
+    backgroundColor: '#8B5CF6',
+  },
+  dayText: {
+    color: '#D1D5DB',
+    fontSize: 13,
+  },
+  dayTextToday: {
+    color: '#A78BFA',
+    fontWeight: '700',
+  },
+  dayTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '700',
+  },
+});
@@ -3,7 +3,7 @@ import { View, Text, TextInput, TouchableOpacity, StyleSheet, Modal, KeyboardAvo
 import { X, Save, Heart, Frown, Meh, Zap, AlertTriangle } from 'lucide-react-native';
 import Animated, { FadeIn } from 'react-native-reanimated';
 
-export default function SaveDreamModal({ visible, titleValue, onTitleChange, onSave, onCancel, mood }) {
+export default function SaveDreamModal({ visible, titleValue, onTitleChange, onSave, onCancel, mood, isTaggingMood }) {
   const getMoodColor = (mood) => {
     const colors = {
       Joyful: '#10B981',
@@ -94,12 +94,20 @@ export default function SaveDreamModal({ visible, titleValue, onTitleChange, onS
                 />
               </View>
 
-              {mood && (
-                <View style={styles.moodSection}>
-                  <Text style={styles.label}>Dream Mood</Text>
-                  {renderMoodTag(mood)}
-                </View>
-              )}
+              <View style={styles.moodSection}>
+                <Text style={styles.label}>Dream Mood</Text>
+                {mood ? renderMoodTag(mood) : isTaggingMood ? (
+                  // Saving doesn't wait for the mood; the AI queue tags the dream if it's still on its way
+                  <Text style={styles.moodPendingText}>
+                    Tagging your dream's mood... You can save now and it will be tagged in the background.
+                  </Text>
+                ) : (
+                  // Mood tagging failed; the AI queue tags the dream once it's back online
+                  <Text style={styles.moodPendingText}>
+                    Couldn't reach the AI right now. Your dream's mood will be tagged automatically once you're back online.
+                  </Text>
+                )}
+              </View>
 
               <View style={styles.buttonContainer}>
                 <TouchableOpacity 
@@ -201,6 +209,11 @@ const styles = StyleSheet.create({
   moodSection: {
     marginBottom: 24,
   },
+  moodPendingText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    lineHeight: 20,
+  },
   moodContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { SvgXml } from 'react-native-svg';
+import { ImageOff } from 'lucide-react-native';
+import { readSketchSVG, SKETCH_BACKGROUND } from '../storage/Sketches';
+
+/**
+ * Sketch Image Component
+ *
+ * Shows a saved or pending sketch scaled to the given width, keeping the
+ * proportions of the canvas it was drawn on. Sketches drawn on another
+ * device show a placeholder instead.
+ *
+ * @param {Object} sketch - Sketch entry, or a pending sketch with a uri
+ * @param {number} width - Display width
+ * @param {number} [height] - Display height; follows the sketch's proportions when omitted
+ * @param {boolean} [compact=false] - Leave out the placeholder text, for thumbnails
+ * @returns {JSX.Element} Sketch image
+ */
+export default function SketchImage({ sketch, width, height, compact = false }) {
+  const [xml, setXml] = useState(null);
+  const [isMissing, setIsMissing] = useState(false);
+  const displayHeight = height || (sketch.width > 0 ? width * (sketch.height / sketch.width) : width);
+
+  useEffect(() => {
+    let cancelled = false;
+    readSketchSVG(sketch)
+      .then(markup => {
+        if (cancelled) return;
+        setXml(markup);
+        setIsMissing(!markup);
+      })
+      .catch(error => {
+        console.error('Failed to load sketch:', error);
+        if (!cancelled) setIsMissing(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sketch.uri, sketch.file]);
+
+  return (
+    <View style={[styles.frame, { width, height: displayHeight }]}>
+      {xml && (
+        // Crops to the frame when a thumbnail's shape differs from the canvas
+        <SvgXml xml={xml} width="100%" height="100%" preserveAspectRatio="xMidYMid slice" />
+      )}
+      {isMissing && (
+        <View style={styles.missing}>
+          <ImageOff size={compact ? 16 : 24} color="#6B7280" />
+          {!compact && <Text style={styles.missingText}>Sketch was drawn on another device</Text>}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  frame: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: SKETCH_BACKGROUND,
+  },
+  missing: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+  },
+  missingText: {
+    color: '#6B7280',
+    fontSize: 12,
+  },
+});
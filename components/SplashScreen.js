@@ -13,6 +13,7 @@ import Animated, {
   Easing,
 } from 'react-native-reanimated';
 import { Moon, Sparkles } from 'lucide-react-native';
+import { runMigrations } from '../storage/SchemaMigrations';
 
 const { width, height } = Dimensions.get('window');
 
@@ -89,6 +90,7 @@ const SplashScreen = ({ onFinish }) => {
   const particleOpacity = useSharedValue(0);
   const gradientRotation = useSharedValue(0);
   const isAnimationComplete = useRef(false);
+  const migrationsRef = useRef(null);
 
   useEffect(() => {
     if (isAnimationComplete.current) return;
@@ -151,15 +153,33 @@ const SplashScreen = ({ onFinish }) => {
       easing: Easing.out(Easing.cubic),
     }));
 
-    // Complete animation and trigger onFinish
-    const timer = setTimeout(() => {
-      if (!isAnimationComplete.current) {
+    // Upgrade stored journals while the animation plays (started only once,
+    // since this effect re-runs when the parent re-renders). Failed migrations
+    // are rolled back, so the app can still start.
+    if (!migrationsRef.current) {
+      migrationsRef.current = runMigrations().catch(error => {
+        console.error('Failed to run storage migrations:', error);
+      });
+    }
+
+    // Complete animation and trigger onFinish once migrations have finished too
+    let cancelled = false;
+    let timer;
+    const animationDone = new Promise(resolve => {
+      timer = setTimeout(resolve, 3500);
+    });
+
+    Promise.all([animationDone, migrationsRef.current]).then(() => {
+      if (!cancelled && !isAnimationComplete.current) {
         isAnimationComplete.current = true;
         onFinish();
       }
-    }, 3500);
+    });
 
-    return () => clearTimeout(timer);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [onFinish]);
 
   const logoAnimatedStyle = useAnimatedStyle(() => {
@@ -3,7 +3,7 @@ import { View, Text, TouchableOpacity, StyleSheet, Modal } from 'react-native';
 import { CheckCircle, X, Heart, Frown, Meh, Zap, AlertTriangle } from 'lucide-react-native';
 import Animated, { FadeIn, SlideInUp } from 'react-native-reanimated';
 
-export default function SuccessModal({ visible, mood, onClose }) {
+export default function SuccessModal({ visible, moods, onClose }) {
   const getMoodColor = (mood) => {
     const colors = {
       Joyful: '#10B981',
@@ -26,11 +26,9 @@ export default function SuccessModal({ visible, mood, onClose }) {
     return icons[mood] || Meh;
   };
 
-  const renderMoodTags = (mood) => {
-    if (!mood) return null;
-    
-    const moods = mood.split(', ');
-    
+  const renderMoodTags = (moods) => {
+    if (!moods || moods.length === 0) return null;
+
     return (
       <View style={styles.moodContainer}>
         {moods.map((singleMood, index) => {
@@ -97,7 +95,7 @@ export default function SuccessModal({ visible, mood, onClose }) {
 
             <View style={styles.moodContainer}>
               <Text style={styles.moodLabel}>Detected Mood</Text>
-              {renderMoodTags(mood)}
+              {renderMoodTags(moods)}
             </View>
 
             <View style={styles.buttonContainer}>
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { X, Hash, Plus } from 'lucide-react-native';
+import { normalizeTag, normalizeTags, suggestTags, MAX_TAG_LENGTH } from '../storage/Tags';
+
+/**
+ * Tag Input Component
+ *
+ * Shows a dream's tags as removable chips with a field for adding more.
+ * A tag is added on return or when a comma is typed; existing tags from the
+ * journal are suggested as the user types.
+ *
+ * @param {Array<string>} tags - Tags on the dream
+ * @param {Function} onChange - Called with the new tag list
+ * @param {Array<Object>} tagCounts - Tags in the journal, from getTagCounts
+ * @returns {JSX.Element} Tag editor
+ */
+export default function TagInput({ tags, onChange, tagCounts = [] }) {
+  const [input, setInput] = useState('');
+  const [focused, setFocused] = useState(false);
+
+  const suggestions = focused || input ? suggestTags(input, tagCounts, tags) : [];
+
+  /**
+   * Add a tag unless it's empty or already on the dream
+   *
+   * @param {string} name - Tag to add
+   */
+  const addTag = (name) => {
+    const tag = normalizeTag(name);
+    if (tag) {
+      onChange(normalizeTags([...tags, tag]));
+    }
+    setInput('');
+  };
+
+  /**
+   * Add tags as they're completed with a comma
+   *
+   * @param {string} text - Current field contents
+   */
+  const handleChangeText = (text) => {
+    if (!text.includes(',')) {
+      setInput(text);
+      return;
+    }
+    const parts = text.split(',');
+    const rest = parts.pop();
+    onChange(normalizeTags([...tags, ...parts]));
+    setInput(rest.trimStart());
+  };
+
+  return (
+    <View>
+      {tags.length > 0 && (
+        <View style={styles.tagList}>
+          {tags.map(tag => (
+            <View key={tag} style={styles.tag}>
+              <Hash size={12} color="#A78BFA" />
+              <Text style={styles.tagText}>{tag}</Text>
+              <TouchableOpacity
+                onPress={() => onChange(tags.filter(t => t !== tag))}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <X size={12} color="#9CA3AF" />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={input}
+          onChangeText={handleChangeText}
+          onSubmitEditing={() => addTag(input)}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder="Add people, places, symbols..."
+          placeholderTextColor="#6B7280"
+          maxLength={MAX_TAG_LENGTH}
+          autoCapitalize="none"
+          blurOnSubmit={false}
+          returnKeyType="done"
+          keyboardAppearance="dark"
+        />
+        {input.trim() !== '' && (
+          <TouchableOpacity style={styles.addButton} onPress={() => addTag(input)} activeOpacity={0.8}>
+            <Plus size={16} color="#FFFFFF" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {suggestions.length > 0 && (
+        <View style={styles.suggestionList}>
+          {suggestions.map(name => (
+            <TouchableOpacity
+              key={name}
+              style={styles.suggestion}
+              onPress={() => addTag(name)}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.suggestionText}>#{name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 10,
+  },
+  tag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: 'rgba(139, 92, 246, 0.15)',
+    borderWidth: 1,
+    borderColor: 'rgba(139, 92, 246, 0.4)',
+  },
+  tagText: {
+    color: '#E5E7EB',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    color: '#FFFFFF',
+    fontSize: 15,
+  },
+  addButton: {
+    backgroundColor: '#8B5CF6',
+    borderRadius: 10,
+    padding: 10,
+  },
+  suggestionList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  suggestion: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+  },
+  suggestionText: {
+    color: '#A78BFA',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,92 @@
+/**
+ * Undo Snackbar Component
+ *
+ * Short-lived bar shown above the tab bar after a reversible action, such
+ * as moving a dream to the Trash. It hides itself after a few seconds; give
+ * it a new key for each action so the timer restarts.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Animated, { FadeInDown, FadeOutDown } from 'react-native-reanimated';
+import { Undo2 } from 'lucide-react-native';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the snackbar is shown
+ * @param {string} props.message - Text describing what happened
+ * @param {Function} props.onUndo - Called when Undo is tapped
+ * @param {Function} props.onDismiss - Called when the snackbar times out
+ * @param {number} [props.duration=5000] - Time in ms before it hides itself
+ */
+export default function UndoSnackbar({ visible, message, onUndo, onDismiss, duration = 5000 }) {
+  useEffect(() => {
+    if (!visible) return undefined;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [visible, duration]);
+
+  if (!visible) return null;
+
+  return (
+    <Animated.View
+      entering={FadeInDown.duration(250)}
+      exiting={FadeOutDown.duration(200)}
+      style={styles.container}
+    >
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity
+        style={styles.undoButton}
+        onPress={onUndo}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        activeOpacity={0.8}
+      >
+        <Undo2 size={16} color="#A855F7" />
+        <Text style={styles.undoText}>Undo</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 110,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    gap: 12,
+    shadowColor: '#000000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  message: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
+  undoButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  undoText: {
+    color: '#A855F7',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,170 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Play, Pause, Trash2, MicOff } from 'lucide-react-native';
+import { Audio } from 'expo-av';
+import { formatDuration } from '../storage/VoiceMemos';
+
+/**
+ * Voice Memo List Component
+ *
+ * Plays audio clips one at a time with a progress bar. Used for the clips
+ * recorded on the Create screen and for the memos saved with a dream.
+ *
+ * @param {Array<Object>} clips - Clips as { key, uri, durationMs, available }; available defaults to true
+ * @param {Function} [onDelete] - Called with a clip's key; no delete buttons when omitted
+ * @param {Function} [openClip] - Resolves a clip to the URI to play, for clips that may be sealed
+ * @returns {JSX.Element} List of clips
+ */
+export default function VoiceMemoList({ clips, onDelete, openClip }) {
+  const soundRef = useRef(null);
+  const [playingKey, setPlayingKey] = useState(null);
+  const [positionMs, setPositionMs] = useState(0);
+
+  // Stop playback when leaving the screen
+  useEffect(() => () => {
+    soundRef.current?.unloadAsync();
+  }, []);
+
+  const stop = async () => {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    setPlayingKey(null);
+    setPositionMs(0);
+    if (sound) await sound.unloadAsync();
+  };
+
+  /**
+   * Play a clip, or stop it if it's the one playing
+   *
+   * @param {Object} clip - Clip tapped
+   */
+  const togglePlay = async (clip) => {
+    const wasPlaying = playingKey === clip.key;
+    await stop();
+    if (wasPlaying) return;
+
+    try {
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+      const uri = openClip ? await openClip(clip) : clip.uri;
+      const { sound } = await Audio.Sound.createAsync({ uri }, { shouldPlay: true });
+      soundRef.current = sound;
+      setPlayingKey(clip.key);
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (!status.isLoaded || soundRef.current !== sound) return;
+        setPositionMs(status.positionMillis);
+        if (status.didJustFinish) stop();
+      });
+    } catch (error) {
+      console.error('Failed to play voice memo:', error);
+      Alert.alert('Playback Error', 'This voice memo could not be played.');
+    }
+  };
+
+  const handleDelete = async (clip) => {
+    if (playingKey === clip.key) await stop();
+    onDelete(clip.key);
+  };
+
+  return (
+    <View style={styles.list}>
+      {clips.map((clip, index) => {
+        const isPlaying = playingKey === clip.key;
+        const isAvailable = clip.available !== false;
+        const progress = isPlaying && clip.durationMs > 0 ? Math.min(1, positionMs / clip.durationMs) : 0;
+        const PlayIcon = isPlaying ? Pause : Play;
+
+        return (
+          <View key={clip.key} style={styles.clip}>
+            <TouchableOpacity
+              style={[styles.playButton, !isAvailable && styles.playButtonDisabled]}
+              onPress={() => togglePlay(clip)}
+              disabled={!isAvailable}
+              activeOpacity={0.7}
+            >
+              {isAvailable ? <PlayIcon size={16} color="#FFFFFF" /> : <MicOff size={16} color="#6B7280" />}
+            </TouchableOpacity>
+
+            <View style={styles.clipContent}>
+              <View style={styles.clipHeader}>
+                <Text style={styles.clipTitle}>Voice memo {index + 1}</Text>
+                <Text style={styles.clipTime}>
+                  {isPlaying ? `${formatDuration(positionMs)} / ` : ''}{formatDuration(clip.durationMs)}
+                </Text>
+              </View>
+              {isAvailable ? (
+                <View style={styles.track}>
+                  <View style={[styles.trackFill, { width: `${progress * 100}%` }]} />
+                </View>
+              ) : (
+                <Text style={styles.unavailable}>Audio was recorded on another device</Text>
+              )}
+            </View>
+
+            {onDelete && (
+              <TouchableOpacity onPress={() => handleDelete(clip)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                <Trash2 size={16} color="#9CA3AF" />
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  list: {
+    gap: 8,
+  },
+  clip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 12,
+  },
+  playButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#8B5CF6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  playButtonDisabled: {
+    backgroundColor: '#3A3A3A',
+  },
+  clipContent: {
+    flex: 1,
+  },
+  clipHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  clipTitle: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  clipTime: {
+    color: '#9CA3AF',
+    fontSize: 12,
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#3A3A3A',
+    overflow: 'hidden',
+  },
+  trackFill: {
+    height: 4,
+    backgroundColor: '#A78BFA',
+  },
+  unavailable: {
+    color: '#6B7280',
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,132 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { Mic, Square } from 'lucide-react-native';
+import { Audio } from 'expo-av';
+import VoiceMemoList from './VoiceMemoList';
+import { formatDuration, keepRecording, openRecording, discardRecordings } from '../storage/VoiceMemos';
+
+/**
+ * Voice Memo Recorder Component
+ *
+ * Records audio clips for a dream that hasn't been saved yet. Finished clips
+ * wait in the pending folder, kept with the draft, until the dream is saved,
+ * when attachRecordings moves them into the memo folder. Deleting a clip
+ * removes its file.
+ *
+ * @param {Array<Object>} recordings - Finished clips as { key, uri, durationMs, recordedAt }
+ * @param {Function} onChange - Called with the updated clips
+ * @returns {JSX.Element} Recorder with the list of clips
+ */
+export default function VoiceMemoRecorder({ recordings, onChange }) {
+  const recordingRef = useRef(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+
+  // A clip still recording when the screen goes away is thrown out
+  useEffect(() => () => {
+    const recording = recordingRef.current;
+    recordingRef.current = null;
+    if (recording) {
+      recording.stopAndUnloadAsync()
+        .then(() => discardRecordings([{ uri: recording.getURI() }]))
+        .catch(() => {});
+    }
+  }, []);
+
+  const startRecording = async () => {
+    try {
+      const { status } = await Audio.requestPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Microphone Access', 'Allow microphone access in Settings to record voice memos.');
+        return;
+      }
+
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+      const { recording } = await Audio.Recording.createAsync(
+        Audio.RecordingOptionsPresets.HIGH_QUALITY,
+        (status) => setElapsedMs(status.durationMillis || 0),
+        250
+      );
+      recordingRef.current = recording;
+      setElapsedMs(0);
+      setIsRecording(true);
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      Alert.alert('Recording Error', 'Could not start recording. Please try again.');
+    }
+  };
+
+  const stopRecording = async () => {
+    const recording = recordingRef.current;
+    recordingRef.current = null;
+    setIsRecording(false);
+    if (!recording) return;
+
+    try {
+      await recording.stopAndUnloadAsync();
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+      const status = await recording.getStatusAsync();
+      const uri = await keepRecording(recording.getURI());
+      onChange([...recordings, {
+        key: uri,
+        uri,
+        durationMs: status.durationMillis || elapsedMs,
+        recordedAt: new Date().toISOString(),
+      }]);
+    } catch (error) {
+      console.error('Failed to stop recording:', error);
+      Alert.alert('Recording Error', 'The voice memo could not be saved.');
+    }
+  };
+
+  const deleteRecording = async (key) => {
+    const removed = recordings.filter(recording => recording.key === key);
+    onChange(recordings.filter(recording => recording.key !== key));
+    await discardRecordings(removed).catch(error => console.error('Failed to delete recording:', error));
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.recordButton, isRecording && styles.recordButtonActive]}
+        onPress={isRecording ? stopRecording : startRecording}
+        activeOpacity={0.8}
+      >
+        {isRecording ? <Square size={16} color="#FFFFFF" fill="#FFFFFF" /> : <Mic size={16} color="#FFFFFF" />}
+        <Text style={styles.recordText}>
+          {isRecording ? `Stop (${formatDuration(elapsedMs)})` : 'Record Voice Memo'}
+        </Text>
+      </TouchableOpacity>
+
+      {recordings.length > 0 && (
+        <VoiceMemoList clips={recordings} onDelete={deleteRecording} openClip={openRecording} />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 12,
+  },
+  recordButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+  },
+  recordButtonActive: {
+    backgroundColor: '#EF4444',
+    borderColor: '#EF4444',
+  },
+  recordText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
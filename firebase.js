@@ -1,5 +1,6 @@
 import { initializeApp } from 'firebase/app';
 import { getAuth, OAuthProvider, signInWithCredential } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 import Constants from 'expo-constants';
 
 // Your Firebase configuration
@@ -19,6 +20,16 @@ const app = initializeApp(firebaseConfig);
 // Initialize Firebase Authentication and get a reference to the service
 export const auth = getAuth(app);
 
+// Initialize Cloud Firestore for dream sync
+export const db = getFirestore(app);
+
+// Point Firestore at a local emulator when one is configured (e.g. "localhost:8080")
+const firestoreEmulatorHost = process.env.EXPO_PUBLIC_FIRESTORE_EMULATOR_HOST;
+if (firestoreEmulatorHost) {
+  const [host, port] = firestoreEmulatorHost.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+}
+
 // Initialize Apple OAuth Provider with proper configuration
 export const appleProvider = new OAuthProvider('apple.com');
 appleProvider.addScope('email');
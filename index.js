@@ -1,3 +1,5 @@
+// Must load before anything that generates keys (see storage/DreamCrypto.js)
+import 'react-native-get-random-values';
 import { registerRootComponent } from 'expo';
 
 import App from './App';
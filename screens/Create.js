@@ -6,7 +6,11 @@
  * 
  * - Text input for dream content with real-time validation
  * - Speech-to-text functionality for hands-free input
+ * - Voice memos recorded and attached to the dream
  * - AI-powered mood analysis using Gemini API
+ * - Free-form tags with autocomplete from the rest of the journal
+ * - Backdating: the night dreamed defaults to last night before noon
+ * - Drafts saved as you type, with several named drafts to resume later
  * - Swipe navigation between tabs
  * - Smooth animations and transitions
  * - Auto-save with timestamp and metadata
@@ -16,10 +20,9 @@
  * @since 2024
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { View, TextInput, StyleSheet, Alert, Text, TouchableOpacity, ScrollView, KeyboardAvoidingView, Platform, SafeAreaView, Dimensions } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { PenTool, Save, Undo } from 'lucide-react-native';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { View, TextInput, StyleSheet, Alert, Text, TouchableOpacity, ScrollView, KeyboardAvoidingView, Platform, SafeAreaView, Dimensions, AppState } from 'react-native';
+import { PenTool, Save, Undo, Brush, X, FilePlus, FileText } from 'lucide-react-native';
 import Animated, { 
   FadeIn,
   useSharedValue,
@@ -36,9 +39,33 @@ import SaveDreamModal from '../components/SaveDreamModal';
 import SuccessModal from '../components/SuccessModal';
 import ErrorModal from '../components/ErrorModal';
 import SpeechToText from '../components/SpeechToText';
-import { generateMoodTag, rewriteDream } from '../apis/GeminiAPI';
+import TagInput from '../components/TagInput';
+import DreamDetailsForm from '../components/DreamDetailsForm';
+import VoiceMemoRecorder from '../components/VoiceMemoRecorder';
+import SketchImage from '../components/SketchImage';
+import { generateMoodTag, rewriteDream } from '../apis/AIProviders';
 import Header from '../components/Header';
 import { useFocusEffect } from '@react-navigation/native';
+import { addDream, getDreams } from '../storage/DreamRepository';
+import { createDreamId } from '../storage/DreamIds';
+import { addRevision } from '../storage/RevisionHistory';
+import { getTagCounts } from '../storage/Tags';
+import { normalizeMoods, getDreamMoods, hasMoods } from '../storage/Moods';
+import { requestAIQueueRun } from '../storage/AIQueue';
+import { getDreamDetails, getDefaultNight } from '../storage/DreamDetails';
+import { attachRecordings } from '../storage/VoiceMemos';
+import { attachSketches, discardSketches } from '../storage/Sketches';
+import { findPendingFiles } from '../storage/Attachments';
+import {
+  DRAFT_SAVE_DELAY_MS,
+  getDrafts,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  getDraftName,
+  hasDraftContent,
+  subscribeToDrafts,
+} from '../storage/Drafts';
 
 /**
  * Create Screen Component
@@ -47,16 +74,31 @@ import { useFocusEffect } from '@react-navigation/native';
  * Handles text input, speech recognition, mood analysis, and dream storage.
  * 
  * @param {Object} navigation - React Navigation object for screen transitions
+ * @param {Object} route - Route whose params carry a sketch finished on the Sketch screen,
+ *   or the id of a draft to open
  * @returns {JSX.Element} Create screen with input forms and controls
  */
-export default function Create({ navigation }) {
+export default function Create({ navigation, route }) {
   // Core state for dream creation
   const [body, setBody] = useState('');
   const [title, setTitle] = useState('');
+  const [tags, setTags] = useState([]);
+  const [details, setDetails] = useState(() => ({ nightOf: getDefaultNight() }));
+  // Voice memo clips waiting to be attached when the dream is saved
+  const [recordings, setRecordings] = useState([]);
+  // Sketches drawn for this dream, also attached on save
+  const [sketches, setSketches] = useState([]);
+  // Draft being written (null until the first autosave) and its optional name
+  const [draftId, setDraftId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [drafts, setDrafts] = useState([]);
+  const [resumeDismissed, setResumeDismissed] = useState(false);
+  const [tagCounts, setTagCounts] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
-  const [savedMood, setSavedMood] = useState('');
+  const [savedMoods, setSavedMoods] = useState([]);
   const [generatedMood, setGeneratedMood] = useState('');
+  const [isTaggingMood, setIsTaggingMood] = useState(false);
   const [isRewriting, setIsRewriting] = useState(false);
   const [rewrittenText, setRewrittenText] = useState('');
   const [originalText, setOriginalText] = useState('');
@@ -154,9 +196,188 @@ export default function Create({ navigation }) {
           buttonOpacity.value = withTiming(1, { duration: 600 });
         }
       });
+
+      // Existing tags for autocomplete
+      getDreams().then(dreams => setTagCounts(getTagCounts(dreams)));
     }, []) // Remove body dependency to prevent re-triggering on every keystroke
   );
 
+  // Autosave bookkeeping lives in refs so timers and app state events see current values
+  const draftIdRef = useRef(null);
+  const pendingDraftRef = useRef(null);
+  const savedSnapshotRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const savingRef = useRef(Promise.resolve());
+  // Bumped whenever the editor is emptied, so a save still in flight can't re-attach its draft
+  const editorGenerationRef = useRef(0);
+  // Mood request for the open save modal; answers to any earlier one are ignored
+  const moodRequestRef = useRef(null);
+
+  /**
+   * Write the latest editor contents to the current draft
+   * Empty editors don't make drafts, and emptying one discards its draft
+   *
+   * @returns {Promise<void>}
+   */
+  const flushDraft = () => {
+    clearTimeout(saveTimerRef.current);
+    const draft = pendingDraftRef.current;
+    pendingDraftRef.current = null;
+    if (!draft) return savingRef.current;
+    const generation = editorGenerationRef.current;
+
+    savingRef.current = savingRef.current.then(async () => {
+      const id = draftIdRef.current;
+      const snapshot = JSON.stringify({ ...draft, id });
+      if (snapshot === savedSnapshotRef.current) return;
+
+      try {
+        if (!hasDraftContent(draft)) {
+          if (id) await deleteDraft(id);
+          if (generation !== editorGenerationRef.current) return;
+          draftIdRef.current = null;
+          setDraftId(null);
+        } else {
+          const saved = await saveDraft({ ...draft, id });
+          if (generation !== editorGenerationRef.current) return;
+          draftIdRef.current = saved.id;
+          setDraftId(saved.id);
+        }
+        savedSnapshotRef.current = JSON.stringify({ ...draft, id: draftIdRef.current });
+      } catch (error) {
+        console.error('Failed to save draft:', error);
+      }
+    });
+    return savingRef.current;
+  };
+
+  /**
+   * Empty the editor, leaving any draft it held in the drafts list
+   * Its voice memos and sketches stay with that draft
+   */
+  const resetEditor = () => {
+    editorGenerationRef.current += 1;
+    clearTimeout(saveTimerRef.current);
+    pendingDraftRef.current = null;
+    draftIdRef.current = null;
+    savedSnapshotRef.current = null;
+    setDraftId(null);
+    setDraftName('');
+    setBody('');
+    setTitle('');
+    setTags([]);
+    setDetails({ nightOf: getDefaultNight() });
+    setRecordings([]);
+    setSketches([]);
+    moodRequestRef.current = null;
+    setGeneratedMood('');
+    setIsTaggingMood(false);
+    setHasBeenImproved(false);
+    setOriginalText('');
+    setRewrittenText('');
+  };
+
+  /**
+   * Load a draft into the editor, saving the one being written first
+   *
+   * @param {string} id - Draft to open
+   */
+  const openDraft = async (id) => {
+    await flushDraft();
+    const draft = await getDraft(id).catch(error => {
+      console.error('Failed to open draft:', error);
+      return null;
+    });
+    if (!draft) {
+      Alert.alert('Draft Not Found', 'This draft was already saved or discarded.');
+      return;
+    }
+
+    const fields = {
+      name: (draft.name || '').trim(),
+      title: draft.title || '',
+      text: draft.text || '',
+      tags: Array.isArray(draft.tags) ? draft.tags : [],
+      details: draft.details || { nightOf: getDefaultNight() },
+      recordings: await findPendingFiles(draft.recordings),
+      sketches: await findPendingFiles(draft.sketches),
+    };
+    resetEditor();
+    // Opening a draft isn't an edit, so it shouldn't be saved again
+    savedSnapshotRef.current = JSON.stringify({ ...fields, id: draft.id });
+    draftIdRef.current = draft.id;
+    setDraftId(draft.id);
+    setDraftName(fields.name);
+    setBody(fields.text);
+    setTitle(fields.title);
+    setTags(fields.tags);
+    setDetails(fields.details);
+    setRecordings(fields.recordings);
+    setSketches(fields.sketches);
+  };
+
+  /**
+   * Put the current draft aside and start a new one
+   */
+  const startNewDraft = async () => {
+    await flushDraft();
+    resetEditor();
+    setResumeDismissed(true);
+  };
+
+  // Save a little after the last change
+  useEffect(() => {
+    pendingDraftRef.current = { name: draftName.trim(), title, text: body, tags, details, recordings, sketches };
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+  }, [body, title, tags, details, draftName, recordings, sketches]);
+
+  // Save straight away when the app is backgrounded, since it may not come back
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') flushDraft();
+    });
+    const unsubscribeDrafts = subscribeToDrafts(setDrafts);
+    return () => {
+      subscription.remove();
+      unsubscribeDrafts();
+      flushDraft();
+    };
+  }, []);
+
+  // Save when leaving the screen; offer the latest draft again when coming back
+  useFocusEffect(
+    useCallback(() => {
+      setResumeDismissed(false);
+      getDrafts().then(setDrafts).catch(error => console.error('Failed to load drafts:', error));
+      return () => {
+        flushDraft();
+      };
+    }, [])
+  );
+
+  // Open a draft chosen on Home
+  useEffect(() => {
+    const id = route.params?.draftId;
+    if (!id) return;
+    navigation.setParams({ draftId: undefined });
+    if (id !== draftIdRef.current) openDraft(id);
+  }, [route.params?.draftId]);
+
+  // Pick up a sketch handed back by the Sketch screen
+  useEffect(() => {
+    const sketch = route.params?.sketch;
+    if (!sketch) return;
+    setSketches(current => (current.some(item => item.key === sketch.key) ? current : [...current, sketch]));
+    navigation.setParams({ sketch: undefined });
+  }, [route.params?.sketch]);
+
+  const removeSketch = (key) => {
+    const removed = sketches.filter(sketch => sketch.key === key);
+    setSketches(sketches.filter(sketch => sketch.key !== key));
+    discardSketches(removed).catch(error => console.error('Failed to delete sketch:', error));
+  };
+
   /**
    * Handle button visibility when text content changes
    * Shows/hides save button based on whether there's content to save
@@ -186,40 +407,38 @@ export default function Create({ navigation }) {
   }, [body]);
 
   /**
-   * Sort dreams by timestamp in descending order (newest first)
-   * Handles cases where timestamp might be missing
-   * 
-   * @param {Array} dreamsArray - Array of dream objects to sort
-   * @returns {Array} Sorted array of dreams
+   * Handle dream submission with AI mood analysis
+   * Opens the save modal straight away and makes a single attempt at the mood
+   * tag meanwhile. If it hasn't arrived by the time the dream is saved, or the
+   * AI can't be reached, the dream is saved without a mood and tagged later.
    */
-  const sortDreamsByTimestamp = (dreamsArray) => {
-    return dreamsArray.sort((a, b) => {
-      const timestampA = new Date(a.timestamp || 0);
-      const timestampB = new Date(b.timestamp || 0);
-      return timestampB - timestampA;
-    });
+  const handleSubmit = () => {
+    if (!body.trim()) return;
+
+    const request = {};
+    moodRequestRef.current = request;
+    setGeneratedMood('');
+    setIsTaggingMood(true);
+    setShowModal(true);
+
+    generateMoodTag(body, 0)
+      .then(mood => {
+        if (moodRequestRef.current === request) setGeneratedMood(mood);
+      })
+      .catch(err => console.error('Failed to get mood from AI, queueing it for later:', err))
+      .finally(() => {
+        if (moodRequestRef.current === request) setIsTaggingMood(false);
+      });
   };
 
   /**
-   * Handle dream submission with AI mood analysis
-   * Generates mood tag using Gemini API before showing save modal
+   * Close the save modal, ignoring any mood still on its way
    */
-  const handleSubmit = async () => {
-    if (!body.trim()) return;
-    
-    // Generate mood before showing modal
-    let mood = 'Neutral'; // Default to Neutral
-    try {
-      console.log('Generating mood for dream:', body.substring(0, 100) + '...');
-      mood = await generateMoodTag(body);
-      console.log('Generated mood:', mood);
-    } catch (err) {
-      console.error('Failed to get mood from AI:', err);
-      // Keep the default 'Neutral' mood
-    }
-    
-    setGeneratedMood(mood);
-    setShowModal(true);
+  const handleCancelSave = () => {
+    moodRequestRef.current = null;
+    setShowModal(false);
+    setGeneratedMood('');
+    setIsTaggingMood(false);
   };
 
   /**
@@ -268,37 +487,62 @@ export default function Create({ navigation }) {
   };
 
   /**
-   * Save dream to AsyncStorage with metadata
+   * Save dream to the journal with metadata
    * Creates new dream object with timestamp and AI-generated mood
-   * Maintains sorted order in storage
+   * The timestamp records when it was written down; nightOf is the night it was dreamed
    */
   const saveDream = async () => {
     if (!title.trim()) return;
 
     const newDream = {
-      id: Date.now(),
+      id: createDreamId(),
       title: title.trim(),
       text: body,
-      mood: generatedMood,
+      moods: normalizeMoods(generatedMood),
       timestamp: new Date().toISOString(),
     };
+    // No mood means the AI couldn't be reached or hasn't answered yet; the queue tags it
+    if (newDream.moods.length === 0) {
+      newDream.pendingAnalysis = ['mood'];
+    }
+    if (tags.length > 0) {
+      newDream.tags = tags;
+    }
+    Object.assign(newDream, getDreamDetails({ timestamp: newDream.timestamp, ...details }));
+
+    // Keep the user's own wording in the history when the saved text is an AI rewrite
+    if (hasBeenImproved && body === rewrittenText) {
+      newDream.revisions = addRevision({ ...newDream, text: originalText }, { text: body }, {
+        source: 'rewrite',
+        savedAt: newDream.timestamp,
+      });
+    }
 
     try {
-      const existing = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      existing.push(newDream);
-      // Sort dreams by timestamp in descending order (newest first)
-      const sortedDreams = sortDreamsByTimestamp(existing);
-      await AsyncStorage.setItem('dreams', JSON.stringify(sortedDreams));
-      setBody('');
-      setTitle('');
+      const memos = await attachRecordings(recordings);
+      if (memos.length > 0) {
+        newDream.memos = memos;
+      }
+      const attachedSketches = await attachSketches(sketches);
+      if (attachedSketches.length > 0) {
+        newDream.sketches = attachedSketches;
+      }
+      await addDream(newDream);
+      if (newDream.pendingAnalysis) {
+        requestAIQueueRun();
+      }
+
+      // The dream is saved, so its draft goes - after any save still in flight
+      const savedDraftId = draftIdRef.current;
+      resetEditor();
+      await savingRef.current;
+      if (savedDraftId) {
+        await deleteDraft(savedDraftId).catch(error => console.error('Failed to remove draft:', error));
+      }
       setShowModal(false);
-      setGeneratedMood('');
-      setHasBeenImproved(false);
-      setOriginalText('');
-      setRewrittenText('');
       
       // Show success modal instead of alert
-      setSavedMood(generatedMood);
+      setSavedMoods(hasMoods(newDream) ? getDreamMoods(newDream) : []);
       setShowSuccessModal(true);
     } catch (err) {
       console.error('Error saving dream:', err);
@@ -336,6 +580,9 @@ export default function Create({ navigation }) {
     });
   };
 
+  const hasContent = hasDraftContent({ title, text: body, recordings, sketches });
+  const resumableDraft = !hasContent && !draftId && !resumeDismissed ? drafts[0] : null;
+
   return (
     <PanGestureHandler
       onGestureEvent={gestureHandler}
@@ -359,13 +606,50 @@ export default function Create({ navigation }) {
               <Header 
                 icon={PenTool}
                 title="Record Your Dream"
+                actionIcon={hasContent ? FilePlus : undefined}
+                onActionPress={hasContent ? startNewDraft : undefined}
               />
 
+              {/* Offer the latest draft when starting with an empty editor */}
+              {resumableDraft && (
+                <Animated.View style={[styles.resumeBanner, inputStyle]}>
+                  <FileText size={18} color="#A78BFA" />
+                  <View style={styles.resumeContent}>
+                    <Text style={styles.resumeTitle}>Resume draft?</Text>
+                    <Text style={styles.resumeName} numberOfLines={1}>
+                      {getDraftName(resumableDraft)}
+                      {drafts.length > 1 ? ` (+${drafts.length - 1} more on Home)` : ''}
+                    </Text>
+                  </View>
+                  <TouchableOpacity style={styles.resumeButton} onPress={() => openDraft(resumableDraft.id)} activeOpacity={0.8}>
+                    <Text style={styles.resumeButtonText}>Resume</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => setResumeDismissed(true)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                    <X size={16} color="#9CA3AF" />
+                  </TouchableOpacity>
+                </Animated.View>
+              )}
+
               {/* Dream Input */}
               <Animated.View style={[styles.inputContainer, inputStyle]}>
                 <View style={styles.inputHeader}>
                   <Text style={styles.inputLabel}>Describe your dream</Text>
                 </View>
+                {hasContent && (
+                  <View style={styles.draftRow}>
+                    <FileText size={14} color="#6B7280" />
+                    <TextInput
+                      placeholder={getDraftName({ title, text: body })}
+                      placeholderTextColor="#6B7280"
+                      value={draftName}
+                      onChangeText={setDraftName}
+                      style={styles.draftNameInput}
+                      keyboardAppearance="dark"
+                      maxLength={60}
+                    />
+                    <Text style={styles.draftStatus}>{draftId ? 'Draft saved' : 'Draft'}</Text>
+                  </View>
+                )}
                 <TextInput
                   placeholder="Write down every detail you remember from your dream..."
                   placeholderTextColor="#6B7280"
@@ -384,6 +668,53 @@ export default function Create({ navigation }) {
                 <SpeechToText />
               </Animated.View>
 
+              {/* Voice Memos */}
+              <Animated.View style={[styles.tagContainer, inputStyle]}>
+                <Text style={styles.inputLabel}>Voice Memos</Text>
+                <VoiceMemoRecorder recordings={recordings} onChange={setRecordings} />
+              </Animated.View>
+
+              {/* Sketches */}
+              <Animated.View style={[styles.tagContainer, inputStyle]}>
+                <Text style={styles.inputLabel}>Sketches</Text>
+                {sketches.length > 0 && (
+                  <View style={styles.sketchRow}>
+                    {sketches.map(sketch => (
+                      <View key={sketch.key}>
+                        <SketchImage sketch={sketch} width={72} height={72} compact />
+                        <TouchableOpacity
+                          style={styles.sketchRemove}
+                          onPress={() => removeSketch(sketch.key)}
+                          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                        >
+                          <X size={12} color="#FFFFFF" />
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </View>
+                )}
+                <TouchableOpacity
+                  style={styles.sketchButton}
+                  onPress={() => navigation.navigate('Sketch')}
+                  activeOpacity={0.8}
+                >
+                  <Brush size={16} color="#FFFFFF" />
+                  <Text style={styles.sketchButtonText}>Draw a Sketch</Text>
+                </TouchableOpacity>
+              </Animated.View>
+
+              {/* Tags */}
+              <Animated.View style={[styles.tagContainer, inputStyle]}>
+                <Text style={styles.inputLabel}>Tags</Text>
+                <TagInput tags={tags} onChange={setTags} tagCounts={tagCounts} />
+              </Animated.View>
+
+              {/* Details */}
+              <Animated.View style={[styles.tagContainer, inputStyle]}>
+                <Text style={styles.inputLabel}>Details</Text>
+                <DreamDetailsForm values={details} onChange={setDetails} />
+              </Animated.View>
+
               {/* Action Buttons */}
               {body.trim() && (
                 <Animated.View style={[styles.buttonContainer, buttonStyle]}>
@@ -429,16 +760,14 @@ export default function Create({ navigation }) {
           titleValue={title}
           onTitleChange={setTitle}
           onSave={saveDream}
-          onCancel={() => {
-            setShowModal(false);
-            setGeneratedMood('');
-          }}
+          onCancel={handleCancelSave}
           mood={generatedMood}
+          isTaggingMood={isTaggingMood}
         />
 
         <SuccessModal
           visible={showSuccessModal}
-          mood={savedMood}
+          moods={savedMoods}
           onClose={() => setShowSuccessModal(false)}
         />
 
@@ -484,9 +813,108 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 4,
   },
+  sketchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  sketchRemove: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sketchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+  },
+  sketchButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  tagContainer: {
+    marginHorizontal: 20,
+    marginTop: -4,
+    marginBottom: 20,
+    backgroundColor: '#1A1A1A',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 20,
+    gap: 12,
+  },
   inputHeader: {
     marginBottom: 12,
   },
+  draftRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2A2A2A',
+  },
+  draftNameInput: {
+    flex: 1,
+    color: '#D1D5DB',
+    fontSize: 13,
+    paddingVertical: 0,
+  },
+  draftStatus: {
+    color: '#6B7280',
+    fontSize: 12,
+  },
+  resumeBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginHorizontal: 20,
+    marginTop: 16,
+    backgroundColor: '#1A1A1A',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#8B5CF6',
+    padding: 14,
+  },
+  resumeContent: {
+    flex: 1,
+  },
+  resumeTitle: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  resumeName: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  resumeButton: {
+    backgroundColor: '#8B5CF6',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  resumeButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
   inputLabel: {
     color: '#FFFFFF',
     fontSize: 16,
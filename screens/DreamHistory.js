@@ -0,0 +1,281 @@
+/**
+ * Dream History Screen
+ *
+ * Shows every saved version of a dream, newest first. Opening a version
+ * shows a word-level diff against the version before it, and any earlier
+ * version can be restored as the current one.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { ArrowLeft, History, RotateCcw, ChevronDown, ChevronUp } from 'lucide-react-native';
+import Header from '../components/Header';
+import { getDream, subscribe } from '../storage/DreamRepository';
+import { getRevisions, restoreRevision, diffWords, REVISION_SOURCES } from '../storage/RevisionHistory';
+import { getMoodEntries, isSameMoods } from '../storage/Moods';
+
+/**
+ * Render a diff as inline text with additions and removals highlighted
+ *
+ * @param {Array} parts - Output of diffWords
+ * @param {Object} style - Base text style
+ * @returns {JSX.Element} Text element
+ */
+const DiffText = ({ parts, style }) => (
+  <Text style={style}>
+    {parts.map((part, index) => (
+      <Text
+        key={index}
+        style={part.type === 'added' ? styles.added : part.type === 'removed' ? styles.removed : null}
+      >
+        {part.text}
+      </Text>
+    ))}
+  </Text>
+);
+
+export default function DreamHistory({ route, navigation }) {
+  const { id } = route?.params || {};
+  const [dream, setDream] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const loadDream = async () => {
+    try {
+      setDream(await getDream(id));
+    } catch (error) {
+      console.error('Failed to load dream history:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadDream();
+    return subscribe(() => {
+      loadDream();
+    });
+  }, [id]);
+
+  const revisions = dream ? getRevisions(dream) : [];
+  const currentIndex = revisions.length - 1;
+
+  /**
+   * Ask before making an earlier version current
+   *
+   * @param {number} index - Position of the revision
+   */
+  const handleRestore = (index) => {
+    Alert.alert(
+      'Restore This Version?',
+      'The current version stays in the history, so you can switch back at any time.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            try {
+              await restoreRevision(id, index);
+              setExpanded(null);
+            } catch (error) {
+              Alert.alert('Restore Error', error.message || 'Failed to restore this version.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Moods with their intensities, e.g. 'Scary 4, Strange 2'
+  const describeMoods = (revision) => {
+    const entries = getMoodEntries(revision);
+    return entries.length > 0 ? entries.map(({ mood, intensity }) => `${mood} ${intensity}`).join(', ') : 'None';
+  };
+
+  const renderChanges = (revision, previous) => {
+    if (!previous) {
+      return <Text style={styles.revisionText}>{revision.text}</Text>;
+    }
+
+    return (
+      <>
+        {revision.title !== previous.title && (
+          <DiffText parts={diffWords(previous.title, revision.title)} style={styles.revisionTitleDiff} />
+        )}
+        {!isSameMoods(getMoodEntries(revision), getMoodEntries(previous)) && (
+          <Text style={styles.moodChange}>
+            Mood: {describeMoods(previous)} → {describeMoods(revision)}
+          </Text>
+        )}
+        {revision.text === previous.text
+          ? <Text style={styles.unchanged}>Text unchanged</Text>
+          : <DiffText parts={diffWords(previous.text, revision.text)} style={styles.revisionText} />}
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={History}
+        title="Dream History"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {dream && (
+          <Text style={styles.sectionLabel}>
+            {revisions.length} version{revisions.length === 1 ? '' : 's'} of "{dream.title}"
+          </Text>
+        )}
+
+        {revisions.map((revision, index) => ({ revision, index })).reverse().map(({ revision, index }) => {
+          const isOpen = expanded === index;
+          const Chevron = isOpen ? ChevronUp : ChevronDown;
+          return (
+            <View key={index} style={[styles.revision, index === currentIndex && styles.revisionCurrent]}>
+              <TouchableOpacity
+                style={styles.revisionHeader}
+                onPress={() => setExpanded(isOpen ? null : index)}
+                activeOpacity={0.8}
+              >
+                <View style={styles.revisionHeaderContent}>
+                  <Text style={styles.revisionSource}>
+                    {REVISION_SOURCES[revision.source] || REVISION_SOURCES.edit}
+                    {index === currentIndex ? ' · Current' : ''}
+                  </Text>
+                  <Text style={styles.revisionDate}>
+                    {revision.savedAt ? new Date(revision.savedAt).toLocaleString() : 'Unknown date'}
+                  </Text>
+                  <Text style={styles.revisionTitle} numberOfLines={1}>{revision.title}</Text>
+                </View>
+                <Chevron size={18} color="#6B7280" />
+              </TouchableOpacity>
+
+              {isOpen && (
+                <View style={styles.revisionBody}>
+                  {renderChanges(revision, revisions[index - 1])}
+                  {index !== currentIndex && (
+                    <TouchableOpacity
+                      style={styles.restoreButton}
+                      onPress={() => handleRestore(index)}
+                      activeOpacity={0.8}
+                    >
+                      <RotateCcw size={14} color="#FFFFFF" />
+                      <Text style={styles.restoreButtonText}>Restore This Version</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  revision: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+  },
+  revisionCurrent: {
+    borderColor: '#8B5CF6',
+  },
+  revisionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    gap: 12,
+  },
+  revisionHeaderContent: {
+    flex: 1,
+  },
+  revisionSource: {
+    color: '#A855F7',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  revisionDate: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  revisionTitle: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  revisionBody: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+    gap: 10,
+  },
+  revisionTitleDiff: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  revisionText: {
+    color: '#D1D5DB',
+    fontSize: 14,
+    lineHeight: 21,
+  },
+  moodChange: {
+    color: '#9CA3AF',
+    fontSize: 13,
+  },
+  unchanged: {
+    color: '#6B7280',
+    fontSize: 13,
+    fontStyle: 'italic',
+  },
+  added: {
+    color: '#10B981',
+    backgroundColor: '#10B98120',
+  },
+  removed: {
+    color: '#EF4444',
+    backgroundColor: '#EF444420',
+    textDecorationLine: 'line-through',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#8B5CF6',
+    borderRadius: 8,
+    paddingVertical: 10,
+    gap: 6,
+  },
+  restoreButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
@@ -1,12 +1,22 @@
 import React, { useEffect, useState, useRef, useCallback } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, Animated } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Eye, Tag, Calendar, Clock, Brain, ArrowLeft, Hash, RefreshCw } from 'lucide-react-native';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, Animated, useWindowDimensions } from 'react-native';
+import { Eye, Tag, Calendar, Clock, Brain, ArrowLeft, Hash, RefreshCw, History, Star, Mic, Brush, Plus, X, Check } from 'lucide-react-native';
 import ReAnimated, { FadeInDown, FadeInUp, useSharedValue, useAnimatedStyle, withRepeat, withTiming, withSequence, withDelay, FadeIn } from 'react-native-reanimated';
-import { analyzeDream } from '../apis/GeminiAPI';
+import { streamDreamAnalysis } from '../apis/AIProviders';
 import Header from '../components/Header';
 import ErrorModal from '../components/ErrorModal';
+import VoiceMemoList from '../components/VoiceMemoList';
+import SketchImage from '../components/SketchImage';
+import AnalysisDetails from '../components/AnalysisDetails';
 import { useFocusEffect } from '@react-navigation/native';
+import { getDream, getDreams, updateDream, subscribe } from '../storage/DreamRepository';
+import { getDreamTags } from '../storage/Tags';
+import { getMoodEntries, MAX_INTENSITY } from '../storage/Moods';
+import { getDetailBadges, getNightDate } from '../storage/DreamDetails';
+import { getDreamMemos, openMemo, isMemoAvailable } from '../storage/VoiceMemos';
+import { getDreamSketches } from '../storage/Sketches';
+import { getPendingKinds, queueAIJobs, clearPending } from '../storage/AIQueue';
+import { toAnalysisFields, getAnalysisDetails } from '../storage/DreamAnalysis';
 // import DreamSceneryViewer from '../components/DreamSceneryViewer';
 
 // Simple animated thinking component using React Native's built-in Animated API
@@ -56,6 +66,9 @@ const SimpleAnimatedThinking = () => {
   );
 };
 
+// Added to analysis errors once the dream is queued for analysis
+const QUEUED_ANALYSIS_MESSAGE = 'It will be generated automatically once you\'re back online.';
+
 export default function DreamView({ route, navigation }) {
   const { id, showAnalysis } = route?.params || {};
   const [dream, setDream] = useState(null);
@@ -67,6 +80,9 @@ export default function DreamView({ route, navigation }) {
   const [analysisError, setAnalysisError] = useState(false); // New state for tracking analysis errors
   const [showErrorModal, setShowErrorModal] = useState(false); // New state for showing error modal
   const [errorModalData, setErrorModalData] = useState({ title: '', message: '', onRetry: null }); // Error modal data
+  const [streamingText, setStreamingText] = useState(null); // Analysis so far while it streams in
+  const [partialAnalysis, setPartialAnalysis] = useState(null); // { text, message, isNew } left by a stopped analysis
+  const analysisAbortRef = useRef(null);
   const scrollViewRef = useRef(null);
 
 
@@ -77,15 +93,6 @@ export default function DreamView({ route, navigation }) {
   const metadataOpacity = useSharedValue(0);
   const analysisOpacity = useSharedValue(0);
 
-  // Helper function to sort dreams by timestamp (newest first)
-  const sortDreamsByTimestamp = (dreamsArray) => {
-    return dreamsArray.sort((a, b) => {
-      const timestampA = new Date(a.timestamp || 0);
-      const timestampB = new Date(b.timestamp || 0);
-      return timestampB - timestampA;
-    });
-  };
-
   // Animated styles for staggered elements
   const titleStyle = useAnimatedStyle(() => ({
     opacity: titleOpacity.value,
@@ -131,8 +138,7 @@ export default function DreamView({ route, navigation }) {
 
     (async () => {
       try {
-        const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-        const found = dreams.find(d => d.id === id);
+        const found = await getDream(id);
         if (found) {
           setDream(found);
           
@@ -159,6 +165,14 @@ export default function DreamView({ route, navigation }) {
     })();
   }, [id]);
 
+  // Show analyses and moods the AI queue fills in while the dream is open
+  useEffect(() => {
+    if (!id) return undefined;
+    return subscribe(({ type, dream: changed }) => {
+      if (type === 'update' && changed?.id === id) setDream(changed);
+    });
+  }, [id]);
+
   // Check for edits whenever dream data changes
   useEffect(() => {
     if (dream && originalDreamText !== null) {
@@ -178,8 +192,7 @@ export default function DreamView({ route, navigation }) {
 
   const loadDreamAndCheckEdits = async () => {
     try {
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      const found = dreams.find(d => d.id === id);
+      const found = await getDream(id);
       if (found) {
         setDream(found);
         
@@ -209,8 +222,7 @@ export default function DreamView({ route, navigation }) {
 
   const checkIfDreamWasEdited = async () => {
     try {
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      const found = dreams.find(d => d.id === id);
+      const found = await getDream(id);
       if (found) {
         // Check if dream was edited using the wasEdited flag
         if (found.wasEdited && found.analysis) {
@@ -247,9 +259,9 @@ export default function DreamView({ route, navigation }) {
     return colors[mood] || '#6B7280';
   };
 
-  const formatDate = (timestamp) => {
-    if (!timestamp) return '';
-    const date = new Date(timestamp);
+  const formatNight = (dream) => {
+    const date = getNightDate(dream);
+    if (!date) return '';
     return date.toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
@@ -258,127 +270,159 @@ export default function DreamView({ route, navigation }) {
     });
   };
 
-  const formatTime = (timestamp) => {
+  // When the dream was written down, which can be a day or more after the night
+  const formatRecorded = (timestamp) => {
     if (!timestamp) return '';
     const date = new Date(timestamp);
-    return date.toLocaleTimeString('en-US', {
+    return date.toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
     });
   };
 
-  const renderMoodTags = (mood) => {
-    if (!mood) return null;
-    
-    const moods = mood.split(', ');
+  // Each mood with its intensity; the primary mood comes first and is starred
+  const renderMoodTags = (entries) => {
+    if (entries.length === 0) return null;
     
     return (
       <View style={styles.moodTagsContainer}>
-        {moods.map((singleMood, index) => (
+        {entries.map(({ mood, intensity }, index) => (
           <View 
-            key={index}
+            key={mood}
             style={[
               styles.moodTag, 
               { 
-                backgroundColor: getMoodColor(singleMood),
-                marginRight: index < moods.length - 1 ? 8 : 0
+                backgroundColor: getMoodColor(mood),
+                marginRight: index < entries.length - 1 ? 8 : 0
               }
             ]}
           >
-            <Text style={styles.moodTagText}>{singleMood}</Text>
+            {index === 0 && entries.length > 1 && <Star size={10} color="#FFFFFF" fill="#FFFFFF" />}
+            <Text style={styles.moodTagText}>{mood} {intensity}/{MAX_INTENSITY}</Text>
           </View>
         ))}
       </View>
     );
   };
 
-  const generateAnalysis = async () => {
+  // Hand a failed analysis to the AI queue so it runs once the connection is back
+  const queueAnalysis = () => {
+    queueAIJobs([dream.id], 'analysis').catch(error => console.error('Failed to queue analysis:', error));
+  };
+
+  // Stop a running analysis when leaving the screen
+  useEffect(() => () => analysisAbortRef.current?.abort(), []);
+
+  // Save an analysis's fields; a new analysis also clears the edited flag
+  const saveAnalysis = async (analysisFields, isNew) => {
+    const fields = isNew ? { ...analysisFields, wasEdited: false } : analysisFields;
+    setDream(current => ({ ...current, ...fields }));
+    if (isNew) setHasBeenEdited(false);
+
+    await updateDream(dream.id, current => ({ ...fields, pendingAnalysis: clearPending(current, 'analysis') }));
+
+    // Scroll to analysis
+    setTimeout(() => {
+      scrollViewRef.current?.scrollToEnd({ animated: true });
+    }, 300);
+  };
+
+  // Stream an analysis onto the screen as it's written, saving it once it's complete
+  const runAnalysis = async (isNew) => {
     if (!dream || !dream.text) return;
-    
-    console.log('Starting analysis generation...');
+
+    const controller = new AbortController();
+    analysisAbortRef.current = controller;
     setLoading(true);
     setAnalysisError(false); // Clear any previous errors
+    setPartialAnalysis(null);
+    setStreamingText('');
     try {
       // Get dream history for context
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      console.log('Calling analyzeDream...');
-      const analysisText = await analyzeDream(dream.text, dreams);
-      console.log('Analysis result:', analysisText);
-      
-      // Update the dream with analysis
-      const updatedDream = { ...dream, analysis: analysisText };
-      setDream(updatedDream);
-      
-      // Save to storage with sorting by timestamp (newest first)
-      const updatedDreams = dreams.map(d => d.id === dream.id ? updatedDream : d);
-      const sortedDreams = sortDreamsByTimestamp(updatedDreams);
-      await AsyncStorage.setItem('dreams', JSON.stringify(sortedDreams));
-      
-      // Scroll to analysis
-      setTimeout(() => {
-        scrollViewRef.current?.scrollToEnd({ animated: true });
-      }, 300);
-      
+      const dreams = await getDreams();
+      const analysis = await streamDreamAnalysis(dream.text, dreams, {
+        onText: setStreamingText,
+        signal: controller.signal,
+      });
+      await saveAnalysis(toAnalysisFields(analysis), isNew);
     } catch (err) {
+      if (err.cancelled) {
+        // Offer what was written before the user stopped it
+        if (err.partialText) {
+          setPartialAnalysis({ text: err.partialText, message: 'You stopped the analysis here.', isNew });
+        }
+        return;
+      }
+
       console.error('Failed to get dream analysis:', err);
-      console.log('Setting error modal data...');
+      queueAnalysis();
+      if (err.partialText) {
+        // The stream dropped partway; keep what arrived on screen rather than losing it
+        setPartialAnalysis({ text: err.partialText, message: `${err.message} ${QUEUED_ANALYSIS_MESSAGE}`, isNew });
+        return;
+      }
       setAnalysisError(true);
       setErrorModalData({
         title: 'Analysis Failed',
-        message: err.message || 'Failed to analyze dream. Please try again.',
-        onRetry: generateAnalysis
+        message: `${err.message || 'Failed to analyze dream.'} ${QUEUED_ANALYSIS_MESSAGE}`,
+        onRetry: () => runAnalysis(isNew)
       });
-      console.log('Setting showErrorModal to true...');
       setShowErrorModal(true);
-      console.log('Error modal should now be visible');
     } finally {
+      analysisAbortRef.current = null;
+      setStreamingText(null);
       setLoading(false);
     }
   };
 
-  const generateNewAnalysis = async () => {
-    if (!dream || !dream.text) return;
-    
-    setLoading(true);
-    setAnalysisError(false); // Clear any previous errors
+  const generateAnalysis = () => runAnalysis(false);
+  const generateNewAnalysis = () => runAnalysis(true);
+
+  const cancelAnalysis = () => analysisAbortRef.current?.abort();
+
+  // Save the part of an analysis that arrived before it stopped; it's only a summary, without sections
+  const keepPartialAnalysis = async () => {
+    const { text, isNew } = partialAnalysis;
+    setPartialAnalysis(null);
     try {
-      // Get dream history for context
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      const analysisText = await analyzeDream(dream.text, dreams);
-      
-      // Update the dream with new analysis and clear the wasEdited flag
-      const updatedDream = { 
-        ...dream, 
-        analysis: analysisText,
-        wasEdited: false // Clear the edited flag after generating new analysis
-      };
-      setDream(updatedDream);
-      setHasBeenEdited(false); // Hide the button after generating new analysis
-      
-      // Save to storage with sorting by timestamp (newest first)
-      const updatedDreams = dreams.map(d => d.id === dream.id ? updatedDream : d);
-      const sortedDreams = sortDreamsByTimestamp(updatedDreams);
-      await AsyncStorage.setItem('dreams', JSON.stringify(sortedDreams));
-      
-      // Scroll to analysis
-      setTimeout(() => {
-        scrollViewRef.current?.scrollToEnd({ animated: true });
-      }, 300);
-      
+      await saveAnalysis({ analysis: text, analysisDetails: null }, isNew);
     } catch (err) {
-      console.error('Failed to get new dream analysis:', err);
-      setAnalysisError(true);
-      setErrorModalData({
-        title: 'Analysis Failed',
-        message: err.message || 'Failed to generate new analysis. Please try again.',
-        onRetry: generateNewAnalysis
-      });
-      setShowErrorModal(true);
-    } finally {
-      setLoading(false);
+      console.error('Failed to save partial analysis:', err);
     }
   };
 
+  // Analysis handed to the AI queue after a failed attempt
+  const isAnalysisQueued = getPendingKinds(dream).includes('analysis');
+
+  // Sketches fill the width of the content card (screen and card margins plus padding)
+  const { width: windowWidth } = useWindowDimensions();
+  const sketchWidth = windowWidth - 82;
+
+  // Voice memos with whether their audio is on this device
+  const [memoClips, setMemoClips] = useState([]);
+  useEffect(() => {
+    const memos = dream ? getDreamMemos(dream) : [];
+    let cancelled = false;
+    Promise.all(memos.map(async memo => {
+      const available = await isMemoAvailable(memo);
+      return {
+        key: memo.id || memo.file,
+        uri: available ? await openMemo(memo) : null,
+        durationMs: memo.durationMs,
+        available,
+      };
+    }))
+      .then(clips => {
+        if (!cancelled) setMemoClips(clips);
+      })
+      .catch(error => console.error('Failed to load voice memos:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [dream]);
+
   // Debug logging for error modal state
   useEffect(() => {
     console.log('Error modal state changed - showErrorModal:', showErrorModal, 'errorModalData:', errorModalData);
@@ -415,6 +459,8 @@ export default function DreamView({ route, navigation }) {
             title="Dream Details"
             backIcon={ArrowLeft}
             onBackPress={() => navigation.goBack()}
+            actionIcon={History}
+            onActionPress={() => navigation.navigate('DreamHistory', { id: dream.id })}
           />
 
           {/* Dream Content */}
@@ -440,7 +486,7 @@ export default function DreamView({ route, navigation }) {
                   </View>
                   <View style={styles.metadataContent}>
                     <Text style={styles.metadataLabel}>Mood</Text>
-                    {renderMoodTags(dream.mood)}
+                    {renderMoodTags(getMoodEntries(dream))}
                   </View>
                 </View>
 
@@ -449,8 +495,8 @@ export default function DreamView({ route, navigation }) {
                     <Calendar size={16} color="#8B5CF6" />
                   </View>
                   <View style={styles.metadataContent}>
-                    <Text style={styles.metadataLabel}>Date</Text>
-                    <Text style={styles.metadataValue}>{formatDate(dream.timestamp)}</Text>
+                    <Text style={styles.metadataLabel}>Dreamed On</Text>
+                    <Text style={styles.metadataValue}>{formatNight(dream)}</Text>
                   </View>
                 </View>
               </View>
@@ -461,8 +507,8 @@ export default function DreamView({ route, navigation }) {
                     <Clock size={16} color="#8B5CF6" />
                   </View>
                   <View style={styles.metadataContent}>
-                    <Text style={styles.metadataLabel}>Time</Text>
-                    <Text style={styles.metadataValue}>{formatTime(dream.timestamp)}</Text>
+                    <Text style={styles.metadataLabel}>Recorded</Text>
+                    <Text style={styles.metadataValue}>{formatRecorded(dream.timestamp)}</Text>
                   </View>
                 </View>
 
@@ -472,10 +518,60 @@ export default function DreamView({ route, navigation }) {
                   </View>
                   <View style={styles.metadataContent}>
                     <Text style={styles.metadataLabel}>ID</Text>
-                    <Text style={styles.metadataValue}>#{dream.id}</Text>
+                    <Text style={styles.metadataValue}>#{String(dream.id).slice(0, 8)}</Text>
                   </View>
                 </View>
               </View>
+
+              {getDetailBadges(dream).length > 0 && (
+                <View style={styles.tagList}>
+                  {getDetailBadges(dream).map(({ key, label }) => (
+                    <View key={key} style={[styles.tag, styles.detailBadge]}>
+                      <Text style={styles.detailBadgeText}>{label}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+
+              {getDreamTags(dream).length > 0 && (
+                <View style={styles.tagList}>
+                  {getDreamTags(dream).map(tag => (
+                    <View key={tag} style={styles.tag}>
+                      <Text style={styles.tagText}>#{tag}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+
+              {memoClips.length > 0 && (
+                <View style={styles.memoSection}>
+                  <View style={styles.memoHeader}>
+                    <Mic size={14} color="#8B5CF6" />
+                    <Text style={styles.memoTitle}>Voice Memos</Text>
+                  </View>
+                  <VoiceMemoList clips={memoClips} />
+                </View>
+              )}
+
+              <View style={styles.memoSection}>
+                <View style={styles.memoHeader}>
+                  <Brush size={14} color="#8B5CF6" />
+                  <Text style={styles.memoTitle}>Sketches</Text>
+                  <TouchableOpacity
+                    style={styles.addSketchButton}
+                    onPress={() => navigation.navigate('Sketch', { dreamId: dream.id })}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Plus size={14} color="#A78BFA" />
+                    <Text style={styles.addSketchText}>Add</Text>
+                  </TouchableOpacity>
+                </View>
+                {getDreamSketches(dream).map(sketch => (
+                  <View key={sketch.id || sketch.file} style={styles.sketch}>
+                    <SketchImage sketch={sketch} width={sketchWidth} />
+                  </View>
+                ))}
+              </View>
             </ReAnimated.View>
           </ReAnimated.View>
 
@@ -488,10 +584,53 @@ export default function DreamView({ route, navigation }) {
               </View>
             </View>
 
-            {!dream.analysis ? (
+            {streamingText !== null ? (
+              <View style={styles.analysisContent}>
+                {streamingText ? (
+                  <Text style={styles.analysisText}>{streamingText}</Text>
+                ) : (
+                  <View style={[styles.analyzeButton, styles.analyzeButtonDisabled]}>
+                    <SimpleAnimatedThinking />
+                  </View>
+                )}
+                <TouchableOpacity
+                  style={styles.cancelAnalysisButton}
+                  onPress={cancelAnalysis}
+                  activeOpacity={0.8}
+                >
+                  <X size={14} color="#9CA3AF" />
+                  <Text style={styles.cancelAnalysisText}>Cancel</Text>
+                </TouchableOpacity>
+              </View>
+            ) : partialAnalysis ? (
+              <View style={styles.analysisContent}>
+                <Text style={styles.analysisText}>{partialAnalysis.text}</Text>
+                <Text style={styles.analysisQueuedText}>{partialAnalysis.message}</Text>
+                <View style={styles.partialActions}>
+                  <TouchableOpacity style={styles.analyzeButton} onPress={keepPartialAnalysis} activeOpacity={0.8}>
+                    <Check size={14} color="#FFFFFF" />
+                    <Text style={styles.analyzeButtonText}>Keep</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.newAnalysisButton}
+                    onPress={() => runAnalysis(partialAnalysis.isNew)}
+                    activeOpacity={0.8}
+                  >
+                    <RefreshCw size={14} color="#FFFFFF" />
+                    <Text style={styles.newAnalysisButtonText}>Try Again</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.cancelAnalysisButton} onPress={() => setPartialAnalysis(null)} activeOpacity={0.8}>
+                    <X size={14} color="#9CA3AF" />
+                    <Text style={styles.cancelAnalysisText}>Discard</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : !dream.analysis ? (
               <View style={styles.analysisContent}>
                 <Text style={styles.analysisPlaceholder}>
-                  Get AI-powered insights about your dream by generating an analysis.
+                  {isAnalysisQueued
+                    ? 'Waiting to analyze this dream once you\'re back online. You can also try again now.'
+                    : 'Get AI-powered insights about your dream by generating an analysis.'}
                 </Text>
                 
                 <TouchableOpacity 
@@ -500,19 +639,19 @@ export default function DreamView({ route, navigation }) {
                   disabled={loading}
                   activeOpacity={0.8}
                 >
-                  {loading ? (
-                    <SimpleAnimatedThinking />
-                  ) : (
-                    <>
-                      <Brain size={14} color="#FFFFFF" />
-                      <Text style={styles.analyzeButtonText}>Generate Analysis</Text>
-                    </>
-                  )}
+                  <Brain size={14} color="#FFFFFF" />
+                  <Text style={styles.analyzeButtonText}>Generate Analysis</Text>
                 </TouchableOpacity>
               </View>
             ) : (
               <View style={styles.analysisContent}>
                 <Text style={styles.analysisText}>{dream.analysis}</Text>
+                <AnalysisDetails details={getAnalysisDetails(dream)} />
+                {isAnalysisQueued && (
+                  <Text style={styles.analysisQueuedText}>
+                    A new analysis will be generated once you're back online.
+                  </Text>
+                )}
                 
 
                 
@@ -525,14 +664,8 @@ export default function DreamView({ route, navigation }) {
                       disabled={loading}
                       activeOpacity={0.8}
                     >
-                      {loading ? (
-                        <SimpleAnimatedThinking />
-                      ) : (
-                        <>
-                          <RefreshCw size={14} color="#FFFFFF" />
-                          <Text style={styles.newAnalysisButtonText}>Generate New Analysis</Text>
-                        </>
-                      )}
+                      <RefreshCw size={14} color="#FFFFFF" />
+                      <Text style={styles.newAnalysisButtonText}>Generate New Analysis</Text>
                     </TouchableOpacity>
                   </View>
                 )}
@@ -645,11 +778,70 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 4,
+  },
+  tag: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(139, 92, 246, 0.15)',
+    borderWidth: 1,
+    borderColor: 'rgba(139, 92, 246, 0.4)',
+  },
+  detailBadge: {
+    backgroundColor: '#2A2A2A',
+    borderColor: '#3A3A3A',
+  },
+  detailBadgeText: {
+    color: '#E5E7EB',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  tagText: {
+    color: '#C4B5FD',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  memoSection: {
+    marginTop: 16,
+  },
+  memoHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  memoTitle: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  addSketchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginLeft: 'auto',
+  },
+  addSketchText: {
+    color: '#A78BFA',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  sketch: {
+    marginBottom: 8,
+  },
   moodTagsContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
   moodTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 12,
@@ -773,6 +965,12 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     fontWeight: '400',
   },
+  analysisQueuedText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 12,
+  },
   analysisPlaceholder: {
     color: '#9CA3AF',
     fontSize: 16,
@@ -782,6 +980,27 @@ const styles = StyleSheet.create({
   analysisContent: {
     gap: 16,
   },
+  cancelAnalysisButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#374151',
+    alignSelf: 'flex-start',
+  },
+  cancelAnalysisText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  partialActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
 
 
   thinkingContainer: {
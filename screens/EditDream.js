@@ -4,7 +4,9 @@
  * This screen allows users to edit existing dream entries including:
  * - Dream title
  * - Dream content/text
- * - Mood tag selection
+ * - Mood selection with intensities and a primary mood
+ * - Tags
+ * - Details such as lucidity, vividness and sleep quality
  * 
  * Features:
  * - Consistent design with other app screens
@@ -19,9 +21,8 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from '@react-navigation/native';
-import { Save, Heart, Frown, Meh, Zap, AlertTriangle, ArrowLeft, Undo } from 'lucide-react-native';
+import { Save, ArrowLeft, Undo } from 'lucide-react-native';
 import Animated, { 
   FadeIn,
   FadeInUp,
@@ -32,14 +33,25 @@ import Animated, {
 import Header from '../components/Header';
 import EditSuccessModal from '../components/EditSuccessModal';
 import ErrorModal from '../components/ErrorModal';
-import { rewriteDream } from '../apis/GeminiAPI';
+import TagInput from '../components/TagInput';
+import MoodPicker from '../components/MoodPicker';
+import DreamDetailsForm from '../components/DreamDetailsForm';
+import { rewriteDream } from '../apis/AIProviders';
+import { getDream, getDreams } from '../storage/DreamRepository';
+import { saveDreamEdit } from '../storage/RevisionHistory';
+import { getDreamTags, getTagCounts } from '../storage/Tags';
+import { getMoodEntries, toMoodChanges } from '../storage/Moods';
+import { getDreamDetails, toDetailChanges } from '../storage/DreamDetails';
 
 export default function EditDream({ route, navigation }) {
   const { id } = route?.params || {};
   const [dream, setDream] = useState(null);
   const [title, setTitle] = useState('');
   const [text, setText] = useState('');
-  const [selectedMood, setSelectedMood] = useState('Neutral');
+  const [moods, setMoods] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [details, setDetails] = useState({});
+  const [tagCounts, setTagCounts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
@@ -56,15 +68,6 @@ export default function EditDream({ route, navigation }) {
   const moodOpacity = useSharedValue(0);
   const buttonOpacity = useSharedValue(0);
 
-  // Available mood options
-  const moodOptions = [
-    { key: 'Joyful', label: 'Joyful', icon: Heart, color: '#10B981' },
-    { key: 'Sad', label: 'Sad', icon: Frown, color: '#3B82F6' },
-    { key: 'Neutral', label: 'Neutral', icon: Meh, color: '#6B7280' },
-    { key: 'Strange', label: 'Strange', icon: Zap, color: '#F59E0B' },
-    { key: 'Scary', label: 'Scary', icon: AlertTriangle, color: '#EF4444' },
-  ];
-
   // Animated styles for staggered elements
   const titleStyle = useAnimatedStyle(() => ({
     opacity: titleOpacity.value,
@@ -121,19 +124,22 @@ export default function EditDream({ route, navigation }) {
   }, [text]);
 
   /**
-   * Load dream data from AsyncStorage
+   * Load dream data from the repository
    */
   const loadDream = async () => {
     try {
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-      const found = dreams.find(d => d.id === id);
+      const found = await getDream(id);
       
       if (found) {
         setDream(found);
         setTitle(found.title || '');
         setText(found.text || '');
-        setSelectedMood(found.mood || 'Neutral');
+        // Untagged dreams open with nothing picked so a pending AI mood still runs
+        setMoods(getMoodEntries(found));
+        setTags(getDreamTags(found));
+        setDetails(getDreamDetails(found));
         setError(null);
+        setTagCounts(getTagCounts(await getDreams()));
       } else {
         setError('Dream not found');
       }
@@ -144,7 +150,7 @@ export default function EditDream({ route, navigation }) {
   };
 
   /**
-   * Save edited dream to AsyncStorage
+   * Save edited dream to the repository
    */
   const handleSave = async () => {
     if (!title.trim()) {
@@ -159,23 +165,18 @@ export default function EditDream({ route, navigation }) {
 
     setLoading(true);
     try {
-      const dreams = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-              const updatedDreams = dreams.map(d => 
-          d.id === id 
-            ? { 
-                ...d, 
-                title: title.trim(), 
-                text: text.trim(), 
-                mood: selectedMood,
-                lastEdited: new Date().toISOString(), // Add timestamp for when dream was last edited
-                wasEdited: true // Add flag to indicate dream was edited
-              }
-            : d
-        );
-
-      // Sort dreams by timestamp in descending order (newest first)
-      const sortedDreams = sortDreamsByTimestamp(updatedDreams);
-      await AsyncStorage.setItem('dreams', JSON.stringify(sortedDreams));
+      // The previous version and any text replaced by an AI rewrite go into the revision history
+      await saveDreamEdit(id, {
+        title: title.trim(),
+        text: text.trim(),
+        ...toMoodChanges(moods),
+        tags,
+        ...toDetailChanges(details),
+        lastEdited: new Date().toISOString(), // Add timestamp for when dream was last edited
+        wasEdited: true // Add flag to indicate dream was edited
+      }, hasBeenImproved
+        ? { source: 'rewrite', rewrittenFrom: originalText.trim() }
+        : { source: 'edit' });
       
       setShowSuccessModal(true);
     } catch (err) {
@@ -186,17 +187,6 @@ export default function EditDream({ route, navigation }) {
     }
   };
 
-  /**
-   * Helper function to sort dreams by timestamp (newest first)
-   */
-  const sortDreamsByTimestamp = (dreamsArray) => {
-    return dreamsArray.sort((a, b) => {
-      const timestampA = new Date(a.timestamp || 0);
-      const timestampB = new Date(b.timestamp || 0);
-      return timestampB - timestampA;
-    });
-  };
-
   /**
    * Handle AI rewrite of dream content
    * Uses AI to improve grammar and writing quality while preserving all details
@@ -242,43 +232,6 @@ export default function EditDream({ route, navigation }) {
     setRewrittenText('');
   };
 
-  /**
-   * Render mood selection buttons
-   */
-  const renderMoodOptions = () => {
-    return (
-      <View style={styles.moodOptionsContainer}>
-        {moodOptions.map((mood) => {
-          const MoodIcon = mood.icon;
-          const isSelected = selectedMood === mood.key;
-          
-          return (
-            <TouchableOpacity
-              key={mood.key}
-              style={[
-                styles.moodOption,
-                isSelected && { backgroundColor: mood.color }
-              ]}
-              onPress={() => setSelectedMood(mood.key)}
-              activeOpacity={0.7}
-            >
-              <MoodIcon 
-                size={16} 
-                color={isSelected ? '#FFFFFF' : mood.color} 
-              />
-              <Text style={[
-                styles.moodOptionText,
-                isSelected && styles.moodOptionTextSelected
-              ]}>
-                {mood.label}
-              </Text>
-            </TouchableOpacity>
-          );
-        })}
-      </View>
-    );
-  };
-
   if (error) {
     return (
       <View style={styles.errorContainer}>
@@ -395,8 +348,20 @@ export default function EditDream({ route, navigation }) {
 
             {/* Mood Section */}
             <Animated.View style={[styles.section, moodStyle]}>
-              <Text style={styles.label}>Dream Mood</Text>
-              {renderMoodOptions()}
+              <Text style={styles.label}>Dream Moods</Text>
+              <MoodPicker moods={moods} onChange={setMoods} />
+            </Animated.View>
+
+            {/* Tags Section */}
+            <Animated.View style={[styles.section, moodStyle]}>
+              <Text style={styles.label}>Tags</Text>
+              <TagInput tags={tags} onChange={setTags} tagCounts={tagCounts} />
+            </Animated.View>
+
+            {/* Details Section */}
+            <Animated.View style={[styles.section, moodStyle]}>
+              <Text style={styles.label}>Details</Text>
+              <DreamDetailsForm values={details} onChange={setDetails} />
             </Animated.View>
 
             {/* Save Button */}
@@ -423,7 +388,7 @@ export default function EditDream({ route, navigation }) {
       {/* Success Modal */}
       <EditSuccessModal
         visible={showSuccessModal}
-        mood={selectedMood}
+        moods={moods.map(entry => entry.mood)}
         onClose={() => {
           setShowSuccessModal(false);
           navigation.goBack();
@@ -510,32 +475,6 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginTop: 4,
   },
-  moodOptionsContainer: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
-    gap: 8,
-  },
-  moodOption: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingHorizontal: 12,
-    paddingVertical: 8,
-    borderRadius: 20,
-    borderWidth: 1,
-    borderColor: '#3A3A3A',
-    backgroundColor: '#2A2A2A',
-    minWidth: 80,
-    justifyContent: 'center',
-  },
-  moodOptionText: {
-    color: '#9CA3AF',
-    fontSize: 14,
-    fontWeight: '500',
-    marginLeft: 6,
-  },
-  moodOptionTextSelected: {
-    color: '#FFFFFF',
-  },
   buttonContainer: {
     marginTop: 8,
   },
@@ -0,0 +1,346 @@
+/**
+ * Encryption Settings Screen
+ *
+ * Lets the user turn passphrase encryption on or off and change the
+ * passphrase. When encryption is turned on the recovery key is shown once,
+ * with a reminder that it's the only way back in if the passphrase is lost.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import { ArrowLeft, ShieldCheck, Lock, KeyRound } from 'lucide-react-native';
+import Header from '../components/Header';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptionEnabled,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+} from '../storage/Encryption';
+
+export default function EncryptionSettings({ navigation }) {
+  const [enabled, setEnabled] = useState(null);
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [recoveryKey, setRecoveryKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    isEncryptionEnabled()
+      .then(setEnabled)
+      .catch(error => console.error('Failed to load encryption status:', error));
+  }, []);
+
+  const clearForm = () => {
+    setCurrentPassphrase('');
+    setNewPassphrase('');
+    setConfirmPassphrase('');
+  };
+
+  /**
+   * Check the new passphrase fields before submitting
+   *
+   * @returns {boolean} True if the new passphrase can be used
+   */
+  const validateNewPassphrase = () => {
+    if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      Alert.alert('Error', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return false;
+    }
+    if (newPassphrase !== confirmPassphrase) {
+      Alert.alert('Error', 'Passphrases do not match.');
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Turn encryption on and show the recovery key
+   */
+  const handleEnable = async () => {
+    if (!validateNewPassphrase()) return;
+
+    setLoading(true);
+    try {
+      setRecoveryKey(await enableEncryption(newPassphrase));
+      setEnabled(true);
+      clearForm();
+    } catch (error) {
+      console.error('Failed to turn on encryption:', error);
+      Alert.alert('Encryption Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Replace the passphrase
+   */
+  const handleChangePassphrase = async () => {
+    if (!currentPassphrase) {
+      Alert.alert('Error', 'Please enter your current passphrase.');
+      return;
+    }
+    if (!validateNewPassphrase()) return;
+
+    setLoading(true);
+    try {
+      await changePassphrase(currentPassphrase, newPassphrase);
+      clearForm();
+      Alert.alert('Success', 'Passphrase updated successfully!');
+    } catch (error) {
+      Alert.alert('Passphrase Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Turn encryption off after confirming
+   */
+  const handleDisable = () => {
+    if (!currentPassphrase) {
+      Alert.alert('Error', 'Please enter your current passphrase.');
+      return;
+    }
+
+    Alert.alert(
+      'Turn Off Encryption',
+      'Your dreams will be stored without encryption on this device and in the cloud. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              await disableEncryption(currentPassphrase);
+              setEnabled(false);
+              clearForm();
+            } catch (error) {
+              Alert.alert('Encryption Error', error.message);
+            } finally {
+              setLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderInput = (placeholder, value, onChangeText) => (
+    <View style={styles.inputWrapper}>
+      <Lock size={16} color="#6B7280" style={styles.inputIcon} />
+      <TextInput
+        style={styles.input}
+        placeholder={placeholder}
+        placeholderTextColor="#6B7280"
+        value={value}
+        onChangeText={onChangeText}
+        secureTextEntry
+        autoCapitalize="none"
+      />
+    </View>
+  );
+
+  const renderContent = () => {
+    if (recoveryKey) {
+      return (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <KeyRound size={20} color="#F59E0B" />
+            <Text style={styles.sectionTitle}>Your Recovery Key</Text>
+          </View>
+          <Text style={styles.sectionDescription}>
+            Write this down and keep it somewhere safe. It's the only way to unlock your journal if you forget your passphrase, and it won't be shown again.
+          </Text>
+          <Text style={styles.recoveryKey} selectable>{recoveryKey}</Text>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.primaryButton]}
+            onPress={() => {
+              setRecoveryKey(null);
+              navigation.goBack();
+            }}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.actionButtonText}>I've Saved It</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (enabled === null) {
+      return null;
+    }
+
+    if (!enabled) {
+      return (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <ShieldCheck size={20} color="#06D6A0" />
+            <Text style={styles.sectionTitle}>Turn On Encryption</Text>
+          </View>
+          <Text style={styles.sectionDescription}>
+            Dream titles, text and analyses will be encrypted with a passphrase only you know, on this device and in the cloud. Nobody can reset it for you.
+          </Text>
+          {renderInput('New passphrase', newPassphrase, setNewPassphrase)}
+          {renderInput('Confirm passphrase', confirmPassphrase, setConfirmPassphrase)}
+          <TouchableOpacity
+            style={[styles.actionButton, styles.primaryButton]}
+            onPress={handleEnable}
+            disabled={loading}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.actionButtonText}>{loading ? 'Encrypting...' : 'Turn On Encryption'}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <ShieldCheck size={20} color="#06D6A0" />
+          <Text style={styles.sectionTitle}>Encryption Is On</Text>
+        </View>
+        <Text style={styles.sectionDescription}>
+          Enter your current passphrase to change it or to turn encryption off.
+        </Text>
+        {renderInput('Current passphrase', currentPassphrase, setCurrentPassphrase)}
+        {renderInput('New passphrase', newPassphrase, setNewPassphrase)}
+        {renderInput('Confirm new passphrase', confirmPassphrase, setConfirmPassphrase)}
+        <TouchableOpacity
+          style={[styles.actionButton, styles.primaryButton, styles.stackedButton]}
+          onPress={handleChangePassphrase}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.actionButtonText}>Change Passphrase</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.dangerButton]}
+          onPress={handleDisable}
+          disabled={loading}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.actionButtonText}>Turn Off Encryption</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        icon={ShieldCheck}
+        title="Encryption"
+        backIcon={recoveryKey ? null : ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {renderContent()}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+  },
+  section: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 20,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  sectionDescription: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#374151',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginBottom: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
+  recoveryKey: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '700',
+    letterSpacing: 1,
+    textAlign: 'center',
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    paddingVertical: 16,
+    marginBottom: 16,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 12,
+    gap: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#8B5CF6',
+  },
+  dangerButton: {
+    backgroundColor: '#EF4444',
+  },
+  stackedButton: {
+    marginBottom: 12,
+  },
+  actionButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,213 @@
+/**
+ * Export Screen
+ *
+ * Exports the journal as a JSON archive, Markdown files, CSV or PDF and
+ * hands the file to the share sheet. The export can cover the whole journal
+ * or only the dreams matching the search, mood and tag filter set on Home.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { ArrowLeft, Download, Check, Filter, BookOpen } from 'lucide-react-native';
+import Header from '../components/Header';
+import { getDreams, filterDreams, getHomeFilter, isFilterActive } from '../storage/DreamRepository';
+import { EXPORT_FORMATS, exportDreams } from '../storage/JournalExport';
+
+/**
+ * Describe a Home filter in a short sentence
+ *
+ * @param {Object} filter - { query, mood, tag }
+ * @returns {string} Description such as 'mood Sad, tag #beach, matching "ocean"'
+ */
+const describeFilter = ({ query, mood, tag }) => {
+  const parts = [];
+  if (mood !== 'all') parts.push(`mood ${mood}`);
+  if (tag) parts.push(`tag #${tag}`);
+  if (query.trim()) parts.push(`matching "${query.trim()}"`);
+  return parts.join(', ');
+};
+
+export default function Export({ navigation }) {
+  const [dreams, setDreams] = useState([]);
+  const [scope, setScope] = useState('all');
+  const [format, setFormat] = useState('json');
+  const [exporting, setExporting] = useState(false);
+
+  const homeFilter = getHomeFilter();
+  const hasFilter = isFilterActive(homeFilter);
+  const filteredDreams = hasFilter ? filterDreams(dreams, homeFilter) : dreams;
+  const selectedDreams = scope === 'filtered' ? filteredDreams : dreams;
+
+  useEffect(() => {
+    getDreams()
+      .then(setDreams)
+      .catch(error => console.error('Failed to load dreams for export:', error));
+  }, []);
+
+  /**
+   * Build the export and open the share sheet
+   */
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await exportDreams({
+        format,
+        dreams: selectedDreams,
+        filter: scope === 'filtered' ? homeFilter : null,
+      });
+    } catch (error) {
+      console.error('Export failed:', error);
+      Alert.alert('Export Error', error.message || 'Failed to export dreams. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderOption = ({ key, selected, onPress, icon: Icon, title, description }) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, selected && styles.optionSelected]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      {Icon && <Icon size={18} color={selected ? '#8B5CF6' : '#6B7280'} />}
+      <View style={styles.optionContent}>
+        <Text style={styles.optionTitle}>{title}</Text>
+        <Text style={styles.optionDescription}>{description}</Text>
+      </View>
+      {selected && <Check size={18} color="#8B5CF6" />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Download}
+        title="Export Dreams"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        <Text style={styles.sectionLabel}>Dreams</Text>
+        {renderOption({
+          key: 'all',
+          selected: scope === 'all',
+          onPress: () => setScope('all'),
+          icon: BookOpen,
+          title: 'Entire Journal',
+          description: `${dreams.length} dream${dreams.length === 1 ? '' : 's'}`,
+        })}
+        {hasFilter && renderOption({
+          key: 'filtered',
+          selected: scope === 'filtered',
+          onPress: () => setScope('filtered'),
+          icon: Filter,
+          title: 'Current Journal Filter',
+          description: `${filteredDreams.length} dream${filteredDreams.length === 1 ? '' : 's'} with ${describeFilter(homeFilter)}`,
+        })}
+
+        <Text style={styles.sectionLabel}>Format</Text>
+        {EXPORT_FORMATS.map(f => renderOption({
+          key: f.id,
+          selected: format === f.id,
+          onPress: () => setFormat(f.id),
+          title: f.label,
+          description: f.description,
+        }))}
+
+        <Text style={styles.note}>
+          Exported files contain your dreams as readable text, even if encryption is turned on.
+        </Text>
+
+        <TouchableOpacity
+          style={[styles.exportButton, (exporting || selectedDreams.length === 0) && styles.exportButtonDisabled]}
+          onPress={handleExport}
+          disabled={exporting || selectedDreams.length === 0}
+          activeOpacity={0.8}
+        >
+          <Download size={16} color="#FFFFFF" />
+          <Text style={styles.exportButtonText}>
+            {exporting ? 'Preparing...' : `Export ${selectedDreams.length} Dream${selectedDreams.length === 1 ? '' : 's'}`}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 16,
+    gap: 12,
+  },
+  optionSelected: {
+    borderColor: '#8B5CF6',
+  },
+  optionContent: {
+    flex: 1,
+  },
+  optionTitle: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  optionDescription: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  note: {
+    color: '#6B7280',
+    fontSize: 12,
+    lineHeight: 18,
+    marginTop: 10,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#8B5CF6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    gap: 8,
+    marginTop: 10,
+  },
+  exportButtonDisabled: {
+    opacity: 0.6,
+  },
+  exportButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
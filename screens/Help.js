@@ -1,9 +1,14 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { View, Text, TextInput, ScrollView, StyleSheet, TouchableOpacity, KeyboardAvoidingView, Platform, SafeAreaView, Dimensions, Keyboard, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { User, Send, Mail, Lock, LogOut, Trash2, Eye, EyeOff, Shield, HelpCircle, AlertTriangle } from 'lucide-react-native';
+import { User, Send, Mail, Lock, LogOut, Trash2, Eye, EyeOff, Shield, HelpCircle, AlertTriangle, Cloud, RefreshCw, GitMerge, ShieldCheck, Download, Upload, Hash, Sparkles, Gem } from 'lucide-react-native';
 import { signOut, updatePassword, deleteUser, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
-import { auth } from '../firebase';
+import { auth, db } from '../firebase';
+import { clearUserData } from '../storage/UserStorage';
+import { deleteUserAttachments } from '../storage/Attachments';
+import { getSyncState, syncNow, subscribeToSyncStatus, deleteCloudJournal } from '../storage/SyncEngine';
+import { createFirestoreRemote } from '../storage/FirestoreRemote';
+import { isEncryptionEnabled } from '../storage/Encryption';
+import { getAIProviders, getAIProviderId, setAIProviderId } from '../apis/AIProviders';
 import Animated, { 
   FadeInDown, 
   FadeInUp, 
@@ -34,6 +39,10 @@ export default function Account({ navigation }) {
   const [loading, setLoading] = useState(false);
   const [keyboardVisible, setKeyboardVisible] = useState(false);
   const [userEmail, setUserEmail] = useState('');
+  const [syncState, setSyncState] = useState({ conflicts: [], lastSyncedAt: null });
+  const [syncing, setSyncing] = useState(false);
+  const [encryptionEnabled, setEncryptionEnabled] = useState(false);
+  const [aiProvider, setAIProvider] = useState(null);
   const scrollRef = useRef();
 
   // Swipe navigation setup
@@ -117,9 +126,30 @@ export default function Account({ navigation }) {
       if (auth.currentUser) {
         setUserEmail(auth.currentUser.email || '');
       }
+
+      // Refresh encryption status after returning from its settings screen
+      isEncryptionEnabled()
+        .then(setEncryptionEnabled)
+        .catch(error => console.error('Failed to load encryption status:', error));
     }, [])
   );
 
+  // Load the chosen AI provider
+  useEffect(() => {
+    getAIProviderId()
+      .then(setAIProvider)
+      .catch(error => console.error('Failed to load AI provider:', error));
+  }, []);
+
+  // Keep the Cloud Sync section up to date with background syncs
+  useEffect(() => {
+    getSyncState()
+      .then(setSyncState)
+      .catch(error => console.error('Failed to load sync status:', error));
+
+    return subscribeToSyncStatus(setSyncState);
+  }, []);
+
   useEffect(() => {
     const keyboardWillShowListener = Keyboard.addListener(
       'keyboardWillShow',
@@ -168,6 +198,41 @@ export default function Account({ navigation }) {
     );
   };
 
+  /**
+   * Handle manual sync
+   */
+  const handleSyncNow = async () => {
+    setSyncing(true);
+    try {
+      const { conflicts } = await syncNow();
+      if (conflicts > 0) {
+        Alert.alert('Sync Complete', `${conflicts} dream${conflicts === 1 ? ' needs' : 's need'} your review.`);
+      }
+    } catch (error) {
+      console.error('Manual sync failed:', error);
+      Alert.alert('Sync Error', 'Could not reach the cloud. Your dreams are safe on this device and will sync when you\'re back online.');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  /**
+   * Switch every AI feature to another provider
+   *
+   * @param {string} id - Provider id
+   */
+  const handleAIProviderChange = async (id) => {
+    const previous = aiProvider;
+    setAIProvider(id);
+    try {
+      await setAIProviderId(id);
+    } catch (error) {
+      console.error('Failed to change AI provider:', error);
+      setAIProvider(previous);
+      Alert.alert('Error', 'Failed to change the AI provider.');
+    }
+  };
+
   /**
    * Handle password change
    */
@@ -252,11 +317,20 @@ export default function Account({ navigation }) {
                 throw new Error('No authenticated user found');
               }
 
+              // Remove the cloud copy first - once the account is gone it can't be reached
+              try {
+                await deleteCloudJournal(createFirestoreRemote(db));
+              } catch (error) {
+                throw new Error(`Couldn't delete your cloud journal, so your account was kept. ${error.message}`);
+              }
+
               // Delete user account
+              const uid = user.uid;
               await deleteUser(user);
               
-              // Clear local storage
-              await AsyncStorage.clear();
+              // Clear this user's local data, leaving other accounts on the device untouched
+              await clearUserData(uid);
+              await deleteUserAttachments(uid);
               
               Alert.alert('Account Deleted', 'Your account has been permanently deleted.');
               // Navigation will be handled by the auth state listener in App.js
@@ -433,6 +507,173 @@ export default function Account({ navigation }) {
                   </TouchableOpacity>
                 </View>
 
+                {/* Cloud Sync Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Cloud size={20} color="#06D6A0" />
+                    <Text style={styles.sectionTitle}>Cloud Sync</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    {syncState.lastSyncedAt
+                      ? `Last synced ${new Date(syncState.lastSyncedAt).toLocaleString()}`
+                      : 'Your dreams haven\'t been synced yet.'}
+                  </Text>
+                  {syncState.conflicts.length > 0 && (
+                    <TouchableOpacity 
+                      style={[styles.actionButton, styles.supportButton, styles.stackedButton]}
+                      onPress={() => navigation.navigate('SyncConflicts')}
+                      activeOpacity={0.8}
+                    >
+                      <GitMerge size={16} color="#FFFFFF" />
+                      <Text style={styles.actionButtonText}>
+                        Review {syncState.conflicts.length} Conflict{syncState.conflicts.length === 1 ? '' : 's'}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.syncButton]}
+                    onPress={handleSyncNow}
+                    disabled={syncing}
+                    activeOpacity={0.8}
+                  >
+                    <RefreshCw size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>{syncing ? 'Syncing...' : 'Sync Now'}</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* AI Provider Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Sparkles size={20} color="#A78BFA" />
+                    <Text style={styles.sectionTitle}>AI Provider</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    {getAIProviders().find(provider => provider.id === aiProvider)?.description
+                      || 'Choose which AI tags moods, analyzes and rewrites your dreams.'}
+                  </Text>
+                  <View style={styles.chipRow}>
+                    {getAIProviders().map(provider => (
+                      <TouchableOpacity
+                        key={provider.id}
+                        style={[styles.chip, aiProvider === provider.id && styles.chipSelected]}
+                        onPress={() => handleAIProviderChange(provider.id)}
+                        activeOpacity={0.8}
+                      >
+                        <Text style={[styles.chipText, aiProvider === provider.id && styles.chipTextSelected]}>
+                          {provider.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+
+                {/* Import & Export Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Download size={20} color="#3B82F6" />
+                    <Text style={styles.sectionTitle}>Import & Export</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    Bring in dreams from a JSON backup, a CSV spreadsheet or a text journal, or save your journal as JSON, Markdown, CSV or PDF.
+                  </Text>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.exportButton, styles.stackedButton]}
+                    onPress={() => navigation.navigate('Import')}
+                    activeOpacity={0.8}
+                  >
+                    <Upload size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Import Dreams</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.exportButton]}
+                    onPress={() => navigation.navigate('Export')}
+                    activeOpacity={0.8}
+                  >
+                    <Download size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Export Dreams</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* Tags Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Hash size={20} color="#A78BFA" />
+                    <Text style={styles.sectionTitle}>Tags</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    Rename, merge or delete the tags on your dreams.
+                  </Text>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.tagsButton]}
+                    onPress={() => navigation.navigate('Tags')}
+                    activeOpacity={0.8}
+                  >
+                    <Hash size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Manage Tags</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* Symbols Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Gem size={20} color="#06D6A0" />
+                    <Text style={styles.sectionTitle}>Symbols</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    See the symbols, themes, people and places that keep coming back in your analyzed dreams.
+                  </Text>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.symbolsButton]}
+                    onPress={() => navigation.navigate('Symbols')}
+                    activeOpacity={0.8}
+                  >
+                    <Gem size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Explore Symbols</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* Trash Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <Trash2 size={20} color="#9CA3AF" />
+                    <Text style={styles.sectionTitle}>Trash</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    Deleted dreams stay in the Trash for a while so you can restore them.
+                  </Text>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.trashButton]}
+                    onPress={() => navigation.navigate('Trash')}
+                    activeOpacity={0.8}
+                  >
+                    <Trash2 size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Open Trash</Text>
+                  </TouchableOpacity>
+                </View>
+
+                {/* Encryption Section */}
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <ShieldCheck size={20} color="#8B5CF6" />
+                    <Text style={styles.sectionTitle}>Encryption</Text>
+                  </View>
+                  <Text style={styles.sectionDescription}>
+                    {encryptionEnabled
+                      ? 'Your dreams are encrypted with your passphrase on this device and in the cloud.'
+                      : 'Protect your dreams with a passphrase only you know.'}
+                  </Text>
+                  <TouchableOpacity 
+                    style={[styles.actionButton, styles.primaryButton]}
+                    onPress={() => navigation.navigate('EncryptionSettings')}
+                    activeOpacity={0.8}
+                  >
+                    <Lock size={16} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>
+                      {encryptionEnabled ? 'Manage Encryption' : 'Set Up Encryption'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+
                 {/* Contact Support Section */}
                 <View style={styles.section}>
                   <View style={styles.sectionHeader}>
@@ -621,6 +862,49 @@ const styles = StyleSheet.create({
   supportButton: {
     backgroundColor: '#F59E0B',
   },
+  syncButton: {
+    backgroundColor: '#06D6A0',
+  },
+  exportButton: {
+    backgroundColor: '#3B82F6',
+  },
+  trashButton: {
+    backgroundColor: '#4B5563',
+  },
+  tagsButton: {
+    backgroundColor: '#7C3AED',
+  },
+  symbolsButton: {
+    backgroundColor: '#0D9488',
+  },
+  stackedButton: {
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    backgroundColor: '#1A1A1A',
+  },
+  chipSelected: {
+    borderColor: '#8B5CF6',
+    backgroundColor: '#2A2A2A',
+  },
+  chipText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
   dangerButton: {
     backgroundColor: '#EF4444',
   },
@@ -5,10 +5,13 @@
  * search, filter, and manage their recorded dreams. Features include:
  * 
  * - Swipe navigation between tabs (left/right gestures)
- * - Search functionality with real-time filtering
- * - Mood-based filtering system
+ * - Ranked full-text search with highlighted matches
+ * - Query language (mood:, after:, -word, "phrases", OR) with autocomplete
+ *   chips and syntax hints
+ * - Mood and tag filtering, and saved smart filters
  * - Smooth animations and transitions
- * - Dream editing and deletion capabilities
+ * - Dream editing and deletion (to the Trash, with undo)
+ * - Unsaved drafts to finish or discard
  * - Empty state handling
  * 
  * @author Cole Puls
@@ -16,11 +19,10 @@
  * @since 2024
  */
 
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { View, TextInput, FlatList, StyleSheet, Text, TouchableOpacity, ScrollView, Dimensions, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from '@react-navigation/native';
-import { Search, Moon, Trash2, Edit3, Plus } from 'lucide-react-native';
+import { Search, Moon, Trash2, Edit3, Plus, BookmarkPlus, Bookmark, AlertCircle, Hash, Settings2 } from 'lucide-react-native';
 import { signOut } from 'firebase/auth';
 import { auth } from '../firebase';
 import Animated, { 
@@ -37,6 +39,16 @@ import Animated, {
 import { PanGestureHandler, State } from 'react-native-gesture-handler';
 import DreamCard from '../components/Card';
 import Header from '../components/Header';
+import UndoSnackbar from '../components/UndoSnackbar';
+import SaveFilterModal from '../components/SaveFilterModal';
+import DraftList from '../components/DraftList';
+import { getDreams, trashDream, restoreDream, searchDreams, subscribe, setHomeFilter } from '../storage/DreamRepository';
+import { MOODS, getDreamMoods } from '../storage/Moods';
+import { getQuerySuggestions } from '../storage/SearchQuery';
+import { getSmartFilters, saveSmartFilter, deleteSmartFilter } from '../storage/SmartFilters';
+import { getTagCounts, tagKey } from '../storage/Tags';
+import { getAnalysisCounts } from '../storage/DreamAnalysis';
+import { getDrafts, deleteDraft, getDraftName, subscribeToDrafts } from '../storage/Drafts';
 
 /**
  * Home Screen Component
@@ -48,11 +60,17 @@ import Header from '../components/Header';
  * @param {Object} navigation - React Navigation object for screen transitions
  * @returns {JSX.Element} Home screen with dream list and controls
  */
-export default function Home({ navigation }) {
+export default function Home({ navigation, route }) {
   // Core state management for dreams and UI
   const [dreams, setDreams] = useState([]);
   const [query, setQuery] = useState('');
   const [selectedMood, setSelectedMood] = useState('all');
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [trashedDream, setTrashedDream] = useState(null);
+  const [searchFocused, setSearchFocused] = useState(false);
+  const [smartFilters, setSmartFilters] = useState([]);
+  const [showSaveFilter, setShowSaveFilter] = useState(false);
+  const [drafts, setDrafts] = useState([]);
 
   // Swipe navigation configuration
   const screenWidth = Dimensions.get('window').width;
@@ -132,31 +150,58 @@ export default function Home({ navigation }) {
     opacity: dreamListOpacity.value,
   }));
 
-  // Predefined mood options for consistent categorization
-  const allAvailableMoods = ['Joyful', 'Sad', 'Neutral', 'Strange', 'Scary'];
-
   // Extract unique moods from existing dreams for backward compatibility
   const uniqueMoodsFromDreams = [...new Set(dreams.flatMap(d => {
-    const moods = d.mood ? d.mood.split(', ') : ['Neutral'];
-    return moods.filter(mood => mood !== 'unknown');
+    return getDreamMoods(d).filter(mood => mood !== 'unknown');
   }))];
 
   // Combine predefined moods with any custom moods from existing dreams
-  const allMoods = [...new Set([...allAvailableMoods, ...uniqueMoodsFromDreams])];
+  const allMoods = [...new Set([...MOODS, ...uniqueMoodsFromDreams])];
 
   /**
-   * Filter dreams based on search query and selected mood
-   * Supports both title and content text search with case-insensitive matching
+   * Search dreams and filter by the selected mood
+   * Results are ranked by relevance; matched words are highlighted in the cards
    */
-  const filtered = dreams.filter(d => {
-    const matchesQuery = d.title.toLowerCase().includes(query.toLowerCase()) ||
-                        d.text.toLowerCase().includes(query.toLowerCase());
-    
-    const dreamMoods = d.mood ? d.mood.split(', ') : ['Neutral'];
-    const matchesMood = selectedMood === 'all' || dreamMoods.includes(selectedMood);
-    
-    return matchesQuery && matchesMood;
-  });
+  const { dreams: filtered, terms: highlightTerms, error: queryError } = useMemo(
+    () => searchDreams(dreams, { query, mood: selectedMood, tag: selectedTag }),
+    [dreams, query, selectedMood, selectedTag]
+  );
+
+  // Tags in the journal, most used first
+  const tagCounts = useMemo(() => getTagCounts(dreams), [dreams]);
+
+  // Symbols, themes and the rest named by structured analyses, most common first
+  const analysisNames = useMemo(() => Object.fromEntries(
+    ['symbols', 'themes', 'emotions', 'characters', 'settings']
+      .map(field => [field, getAnalysisCounts(dreams, field).map(item => item.name)])
+  ), [dreams]);
+
+  // Completions for the word being typed, shown while the search bar has focus
+  const suggestions = searchFocused
+    ? getQuerySuggestions(query, { moods: allMoods, tags: tagCounts.map(tag => tag.name), analysisNames })
+    : [];
+
+  // Drop the tag filter once no dream carries the tag any more (e.g. after a rename)
+  useEffect(() => {
+    if (selectedTag && !tagCounts.some(tag => tagKey(tag.name) === tagKey(selectedTag))) {
+      setSelectedTag(null);
+    }
+  }, [tagCounts, selectedTag]);
+
+  // Search for a query handed over by another screen (e.g. a symbol tapped on Symbols)
+  useEffect(() => {
+    const handedQuery = route?.params?.query;
+    if (!handedQuery) return;
+    setQuery(handedQuery);
+    setSelectedMood('all');
+    setSelectedTag(null);
+    navigation.setParams({ query: undefined });
+  }, [route?.params?.query]);
+
+  // Share the active filter so exports can be limited to what's shown here
+  useEffect(() => {
+    setHomeFilter({ query, mood: selectedMood, tag: selectedTag });
+  }, [query, selectedMood, selectedTag]);
 
   /**
    * Reset and trigger animations when screen comes into focus
@@ -188,55 +233,103 @@ export default function Home({ navigation }) {
   );
 
   /**
-   * Sort dreams by timestamp in descending order (newest first)
-   * Handles cases where timestamp might be missing
-   * 
-   * @param {Array} dreamsArray - Array of dream objects to sort
-   * @returns {Array} Sorted array of dreams
-   */
-  const sortDreamsByTimestamp = (dreamsArray) => {
-    return dreamsArray.sort((a, b) => {
-      const timestampA = new Date(a.timestamp || 0);
-      const timestampB = new Date(b.timestamp || 0);
-      return timestampB - timestampA;
-    });
-  };
-
-  /**
-   * Load dreams from AsyncStorage and sort them by timestamp
+   * Load dreams from the repository (already sorted newest first)
    * Called on component mount and screen focus
    */
   const loadDreams = async () => {
-    const saved = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
-    // Sort dreams by timestamp in descending order (newest first)
-    const sortedDreams = sortDreamsByTimestamp(saved);
-    setDreams(sortedDreams);
+    setDreams(await getDreams());
   };
 
-  // Load dreams when component mounts
+  // Load dreams when component mounts and follow changes made by other screens
   useEffect(() => {
     loadDreams();
+    const unsubscribeDreams = subscribe(({ dreams: updated }) => setDreams(updated));
+    const unsubscribeDrafts = subscribeToDrafts(setDrafts);
+    return () => {
+      unsubscribeDreams();
+      unsubscribeDrafts();
+    };
   }, []);
 
-  // Reload dreams whenever screen comes into focus
+  // Reload dreams, drafts and smart filters whenever screen comes into focus
   useFocusEffect(
     useCallback(() => {
       loadDreams();
+      getDrafts().then(setDrafts).catch(error => console.error('Failed to load drafts:', error));
+      getSmartFilters().then(setSmartFilters);
     }, [])
   );
 
   /**
-   * Delete a dream from storage and update state
-   * Maintains sorted order after deletion
+   * Save the current search as a smart filter
+   * Errors are shown in the modal
+   *
+   * @param {string} name - Name for the filter
+   */
+  const handleSaveFilter = async (name) => {
+    setSmartFilters(await saveSmartFilter(name, query));
+    setShowSaveFilter(false);
+  };
+
+  /**
+   * Ask before deleting a smart filter
+   *
+   * @param {Object} filter - Filter to delete
+   */
+  const handleDeleteFilter = (filter) => {
+    Alert.alert(
+      'Delete Smart Filter?',
+      `"${filter.name}" will be removed. Your dreams aren't affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => setSmartFilters(await deleteSmartFilter(filter.name)),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Ask before discarding a draft
+   *
+   * @param {Object} draft - Draft to discard
+   */
+  const handleDiscardDraft = (draft) => {
+    Alert.alert(
+      'Discard Draft?',
+      `"${getDraftName(draft)}" will be deleted. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => deleteDraft(draft.id).catch(error => console.error('Failed to discard draft:', error)),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Move a dream to the Trash and offer to undo it
+   * The repository change event refreshes the list
    * 
    * @param {string} id - Unique identifier of the dream to delete
    */
   const handleDelete = async (id) => {
-    const updated = dreams.filter(d => d.id !== id);
-    // Sort dreams by timestamp in descending order (newest first)
-    const sortedUpdated = sortDreamsByTimestamp(updated);
-    setDreams(sortedUpdated);
-    await AsyncStorage.setItem('dreams', JSON.stringify(sortedUpdated));
+    setTrashedDream(await trashDream(id));
+  };
+
+  /**
+   * Restore the dream that was just moved to the Trash
+   */
+  const handleUndoDelete = async () => {
+    const dream = trashedDream;
+    setTrashedDream(null);
+    if (dream) {
+      await restoreDream(dream.id);
+    }
   };
 
 
@@ -282,15 +375,56 @@ export default function Home({ navigation }) {
           <Animated.View style={[styles.searchContainer, searchStyle]}>
             <Search size={20} color="#6B7280" style={styles.searchIcon} />
             <TextInput
-              placeholder="Search dreams..."
+              placeholder="Search dreams... (try mood:scary)"
               placeholderTextColor="#6B7280"
               value={query}
               onChangeText={setQuery}
+              onFocus={() => setSearchFocused(true)}
+              onBlur={() => setSearchFocused(false)}
               style={styles.searchInput}
               keyboardAppearance="dark"
+              autoCapitalize="none"
+              autoCorrect={false}
             />
+            {query.trim() !== '' && !queryError && (
+              <TouchableOpacity
+                onPress={() => setShowSaveFilter(true)}
+                hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              >
+                <BookmarkPlus size={20} color="#8B5CF6" />
+              </TouchableOpacity>
+            )}
           </Animated.View>
 
+          {/* Syntax hint - the list falls back to a plain word search meanwhile */}
+          {queryError && (
+            <View style={styles.queryHint}>
+              <AlertCircle size={14} color="#F59E0B" />
+              <Text style={styles.queryHintText}>{queryError.message}</Text>
+            </View>
+          )}
+
+          {/* Autocomplete chips for filters and values */}
+          {suggestions.length > 0 && (
+            <ScrollView
+              horizontal
+              keyboardShouldPersistTaps="always"
+              showsHorizontalScrollIndicator={false}
+              style={styles.suggestionRow}
+              contentContainerStyle={styles.chipRowContent}
+            >
+              {suggestions.map(suggestion => (
+                <TouchableOpacity
+                  key={suggestion.label}
+                  style={styles.suggestionChip}
+                  onPress={() => setQuery(suggestion.query)}
+                >
+                  <Text style={styles.suggestionText}>{suggestion.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+
           {/* Mood filter buttons with dynamic styling */}
           <Animated.View style={[styles.filterContainer, filterStyle]}>
             <View style={styles.filterScrollContainer}>
@@ -328,8 +462,72 @@ export default function Home({ navigation }) {
                 </TouchableOpacity>
               ))}
             </View>
+
+            {/* Tag filter chips, plus a shortcut to tag management */}
+            {tagCounts.length > 0 && (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.tagRow}
+                contentContainerStyle={styles.chipRowContent}
+              >
+                {tagCounts.map(({ name, count }) => {
+                  const isActive = selectedTag !== null && tagKey(selectedTag) === tagKey(name);
+                  return (
+                    <TouchableOpacity
+                      key={name}
+                      style={[styles.tagChip, isActive && styles.tagChipActive]}
+                      onPress={() => setSelectedTag(isActive ? null : name)}
+                    >
+                      <Hash size={11} color={isActive ? '#FFFFFF' : '#9CA3AF'} />
+                      <Text style={[styles.tagChipText, isActive && styles.tagChipTextActive]}>
+                        {name} {count}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+                <TouchableOpacity style={styles.tagChip} onPress={() => navigation.navigate('Tags')}>
+                  <Settings2 size={11} color="#9CA3AF" />
+                  <Text style={styles.tagChipText}>Manage</Text>
+                </TouchableOpacity>
+              </ScrollView>
+            )}
+
+            {/* Saved smart filters - tap to apply, long press to delete */}
+            {smartFilters.length > 0 && (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.smartFilterRow}
+                contentContainerStyle={styles.chipRowContent}
+              >
+                {smartFilters.map(filter => {
+                  const isActive = query.trim() === filter.query;
+                  return (
+                    <TouchableOpacity
+                      key={filter.name}
+                      style={[styles.smartFilterChip, isActive && styles.smartFilterChipActive]}
+                      onPress={() => setQuery(isActive ? '' : filter.query)}
+                      onLongPress={() => handleDeleteFilter(filter)}
+                    >
+                      <Bookmark size={12} color={isActive ? '#FFFFFF' : '#A78BFA'} />
+                      <Text style={[styles.smartFilterText, isActive && styles.smartFilterTextActive]}>
+                        {filter.name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            )}
           </Animated.View>
 
+          {/* Unsaved drafts to finish or discard */}
+          <DraftList
+            drafts={drafts}
+            onOpen={(draftId) => navigation.navigate('Create', { draftId })}
+            onDiscard={handleDiscardDraft}
+          />
+
           {/* Empty state for when search/filter returns no results */}
           {filtered.length === 0 && dreams.length > 0 && (
             <Animated.View style={[styles.emptyState, emptyStateStyle]}>
@@ -356,7 +554,7 @@ export default function Home({ navigation }) {
               data={filtered}
               keyExtractor={item => item.id.toString()}
               renderItem={({ item, index }) => (
-                <DreamCard dream={item} onDelete={handleDelete} navigation={navigation} />
+                <DreamCard dream={item} onDelete={handleDelete} navigation={navigation} highlightTerms={highlightTerms} />
               )}
               contentContainerStyle={styles.contentContainerStyle}
               showsVerticalScrollIndicator={false}
@@ -364,7 +562,21 @@ export default function Home({ navigation }) {
           </Animated.View>
         </Animated.View>
 
-
+        {/* Undo bar shown right after a dream is moved to the Trash */}
+        <UndoSnackbar
+          key={trashedDream?.id}
+          visible={Boolean(trashedDream)}
+          message={`"${trashedDream?.title}" moved to Trash`}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setTrashedDream(null)}
+        />
+
+        <SaveFilterModal
+          visible={showSaveFilter}
+          query={query.trim()}
+          onSave={handleSaveFilter}
+          onCancel={() => setShowSaveFilter(false)}
+        />
       </Animated.View>
     </PanGestureHandler>
   );
@@ -413,6 +625,98 @@ const styles = StyleSheet.create({
     fontWeight: '400',
   },
   
+  // Syntax error hint under the search bar
+  queryHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: -4,
+    marginBottom: 10,
+    gap: 6,
+  },
+  queryHintText: {
+    flex: 1,
+    color: '#F59E0B',
+    fontSize: 12,
+  },
+
+  // Horizontal chip rows (autocomplete and smart filters)
+  chipRowContent: {
+    gap: 6,
+  },
+  suggestionRow: {
+    flexGrow: 0,
+    marginHorizontal: 20,
+    marginBottom: 12,
+  },
+  suggestionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    backgroundColor: '#2A2A2A',
+    borderWidth: 1,
+    borderColor: '#3A3A3A',
+  },
+  suggestionText: {
+    color: '#D1D5DB',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  tagRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(156, 163, 175, 0.3)',
+    backgroundColor: '#1A1A1A',
+  },
+  tagChipActive: {
+    backgroundColor: '#4B5563',
+    borderColor: '#9CA3AF',
+  },
+  tagChipText: {
+    color: '#9CA3AF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  tagChipTextActive: {
+    color: '#FFFFFF',
+  },
+  smartFilterRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  smartFilterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(139, 92, 246, 0.4)',
+    backgroundColor: '#1A1A1A',
+  },
+  smartFilterChipActive: {
+    backgroundColor: '#8B5CF6',
+    borderColor: '#8B5CF6',
+  },
+  smartFilterText: {
+    color: '#A78BFA',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  smartFilterTextActive: {
+    color: '#FFFFFF',
+  },
+
   // Filter container for mood buttons
   filterContainer: {
     marginHorizontal: 20,
@@ -0,0 +1,383 @@
+/**
+ * Import Screen
+ *
+ * Imports dreams from this app's JSON archive, a CSV spreadsheet or a
+ * plain-text/Markdown journal. CSV files get a column mapping step. Every
+ * import ends with a preview where duplicates of dreams already in the
+ * journal are flagged and left out unless the user picks them.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert, Switch } from 'react-native';
+import { ArrowLeft, Upload, Check, Square, CheckSquare, FileText, Copy } from 'lucide-react-native';
+import Header from '../components/Header';
+import { getDreams } from '../storage/DreamRepository';
+import { CSV_FIELDS, guessColumnMapping, csvRowsToDrafts, markDuplicates } from '../storage/ImportFormats';
+import { pickImportFile, importDreams } from '../storage/JournalImport';
+import { hasMoods, getMoodEntries, formatMoods } from '../storage/Moods';
+import { getNightDate } from '../storage/DreamDetails';
+
+// Labels for the dream fields a CSV column can be mapped to
+const FIELD_LABELS = {
+  title: 'Title',
+  text: 'Dream Text',
+  mood: 'Mood',
+  date: 'Date',
+  nightOf: 'Night Dreamed',
+  analysis: 'Analysis',
+  tags: 'Tags',
+};
+
+const DUPLICATE_LABELS = {
+  journal: 'Already in your journal',
+  import: 'Appears earlier in this file',
+};
+
+export default function Import({ navigation }) {
+  const [step, setStep] = useState('pick');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [drafts, setDrafts] = useState([]);
+  // Voice memo audio carried by a JSON archive, by file name
+  const [attachments, setAttachments] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [backfillMoods, setBackfillMoods] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const selectedDrafts = drafts.filter((_, index) => selected.has(index));
+  const missingMoodCount = selectedDrafts.filter(d => !hasMoods(d)).length;
+
+  /**
+   * Check drafts against the journal and show the preview
+   * Duplicates start unselected
+   *
+   * @param {Array} parsed - Draft dreams from the file
+   */
+  const showPreview = async (parsed) => {
+    const marked = markDuplicates(parsed, await getDreams());
+    setDrafts(marked);
+    setSelected(new Set(marked.map((d, index) => (d.duplicateOf ? null : index)).filter(i => i !== null)));
+    setStep('preview');
+  };
+
+  /**
+   * Pick a file and move on to the mapping or preview step
+   */
+  const handlePick = async () => {
+    setBusy(true);
+    try {
+      const file = await pickImportFile();
+      if (!file) return;
+
+      setFileName(file.name);
+      setAttachments(file.attachments || {});
+      if (file.kind === 'csv') {
+        setRows(file.rows);
+        setMapping(guessColumnMapping(file.rows[0]));
+        setStep('mapping');
+      } else {
+        await showPreview(file.drafts);
+      }
+    } catch (error) {
+      console.error('Import failed:', error);
+      Alert.alert('Import Error', error.message || 'Failed to read this file. Please try another.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Apply the CSV column mapping
+   */
+  const handleMappingDone = async () => {
+    try {
+      const parsed = csvRowsToDrafts(rows, mapping);
+      if (parsed.length === 0) {
+        Alert.alert('Nothing to Import', 'None of the rows have any text in the selected column.');
+        return;
+      }
+      await showPreview(parsed);
+    } catch (error) {
+      Alert.alert('Import Error', error.message);
+    }
+  };
+
+  /**
+   * Cycle a field through the CSV columns (and "not imported")
+   *
+   * @param {string} field - Dream field
+   */
+  const cycleColumn = (field) => {
+    const headers = rows[0];
+    const current = mapping[field];
+    const next = current === null ? 0 : current + 1;
+    setMapping({ ...mapping, [field]: next >= headers.length ? null : next });
+  };
+
+  const toggleDraft = (index) => {
+    const next = new Set(selected);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    setSelected(next);
+  };
+
+  /**
+   * Save the selected dreams
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const added = await importDreams(selectedDrafts, {
+        backfillMoods: backfillMoods && missingMoodCount > 0,
+        attachments,
+      });
+      Alert.alert(
+        'Import Complete',
+        `${added.length} dream${added.length === 1 ? '' : 's'} added to your journal.` +
+          (backfillMoods && missingMoodCount > 0 ? ' Moods will be filled in by AI in the background.' : ''),
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error('Import failed:', error);
+      Alert.alert('Import Error', error.message || 'Failed to import dreams. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderPick = () => (
+    <>
+      <Text style={styles.note}>
+        Supported files: a JSON archive exported from this app, a CSV spreadsheet with one dream per row,
+        or a text or Markdown journal where each dream starts with a date heading such as
+        "## 2024-03-05 Flying over the city" or "March 5, 2024".
+      </Text>
+      <TouchableOpacity
+        style={[styles.primaryButton, busy && styles.buttonDisabled]}
+        onPress={handlePick}
+        disabled={busy}
+        activeOpacity={0.8}
+      >
+        <FileText size={16} color="#FFFFFF" />
+        <Text style={styles.primaryButtonText}>{busy ? 'Reading...' : 'Choose File'}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderMapping = () => (
+    <>
+      <Text style={styles.sectionLabel}>Columns in {fileName}</Text>
+      <Text style={styles.note}>Tap a field to choose which column it comes from.</Text>
+      {CSV_FIELDS.map(field => (
+        <TouchableOpacity
+          key={field}
+          style={styles.option}
+          onPress={() => cycleColumn(field)}
+          activeOpacity={0.8}
+        >
+          <View style={styles.optionContent}>
+            <Text style={styles.optionTitle}>{FIELD_LABELS[field]}</Text>
+            <Text style={styles.optionDescription}>
+              {mapping[field] === null ? 'Not imported' : `Column "${rows[0][mapping[field]]}"`}
+            </Text>
+          </View>
+          {mapping[field] !== null && <Check size={18} color="#8B5CF6" />}
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity
+        style={[styles.primaryButton, mapping.text === null && styles.buttonDisabled]}
+        onPress={handleMappingDone}
+        disabled={mapping.text === null}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.primaryButtonText}>Preview {rows.length - 1} Row{rows.length === 2 ? '' : 's'}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderPreview = () => (
+    <>
+      <Text style={styles.sectionLabel}>
+        {drafts.length} dream{drafts.length === 1 ? '' : 's'} found in {fileName}
+      </Text>
+      {drafts.map((draft, index) => {
+        const isSelected = selected.has(index);
+        const SelectIcon = isSelected ? CheckSquare : Square;
+        return (
+          <TouchableOpacity
+            key={index}
+            style={[styles.option, isSelected && styles.optionSelected]}
+            onPress={() => toggleDraft(index)}
+            activeOpacity={0.8}
+          >
+            <SelectIcon size={18} color={isSelected ? '#8B5CF6' : '#6B7280'} />
+            <View style={styles.optionContent}>
+              <Text style={styles.optionTitle} numberOfLines={1}>{draft.title}</Text>
+              <Text style={styles.optionDescription}>
+                {getNightDate(draft)?.toLocaleDateString()}{hasMoods(draft) ? ` · ${formatMoods(getMoodEntries(draft))}` : ''}
+              </Text>
+              <Text style={styles.snippet} numberOfLines={2}>{draft.text}</Text>
+              {draft.duplicateOf && (
+                <View style={styles.duplicateBadge}>
+                  <Copy size={12} color="#F59E0B" />
+                  <Text style={styles.duplicateText}>{DUPLICATE_LABELS[draft.duplicateOf]}</Text>
+                </View>
+              )}
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+
+      {missingMoodCount > 0 && (
+        <View style={styles.switchRow}>
+          <View style={styles.optionContent}>
+            <Text style={styles.optionTitle}>Suggest Moods with AI</Text>
+            <Text style={styles.optionDescription}>
+              {missingMoodCount} selected dream{missingMoodCount === 1 ? ' has' : 's have'} no mood. Tag them in the background after importing.
+            </Text>
+          </View>
+          <Switch
+            value={backfillMoods}
+            onValueChange={setBackfillMoods}
+            trackColor={{ false: '#2A2A2A', true: '#8B5CF6' }}
+            thumbColor="#FFFFFF"
+          />
+        </View>
+      )}
+
+      <TouchableOpacity
+        style={[styles.primaryButton, (busy || selectedDrafts.length === 0) && styles.buttonDisabled]}
+        onPress={handleImport}
+        disabled={busy || selectedDrafts.length === 0}
+        activeOpacity={0.8}
+      >
+        <Upload size={16} color="#FFFFFF" />
+        <Text style={styles.primaryButtonText}>
+          {busy ? 'Importing...' : `Import ${selectedDrafts.length} Dream${selectedDrafts.length === 1 ? '' : 's'}`}
+        </Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Upload}
+        title="Import Dreams"
+        backIcon={ArrowLeft}
+        onBackPress={() => (step === 'pick' ? navigation.goBack() : setStep('pick'))}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {step === 'pick' && renderPick()}
+        {step === 'mapping' && renderMapping()}
+        {step === 'preview' && renderPreview()}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 16,
+    gap: 12,
+  },
+  optionSelected: {
+    borderColor: '#8B5CF6',
+  },
+  optionContent: {
+    flex: 1,
+  },
+  optionTitle: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  optionDescription: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  snippet: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 6,
+  },
+  duplicateBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 6,
+  },
+  duplicateText: {
+    color: '#F59E0B',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    padding: 16,
+    gap: 12,
+    marginTop: 10,
+  },
+  note: {
+    color: '#6B7280',
+    fontSize: 12,
+    lineHeight: 18,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#8B5CF6',
+    borderRadius: 12,
+    paddingVertical: 14,
+    gap: 8,
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,287 @@
+/**
+ * Sketch Screen
+ *
+ * Drawing canvas for sketching a dream scene with a pen in a few colors, an
+ * eraser and undo. Opened from the Create screen, the finished sketch is
+ * handed back to be saved with the new dream; opened for an existing dream
+ * (route param `dreamId`), it is attached to that dream straight away.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, PanResponder, Alert } from 'react-native';
+import { ArrowLeft, Brush, Check, Eraser, Undo2, Trash2 } from 'lucide-react-native';
+import Svg, { Path } from 'react-native-svg';
+import Header from '../components/Header';
+import { getDream, updateDream } from '../storage/DreamRepository';
+import {
+  SKETCH_BACKGROUND,
+  SKETCH_COLORS,
+  PEN_WIDTH,
+  ERASER_WIDTH,
+  toPathData,
+  getStrokeColor,
+  writeSketch,
+  attachSketches,
+  discardSketches,
+  getDreamSketches,
+} from '../storage/Sketches';
+
+export default function Sketch({ navigation, route }) {
+  const dreamId = route.params?.dreamId;
+  const [strokes, setStrokes] = useState([]);
+  // Stroke being drawn; kept apart so each move doesn't copy every finished stroke
+  const [activeStroke, setActiveStroke] = useState(null);
+  const [color, setColor] = useState(SKETCH_COLORS[0]);
+  const [isErasing, setIsErasing] = useState(false);
+  const [canvasSize, setCanvasSize] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The responder is created once, so it reads the current tool through a ref
+  const toolRef = useRef({ color, isErasing });
+  toolRef.current = { color, isErasing };
+  const strokeRef = useRef(null);
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: (event) => {
+      const { locationX, locationY } = event.nativeEvent;
+      const tool = toolRef.current;
+      strokeRef.current = {
+        color: tool.color,
+        width: tool.isErasing ? ERASER_WIDTH : PEN_WIDTH,
+        erase: tool.isErasing,
+        points: [[locationX, locationY]],
+      };
+      setActiveStroke(strokeRef.current);
+    },
+    onPanResponderMove: (event) => {
+      if (!strokeRef.current) return;
+      const { locationX, locationY } = event.nativeEvent;
+      strokeRef.current = { ...strokeRef.current, points: [...strokeRef.current.points, [locationX, locationY]] };
+      setActiveStroke(strokeRef.current);
+    },
+    onPanResponderRelease: () => finishStroke(),
+    onPanResponderTerminate: () => finishStroke(),
+  })).current;
+
+  function finishStroke() {
+    const stroke = strokeRef.current;
+    strokeRef.current = null;
+    setActiveStroke(null);
+    if (stroke) setStrokes(current => [...current, stroke]);
+  }
+
+  const handleBack = () => {
+    if (strokes.length === 0) {
+      navigation.goBack();
+      return;
+    }
+    Alert.alert('Discard Sketch?', 'Your drawing will be lost.', [
+      { text: 'Keep Drawing', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: () => navigation.goBack() },
+    ]);
+  };
+
+  const handleSave = async () => {
+    if (strokes.length === 0 || !canvasSize || isSaving) return;
+    setIsSaving(true);
+
+    let pending = null;
+    try {
+      pending = await writeSketch({ strokes, ...canvasSize });
+
+      if (!dreamId) {
+        // New dreams save the sketch along with everything else on the Create screen
+        navigation.popTo('Main', { screen: 'Create', params: { sketch: pending } });
+        return;
+      }
+
+      const dream = await getDream(dreamId);
+      if (!dream) {
+        throw new Error('Dream not found');
+      }
+      const [sketch] = await attachSketches([pending]);
+      await updateDream(dreamId, { sketches: [...getDreamSketches(dream), sketch] });
+      navigation.goBack();
+    } catch (error) {
+      console.error('Failed to save sketch:', error);
+      if (pending) discardSketches([pending]).catch(() => {});
+      Alert.alert('Save Error', 'The sketch could not be saved. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const renderStroke = (stroke, key) => (
+    <Path
+      key={key}
+      d={toPathData(stroke.points)}
+      stroke={getStrokeColor(stroke)}
+      strokeWidth={stroke.width}
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      fill="none"
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Brush}
+        title="Sketch"
+        backIcon={ArrowLeft}
+        onBackPress={handleBack}
+        actionIcon={Check}
+        onActionPress={handleSave}
+      />
+
+      <View
+        style={styles.canvas}
+        onLayout={(event) => {
+          const { width, height } = event.nativeEvent.layout;
+          setCanvasSize({ width, height });
+        }}
+        {...panResponder.panHandlers}
+      >
+        {canvasSize && (
+          <Svg width={canvasSize.width} height={canvasSize.height} pointerEvents="none">
+            {strokes.map((stroke, index) => renderStroke(stroke, index))}
+            {activeStroke && renderStroke(activeStroke, 'active')}
+          </Svg>
+        )}
+        {strokes.length === 0 && !activeStroke && (
+          <View style={styles.placeholder} pointerEvents="none">
+            <Text style={styles.placeholderText}>Draw a scene from your dream</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.toolbar}>
+        <View style={styles.colorRow}>
+          {SKETCH_COLORS.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.colorSwatch, { backgroundColor: option }, !isErasing && color === option && styles.colorSwatchSelected]}
+              onPress={() => {
+                setColor(option);
+                setIsErasing(false);
+              }}
+              activeOpacity={0.7}
+            />
+          ))}
+        </View>
+
+        <View style={styles.toolRow}>
+          <TouchableOpacity
+            style={[styles.toolButton, !isErasing && styles.toolButtonActive]}
+            onPress={() => setIsErasing(false)}
+            activeOpacity={0.7}
+          >
+            <Brush size={18} color="#FFFFFF" />
+            <Text style={styles.toolText}>Pen</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolButton, isErasing && styles.toolButtonActive]}
+            onPress={() => setIsErasing(true)}
+            activeOpacity={0.7}
+          >
+            <Eraser size={18} color="#FFFFFF" />
+            <Text style={styles.toolText}>Eraser</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolButton, strokes.length === 0 && styles.toolButtonDisabled]}
+            onPress={() => setStrokes(strokes.slice(0, -1))}
+            disabled={strokes.length === 0}
+            activeOpacity={0.7}
+          >
+            <Undo2 size={18} color="#FFFFFF" />
+            <Text style={styles.toolText}>Undo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toolButton, strokes.length === 0 && styles.toolButtonDisabled]}
+            onPress={() => setStrokes([])}
+            disabled={strokes.length === 0}
+            activeOpacity={0.7}
+          >
+            <Trash2 size={18} color="#FFFFFF" />
+            <Text style={styles.toolText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  canvas: {
+    flex: 1,
+    marginHorizontal: 20,
+    marginTop: 8,
+    borderRadius: 16,
+    overflow: 'hidden',
+    backgroundColor: SKETCH_BACKGROUND,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+  },
+  placeholder: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  placeholderText: {
+    color: '#4B5563',
+    fontSize: 14,
+  },
+  toolbar: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 40,
+    gap: 16,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  colorSwatch: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorSwatchSelected: {
+    borderColor: '#8B5CF6',
+    transform: [{ scale: 1.15 }],
+  },
+  toolRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  toolButton: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: '#2A2A2A',
+  },
+  toolButtonActive: {
+    backgroundColor: '#8B5CF6',
+  },
+  toolButtonDisabled: {
+    opacity: 0.4,
+  },
+  toolText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -1,9 +1,8 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { View, Text, StyleSheet, ScrollView, Dimensions } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { View, Text, StyleSheet, ScrollView, Dimensions, TouchableOpacity } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { BarChart, PieChart, LineChart } from 'react-native-chart-kit';
-import { BarChart3, PieChart as PieChartIcon, TrendingUp, Moon, Calendar, Heart, Clock, Frown, Meh, Zap, AlertTriangle } from 'lucide-react-native';
+import { BarChart3, PieChart as PieChartIcon, TrendingUp, Moon, Calendar, Heart, Frown, Meh, Zap, AlertTriangle, Eye, Gem } from 'lucide-react-native';
 import Animated, { 
   FadeIn,
   useSharedValue,
@@ -18,17 +17,37 @@ import Animated, {
 import { PanGestureHandler } from 'react-native-gesture-handler';
 import { LinearGradient } from 'expo-linear-gradient';
 import Header from '../components/Header';
+import { getDreams } from '../storage/DreamRepository';
+import { getMoodWeights, MAX_INTENSITY } from '../storage/Moods';
+import { DETAIL_FILTERS, LEVEL_FIELDS, filterByDetails, getDetailBreakdown, getNightDate } from '../storage/DreamDetails';
+import { ANALYSIS_LISTS, getAnalysisCounts } from '../storage/DreamAnalysis';
 
 const screenWidth = Dimensions.get('window').width;
 
+// Titles for the rows of the Dream Details breakdown
+const FLAG_TITLES = { lucid: 'Lucid', recurring: 'Recurring', nightmare: 'Nightmares' };
+const LEVEL_TITLES = { vividness: 'Vividness', sleepQuality: 'Sleep Quality', lucidity: 'Lucidity' };
+
+// Analysis lists counted for the Symbols & Themes card, and how many names each shows
+const ANALYSIS_FIELDS = ['symbols', 'themes', 'emotions'];
+const TOP_ANALYSIS_NAMES = 5;
+
+// Weekdays in Date.getDay() order, with a chart color for each
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_COLORS = ['#F59E0B', '#10B981', '#3B82F6', '#8B5CF6', '#EC4899', '#14B8A6', '#EF4444'];
+
 export default function Stats({ navigation }) {
   const [dreams, setDreams] = useState([]);
+  // Key of the DETAIL_FILTERS entry the stats are limited to
+  const [detailFilter, setDetailFilter] = useState('all');
   const [stats, setStats] = useState({
     totalDreams: 0,
-    moodCounts: {},
+    moodWeights: {},
     mostCommonMood: '',
     averageDreamsPerMonth: 0,
-    recentActivity: []
+    recentActivity: [],
+    details: getDetailBreakdown([]),
+    analysisCounts: {},
   });
 
   // Swipe navigation setup
@@ -162,11 +181,14 @@ export default function Stats({ navigation }) {
   );
 
   const loadDreams = async () => {
-    const saved = JSON.parse(await AsyncStorage.getItem('dreams')) || [];
+    const saved = await getDreams();
     setDreams(saved);
-    calculateStats(saved);
   };
 
+  useEffect(() => {
+    calculateStats(filterByDetails(dreams, detailFilter));
+  }, [dreams, detailFilter]);
+
   useFocusEffect(
     useCallback(() => {
       loadDreams();
@@ -174,18 +196,12 @@ export default function Stats({ navigation }) {
   );
 
   const calculateStats = (dreamsData) => {
-    // Mood counts
-    const moodCounts = {};
-    dreamsData.forEach(dream => {
-      const moods = dream.mood ? dream.mood.split(', ') : ['Neutral'];
-      moods.forEach(mood => {
-        moodCounts[mood] = (moodCounts[mood] || 0) + 1;
-      });
-    });
+    // Mood totals, each mood weighted by how intensely it was felt
+    const moodWeights = getMoodWeights(dreamsData);
 
     // Most common mood
-    const mostCommonMood = Object.keys(moodCounts).reduce((a, b) => 
-      moodCounts[a] > moodCounts[b] ? a : b, 'Neutral'
+    const mostCommonMood = Object.keys(moodWeights).reduce((a, b) => 
+      moodWeights[a] > moodWeights[b] ? a : b, 'Neutral'
     );
 
     // Recent activity (last 7 days)
@@ -195,8 +211,8 @@ export default function Stats({ navigation }) {
       const date = new Date(now);
       date.setDate(date.getDate() - i);
       const dayDreams = dreamsData.filter(dream => {
-        const dreamDate = new Date(dream.timestamp);
-        return dreamDate.toDateString() === date.toDateString();
+        const night = getNightDate(dream);
+        return night && night.toDateString() === date.toDateString();
       });
       recentActivity.push({
         date: date.toLocaleDateString('en-US', { weekday: 'short' }),
@@ -210,9 +226,9 @@ export default function Stats({ navigation }) {
       const date = new Date(now);
       date.setMonth(date.getMonth() - i);
       const monthDreams = dreamsData.filter(dream => {
-        const dreamDate = new Date(dream.timestamp);
-        return dreamDate.getMonth() === date.getMonth() && 
-               dreamDate.getFullYear() === date.getFullYear();
+        const night = getNightDate(dream);
+        return night && night.getMonth() === date.getMonth() &&
+               night.getFullYear() === date.getFullYear();
       });
       monthlyTrend.push({
         month: date.toLocaleDateString('en-US', { month: 'short' }),
@@ -222,38 +238,36 @@ export default function Stats({ navigation }) {
 
 
 
-    // Time of day analysis (when dreams are recorded)
-    const timeRanges = [
-      { label: 'Morning', hour: 6, count: 0 },
-      { label: 'Afternoon', hour: 12, count: 0 },
-      { label: 'Evening', hour: 18, count: 0 },
-      { label: 'Night', hour: 22, count: 0 }
-    ];
-    
+    // Nights of the week dreams happen on
+    const nightsByWeekday = WEEKDAY_LABELS.map(label => ({ label, count: 0 }));
     dreamsData.forEach(dream => {
-      const hour = new Date(dream.timestamp).getHours();
-      if (hour >= 6 && hour < 12) timeRanges[0].count++;
-      else if (hour >= 12 && hour < 18) timeRanges[1].count++;
-      else if (hour >= 18 && hour < 22) timeRanges[2].count++;
-      else timeRanges[3].count++;
+      const night = getNightDate(dream);
+      if (night) nightsByWeekday[night.getDay()].count++;
     });
 
 
 
     setStats({
       totalDreams: dreamsData.length,
-      moodCounts,
+      moodWeights,
       mostCommonMood,
       averageDreamsPerMonth: Math.round((dreamsData.length / Math.max(1, getMonthsSinceFirstDream(dreamsData))) * 10) / 10,
       recentActivity,
       monthlyTrend,
-      timeOfDay: timeRanges
+      nightsByWeekday,
+      details: getDetailBreakdown(dreamsData),
+      // Most common names in the structured analyses
+      analysisCounts: Object.fromEntries(ANALYSIS_FIELDS.map(field => [
+        field,
+        getAnalysisCounts(dreamsData, field).slice(0, TOP_ANALYSIS_NAMES),
+      ])),
     });
   };
 
   const getMonthsSinceFirstDream = (dreamsData) => {
-    if (dreamsData.length === 0) return 1;
-    const firstDream = new Date(dreamsData[dreamsData.length - 1].timestamp);
+    const nights = dreamsData.map(getNightDate).filter(Boolean);
+    if (nights.length === 0) return 1;
+    const firstDream = new Date(Math.min(...nights));
     const now = new Date();
     return Math.max(1, (now.getFullYear() - firstDream.getFullYear()) * 12 + 
       (now.getMonth() - firstDream.getMonth()));
@@ -323,9 +337,9 @@ export default function Stats({ navigation }) {
     },
   };
 
-  const pieChartData = Object.entries(stats.moodCounts).map(([mood, count]) => ({
+  const pieChartData = Object.entries(stats.moodWeights).map(([mood, weight]) => ({
     name: mood,
-    population: count,
+    population: weight,
     color: getMoodColor(mood),
     legendFontColor: '#FFFFFF',
     legendFontSize: 12,
@@ -347,14 +361,112 @@ export default function Stats({ navigation }) {
     }]
   };
 
-  const timeOfDayData = stats.timeOfDay?.map((item, index) => ({
+  const weekdayData = stats.nightsByWeekday?.map((item, index) => ({
     name: item.label,
     population: item.count,
-    color: ['#F59E0B', '#10B981', '#3B82F6', '#8B5CF6'][index],
+    color: WEEKDAY_COLORS[index],
     legendFontColor: '#FFFFFF',
     legendFontSize: 12,
   })) || [];
 
+  const { flags, levels } = stats.details;
+  const hasDetails = Object.values(flags).some(flag => flag.yes + flag.no > 0) ||
+    Object.values(levels).some(level => level.counts.some(count => count > 0));
+
+  /**
+   * Render how many of the dreams that answered a yes/no detail said yes
+   *
+   * @param {string} field - Flag field
+   * @param {string} title - Row title
+   * @returns {JSX.Element} Breakdown row
+   */
+  const renderFlagRow = (field, title) => {
+    const { yes, no } = flags[field];
+    const answered = yes + no;
+    return (
+      <View key={field} style={styles.detailRow}>
+        <View style={styles.detailRowHeader}>
+          <Text style={styles.detailTitle}>{title}</Text>
+          <Text style={styles.detailValue}>
+            {answered > 0 ? `${yes} of ${answered} (${Math.round((yes / answered) * 100)}%)` : 'Not recorded'}
+          </Text>
+        </View>
+        <View style={styles.detailTrack}>
+          <View style={[styles.detailFill, { width: `${answered > 0 ? (yes / answered) * 100 : 0}%` }]} />
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Render the spread of a 1-5 detail as a row of bars
+   *
+   * @param {string} field - Level field
+   * @param {string} title - Row title
+   * @returns {JSX.Element|null} Breakdown row, or null when nothing was recorded
+   */
+  const renderLevelRow = (field, title) => {
+    const { counts } = levels[field];
+    const max = Math.max(...counts);
+    if (max === 0) return null;
+
+    const labels = LEVEL_FIELDS[field];
+    return (
+      <View key={field} style={styles.detailRow}>
+        <View style={styles.detailRowHeader}>
+          <Text style={styles.detailTitle}>{title}</Text>
+          <Text style={styles.detailValue}>{`1 ${labels[0]} - 5 ${labels[labels.length - 1]}`}</Text>
+        </View>
+        <View style={styles.levelBars}>
+          {counts.map((count, index) => (
+            <View key={index} style={styles.levelBarColumn}>
+              <Text style={styles.levelBarCount}>{count}</Text>
+              <View style={styles.levelBarTrack}>
+                <View style={[styles.levelBarFill, { height: `${(count / max) * 100}%` }]} />
+              </View>
+              <Text style={styles.levelBarLabel}>{index + 1}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const { analysisCounts } = stats;
+  const hasAnalysisCounts = ANALYSIS_FIELDS.some(field => analysisCounts[field]?.length > 0);
+
+  /**
+   * Render the most common names in one analysis list, each with a bar
+   * scaled to how many dreams mention it
+   *
+   * @param {string} field - Key of ANALYSIS_LISTS
+   * @returns {JSX.Element|null} Rows, or null when no analysis has the list
+   */
+  const renderAnalysisRows = (field) => {
+    const counts = analysisCounts[field] || [];
+    if (counts.length === 0) return null;
+
+    return (
+      <View key={field} style={styles.analysisSection}>
+        <Text style={styles.analysisSectionTitle}>{ANALYSIS_LISTS[field]}</Text>
+        {counts.map(({ name, count, averageIntensity }) => (
+          <View key={name} style={styles.detailRow}>
+            <View style={styles.detailRowHeader}>
+              <Text style={styles.detailTitle}>{name}</Text>
+              <Text style={styles.detailValue}>
+                {`${count} ${count === 1 ? 'dream' : 'dreams'}`}
+                {averageIntensity ? ` · avg ${averageIntensity}/${MAX_INTENSITY}` : ''}
+              </Text>
+            </View>
+            <View style={styles.detailTrack}>
+              <View style={[styles.detailFill, { width: `${(count / counts[0].count) * 100}%` }]} />
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   return (
     <PanGestureHandler
       onGestureEvent={gestureHandler}
@@ -375,6 +487,29 @@ export default function Stats({ navigation }) {
               title="Dream Statistics"
             />
 
+            {/* Detail filters */}
+            {dreams.length > 0 && (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.filterScroll}
+                contentContainerStyle={styles.filterRow}
+              >
+                {DETAIL_FILTERS.map(filter => (
+                  <TouchableOpacity
+                    key={filter.key}
+                    style={[styles.filterChip, detailFilter === filter.key && styles.filterChipActive]}
+                    onPress={() => setDetailFilter(filter.key)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.filterChipText, detailFilter === filter.key && styles.filterChipTextActive]}>
+                      {filter.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            )}
+
             {/* Summary Cards */}
             <View style={styles.summaryContainer}>
               <View style={styles.summaryRow}>
@@ -423,12 +558,13 @@ export default function Stats({ navigation }) {
             </View>
 
             {/* Mood Distribution Chart */}
-            {Object.keys(stats.moodCounts).length > 0 && (
+            {Object.keys(stats.moodWeights).length > 0 && (
               <Animated.View style={[styles.chartContainer, chart1Style]}>
                 <View style={styles.chartHeader}>
                   <PieChartIcon size={20} color="#8B5CF6" />
                   <Text style={styles.chartTitle}>Mood Distribution</Text>
                 </View>
+                <Text style={styles.chartSubtitle}>Weighted by how intensely each mood was felt</Text>
                 <PieChart
                   data={pieChartData}
                   width={screenWidth - 80}
@@ -521,15 +657,15 @@ export default function Stats({ navigation }) {
 
 
 
-            {/* Time of Day Analysis Chart */}
-            {timeOfDayData.length > 0 && timeOfDayData.some(item => item.population > 0) && (
+            {/* Nights of the Week Chart */}
+            {weekdayData.some(item => item.population > 0) && (
               <Animated.View style={[styles.chartContainer, chart5Style]}>
                 <View style={styles.chartHeader}>
-                  <Clock size={20} color="#8B5CF6" />
-                  <Text style={styles.chartTitle}>Recording Time Analysis</Text>
+                  <Moon size={20} color="#8B5CF6" />
+                  <Text style={styles.chartTitle}>Nights You Dream On</Text>
                 </View>
                 <PieChart
-                  data={timeOfDayData}
+                  data={weekdayData.filter(item => item.population > 0)}
                   width={screenWidth - 80}
                   height={220}
                   chartConfig={chartConfig}
@@ -543,8 +679,42 @@ export default function Stats({ navigation }) {
 
 
 
+            {/* Dream Details Breakdown */}
+            {hasDetails && (
+              <Animated.View style={[styles.chartContainer, chart5Style]}>
+                <View style={styles.chartHeader}>
+                  <Eye size={20} color="#8B5CF6" />
+                  <Text style={styles.chartTitle}>Dream Details</Text>
+                </View>
+                {Object.entries(FLAG_TITLES).map(([field, title]) => renderFlagRow(field, title))}
+                {Object.entries(LEVEL_TITLES).map(([field, title]) => renderLevelRow(field, title))}
+              </Animated.View>
+            )}
+
+            {/* Symbols, themes and emotions from structured analyses */}
+            {hasAnalysisCounts && (
+              <Animated.View style={[styles.chartContainer, chart5Style]}>
+                <View style={styles.chartHeader}>
+                  <Gem size={20} color="#8B5CF6" />
+                  <Text style={styles.chartTitle}>Symbols & Themes</Text>
+                  <TouchableOpacity
+                    style={styles.seeAllButton}
+                    onPress={() => navigation.navigate('Symbols')}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Text style={styles.seeAllText}>See all</Text>
+                  </TouchableOpacity>
+                </View>
+                {ANALYSIS_FIELDS.map(renderAnalysisRows)}
+              </Animated.View>
+            )}
+
+            {dreams.length > 0 && stats.totalDreams === 0 && (
+              <Text style={styles.noMatches}>No dreams match this filter yet.</Text>
+            )}
+
             {/* Empty State */}
-            {stats.totalDreams === 0 && (
+            {dreams.length === 0 && (
               <Animated.View style={[styles.emptyState, emptyStateStyle]}>
                 <Moon size={64} color="#8B5CF6" style={styles.emptyStateIcon} />
                 <Text style={styles.emptyStateTitle}>No Dreams Yet</Text>
@@ -571,6 +741,117 @@ const styles = StyleSheet.create({
   summaryContainer: {
     margin: 20,
   },
+  filterScroll: {
+    marginTop: 16,
+  },
+  filterRow: {
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: 'rgba(156, 163, 175, 0.3)',
+    backgroundColor: '#1A1A1A',
+  },
+  filterChipActive: {
+    borderColor: '#8B5CF6',
+    backgroundColor: 'rgba(139, 92, 246, 0.15)',
+  },
+  filterChipText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  filterChipTextActive: {
+    color: '#A78BFA',
+  },
+  noMatches: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  detailRow: {
+    marginBottom: 16,
+  },
+  seeAllButton: {
+    marginLeft: 'auto',
+  },
+  seeAllText: {
+    color: '#A78BFA',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  analysisSection: {
+    marginBottom: 8,
+  },
+  analysisSectionTitle: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginBottom: 10,
+  },
+  detailRowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  detailTitle: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  detailValue: {
+    color: '#9CA3AF',
+    fontSize: 12,
+  },
+  detailTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#374151',
+    overflow: 'hidden',
+  },
+  detailFill: {
+    height: '100%',
+    borderRadius: 4,
+    backgroundColor: '#8B5CF6',
+  },
+  levelBars: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  levelBarColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  levelBarCount: {
+    color: '#D1D5DB',
+    fontSize: 11,
+    marginBottom: 4,
+  },
+  levelBarTrack: {
+    width: '100%',
+    height: 48,
+    borderRadius: 6,
+    backgroundColor: '#374151',
+    justifyContent: 'flex-end',
+    overflow: 'hidden',
+  },
+  levelBarFill: {
+    width: '100%',
+    backgroundColor: '#8B5CF6',
+  },
+  levelBarLabel: {
+    color: '#9CA3AF',
+    fontSize: 11,
+    marginTop: 4,
+  },
   summaryRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -630,6 +911,12 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     marginLeft: 8,
   },
+  chartSubtitle: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: -8,
+    marginBottom: 8,
+  },
   emptyState: {
     flex: 1,
     alignItems: 'center',
@@ -0,0 +1,310 @@
+/**
+ * Symbols Screen
+ *
+ * Lists every symbol, theme, character and setting the structured analyses
+ * have found across the journal (see SymbolIndex), with how many dreams name
+ * it, when it first and last appeared and the moods of those dreams. Tapping
+ * a symbol searches Home for it; expanding one lists its dreams.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import { ArrowLeft, Gem, ChevronDown, ChevronUp, Search } from 'lucide-react-native';
+import Header from '../components/Header';
+import { getDreams, getSymbols, subscribe } from '../storage/DreamRepository';
+import { SYMBOL_KINDS } from '../storage/SymbolIndex';
+import { ANALYSIS_LISTS } from '../storage/DreamAnalysis';
+import { getNightDate } from '../storage/DreamDetails';
+
+// Kind filter chips: every kind, then each indexed analysis list
+const KIND_FILTERS = [
+  { key: 'all', label: 'All' },
+  ...Object.keys(SYMBOL_KINDS).map(kind => ({ key: kind, label: ANALYSIS_LISTS[kind] })),
+];
+
+/**
+ * Format a night for the symbol list
+ *
+ * @param {Date|null} date - Night to format
+ * @returns {string} e.g. "Mar 3, 2025", or "an unknown night"
+ */
+const formatNight = (date) => (date
+  ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : 'an unknown night');
+
+export default function Symbols({ navigation }) {
+  const [dreams, setDreams] = useState([]);
+  // Key of the KIND_FILTERS entry shown
+  const [kindFilter, setKindFilter] = useState('all');
+  // Query of the symbol whose dreams are listed
+  const [expanded, setExpanded] = useState(null);
+
+  const loadDreams = async () => {
+    try {
+      setDreams(await getDreams());
+    } catch (error) {
+      console.error('Failed to load symbols:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadDreams();
+    return subscribe(({ dreams: updated }) => setDreams(updated));
+  }, []);
+
+  const symbols = useMemo(
+    () => getSymbols(dreams, { kind: kindFilter === 'all' ? undefined : kindFilter }),
+    [dreams, kindFilter]
+  );
+  const hasSymbols = kindFilter !== 'all' || symbols.length > 0;
+
+  // Show the dreams with this symbol on Home
+  const searchHome = (query) => navigation.popTo('Main', { screen: 'Home', params: { query } });
+
+  const renderSymbol = ({ kind, name, query, count, firstNight, lastNight, moods, dreams: symbolDreams }) => {
+    const isExpanded = expanded === query;
+    return (
+      <View key={query} style={styles.item}>
+        <TouchableOpacity style={styles.itemRow} onPress={() => searchHome(query)} activeOpacity={0.8}>
+          <Gem size={16} color="#06D6A0" />
+          <View style={styles.itemContent}>
+            <Text style={styles.itemName} numberOfLines={1}>{name}</Text>
+            <Text style={styles.itemMeta}>
+              {`${ANALYSIS_LISTS[kind]} · ${count} dream${count === 1 ? '' : 's'}`}
+            </Text>
+            <Text style={styles.itemMeta}>
+              {count === 1
+                ? `On ${formatNight(lastNight)}`
+                : `First ${formatNight(firstNight)} · last ${formatNight(lastNight)}`}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => setExpanded(isExpanded ? null : query)}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          >
+            {isExpanded ? <ChevronUp size={18} color="#9CA3AF" /> : <ChevronDown size={18} color="#9CA3AF" />}
+          </TouchableOpacity>
+        </TouchableOpacity>
+
+        <View style={styles.moodList}>
+          {moods.map(({ mood, count: moodCount }) => (
+            <View key={mood} style={styles.moodChip}>
+              <Text style={styles.moodChipText}>{mood} {moodCount}</Text>
+            </View>
+          ))}
+        </View>
+
+        {isExpanded && (
+          <View style={styles.dreamList}>
+            {symbolDreams.map(dream => (
+              <TouchableOpacity
+                key={dream.id}
+                style={styles.dreamRow}
+                onPress={() => navigation.navigate('View', { id: dream.id })}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.dreamTitle} numberOfLines={1}>{dream.title || 'Untitled dream'}</Text>
+                <Text style={styles.dreamNight}>{formatNight(getNightDate(dream))}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={styles.searchButton} onPress={() => searchHome(query)} activeOpacity={0.8}>
+              <Search size={14} color="#FFFFFF" />
+              <Text style={styles.searchButtonText}>Show on Home</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Gem}
+        title="Symbols"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {!hasSymbols ? (
+          <View style={styles.emptyState}>
+            <Gem size={40} color="#4B5563" />
+            <Text style={styles.emptyStateText}>No symbols yet</Text>
+            <Text style={styles.emptyStateHint}>
+              Generate an analysis for your dreams and the symbols, themes, people and places it finds will be gathered here.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+              {KIND_FILTERS.map(filter => (
+                <TouchableOpacity
+                  key={filter.key}
+                  style={[styles.filterChip, kindFilter === filter.key && styles.filterChipActive]}
+                  onPress={() => setKindFilter(filter.key)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.filterChipText, kindFilter === filter.key && styles.filterChipTextActive]}>
+                    {filter.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <Text style={styles.sectionLabel}>
+              {symbols.length === 0
+                ? 'None found yet'
+                : `${symbols.length} found across your journal, most frequent first`}
+            </Text>
+            {symbols.map(renderSymbol)}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  filterRow: {
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    backgroundColor: '#1A1A1A',
+  },
+  filterChipActive: {
+    borderColor: '#06D6A0',
+    backgroundColor: 'rgba(6, 214, 160, 0.12)',
+  },
+  filterChipText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  filterChipTextActive: {
+    color: '#06D6A0',
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 20,
+    gap: 12,
+  },
+  emptyStateText: {
+    color: '#6B7280',
+    fontSize: 15,
+  },
+  emptyStateHint: {
+    color: '#4B5563',
+    fontSize: 13,
+    textAlign: 'center',
+    lineHeight: 19,
+  },
+  item: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 14,
+    gap: 10,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemName: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  itemMeta: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  moodList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginLeft: 28,
+  },
+  moodChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    backgroundColor: '#2A2A2A',
+  },
+  moodChipText: {
+    color: '#D1D5DB',
+    fontSize: 11,
+  },
+  dreamList: {
+    borderTopWidth: 1,
+    borderTopColor: '#2A2A2A',
+    paddingTop: 10,
+    marginLeft: 28,
+    gap: 8,
+  },
+  dreamRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  dreamTitle: {
+    flex: 1,
+    color: '#E5E7EB',
+    fontSize: 14,
+  },
+  dreamNight: {
+    color: '#6B7280',
+    fontSize: 12,
+  },
+  searchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#0D9488',
+  },
+  searchButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,238 @@
+/**
+ * Sync Conflicts Screen
+ *
+ * Lists dreams whose title or text was changed both on this device and in
+ * the cloud since the last sync. For each conflicting field the user picks
+ * which version to keep; the choice is saved locally and pushed on the next sync.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { ArrowLeft, GitMerge, Smartphone, Cloud, Check } from 'lucide-react-native';
+import Animated, { FadeInUp } from 'react-native-reanimated';
+import Header from '../components/Header';
+import { getSyncState, resolveConflict, subscribeToSyncStatus } from '../storage/SyncEngine';
+
+// Human readable names for the fields that can conflict
+const FIELD_LABELS = {
+  title: 'Title',
+  text: 'Dream',
+};
+
+export default function SyncConflicts({ navigation }) {
+  const [conflicts, setConflicts] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    getSyncState()
+      .then(state => setConflicts(state.conflicts))
+      .catch(error => console.error('Failed to load sync conflicts:', error));
+
+    return subscribeToSyncStatus(state => setConflicts(state.conflicts));
+  }, []);
+
+  /**
+   * Record which version of a field to keep
+   *
+   * @param {number|string} id - Dream id
+   * @param {string} field - Conflicting field
+   * @param {string} side - 'local' or 'remote'
+   */
+  const choose = (id, field, side) => {
+    setChoices(prev => ({
+      ...prev,
+      [id]: { ...prev[id], [field]: side },
+    }));
+  };
+
+  /**
+   * Apply the chosen versions for one dream
+   * Fields left unchosen keep this device's version
+   *
+   * @param {Object} conflict - Conflict to resolve
+   */
+  const handleResolve = async (conflict) => {
+    setSaving(conflict.id);
+    try {
+      await resolveConflict(conflict.id, choices[conflict.id] || {});
+      setConflicts(prev => prev.filter(c => c.id !== conflict.id));
+    } catch (error) {
+      console.error('Failed to resolve conflict:', error);
+      Alert.alert('Error', 'Failed to save your choice. Please try again.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const renderOption = (conflict, field, side) => {
+    const selected = (choices[conflict.id]?.[field] || 'local') === side;
+    const value = conflict.fields[field][side];
+    const Icon = side === 'local' ? Smartphone : Cloud;
+
+    return (
+      <TouchableOpacity
+        style={[styles.option, selected && styles.optionSelected]}
+        onPress={() => choose(conflict.id, field, side)}
+        activeOpacity={0.8}
+      >
+        <View style={styles.optionHeader}>
+          <Icon size={14} color={selected ? '#8B5CF6' : '#6B7280'} />
+          <Text style={[styles.optionLabel, selected && styles.optionLabelSelected]}>
+            {side === 'local' ? 'This Device' : 'Cloud'}
+          </Text>
+          {selected && <Check size={14} color="#8B5CF6" />}
+        </View>
+        <Text style={styles.optionText}>{value || '(empty)'}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={GitMerge}
+        title="Sync Conflicts"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        {conflicts.length === 0 ? (
+          <Text style={styles.emptyText}>No conflicts. Your journal is in sync.</Text>
+        ) : (
+          conflicts.map((conflict, index) => (
+            <Animated.View
+              key={String(conflict.id)}
+              entering={FadeInUp.duration(300).delay(index * 50)}
+              style={styles.card}
+            >
+              <Text style={styles.cardTitle}>
+                {conflict.fields.title?.local || conflict.remote.title || 'Untitled Dream'}
+              </Text>
+              <Text style={styles.cardSubtitle}>
+                Edited on this device and another device since the last sync
+              </Text>
+
+              {Object.keys(conflict.fields).map(field => (
+                <View key={field} style={styles.fieldBlock}>
+                  <Text style={styles.fieldLabel}>{FIELD_LABELS[field] || field}</Text>
+                  {renderOption(conflict, field, 'local')}
+                  {renderOption(conflict, field, 'remote')}
+                </View>
+              ))}
+
+              <TouchableOpacity
+                style={[styles.resolveButton, saving === conflict.id && styles.resolveButtonDisabled]}
+                onPress={() => handleResolve(conflict)}
+                disabled={saving === conflict.id}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.resolveButtonText}>
+                  {saving === conflict.id ? 'Saving...' : 'Keep Selected'}
+                </Text>
+              </TouchableOpacity>
+            </Animated.View>
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 20,
+  },
+  emptyText: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 20,
+  },
+  cardTitle: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginBottom: 16,
+  },
+  fieldBlock: {
+    marginBottom: 16,
+    gap: 8,
+  },
+  fieldLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  option: {
+    backgroundColor: '#2A2A2A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#374151',
+    padding: 12,
+  },
+  optionSelected: {
+    borderColor: '#8B5CF6',
+  },
+  optionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  optionLabel: {
+    color: '#6B7280',
+    fontSize: 12,
+    fontWeight: '600',
+    flex: 1,
+  },
+  optionLabelSelected: {
+    color: '#8B5CF6',
+  },
+  optionText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  resolveButton: {
+    backgroundColor: '#8B5CF6',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  resolveButtonDisabled: {
+    opacity: 0.6,
+  },
+  resolveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
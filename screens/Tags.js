@@ -0,0 +1,297 @@
+/**
+ * Tags Screen
+ *
+ * Lists every tag in the journal with how many dreams carry it. Tags can be
+ * renamed, merged into another tag or deleted; each change is applied to
+ * every dream carrying the tag.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { ArrowLeft, Hash, Pencil, Merge, Trash2, Check, X } from 'lucide-react-native';
+import Header from '../components/Header';
+import DeleteConfirmationModal from '../components/DeleteConfirmationModal';
+import { getDreams, subscribe } from '../storage/DreamRepository';
+import { getTagCounts, renameTag, mergeTags, deleteTag, tagKey, MAX_TAG_LENGTH } from '../storage/Tags';
+
+export default function Tags({ navigation }) {
+  const [tagCounts, setTagCounts] = useState([]);
+  // Tag being renamed and the name typed so far
+  const [renaming, setRenaming] = useState(null);
+  const [newName, setNewName] = useState('');
+  // Tag chosen to be merged into another one
+  const [mergeSource, setMergeSource] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const loadTags = async () => {
+    try {
+      setTagCounts(getTagCounts(await getDreams()));
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadTags();
+    return subscribe(({ dreams }) => setTagCounts(getTagCounts(dreams)));
+  }, []);
+
+  const startRename = (name) => {
+    setMergeSource(null);
+    setRenaming(name);
+    setNewName(name);
+  };
+
+  const applyRename = async (from, to) => {
+    try {
+      await renameTag(from, to);
+      setRenaming(null);
+    } catch (error) {
+      Alert.alert('Rename Error', error.message || 'Failed to rename the tag.');
+    }
+  };
+
+  /**
+   * Rename the tag being edited, asking first when the name is already taken
+   */
+  const handleRename = () => {
+    const existing = tagCounts.find(tag => tagKey(tag.name) === tagKey(newName) && tagKey(tag.name) !== tagKey(renaming));
+    if (!existing) {
+      applyRename(renaming, newName);
+      return;
+    }
+
+    Alert.alert(
+      'Merge Tags?',
+      `#${existing.name} already exists. Dreams tagged #${renaming} will be tagged #${existing.name} instead.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => applyRename(renaming, existing.name) },
+      ]
+    );
+  };
+
+  /**
+   * Merge the selected tag into the one tapped
+   *
+   * @param {string} target - Tag that remains
+   */
+  const handleMergeInto = async (target) => {
+    const source = mergeSource;
+    setMergeSource(null);
+    try {
+      await mergeTags([source], target);
+    } catch (error) {
+      Alert.alert('Merge Error', error.message || 'Failed to merge the tags.');
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    const target = pendingDelete;
+    setPendingDelete(null);
+    try {
+      await deleteTag(target.name);
+    } catch (error) {
+      Alert.alert('Delete Error', error.message || 'Failed to delete the tag.');
+    }
+  };
+
+  const renderTag = ({ name, count }) => {
+    if (renaming === name) {
+      return (
+        <View key={name} style={[styles.item, styles.itemEditing]}>
+          <Hash size={16} color="#A78BFA" />
+          <TextInput
+            style={styles.renameInput}
+            value={newName}
+            onChangeText={setNewName}
+            onSubmitEditing={handleRename}
+            maxLength={MAX_TAG_LENGTH}
+            autoFocus
+            autoCapitalize="none"
+            keyboardAppearance="dark"
+          />
+          <TouchableOpacity onPress={handleRename} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <Check size={18} color="#10B981" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setRenaming(null)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <X size={18} color="#9CA3AF" />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    const isSource = mergeSource === name;
+    const isTarget = mergeSource !== null && !isSource;
+
+    return (
+      <TouchableOpacity
+        key={name}
+        style={[styles.item, isSource && styles.itemSource, isTarget && styles.itemTarget]}
+        onPress={isTarget ? () => handleMergeInto(name) : undefined}
+        disabled={!isTarget}
+        activeOpacity={0.8}
+      >
+        <Hash size={16} color="#A78BFA" />
+        <View style={styles.itemContent}>
+          <Text style={styles.itemName} numberOfLines={1}>{name}</Text>
+          <Text style={styles.itemMeta}>{count} dream{count === 1 ? '' : 's'}</Text>
+        </View>
+        {mergeSource === null && (
+          <View style={styles.itemActions}>
+            <TouchableOpacity onPress={() => startRename(name)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+              <Pencil size={16} color="#9CA3AF" />
+            </TouchableOpacity>
+            {tagCounts.length > 1 && (
+              <TouchableOpacity onPress={() => setMergeSource(name)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                <Merge size={16} color="#9CA3AF" />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => setPendingDelete({ name, count })} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+              <Trash2 size={16} color="#EF4444" />
+            </TouchableOpacity>
+          </View>
+        )}
+        {isSource && (
+          <TouchableOpacity onPress={() => setMergeSource(null)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <X size={18} color="#9CA3AF" />
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Hash}
+        title="Tags"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.contentContainer}
+        keyboardShouldPersistTaps="handled"
+      >
+        {tagCounts.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Hash size={40} color="#4B5563" />
+            <Text style={styles.emptyStateText}>No tags yet</Text>
+            <Text style={styles.emptyStateHint}>
+              Add tags for the people, places and symbols in your dreams when you record or edit them.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.sectionLabel}>
+              {mergeSource
+                ? `Choose the tag to merge #${mergeSource} into`
+                : `${tagCounts.length} tag${tagCounts.length === 1 ? '' : 's'}`}
+            </Text>
+            {tagCounts.map(renderTag)}
+          </>
+        )}
+      </ScrollView>
+
+      <DeleteConfirmationModal
+        visible={pendingDelete !== null}
+        title="Delete Tag?"
+        message={pendingDelete
+          ? `#${pendingDelete.name} will be removed from ${pendingDelete.count} dream${pendingDelete.count === 1 ? '' : 's'}. The dreams themselves are kept.`
+          : ''}
+        confirmLabel="Delete Tag"
+        onConfirm={handleConfirmDelete}
+        onCancel={() => setPendingDelete(null)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 20,
+    gap: 12,
+  },
+  emptyStateText: {
+    color: '#6B7280',
+    fontSize: 15,
+  },
+  emptyStateHint: {
+    color: '#4B5563',
+    fontSize: 13,
+    textAlign: 'center',
+    lineHeight: 19,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 14,
+    gap: 12,
+  },
+  itemEditing: {
+    borderColor: '#8B5CF6',
+  },
+  itemSource: {
+    borderColor: '#8B5CF6',
+    backgroundColor: '#2A2A2A',
+  },
+  itemTarget: {
+    borderStyle: 'dashed',
+    borderColor: '#4B5563',
+  },
+  itemContent: {
+    flex: 1,
+  },
+  itemName: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  itemMeta: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  renameInput: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 15,
+    paddingVertical: 0,
+  },
+});
@@ -0,0 +1,298 @@
+/**
+ * Trash Screen
+ *
+ * Lists dreams that were deleted from Home. Each one can be restored to the
+ * journal or deleted for good; the whole Trash can be emptied at once. The
+ * user also picks how long dreams stay here before they're purged.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { ArrowLeft, Trash2, RotateCcw } from 'lucide-react-native';
+import Header from '../components/Header';
+import DeleteConfirmationModal from '../components/DeleteConfirmationModal';
+import { getTrashedDreams, restoreDream, deleteDream, purgeTrash, subscribe } from '../storage/DreamRepository';
+import {
+  TRASH_RETENTION_OPTIONS,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+} from '../storage/Trash';
+
+export default function Trash({ navigation }) {
+  const [dreams, setDreams] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  // Dream waiting for "Delete Forever" confirmation, or 'all' for Empty Trash
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const loadTrash = async () => {
+    try {
+      setRetentionDays(await getTrashRetentionDays());
+      setDreams(await getTrashedDreams());
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    }
+  };
+
+  // Drop expired dreams whenever the screen is opened
+  useFocusEffect(
+    useCallback(() => {
+      purgeExpiredTrash()
+        .catch(error => console.error('Failed to purge trash:', error))
+        .finally(loadTrash);
+    }, [])
+  );
+
+  // Follow restores and deletions made elsewhere (e.g. by sync)
+  useEffect(() => subscribe(() => {
+    loadTrash();
+  }), []);
+
+  const handleRestore = async (id) => {
+    try {
+      await restoreDream(id);
+    } catch (error) {
+      Alert.alert('Restore Error', error.message || 'Failed to restore the dream. Please try again.');
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    const target = pendingDelete;
+    setPendingDelete(null);
+    try {
+      if (target === 'all') {
+        // Everything in the Trash was deleted before now
+        await purgeTrash(new Date());
+      } else {
+        await deleteDream(target.id);
+      }
+    } catch (error) {
+      Alert.alert('Delete Error', error.message || 'Failed to delete. Please try again.');
+    }
+  };
+
+  const handleRetentionChange = async (days) => {
+    try {
+      await setTrashRetentionDays(days);
+      await loadTrash();
+    } catch (error) {
+      Alert.alert('Trash Error', error.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        icon={Trash2}
+        title="Trash"
+        backIcon={ArrowLeft}
+        onBackPress={() => navigation.goBack()}
+      />
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
+        <Text style={styles.sectionLabel}>Keep Deleted Dreams For</Text>
+        <View style={styles.chipRow}>
+          {TRASH_RETENTION_OPTIONS.map(days => (
+            <TouchableOpacity
+              key={days}
+              style={[styles.chip, retentionDays === days && styles.chipSelected]}
+              onPress={() => handleRetentionChange(days)}
+              activeOpacity={0.8}
+            >
+              <Text style={[styles.chipText, retentionDays === days && styles.chipTextSelected]}>
+                {days === 365 ? '1 year' : `${days} days`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {dreams.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Trash2 size={40} color="#4B5563" />
+            <Text style={styles.emptyStateText}>The Trash is empty</Text>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.sectionLabel}>
+              {dreams.length} deleted dream{dreams.length === 1 ? '' : 's'}
+            </Text>
+            {dreams.map(dream => (
+              <View key={String(dream.id)} style={styles.item}>
+                <Text style={styles.itemTitle} numberOfLines={1}>{dream.title}</Text>
+                <Text style={styles.itemMeta}>
+                  Deleted {new Date(dream.deletedAt).toLocaleDateString()}
+                  {retentionDays ? ` · removed ${getPurgeDate(dream, retentionDays).toLocaleDateString()}` : ''}
+                </Text>
+                <Text style={styles.itemText} numberOfLines={2}>{dream.text}</Text>
+                <View style={styles.itemActions}>
+                  <TouchableOpacity
+                    style={[styles.actionButton, styles.restoreButton]}
+                    onPress={() => handleRestore(dream.id)}
+                    activeOpacity={0.8}
+                  >
+                    <RotateCcw size={14} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Restore</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.actionButton, styles.deleteButton]}
+                    onPress={() => setPendingDelete(dream)}
+                    activeOpacity={0.8}
+                  >
+                    <Trash2 size={14} color="#FFFFFF" />
+                    <Text style={styles.actionButtonText}>Delete Forever</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={styles.emptyButton}
+              onPress={() => setPendingDelete('all')}
+              activeOpacity={0.8}
+            >
+              <Trash2 size={16} color="#FFFFFF" />
+              <Text style={styles.emptyButtonText}>Empty Trash</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+
+      <DeleteConfirmationModal
+        visible={pendingDelete !== null}
+        dreamTitle={pendingDelete && pendingDelete !== 'all' ? pendingDelete.title : ''}
+        title={pendingDelete === 'all' ? 'Empty Trash?' : 'Delete Forever?'}
+        message={pendingDelete === 'all'
+          ? `All ${dreams.length} dream${dreams.length === 1 ? '' : 's'} in the Trash will be deleted. This action cannot be undone.`
+          : undefined}
+        confirmLabel={pendingDelete === 'all' ? 'Empty Trash' : 'Delete'}
+        onConfirm={handleConfirmDelete}
+        onCancel={() => setPendingDelete(null)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  contentContainer: {
+    paddingVertical: 20,
+    paddingBottom: 60,
+    gap: 10,
+  },
+  sectionLabel: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    backgroundColor: '#1A1A1A',
+  },
+  chipSelected: {
+    borderColor: '#8B5CF6',
+    backgroundColor: '#2A2A2A',
+  },
+  chipText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    gap: 12,
+  },
+  emptyStateText: {
+    color: '#6B7280',
+    fontSize: 15,
+  },
+  item: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    padding: 16,
+  },
+  itemTitle: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  itemMeta: {
+    color: '#9CA3AF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemText: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 8,
+  },
+  itemActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  restoreButton: {
+    backgroundColor: '#8B5CF6',
+  },
+  deleteButton: {
+    backgroundColor: '#EF4444',
+  },
+  actionButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  emptyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#EF4444',
+    borderRadius: 12,
+    paddingVertical: 14,
+    gap: 8,
+    marginTop: 10,
+  },
+  emptyButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
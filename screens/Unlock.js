@@ -0,0 +1,276 @@
+/**
+ * Unlock Screen - Encrypted Journal Access
+ *
+ * Shown after sign-in when the user's journal is encrypted. The journal is
+ * unlocked with the passphrase, or with the recovery key plus a new
+ * passphrase when the passphrase has been forgotten. App.js swaps to the
+ * main app as soon as the journal reports itself unlocked.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { signOut } from 'firebase/auth';
+import { auth } from '../firebase';
+import { Lock, KeyRound, Eye, EyeOff } from 'lucide-react-native';
+import Animated, { FadeInDown, FadeInUp } from 'react-native-reanimated';
+import Header from '../components/Header';
+import { unlockWithPassphrase, unlockWithRecoveryKey } from '../storage/Encryption';
+
+export default function Unlock() {
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [recoveryKey, setRecoveryKey] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [showPassphrase, setShowPassphrase] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Unlock with whichever method is showing
+   * Key derivation takes a moment, so the button shows progress
+   */
+  const handleUnlock = async () => {
+    setError('');
+    setLoading(true);
+    try {
+      if (useRecovery) {
+        await unlockWithRecoveryKey(recoveryKey, newPassphrase);
+      } else {
+        await unlockWithPassphrase(passphrase);
+      }
+      // App.js switches to the journal once the unlock is reported
+    } catch (unlockError) {
+      setError(unlockError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecovery(!useRecovery);
+    setError('');
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Header
+          icon={Lock}
+          title="Unlock"
+        />
+
+        <View style={styles.content}>
+          <Animated.View entering={FadeInDown.delay(200)} style={styles.headerSection}>
+            <Text style={styles.title}>Journal Locked</Text>
+            <Text style={styles.subtitle}>
+              {useRecovery
+                ? 'Enter your recovery key and choose a new passphrase'
+                : 'Enter your passphrase to read your dreams'}
+            </Text>
+          </Animated.View>
+
+          <Animated.View entering={FadeInUp.delay(400)} style={styles.formSection}>
+            {useRecovery ? (
+              <>
+                <View style={styles.inputContainer}>
+                  <View style={styles.inputWrapper}>
+                    <KeyRound size={20} color="#6B7280" style={styles.inputIcon} />
+                    <TextInput
+                      style={styles.input}
+                      placeholder="Recovery key"
+                      placeholderTextColor="#6B7280"
+                      value={recoveryKey}
+                      onChangeText={setRecoveryKey}
+                      autoCapitalize="characters"
+                      autoCorrect={false}
+                    />
+                  </View>
+                </View>
+                <View style={styles.inputContainer}>
+                  <View style={styles.inputWrapper}>
+                    <Lock size={20} color="#6B7280" style={styles.inputIcon} />
+                    <TextInput
+                      style={styles.input}
+                      placeholder="New passphrase"
+                      placeholderTextColor="#6B7280"
+                      value={newPassphrase}
+                      onChangeText={setNewPassphrase}
+                      secureTextEntry={!showPassphrase}
+                      autoCapitalize="none"
+                    />
+                    <TouchableOpacity
+                      style={styles.eyeIcon}
+                      onPress={() => setShowPassphrase(!showPassphrase)}
+                    >
+                      {showPassphrase ? <EyeOff size={20} color="#6B7280" /> : <Eye size={20} color="#6B7280" />}
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              </>
+            ) : (
+              <View style={styles.inputContainer}>
+                <View style={styles.inputWrapper}>
+                  <Lock size={20} color="#6B7280" style={styles.inputIcon} />
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Passphrase"
+                    placeholderTextColor="#6B7280"
+                    value={passphrase}
+                    onChangeText={setPassphrase}
+                    secureTextEntry={!showPassphrase}
+                    autoCapitalize="none"
+                    onSubmitEditing={handleUnlock}
+                  />
+                  <TouchableOpacity
+                    style={styles.eyeIcon}
+                    onPress={() => setShowPassphrase(!showPassphrase)}
+                  >
+                    {showPassphrase ? <EyeOff size={20} color="#6B7280" /> : <Eye size={20} color="#6B7280" />}
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+            <TouchableOpacity
+              style={[styles.unlockButton, loading && styles.unlockButtonDisabled]}
+              onPress={handleUnlock}
+              disabled={loading}
+              activeOpacity={0.8}
+            >
+              <Text style={styles.unlockButtonText}>
+                {loading ? 'Unlocking...' : 'Unlock'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={toggleMode} style={styles.linkButton}>
+              <Text style={styles.linkText}>
+                {useRecovery ? 'Use my passphrase instead' : 'Forgot passphrase? Use recovery key'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={() => signOut(auth)} style={styles.linkButton}>
+              <Text style={styles.signOutText}>Sign out</Text>
+            </TouchableOpacity>
+          </Animated.View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0A0A0A',
+  },
+  scrollContent: {
+    flexGrow: 1,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  headerSection: {
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#9CA3AF',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+  formSection: {
+    flex: 1,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1A1A1A',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2A2A2A',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#FFFFFF',
+    paddingVertical: 0,
+  },
+  eyeIcon: {
+    padding: 4,
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 14,
+    marginLeft: 4,
+  },
+  unlockButton: {
+    backgroundColor: '#8B5CF6',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 20,
+  },
+  unlockButtonDisabled: {
+    backgroundColor: '#4C1D95',
+    opacity: 0.7,
+  },
+  unlockButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  linkText: {
+    color: '#8B5CF6',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  signOutText: {
+    color: '#6B7280',
+    fontSize: 15,
+  },
+});
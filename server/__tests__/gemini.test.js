@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { createGeminiRouter } = require('../api/gemini');
+const { createTokenVerifier } = require('../api/auth');
+const { createQuota } = require('../api/quota');
+
+const PROJECT_ID = 'dream-test';
+const API_KEY = 'test-gemini-key';
+const KEY_ID = 'test-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/**
+ * Sign a Firebase-style ID token with the test key
+ */
+const makeToken = (uid, overrides = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'RS256', kid: KEY_ID, typ: 'JWT' });
+  const payload = encode({
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: uid,
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Local stand-in for the Gemini API; each test sets how it answers
+let fakeGemini;
+let geminiBaseUrl;
+let geminiRequests;
+let geminiReply;
+
+beforeAll((done) => {
+  const fake = express();
+  fake.use(express.json());
+  fake.post('/v1beta/models/:model', (req, res) => {
+    geminiRequests.push({ model: req.params.model, key: req.get('x-goog-api-key'), query: req.query, body: req.body });
+    geminiReply(req, res);
+  });
+  fakeGemini = fake.listen(0, '127.0.0.1', () => {
+    geminiBaseUrl = `http://127.0.0.1:${fakeGemini.address().port}/v1beta`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  fakeGemini.close(done);
+});
+
+const answerWith = (text) => (req, res) => res.json({ candidates: [{ content: { parts: [{ text }] } }] });
+
+// Stream pieces the way Gemini's alt=sse responses do, optionally dropping the connection after them
+const streamPieces = (pieces, { drop = false } = {}) => (req, res) => {
+  res.set('Content-Type', 'text/event-stream');
+  pieces.forEach(text => res.write(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`));
+  if (drop) {
+    setTimeout(() => res.socket.destroy(), 50); // After the pieces have gone out
+  } else {
+    res.end();
+  }
+};
+
+// Parse a server-sent event body into [{ event, data }]
+const parseEvents = (body) => body.split('\n\n').filter(Boolean).map((block) => {
+  const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+  return { event: fields.event, data: JSON.parse(fields.data) };
+});
+
+/**
+ * Build an app with the proxy mounted as server.js does
+ */
+const makeApp = ({ apiKey = API_KEY, limit = 10, timeoutMs = 1000 } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/gemini', createGeminiRouter({
+    apiKey,
+    fetch,
+    baseUrl: geminiBaseUrl,
+    model: 'gemini-test',
+    timeoutMs,
+    verifyToken: createTokenVerifier({
+      projectId: PROJECT_ID,
+      getCertificates: async () => ({ [KEY_ID]: publicKey.export({ type: 'spki', format: 'pem' }) }),
+    }),
+    quota: createQuota({ limit }),
+  }));
+  return app;
+};
+
+const post = (app, path, body, uid = 'user-a') => request(app)
+  .post(`/api/gemini/${path}`)
+  .set('Authorization', `Bearer ${makeToken(uid)}`)
+  .send(body);
+
+describe('Gemini proxy', () => {
+  beforeEach(() => {
+    geminiRequests = [];
+    geminiReply = answerWith('Peaceful');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('forwards mood requests with the server\'s key', async () => {
+    const response = await post(makeApp(), 'mood', { dreamText: 'Floating over a calm lake' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ mood: 'peaceful' });
+    expect(geminiRequests).toHaveLength(1);
+    const [sent] = geminiRequests;
+    expect(sent).toMatchObject({ model: 'gemini-test:generateContent', key: API_KEY, query: {} });
+    expect(sent.body.contents[0].parts[0].text).toContain('Dream: "Floating over a calm lake"');
+  });
+
+  test('builds analysis, rewrite and help prompts from the app\'s values', async () => {
+    const app = makeApp();
+
+    geminiReply = answerWith('Water often stands for feelings.');
+    expect((await post(app, 'analyze', {
+      dreamText: 'A flood',
+      recentTitles: ['Rain', 'Sea', 'River', 'Lake'],
+      recurringSymbols: [{ name: 'Water', count: 4 }, { name: 'Ignored' }, 'Nope'],
+    })).body).toEqual({ analysis: 'Water often stands for feelings.' });
+    const analysisPrompt = geminiRequests[0].body.contents[0].parts[0].text;
+    expect(analysisPrompt).toContain('Context from recent dreams: Sea, River, Lake');
+    expect(analysisPrompt).toContain('recur across the dreamer\'s journal: Water (4 dreams)\n');
+    expect(geminiRequests[0].body.generationConfig.responseMimeType).toBe('application/json');
+
+    geminiReply = answerWith('  I flew home.\n');
+    expect((await post(app, 'rewrite', { dreamText: 'i flew home' })).body).toEqual({ text: 'I flew home.' });
+    expect(geminiRequests[1].body.generationConfig.responseMimeType).toBeUndefined();
+
+    geminiReply = answerWith('Try writing as soon as you wake.');
+    const help = await post(app, 'help', { question: 'How do I remember more?', stats: { total: 4, moods: { Joyful: 3, Scary: 1 } } });
+    expect(help.body).toEqual({ help: 'Try writing as soon as you wake.' });
+    expect(geminiRequests[2].body.contents[0].parts[0].text).toContain('Mood distribution: Joyful: 3, Scary: 1');
+  });
+
+  test('rejects requests without a valid token', async () => {
+    const app = makeApp();
+
+    expect((await request(app).post('/api/gemini/mood').send({ dreamText: 'x' })).status).toBe(401);
+    const otherProject = makeToken('user-a', { aud: 'someone-else', iss: 'https://securetoken.google.com/someone-else' });
+    expect((await request(app).post('/api/gemini/mood').set('Authorization', `Bearer ${otherProject}`).send({ dreamText: 'x' })).status).toBe(401);
+    const expired = makeToken('user-a', { exp: Math.floor(Date.now() / 1000) - 3600 });
+    expect((await request(app).post('/api/gemini/mood').set('Authorization', `Bearer ${expired}`).send({ dreamText: 'x' })).status).toBe(401);
+    const tampered = `${makeToken('user-a').slice(0, -4)}AAAA`;
+    expect((await request(app).post('/api/gemini/mood').set('Authorization', `Bearer ${tampered}`).send({ dreamText: 'x' })).status).toBe(401);
+
+    expect(geminiRequests).toHaveLength(0);
+  });
+
+  test('enforces each user\'s quota, not counting invalid requests', async () => {
+    const app = makeApp({ limit: 2 });
+
+    expect((await post(app, 'mood', {})).status).toBe(400);
+    expect((await post(app, 'mood', { dreamText: 'one' })).headers['x-quota-remaining']).toBe('1');
+    expect((await post(app, 'mood', { dreamText: 'two' })).status).toBe(200);
+
+    const blocked = await post(app, 'analyze', { dreamText: 'three' });
+    expect(blocked.status).toBe(429);
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await post(app, 'mood', { dreamText: 'other user' }, 'user-b')).status).toBe(200);
+    expect(geminiRequests).toHaveLength(3);
+  });
+
+  test('reports Gemini failures in a way the app can retry', async () => {
+    const app = makeApp({ timeoutMs: 50 });
+
+    geminiReply = (req, res) => res.status(429).json({ error: { message: 'Resource exhausted' } });
+    expect((await post(app, 'mood', { dreamText: 'busy' })).status).toBe(503);
+
+    geminiReply = (req, res) => res.status(400).json({ error: { message: 'Bad request' } });
+    expect((await post(app, 'mood', { dreamText: 'bad' })).status).toBe(502);
+
+    geminiReply = (req, res) => setTimeout(() => answerWith('late')(req, res), 200);
+    expect((await post(app, 'mood', { dreamText: 'slow' })).status).toBe(408);
+
+    geminiReply = (req, res) => res.json({ candidates: [] });
+    expect((await post(app, 'mood', { dreamText: 'empty' })).status).toBe(502);
+  });
+
+  test('refuses to forward until a key is configured', async () => {
+    const response = await post(makeApp({ apiKey: '' }), 'mood', { dreamText: 'x' });
+
+    expect(response.status).toBe(503);
+    expect(geminiRequests).toHaveLength(0);
+  });
+
+  test('streams analyses piece by piece', async () => {
+    geminiReply = streamPieces(['Water often ', 'stands for ', 'feelings.']);
+
+    const response = await post(makeApp(), 'analyze/stream', { dreamText: 'A flood', recentTitles: ['Rain'] });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('text/event-stream');
+    expect(parseEvents(response.text)).toEqual([
+      { event: 'text', data: { text: 'Water often ' } },
+      { event: 'text', data: { text: 'stands for ' } },
+      { event: 'text', data: { text: 'feelings.' } },
+      { event: 'done', data: {} },
+    ]);
+    expect(geminiRequests[0]).toMatchObject({ model: 'gemini-test:streamGenerateContent', key: API_KEY, query: { alt: 'sse' } });
+    expect(geminiRequests[0].body.contents[0].parts[0].text).toContain('Context from recent dreams: Rain');
+  });
+
+  test('ends a dropped stream with an error event, and fails early ones as JSON', async () => {
+    const app = makeApp({ limit: 5 });
+
+    geminiReply = streamPieces(['Water often '], { drop: true });
+    const dropped = parseEvents((await post(app, 'analyze/stream', { dreamText: 'A flood' })).text);
+    expect(dropped[0]).toEqual({ event: 'text', data: { text: 'Water often ' } });
+    expect(dropped[dropped.length - 1]).toMatchObject({ event: 'error', data: { status: 502 } });
+
+    geminiReply = (req, res) => res.status(429).json({ error: { message: 'Resource exhausted' } });
+    const busy = await post(app, 'analyze/stream', { dreamText: 'A flood' });
+    expect(busy.status).toBe(503);
+    expect(busy.body).toMatchObject({ error: 'AI service unavailable' });
+
+    expect((await post(app, 'analyze/stream', {})).status).toBe(400);
+    expect((await post(app, 'mood', { dreamText: 'x' })).headers['x-quota-remaining']).toBe('2');
+  });
+
+  test('is mounted by the server', async () => {
+    const savedKey = process.env.GEMINI_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+    const server = require('../server');
+
+    expect((await request(server).post('/api/gemini/mood').send({ dreamText: 'x' })).status).toBe(503);
+    if (savedKey !== undefined) process.env.GEMINI_API_KEY = savedKey;
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Firebase ID Token Verification
+ *
+ * The app signs users in with Firebase and sends their ID token with every
+ * proxied AI request. Tokens are checked here against Google's published
+ * signing certificates, without the Firebase Admin SDK, so the server knows
+ * which user each request belongs to (for quotas) and rejects everyone else.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const crypto = require('crypto');
+
+// Certificates Firebase signs ID tokens with, keyed by key id
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Used when Google doesn't say how long to cache the certificates
+const DEFAULT_CERT_CACHE_MS = 60 * 60 * 1000;
+
+// Allowance for clocks that disagree slightly, in seconds
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Decode one base64url segment of a JWT as JSON
+ *
+ * @param {string} segment - Base64url text
+ * @returns {Object} Decoded JSON
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Build a function that fetches Firebase's signing certificates, cached for
+ * as long as Google allows
+ *
+ * @param {Function} fetch - fetch implementation
+ * @returns {Function} Resolves to { [keyId]: certificatePem }
+ */
+const createCertFetcher = (fetch) => {
+  let cached = null;
+  let expiresAt = 0;
+
+  return async () => {
+    if (cached && Date.now() < expiresAt) return cached;
+
+    const response = await fetch(FIREBASE_CERTS_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Firebase certificates: ${response.status}`);
+    }
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    cached = await response.json();
+    expiresAt = Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CERT_CACHE_MS);
+    return cached;
+  };
+};
+
+/**
+ * Create a verifier for Firebase ID tokens issued to one project
+ *
+ * @param {Object} options
+ * @param {string} options.projectId - Firebase project id the tokens must be for
+ * @param {Function} [options.fetch] - fetch implementation, for the certificates
+ * @param {Function} [options.getCertificates] - Resolves to { [keyId]: certificatePem }; replaces the download
+ * @returns {Function} Resolves a token to the user's uid, or rejects when it isn't valid
+ */
+const createTokenVerifier = ({ projectId, fetch, getCertificates }) => {
+  const loadCertificates = getCertificates || createCertFetcher(fetch);
+
+  return async (token) => {
+    if (!projectId) {
+      throw new Error('FIREBASE_PROJECT_ID is not set');
+    }
+
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    const [headerSegment, payloadSegment, signature] = parts;
+    const header = decodeSegment(headerSegment);
+    const payload = decodeSegment(payloadSegment);
+
+    if (header.alg !== 'RS256') {
+      throw new Error('Unexpected token algorithm');
+    }
+    const certificate = (await loadCertificates())[header.kid];
+    if (!certificate) {
+      throw new Error('Unknown token signing key');
+    }
+
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(`${headerSegment}.${payloadSegment}`);
+    if (!verifier.verify(certificate, Buffer.from(signature, 'base64url'))) {
+      throw new Error('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+      throw new Error('Token was issued for another project');
+    }
+    if (!(payload.exp > now - CLOCK_SKEW_SECONDS) || !(payload.iat <= now + CLOCK_SKEW_SECONDS)) {
+      throw new Error('Token has expired');
+    }
+    if (typeof payload.sub !== 'string' || !payload.sub) {
+      throw new Error('Token has no user');
+    }
+
+    return payload.sub;
+  };
+};
+
+/**
+ * Express middleware that requires a valid Firebase ID token
+ * Sets req.uid for later handlers, or answers 401.
+ *
+ * @param {Function} verifyToken - Verifier from createTokenVerifier
+ * @returns {Function} Middleware
+ */
+const requireUser = (verifyToken) => async (req, res, next) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Sign in to use AI features.' });
+  }
+
+  try {
+    req.uid = await verifyToken(match[1]);
+    next();
+  } catch (error) {
+    console.error('Rejected AI request:', error.message);
+    res.status(401).json({ error: 'Unauthorized', message: 'Your session has expired. Please sign in again.' });
+  }
+};
+
+module.exports = { createTokenVerifier, requireUser };
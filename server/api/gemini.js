@@ -0,0 +1,337 @@
+/**
+ * Gemini Proxy Routes
+ *
+ * Forwards the app's mood, analysis, rewrite and help requests to Google
+ * Gemini so the API key stays on the server instead of shipping in the app.
+ * Every request needs a signed-in user's Firebase ID token and counts
+ * against that user's quota. Prompts are built here from the request's
+ * values (see prompts.js), so the key can't be used for anything else.
+ * Analyses can also be streamed as they're written (see sse.js).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const express = require('express');
+const { requireUser } = require('./auth');
+const { openEventStream, readLines, createIdleTimeout } = require('./sse');
+const {
+  buildMoodPrompt,
+  buildAnalysisPrompt,
+  buildHelpPrompt,
+  buildRewritePrompt,
+} = require('./prompts');
+
+// Gemini defaults, overridable through the environment (see server.js)
+const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-pro';
+const DEFAULT_GEMINI_TIMEOUT = 30000; // 30 seconds
+
+// Longest dream or question accepted, in characters
+const MAX_TEXT_LENGTH = 20000;
+
+// Most recent dream titles accepted as analysis or help context
+const MAX_CONTEXT_TITLES = 3;
+const MAX_TITLE_LENGTH = 200;
+
+// Most recurring symbols accepted as analysis context
+const MAX_RECURRING_SYMBOLS = 10;
+const MAX_SYMBOL_LENGTH = 60;
+
+/**
+ * Keep only short string titles from a context list
+ *
+ * @param {*} titles - Value sent by the app
+ * @returns {Array<string>} Up to MAX_CONTEXT_TITLES titles
+ */
+const toTitles = (titles) => (Array.isArray(titles) ? titles : [])
+  .filter(title => typeof title === 'string')
+  .slice(-MAX_CONTEXT_TITLES)
+  .map(title => title.slice(0, MAX_TITLE_LENGTH));
+
+/**
+ * Keep only well-formed entries from the recurring symbols list
+ *
+ * @param {*} symbols - Value sent by the app
+ * @returns {Array<Object>} Up to MAX_RECURRING_SYMBOLS { name, count } entries
+ */
+const toRecurringSymbols = (symbols) => (Array.isArray(symbols) ? symbols : [])
+  .filter(symbol => typeof symbol?.name === 'string' && Number.isInteger(symbol.count))
+  .slice(0, MAX_RECURRING_SYMBOLS)
+  .map(({ name, count }) => ({ name: name.slice(0, MAX_SYMBOL_LENGTH), count }));
+
+/**
+ * Check a required text field in the request body
+ *
+ * @param {Object} body - Request body
+ * @param {string} field - Field name
+ * @param {string} label - Name used in error messages
+ * @returns {Object|null} { status, error } when the field is missing or too long
+ */
+const checkText = (body, field, label) => {
+  const value = body?.[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    return { status: 400, error: `${label} is required` };
+  }
+  if (value.length > MAX_TEXT_LENGTH) {
+    return { status: 413, error: `${label} is too long` };
+  }
+  return null;
+};
+
+// Proxied routes: which field they need, how to build the prompt, the response field
+// and whether Gemini answers with JSON (structured analyses, parsed by the app)
+const ROUTES = {
+  mood: {
+    field: 'dreamText',
+    label: 'Dream text',
+    buildPrompt: ({ dreamText }) => buildMoodPrompt(dreamText),
+    respond: (text) => ({ mood: text.trim().toLowerCase() }),
+  },
+  analyze: {
+    field: 'dreamText',
+    label: 'Dream text',
+    buildPrompt: ({ dreamText, recentTitles, recurringSymbols }) => buildAnalysisPrompt(
+      dreamText,
+      toTitles(recentTitles),
+      toRecurringSymbols(recurringSymbols),
+    ),
+    respond: (text) => ({ analysis: text }),
+    json: true,
+  },
+  rewrite: {
+    field: 'dreamText',
+    label: 'Dream text',
+    buildPrompt: ({ dreamText }) => buildRewritePrompt(dreamText),
+    respond: (text) => ({ text: text.trim() }),
+  },
+  help: {
+    field: 'question',
+    label: 'Question',
+    buildPrompt: ({ question, stats = {} }) => buildHelpPrompt(question, {
+      total: Number(stats.total) || 0,
+      moods: Object.fromEntries(Object.entries(stats.moods || {})
+        .filter(([mood, count]) => typeof mood === 'string' && Number.isFinite(count))),
+      recentTitles: toTitles(stats.recentTitles),
+    }),
+    respond: (text) => ({ help: text }),
+  },
+};
+
+/**
+ * Build the Gemini request body for a prompt
+ *
+ * @param {string} prompt - Prompt text
+ * @param {boolean} [json=false] - Have Gemini answer with JSON
+ * @returns {string} JSON body
+ */
+const toGeminiBody = (prompt, json = false) => JSON.stringify({
+  contents: [{ parts: [{ text: prompt }] }],
+  generationConfig: {
+    maxOutputTokens: json ? 1500 : 800,
+    temperature: 0.8,
+    topP: 0.9,
+    topK: 40,
+    ...(json ? { responseMimeType: 'application/json' } : {}),
+  },
+  safetySettings: [
+    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
+  ],
+});
+
+/**
+ * Read the text out of a Gemini response or streamed piece
+ *
+ * @param {Object} data - Parsed Gemini JSON
+ * @returns {string|undefined} Text, undefined when there is none
+ */
+const getCandidateText = (data) => {
+  const parts = data?.candidates?.[0]?.content?.parts;
+  return Array.isArray(parts) ? parts.map(part => part.text || '').join('') : undefined;
+};
+
+/**
+ * Turn a failed Gemini call into the error the app is sent
+ *
+ * @param {Error} error - Failure from callGemini or openGeminiStream
+ * @returns {Object} { status, error, message }
+ */
+const toErrorResponse = (error) => {
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return { status: 408, error: 'Request timeout', message: 'AI service took too long to respond.' };
+  }
+  if (error.status === 429 || error.status === 503) {
+    return { status: 503, error: 'AI service unavailable', message: 'AI service is busy. Please try again in a moment.' };
+  }
+  if (error.code === 'ECONNREFUSED' || error.cause?.code === 'ECONNREFUSED') {
+    return { status: 503, error: 'AI service unavailable', message: 'Gemini could not be reached.' };
+  }
+  return { status: 502, error: 'AI service error', message: 'Gemini could not answer this request.' };
+};
+
+/**
+ * Create the Gemini proxy router, mounted at /api/gemini
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key; every route answers 503 without one
+ * @param {Function} options.fetch - fetch implementation used to call Gemini
+ * @param {Function} options.verifyToken - Resolves a Firebase ID token to a uid (see auth.js)
+ * @param {Object} options.quota - Per-user quota from createQuota
+ * @param {string} [options.baseUrl] - Gemini API base URL
+ * @param {string} [options.model] - Gemini model
+ * @param {number} [options.timeoutMs] - How long to wait for Gemini
+ * @returns {express.Router} Router
+ */
+const createGeminiRouter = ({
+  apiKey,
+  fetch,
+  verifyToken,
+  quota,
+  baseUrl = DEFAULT_GEMINI_BASE_URL,
+  model = DEFAULT_GEMINI_MODEL,
+  timeoutMs = DEFAULT_GEMINI_TIMEOUT,
+}) => {
+  const router = express.Router();
+
+  /**
+   * Send a prompt to Gemini
+   *
+   * @param {string} prompt - Prompt text
+   * @param {boolean} [json=false] - Have Gemini answer with JSON
+   * @returns {Promise<string>} Gemini's answer
+   * @throws {Error} With the upstream `status` when Gemini answers with an error
+   */
+  const callGemini = async (prompt, json = false) => {
+    const response = await fetch(`${baseUrl}/models/${model}:generateContent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey, // In a header rather than the URL, so it stays out of logs
+      },
+      body: toGeminiBody(prompt, json),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Gemini request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const text = getCandidateText(data);
+    if (!text) {
+      throw new Error('Invalid response format from Gemini');
+    }
+    return text;
+  };
+
+  /**
+   * Start streaming Gemini's answer to a prompt
+   *
+   * @param {string} prompt - Prompt text
+   * @param {boolean} json - Have Gemini answer with JSON
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<AsyncIterable>} Body of Gemini's server-sent events
+   * @throws {Error} With the upstream `status` when Gemini answers with an error
+   */
+  const openGeminiStream = async (prompt, json, signal) => {
+    const response = await fetch(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+      },
+      body: toGeminiBody(prompt, json),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Gemini stream failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.body;
+  };
+
+  // Nothing to forward to until the server has a key
+  router.use((req, res, next) => {
+    if (apiKey) return next();
+    res.status(503).json({
+      error: 'AI service unavailable',
+      message: 'Gemini is not configured on this server.',
+    });
+  });
+
+  router.use(requireUser(verifyToken));
+
+  // Check the route's text field before anything counts against the quota
+  const validate = (route) => (req, res, next) => {
+    const invalid = checkText(req.body, route.field, route.label);
+    if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+    next();
+  };
+
+  Object.entries(ROUTES).forEach(([name, route]) => {
+    /**
+     * @route POST /api/gemini/:name
+     * @throws {400} Missing text  @throws {413} Text too long
+     * @throws {401} Not signed in  @throws {429} Quota used up
+     * @throws {408} Gemini timed out  @throws {502} Gemini error  @throws {503} Gemini busy
+     */
+    router.post(`/${name}`, validate(route), quota.middleware, async (req, res) => {
+      try {
+        const text = await callGemini(route.buildPrompt(req.body), route.json);
+        res.json(route.respond(text));
+      } catch (error) {
+        console.error(`Error in /api/gemini/${name}:`, error.message);
+        const { status, ...body } = toErrorResponse(error);
+        res.status(status).json(body);
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/gemini/analyze/stream
+   * Same request as /analyze, answered as server-sent events (see sse.js).
+   * Gemini going quiet for the timeout ends the stream; so does the app
+   * closing the connection, which stops Gemini's answer too.
+   */
+  router.post('/analyze/stream', validate(ROUTES.analyze), quota.middleware, async (req, res) => {
+    const idle = createIdleTimeout(timeoutMs);
+    res.on('close', idle.abort);
+
+    let stream = null;
+    try {
+      const body = await openGeminiStream(ROUTES.analyze.buildPrompt(req.body), true, idle.signal);
+      stream = openEventStream(res);
+      for await (const line of readLines(body)) {
+        idle.touch();
+        if (!line.startsWith('data:')) continue;
+        const text = getCandidateText(JSON.parse(line.slice(5)));
+        if (text) stream.text(text);
+      }
+      stream.done();
+    } catch (error) {
+      if (res.destroyed) return; // The app went away; nobody to tell
+      console.error('Error in /api/gemini/analyze/stream:', error.message);
+      const failure = toErrorResponse(error);
+      if (stream) {
+        stream.fail(failure);
+      } else {
+        const { status, ...body } = failure;
+        res.status(status).json(body);
+      }
+    } finally {
+      idle.clear();
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createGeminiRouter, MAX_TEXT_LENGTH };
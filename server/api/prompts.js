@@ -0,0 +1,138 @@
+/**
+ * AI Prompts
+ *
+ * The one copy of the prompts every AI provider is asked. The Gemini proxy
+ * builds them from the values the app sends, so the Gemini key can only be
+ * used for the app's own requests; the app imports this module too (see
+ * apis/AIPrompts.js) for providers that run a model it talks to directly.
+ * Everything here is plain CommonJS with no dependencies so both can load it.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * @param {string} dreamText - Dream to tag
+ * @returns {string} Prompt asking for a single mood tag
+ */
+const buildMoodPrompt = (dreamText) => `You are an expert at analyzing emotional content in dreams. Analyze the following dream and determine the most accurate mood tag.
+
+Consider these factors:
+- **Primary emotional tone**: What is the dominant feeling?
+- **Intensity level**: How strong are the emotions?
+- **Overall atmosphere**: What's the general mood/feeling?
+- **Complexity**: Are there mixed or conflicting emotions?
+
+Available mood tags (choose the most fitting):
+- **Joyful**: peaceful, happy, exciting, hopeful, grateful, loving, confident, content
+- **Sad**: sad, lonely, depressed, guilty, disappointed, heartbroken
+- **Scary**: scary, anxious, fearful, terrified, panicked, stressed
+- **Strange**: mysterious, surreal, bizarre, confusing, curious, puzzling
+- **Neutral**: calm, neutral, indifferent, balanced, mixed (conflicting emotions)
+
+Dream: "${dreamText}"
+
+Respond with ONLY the single most appropriate mood tag from the categories above, nothing else.`;
+
+/**
+ * The summary comes first so the app can show it while the rest streams in.
+ * Symbols recurring across the journal are named so the analysis can point
+ * out patterns and reuse the same names, which keeps the app's symbol index tidy.
+ *
+ * @param {string} dreamText - Dream to analyze
+ * @param {Array<string>} recentTitles - Titles of the dreamer's recent dreams
+ * @param {Array<Object>} recurringSymbols - { name, count } recurring across the dreamer's journal
+ * @returns {string} Prompt asking for a structured interpretation as JSON
+ */
+const buildAnalysisPrompt = (dreamText, recentTitles = [], recurringSymbols = []) => `You are an expert dream analyst with deep knowledge of psychology, symbolism, and dream interpretation.
+
+${recentTitles.length > 0 ? `Context from recent dreams: ${recentTitles.slice(-3).join(', ')}` : ''}
+${recurringSymbols.length > 0 ? `Symbols that recur across the dreamer's journal: ${recurringSymbols.map(({ name, count }) => `${name} (${count} dreams)`).join(', ')}
+If this dream shares any of them, mention the pattern in the summary and use the same names in the lists.` : ''}
+
+Analyze this dream: "${dreamText}"
+
+Respond with ONLY a JSON object, no other text, in exactly this shape:
+{
+  "summary": "3-4 supportive sentences on what the dream may mean, helpful rather than definitive",
+  "symbols": [{ "name": "a key element of the dream", "meaning": "what it may represent" }],
+  "emotions": [{ "name": "an emotion present", "intensity": 1 }],
+  "themes": ["a short theme, e.g. loss of control"],
+  "characters": ["a person or creature in the dream"],
+  "settings": ["a place in the dream"],
+  "reflections": ["a question the dreamer could reflect on"]
+}
+
+Rules:
+- "intensity" is a whole number from 1 (faint) to 5 (overwhelming)
+- Give at most 5 entries in each list; use an empty list when nothing fits
+- Names are 1-4 words in sentence case
+- Only include characters and settings that appear in the dream`;
+
+/**
+ * @param {string} question - User's question
+ * @param {Object} stats - { total, moods: { [mood]: count }, recentTitles }
+ * @returns {string} Prompt answering a question about the app or journal
+ */
+const buildHelpPrompt = (question, { total = 0, moods = {}, recentTitles = [] } = {}) => `You are a helpful assistant for a dream journaling app.
+
+Current dream statistics:
+- Total dreams: ${total}
+- Mood distribution: ${Object.entries(moods).map(([mood, count]) => `${mood}: ${count}`).join(', ')}
+- Recent dreams: ${recentTitles.slice(-3).join(', ')}
+
+User question: "${question}"
+
+Provide helpful, specific advice about:
+- How to use the app features
+- Dream journaling tips
+- Understanding dream patterns
+- App navigation and functionality
+
+Keep responses friendly and concise.`;
+
+/**
+ * @param {string} dreamText - Dream to rewrite
+ * @returns {string} Prompt asking for a cleaner rewrite
+ */
+const buildRewritePrompt = (dreamText) => `You are an expert writer specializing in dream journal entries.
+
+Rewrite the following dream description to be more clear, engaging, and well-written while preserving ALL the original details, emotions, and meaning:
+
+"${dreamText}"
+
+Your improvements should:
+- **Enhance clarity**: Make the narrative flow better
+- **Preserve authenticity**: Keep the dreamer's unique voice and perspective
+- **Maintain details**: Don't add or remove any specific elements
+- **Improve readability**: Better grammar, structure, and flow
+- **Keep emotions intact**: Preserve the emotional tone and intensity
+
+Return only the improved version, nothing else.`;
+
+/**
+ * Build the prompt for one of the app's AI tasks
+ *
+ * @param {string} task - 'mood', 'analysis', 'help' or 'rewrite'
+ * @param {Object} input - { dreamText }, { dreamText, recentTitles, recurringSymbols } for
+ *   analyses, or { question, stats } for help
+ * @returns {string} Prompt
+ * @throws {Error} When the task is unknown
+ */
+const buildPrompt = (task, input) => {
+  switch (task) {
+    case 'mood':
+      return buildMoodPrompt(input.dreamText);
+    case 'analysis':
+      return buildAnalysisPrompt(input.dreamText, input.recentTitles, input.recurringSymbols);
+    case 'help':
+      return buildHelpPrompt(input.question, input.stats);
+    case 'rewrite':
+      return buildRewritePrompt(input.dreamText);
+    default:
+      throw new Error(`Unsupported AI task: ${task}`);
+  }
+};
+
+module.exports = { buildMoodPrompt, buildAnalysisPrompt, buildHelpPrompt, buildRewritePrompt, buildPrompt };
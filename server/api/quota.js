@@ -0,0 +1,67 @@
+/**
+ * Per-User Request Quotas
+ *
+ * Counts each user's proxied AI requests in fixed windows (a day by
+ * default) so one account can't run up the Gemini bill. Counts are kept in
+ * memory, so they reset when the server restarts.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a quota shared by every route that uses its middleware
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per user per window
+ * @param {number} [options.windowMs=one day] - Window length
+ * @returns {Object} { take(uid), middleware }
+ */
+const createQuota = ({ limit, windowMs = DAY_MS }) => {
+  // uid -> { count, resetAt }
+  const usage = new Map();
+
+  /**
+   * Use up one request for a user
+   *
+   * @param {string} uid - User id
+   * @returns {Object} { allowed, remaining, resetAt }
+   */
+  const take = (uid) => {
+    const now = Date.now();
+    let entry = usage.get(uid);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs };
+      usage.set(uid, entry);
+    }
+
+    if (entry.count >= limit) {
+      return { allowed: false, remaining: 0, resetAt: entry.resetAt };
+    }
+    entry.count += 1;
+    return { allowed: true, remaining: limit - entry.count, resetAt: entry.resetAt };
+  };
+
+  /**
+   * Express middleware charging req.uid one request, or answering 429
+   */
+  const middleware = (req, res, next) => {
+    const { allowed, remaining, resetAt } = take(req.uid);
+    res.set('X-Quota-Remaining', String(remaining));
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: 'You\'ve used all of your AI requests for today. Please try again later.',
+      });
+    }
+    next();
+  };
+
+  return { take, middleware };
+};
+
+module.exports = { createQuota };
@@ -0,0 +1,103 @@
+/**
+ * Server-Sent Events
+ *
+ * Streams AI answers to the app as they're generated. Each stream sends
+ * `text` events with the next piece of the answer, then either `done` or,
+ * if the AI fails partway through, `error` with the same fields the JSON
+ * error responses use:
+ *
+ *   event: text
+ *   data: {"text":"Water often "}
+ *
+ *   event: done
+ *   data: {}
+ *
+ * Failures before the first piece are answered as plain JSON errors, so a
+ * stream that opens has an answer on the way.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Start an event stream on a response
+ *
+ * @param {express.Response} res - Response to stream on
+ * @returns {Object} { text(text), done(), fail({ status, error, message }) }
+ */
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop proxies holding pieces back
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  return {
+    text: (text) => send('text', { text }),
+    done: () => {
+      send('done', {});
+      res.end();
+    },
+    fail: (error) => {
+      send('error', error);
+      res.end();
+    },
+  };
+};
+
+/**
+ * Read a streamed response body line by line
+ * Works with both node-fetch and built-in fetch bodies.
+ *
+ * @param {AsyncIterable<Buffer|Uint8Array|string>} body - Response body
+ * @returns {AsyncGenerator<string>} Lines without their line endings
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of body) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+  if (buffered) yield buffered;
+}
+
+/**
+ * Abort a request when it goes quiet for too long
+ * Streams can run longer than any single timeout, so only silence counts.
+ *
+ * @param {number} timeoutMs - Longest wait between pieces
+ * @returns {Object} { signal, touch(), abort(), clear() }
+ */
+const createIdleTimeout = (timeoutMs) => {
+  const controller = new AbortController();
+  let timer = null;
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    abort: () => controller.abort(),
+    clear: () => clearTimeout(timer),
+  };
+};
+
+module.exports = { openEventStream, readLines, createIdleTimeout };
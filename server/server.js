@@ -8,7 +8,9 @@
  * Key Features:
  * - Dream mood analysis using local AI models
  * - Dream interpretation and insights
+ * - Streamed answers as server-sent events, so the app can show them as they're written
  * - Health monitoring for AI services
+ * - Gemini proxy that keeps the API key on the server, with per-user quotas
  * - Comprehensive error handling and timeouts
  * - CORS support for cross-origin requests
  * 
@@ -21,15 +23,20 @@ const express = require('express');
 const cors = require('cors');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 require('dotenv').config();
+const { createGeminiRouter } = require('./api/gemini');
+const { createTokenVerifier } = require('./api/auth');
+const { createQuota } = require('./api/quota');
+const { openEventStream, readLines, createIdleTimeout } = require('./api/sse');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configuration constants
-const OLLAMA_BASE_URL = 'http://localhost:11434';
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 const DEFAULT_MODEL = 'mistral';
 const REQUEST_TIMEOUT = 120000; // 2 minutes
 const HEALTH_CHECK_TIMEOUT = 5000; // 5 seconds
+const DEFAULT_GEMINI_DAILY_QUOTA = 200; // Proxied Gemini requests per user per day
 
 // Middleware
 app.use(cors());
@@ -88,6 +95,59 @@ app.get('/health/ollama', async (req, res) => {
   }
 });
 
+/**
+ * Stream an Ollama answer to the app as server-sent events
+ *
+ * Ollama sends one JSON line per piece of the answer; each becomes a `text`
+ * event (see api/sse.js). Only silence counts toward REQUEST_TIMEOUT, and
+ * the app closing the connection stops Ollama too. Failures before the first
+ * piece are thrown for the endpoint's usual error responses.
+ *
+ * @param {express.Request} req - Request being answered
+ * @param {express.Response} res - Response to stream on
+ * @param {Object} options - { model, prompt, format }
+ * @returns {Promise<void>}
+ */
+const streamOllama = async (req, res, { model, prompt, format }) => {
+  const idle = createIdleTimeout(REQUEST_TIMEOUT);
+  res.on('close', idle.abort);
+
+  try {
+    const ollamaResponse = await fetch(`${OLLAMA_BASE_URL}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model, prompt, format, stream: true }),
+      signal: idle.signal
+    });
+
+    if (!ollamaResponse.ok) {
+      throw new Error(`Ollama request failed: ${ollamaResponse.status}`);
+    }
+
+    const stream = openEventStream(res);
+    try {
+      for await (const line of readLines(ollamaResponse.body)) {
+        idle.touch();
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        if (data.response) stream.text(data.response);
+      }
+      stream.done();
+    } catch (error) {
+      if (res.destroyed) return;
+      console.error('Ollama stream failed:', error.message);
+      stream.fail(error.name === 'AbortError'
+        ? { status: 408, error: 'Request timeout', message: 'AI service took too long to respond.' }
+        : { status: 500, error: 'Internal server error', message: error.message });
+    }
+  } finally {
+    idle.clear();
+  }
+};
+
 /**
  * General AI Text Generation Endpoint
  * 
@@ -97,6 +157,8 @@ app.get('/health/ollama', async (req, res) => {
  * @route POST /api/generate
  * @param {string} prompt - The text prompt to send to the AI model
  * @param {string} [model=mistral] - AI model to use for generation
+ * @param {string} [format] - 'json' to have the model answer with JSON
+ * @param {boolean} [stream=false] - Send the response as server-sent events (see streamOllama)
  * @returns {Object} AI-generated response text
  * @throws {400} Missing prompt parameter
  * @throws {503} Ollama service unavailable
@@ -105,12 +167,20 @@ app.get('/health/ollama', async (req, res) => {
  */
 app.post('/api/generate', async (req, res) => {
   try {
-    const { prompt, model = DEFAULT_MODEL } = req.body;
+    const { prompt, model = DEFAULT_MODEL, format, stream = false } = req.body;
     
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    if (format !== undefined && format !== 'json') {
+      return res.status(400).json({ error: 'Format must be "json" when given' });
+    }
+
+    if (stream) {
+      return await streamOllama(req, res, { model, prompt, format });
+    }
+
     console.log(`Processing request for model: ${model}, prompt length: ${prompt.length}`);
 
     // Make request to Ollama with timeout
@@ -122,6 +192,7 @@ app.post('/api/generate', async (req, res) => {
       body: JSON.stringify({
         model: model,
         prompt: prompt,
+        format: format,
         stream: false
       }),
       signal: AbortSignal.timeout(REQUEST_TIMEOUT)
@@ -347,6 +418,25 @@ Keep your response helpful, supportive, and not too long (2-3 sentences).`;
   }
 });
 
+/**
+ * Gemini Proxy Endpoints
+ *
+ * Forward mood, analysis, rewrite and help requests to Google Gemini with
+ * the key held in GEMINI_API_KEY. Callers need a Firebase ID token for
+ * FIREBASE_PROJECT_ID and get GEMINI_DAILY_QUOTA requests a day.
+ *
+ * @route POST /api/gemini/mood | /api/gemini/analyze | /api/gemini/rewrite | /api/gemini/help
+ * @see api/gemini.js
+ */
+app.use('/api/gemini', createGeminiRouter({
+  apiKey: process.env.GEMINI_API_KEY,
+  baseUrl: process.env.GEMINI_BASE_URL || undefined,
+  model: process.env.GEMINI_MODEL || undefined,
+  fetch,
+  verifyToken: createTokenVerifier({ projectId: process.env.FIREBASE_PROJECT_ID, fetch }),
+  quota: createQuota({ limit: Number(process.env.GEMINI_DAILY_QUOTA) || DEFAULT_GEMINI_DAILY_QUOTA }),
+}));
+
 // Help endpoint with dream context
 app.post('/api/help', async (req, res) => {
   try {
@@ -433,7 +523,12 @@ Keep responses friendly and concise.`;
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Dream Journal API server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-}); 
\ No newline at end of file
+// Listen only when run directly, so tests can load the app without a port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Dream Journal API server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
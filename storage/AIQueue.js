@@ -0,0 +1,356 @@
+/**
+ * AI Queue - Mood Tagging and Analysis That Waits for a Connection
+ *
+ * Dreams saved while the AI can't be reached are marked with the work still
+ * owed to them in `pendingAnalysis` (e.g. ['mood'] or ['analysis']). The
+ * mark is stored on the dream itself, so it survives restarts and syncs to
+ * the user's other devices, which can finish the job too.
+ *
+ * The queue works through marked dreams oldest first whenever the app starts,
+ * returns to the foreground or completes a sync. A failed job is retried with
+ * exponential backoff; its attempts are remembered per user on this device.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { AppState } from 'react-native';
+import { getUserItem, setUserItem, removeUserItem, getCurrentUser } from './UserStorage';
+import { getDreams, updateDream, subscribe } from './DreamRepository';
+import { hasMoods, normalizeMoods } from './Moods';
+import { toAnalysisFields } from './DreamAnalysis';
+import { generateMoodTag, analyzeDream } from '../apis/AIProviders';
+
+// Kinds of work a dream can be waiting for, in the order they run
+export const AI_JOB_KINDS = ['mood', 'analysis'];
+
+// Per-user key holding retry state for failed jobs, keyed by job
+const JOB_STATE_KEY = 'aiJobState';
+
+// Per-user key of the old import-only mood queue, moved into the dreams on first run
+const LEGACY_QUEUE_KEY = 'moodBackfillQueue';
+
+// First retry delay; doubles with every failure up to the maximum
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Run currently working through the queue, if any
+let activeRun = null;
+
+// Job being worked on right now, for status displays
+let runningJob = null;
+
+// Whether startAIQueue is keeping the queue moving, and its retry timer
+let isStarted = false;
+let retryTimer = null;
+
+const listeners = new Set();
+
+/**
+ * Get the kinds of AI work a dream is still waiting for
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array<string>} Pending kinds, empty when nothing is owed
+ */
+export const getPendingKinds = (dream) => {
+  const pending = Array.isArray(dream?.pendingAnalysis) ? dream.pendingAnalysis : [];
+  return AI_JOB_KINDS.filter(kind => pending.includes(kind));
+};
+
+/**
+ * Get how long to wait before retrying a job
+ *
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+/**
+ * Build the key a job's retry state is stored under
+ *
+ * @param {string} dreamId - Dream id
+ * @param {string} kind - Job kind
+ * @returns {string} Job key
+ */
+export const getJobKey = (dreamId, kind) => `${dreamId}:${kind}`;
+
+/**
+ * Build the pendingAnalysis value with kinds added or removed
+ *
+ * @param {Object} dream - Dream to update
+ * @param {Array<string>} add - Kinds to add
+ * @param {Array<string>} remove - Kinds to remove
+ * @returns {Array<string>|undefined} New value, undefined when nothing is left
+ */
+const withPending = (dream, add, remove = []) => {
+  const kinds = AI_JOB_KINDS.filter(kind =>
+    !remove.includes(kind) && (add.includes(kind) || getPendingKinds(dream).includes(kind)));
+  return kinds.length > 0 ? kinds : undefined;
+};
+
+/**
+ * Build the pendingAnalysis value once a kind of work is done
+ * Used when the work succeeds outside the queue, e.g. a manual retry
+ *
+ * @param {Object} dream - Dream to update
+ * @param {string} kind - Kind that's done
+ * @returns {Array<string>|undefined} New value, undefined when nothing is left
+ */
+export const clearPending = (dream, kind) => withPending(dream, [], [kind]);
+
+/**
+ * Get the queue's current state for status displays
+ *
+ * @returns {Promise<Object>} { jobs: { [jobKey]: { attempts, nextAttemptAt, lastError } }, running: jobKey|null }
+ */
+export const getAIQueueStatus = async () => ({
+  jobs: await getUserItem(JOB_STATE_KEY, {}),
+  running: runningJob,
+});
+
+/**
+ * Describe where a dream's queued AI work stands
+ *
+ * @param {Object} dream - Dream to describe
+ * @param {Object} status - Queue status from getAIQueueStatus
+ * @returns {Object|null} { kinds, state: 'running'|'retrying'|'waiting', nextAttemptAt, lastError },
+ *   or null when nothing is queued for the dream
+ */
+export const getAIJobStatus = (dream, status) => {
+  const kinds = getPendingKinds(dream);
+  if (kinds.length === 0) return null;
+
+  const keys = kinds.map(kind => getJobKey(dream.id, kind));
+  if (keys.includes(status?.running)) {
+    return { kinds, state: 'running', nextAttemptAt: null, lastError: null };
+  }
+
+  const failed = keys.map(key => status?.jobs?.[key]).find(Boolean);
+  if (failed) {
+    return { kinds, state: 'retrying', nextAttemptAt: failed.nextAttemptAt, lastError: failed.lastError };
+  }
+  return { kinds, state: 'waiting', nextAttemptAt: null, lastError: null };
+};
+
+/**
+ * Tell listeners the queue's state changed
+ *
+ * @returns {Promise<void>}
+ */
+const notify = async () => {
+  if (listeners.size === 0) return;
+  const status = await getAIQueueStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Listen for changes to the queue's state
+ *
+ * @param {Function} listener - Called with the status after each change
+ * @returns {Function} Stops listening
+ */
+export const subscribeToAIQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Mark dreams as waiting for AI work and start on it
+ *
+ * @param {Array} ids - Ids of dreams to mark
+ * @param {string} kind - 'mood' or 'analysis'
+ * @returns {Promise<void>}
+ * @throws {Error} When the kind isn't known
+ */
+export const queueAIJobs = async (ids, kind) => {
+  if (!AI_JOB_KINDS.includes(kind)) {
+    throw new Error(`Unknown AI job: ${kind}`);
+  }
+
+  for (const id of ids) {
+    await updateDream(id, current => ({ pendingAnalysis: withPending(current, [kind]) }));
+  }
+
+  requestAIQueueRun();
+};
+
+/**
+ * Start working on newly marked dreams in the background
+ * A run already underway may have read the journal before they were marked,
+ * so this one waits for it to finish first.
+ */
+export const requestAIQueueRun = () => {
+  Promise.resolve(activeRun)
+    .then(() => processAIQueue({ force: true }))
+    .catch(error => console.error('AI queue failed:', error));
+};
+
+/**
+ * Move ids left in the old import mood queue onto the dreams themselves
+ *
+ * @returns {Promise<void>}
+ */
+const migrateLegacyQueue = async () => {
+  const legacy = await getUserItem(LEGACY_QUEUE_KEY, null);
+  if (!Array.isArray(legacy)) return;
+
+  for (const id of legacy) {
+    await updateDream(id, current => (hasMoods(current) ? {} : { pendingAnalysis: withPending(current, ['mood']) }));
+  }
+  await removeUserItem(LEGACY_QUEUE_KEY);
+};
+
+/**
+ * Do one job and clear it from the dream
+ *
+ * @param {Object} dream - Dream the job belongs to
+ * @param {string} kind - Job kind
+ * @param {Array<Object>} dreams - The journal, for analysis context
+ * @returns {Promise<void>}
+ * @throws {Error} When the AI can't be reached
+ */
+const runJob = async (dream, kind, dreams) => {
+  if (kind === 'mood') {
+    // A mood the user picked in the meantime wins
+    const moods = hasMoods(dream) ? null : normalizeMoods(await generateMoodTag(dream.text));
+    await updateDream(dream.id, current => ({
+      ...(moods && !hasMoods(current) ? { moods } : {}),
+      pendingAnalysis: clearPending(current, kind),
+    }));
+    return;
+  }
+
+  const analysis = await analyzeDream(dream.text, dreams);
+  let isStale = false;
+  await updateDream(dream.id, current => {
+    // The dream was edited while it was being analyzed: the job stays queued for the new text
+    isStale = current.text !== dream.text;
+    return isStale ? {} : {
+      ...toAnalysisFields(analysis),
+      wasEdited: false,
+      pendingAnalysis: clearPending(current, kind),
+    };
+  });
+  if (isStale) {
+    requestAIQueueRun();
+  }
+};
+
+/**
+ * Work through every queued job that's due, oldest dream first
+ *
+ * Only one run works at a time, and it stops if the signed-in user changes.
+ * After a failure the run stops, since the rest would most likely fail the
+ * same way; the failed job waits out its backoff before it's tried again.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Retry jobs still waiting out their backoff
+ * @returns {Promise<number|null>} Time the next job is due (ms since epoch), or null if none are waiting
+ */
+export const processAIQueue = ({ force = false } = {}) => {
+  if (activeRun) return activeRun;
+
+  activeRun = (async () => {
+    const uid = getCurrentUser();
+    if (!uid) return null;
+
+    await migrateLegacyQueue();
+
+    const dreams = await getDreams();
+    const jobs = [...dreams]
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .flatMap(dream => getPendingKinds(dream).map(kind => ({ dream, kind, key: getJobKey(dream.id, kind) })));
+
+    // Forget retry state for jobs that are done or whose dream is gone
+    const state = await getUserItem(JOB_STATE_KEY, {});
+    const queued = new Set(jobs.map(job => job.key));
+    Object.keys(state).filter(key => !queued.has(key)).forEach(key => delete state[key]);
+
+    for (const { dream, kind, key } of jobs) {
+      if (getCurrentUser() !== uid) return null;
+      if (!force && state[key]?.nextAttemptAt > Date.now()) continue;
+
+      runningJob = key;
+      await notify();
+      try {
+        await runJob(dream, kind, dreams);
+        delete state[key];
+      } catch (error) {
+        console.log(`AI ${kind} for dream ${dream.id} will be retried:`, error.message);
+        const attempts = (state[key]?.attempts || 0) + 1;
+        state[key] = {
+          attempts,
+          nextAttemptAt: Date.now() + getRetryDelay(attempts),
+          lastError: error.message,
+        };
+        break;
+      } finally {
+        runningJob = null;
+      }
+    }
+
+    if (getCurrentUser() !== uid) return null;
+    await setUserItem(JOB_STATE_KEY, state);
+    await notify();
+
+    // Jobs left untried after a failure are due when the failed one is
+    const due = Object.values(state).map(entry => entry.nextAttemptAt);
+    return due.length > 0 ? Math.min(...due) : null;
+  })().finally(() => {
+    activeRun = null;
+  });
+
+  activeRun.then(scheduleRetry, () => {});
+  return activeRun;
+};
+
+/**
+ * Set the timer for the next retry while the queue is started
+ *
+ * @param {number|null} nextAt - Time the next job is due, or null if none are waiting
+ */
+const scheduleRetry = (nextAt) => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (!isStarted || nextAt === null) return;
+
+  retryTimer = setTimeout(() => {
+    processAIQueue().catch(error => console.error('AI queue failed:', error));
+  }, Math.max(nextAt - Date.now(), 0));
+};
+
+/**
+ * Keep the queue moving for the signed-in user
+ *
+ * Runs now, whenever the app returns to the foreground or a sync succeeds
+ * (both good signs the connection is back), and when the next retry is due.
+ *
+ * @returns {Function} Stop function
+ */
+export const startAIQueue = () => {
+  isStarted = true;
+
+  const run = () => {
+    processAIQueue({ force: true }).catch(error => console.error('AI queue failed:', error));
+  };
+
+  const unsubscribeDreams = subscribe(({ type }) => {
+    // Another device may have queued work, and syncing shows we're online
+    if (type === 'sync' || type === 'import') run();
+  });
+
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') run();
+  });
+
+  run();
+
+  return () => {
+    isStarted = false;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    unsubscribeDreams();
+    appStateSubscription.remove();
+  };
+};
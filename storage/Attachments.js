@@ -0,0 +1,456 @@
+/**
+ * Attachments - Files Stored Alongside Dreams
+ *
+ * Voice memos and sketches are kept as files in per-user folders under the
+ * document directory, one folder per kind. A dream only carries an array of
+ * entries for each kind (`memos`, `sketches`) whose `file` is a bare file
+ * name inside that kind's folder, because the app's document path can change
+ * between installs.
+ *
+ * Files are removed when their dream is deleted for good (including Trash
+ * purges). Only the entries sync between devices - the files stay on the
+ * device that made them, and travel in JSON backups and Markdown exports
+ * instead, keyed by their path relative to the export (e.g. 'memos/x.m4a').
+ *
+ * Recordings and sketches made for a dream that isn't saved yet wait in a
+ * per-user pending folder rather than the cache the system may clear, so the
+ * drafts that list them (see Drafts) keep them across restarts. They're
+ * sealed like saved attachments, and pending files no draft refers to are
+ * pruned like unused ones.
+ *
+ * While encryption is on, files are sealed with the journal key as they're
+ * stored (see DreamCrypto) and turning it on or off re-writes the files
+ * already saved. They're decrypted again for exports, and into a cache
+ * folder for playback that's emptied when the journal locks.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import * as FileSystem from 'expo-file-system';
+import { getCurrentUser } from './UserStorage';
+import { getAllDreams, subscribe } from './DreamRepository';
+import { getActiveKey, getWriteKey, isSealedFile, sealFile, openFile } from './DreamCrypto';
+import { getDrafts, getDraftFiles } from './Drafts';
+
+// Dream fields holding attachment entries; each doubles as its folder name
+export const ATTACHMENT_KINDS = ['memos', 'sketches'];
+
+// Files this recent are never pruned, so a dream being saved right now keeps its attachments
+const PRUNE_GRACE_MS = 60 * 60 * 1000;
+
+// Cache folder holding decrypted copies of sealed files for playback
+const OPENED_FOLDER = 'opened/';
+
+// Folder (alongside the kinds' folders) holding files for dreams not saved yet
+const PENDING_FOLDER = 'pending';
+
+/**
+ * Get the folder holding a user's files of one kind
+ *
+ * @param {string} kind - Attachment kind, e.g. 'memos'
+ * @param {string} [uid] - User to get the folder for (defaults to the current user)
+ * @returns {string} Folder URI ending in a slash
+ * @throws {Error} When no user is signed in
+ */
+export const getAttachmentDirectory = (kind, uid = getCurrentUser()) => {
+  if (!uid) {
+    throw new Error('No signed-in user for attachment storage');
+  }
+  return `${FileSystem.documentDirectory}${kind}/${encodeURIComponent(uid)}/`;
+};
+
+/**
+ * Get the attachments of one kind on a dream
+ * Entries without a plain file name are ignored
+ *
+ * @param {Object} dream - Dream to read
+ * @param {string} kind - Attachment kind
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export const getDreamAttachments = (dream, kind) => {
+  if (!Array.isArray(dream[kind])) return [];
+  return dream[kind].filter(entry => entry && typeof entry.file === 'string' && entry.file && !entry.file.includes('/'));
+};
+
+/**
+ * Build the file URI of a saved attachment
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {string} File URI
+ */
+export const getAttachmentUri = (kind, entry) => `${getAttachmentDirectory(kind)}${entry.file}`;
+
+/**
+ * Build the path of an attachment inside an export
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {string} e.g. 'sketches/abc.svg'
+ */
+export const getAttachmentPath = (kind, entry) => `${kind}/${entry.file}`;
+
+/**
+ * Check whether an attachment's file is on this device
+ * Entries made on another device sync without their files
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {Promise<boolean>} True if the file exists
+ */
+export const isAttachmentAvailable = async (kind, entry) => {
+  const info = await FileSystem.getInfoAsync(getAttachmentUri(kind, entry));
+  return info.exists;
+};
+
+/**
+ * Read a file's contents as base64
+ *
+ * @param {string} uri - File URI
+ * @returns {Promise<string>} Base64 contents
+ */
+const readBase64 = (uri) => FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+
+/**
+ * Write base64 contents to a file
+ *
+ * @param {string} uri - File URI
+ * @param {string} base64 - Contents as base64
+ * @returns {Promise<void>}
+ */
+const writeBase64 = (uri, base64) => FileSystem.writeAsStringAsync(uri, base64, { encoding: FileSystem.EncodingType.Base64 });
+
+/**
+ * Read an attachment's contents, decrypting them if they're sealed
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {Promise<string>} Plaintext contents as base64
+ * @throws {Error} When the file is sealed and the journal is locked
+ */
+export const readAttachment = async (kind, entry) => {
+  const stored = await readBase64(getAttachmentUri(kind, entry));
+  return openFile(stored, getActiveKey(), getAttachmentPath(kind, entry));
+};
+
+/**
+ * Store an attachment's contents, sealing them when encryption is on
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @param {string} base64 - Plaintext contents as base64
+ * @param {Uint8Array|null} key - Write key from getWriteKey
+ * @returns {Promise<void>}
+ */
+const writeAttachment = async (kind, entry, base64, key) => {
+  await writeBase64(getAttachmentUri(kind, entry), sealFile(base64, key, getAttachmentPath(kind, entry)));
+};
+
+/**
+ * Get a URI the player can read an attachment from
+ * Sealed files are decrypted into the cache; plaintext ones are used where they are
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {Promise<string>} File URI of the plaintext contents
+ * @throws {Error} When the file is sealed and the journal is locked
+ */
+export const openAttachment = async (kind, entry) => {
+  const uri = getAttachmentUri(kind, entry);
+  const header = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64, position: 0, length: 6 });
+  if (!isSealedFile(header)) return uri;
+
+  const directory = `${FileSystem.cacheDirectory}${OPENED_FOLDER}`;
+  const opened = `${directory}${kind}-${entry.file}`;
+  if (!(await FileSystem.getInfoAsync(opened)).exists) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    await writeBase64(opened, await readAttachment(kind, entry));
+  }
+  return opened;
+};
+
+/**
+ * Delete the decrypted copies made for playback
+ *
+ * @returns {Promise<void>}
+ */
+export const clearOpenedAttachments = async () => {
+  await FileSystem.deleteAsync(`${FileSystem.cacheDirectory}${OPENED_FOLDER}`, { idempotent: true });
+};
+
+/**
+ * Describe a pending file as an entry of the pending folder
+ * Only the file name is kept, since the folder moves with the document directory
+ *
+ * @param {string} uri - Pending file URI, possibly from an earlier install
+ * @returns {Object} Entry as { file }
+ */
+const toPendingEntry = (uri) => ({ file: String(uri).split('/').pop() });
+
+/**
+ * Store a new recording or sketch in the pending folder until its dream is saved
+ * Sealed with the journal key while encryption is on, like saved attachments
+ *
+ * @param {string} file - Name to store it under
+ * @param {Object} source - { uri } of a file to move there, or { base64 } contents to write
+ * @returns {Promise<string>} URI of the pending file
+ */
+export const storePendingFile = async (file, { uri, base64 }) => {
+  const entry = { file };
+  const key = await getWriteKey();
+  await FileSystem.makeDirectoryAsync(getAttachmentDirectory(PENDING_FOLDER), { intermediates: true });
+  if (uri && !key) {
+    await FileSystem.moveAsync({ from: uri, to: getAttachmentUri(PENDING_FOLDER, entry) });
+  } else {
+    await writeAttachment(PENDING_FOLDER, entry, uri ? await readBase64(uri) : base64, key);
+    if (uri) await FileSystem.deleteAsync(uri, { idempotent: true });
+  }
+  return getAttachmentUri(PENDING_FOLDER, entry);
+};
+
+/**
+ * Find the pending files a draft listed that are still on the device
+ * URIs are pointed at the current pending folder
+ *
+ * @param {Array<Object>} items - Pending recordings or sketches as { uri, ... }
+ * @returns {Promise<Array<Object>>} The items whose files still exist
+ */
+export const findPendingFiles = async (items = []) => {
+  const found = [];
+  for (const item of items) {
+    const uri = getAttachmentUri(PENDING_FOLDER, toPendingEntry(item.uri));
+    if ((await FileSystem.getInfoAsync(uri)).exists) found.push({ ...item, uri });
+  }
+  return found;
+};
+
+/**
+ * Read a pending file's contents, decrypting them if they're sealed
+ *
+ * @param {string} uri - Pending file URI
+ * @returns {Promise<string>} Plaintext contents as base64
+ * @throws {Error} When the file is sealed and the journal is locked
+ */
+export const readPendingFile = (uri) => readAttachment(PENDING_FOLDER, toPendingEntry(uri));
+
+/**
+ * Get a URI the player can read a pending file from
+ *
+ * @param {string} uri - Pending file URI
+ * @returns {Promise<string>} File URI of the plaintext contents
+ * @throws {Error} When the file is sealed and the journal is locked
+ */
+export const openPendingFile = (uri) => openAttachment(PENDING_FOLDER, toPendingEntry(uri));
+
+/**
+ * Move files made before their dream existed into a kind's folder
+ * When encryption is on they're sealed on the way in
+ *
+ * @param {string} kind - Attachment kind
+ * @param {Array<Object>} items - Files as { uri, file } where file is the name to store them under
+ * @returns {Promise<void>}
+ */
+export const moveIntoAttachments = async (kind, items) => {
+  if (items.length === 0) return;
+
+  const directory = getAttachmentDirectory(kind);
+  const key = await getWriteKey();
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  for (const item of items) {
+    const stored = await readBase64(item.uri);
+    if (key || isSealedFile(stored)) {
+      // Pending files were sealed under their pending path
+      const context = getAttachmentPath(PENDING_FOLDER, toPendingEntry(item.uri));
+      await writeAttachment(kind, item, openFile(stored, getActiveKey(), context), key);
+      await FileSystem.deleteAsync(item.uri, { idempotent: true });
+    } else {
+      await FileSystem.moveAsync({ from: item.uri, to: `${directory}${item.file}` });
+    }
+  }
+};
+
+/**
+ * Re-write every stored attachment, and the pending files drafts keep, with the current encryption setting
+ * Called when encryption is turned on or off, while the journal key is unlocked
+ *
+ * @returns {Promise<number>} Number of files re-written
+ */
+export const resealAttachments = async () => {
+  const dreams = await getAllDreams();
+  const key = await getWriteKey();
+  const drafts = await getDrafts();
+  const files = [
+    ...ATTACHMENT_KINDS.flatMap(kind => dreams.flatMap(dream => getDreamAttachments(dream, kind)).map(entry => [kind, entry])),
+    ...drafts.flatMap(getDraftFiles).map(file => [PENDING_FOLDER, { file }]),
+  ];
+
+  let rewritten = 0;
+  for (const [kind, entry] of files) {
+    if (!(await isAttachmentAvailable(kind, entry))) continue;
+    const stored = await readBase64(getAttachmentUri(kind, entry));
+    if (isSealedFile(stored) === Boolean(key)) continue;
+    await writeAttachment(kind, entry, openFile(stored, getActiveKey(), getAttachmentPath(kind, entry)), key);
+    rewritten++;
+  }
+  await clearOpenedAttachments();
+  return rewritten;
+};
+
+/**
+ * Delete the files attached to a dream
+ *
+ * @param {Object} dream - Dream whose files to delete
+ * @returns {Promise<void>}
+ */
+export const deleteDreamAttachments = async (dream) => {
+  await Promise.all(ATTACHMENT_KINDS.flatMap(kind => getDreamAttachments(dream, kind).map(entry =>
+    FileSystem.deleteAsync(getAttachmentUri(kind, entry), { idempotent: true })
+  )));
+};
+
+/**
+ * Delete the files in a folder that aren't referenced and are past the grace period
+ *
+ * @param {string} directory - Folder URI ending in a slash
+ * @param {Set<string>} referenced - File names to keep
+ * @returns {Promise<number>} Number of files removed
+ */
+const pruneFolder = async (directory, referenced) => {
+  const info = await FileSystem.getInfoAsync(directory);
+  if (!info.exists) return 0;
+
+  const cutoff = Date.now() - PRUNE_GRACE_MS;
+  let removed = 0;
+  const files = await FileSystem.readDirectoryAsync(directory);
+  for (const file of files.filter(name => !referenced.has(name))) {
+    const fileInfo = await FileSystem.getInfoAsync(`${directory}${file}`);
+    // modificationTime is in seconds
+    if (fileInfo.exists && fileInfo.modificationTime * 1000 < cutoff) {
+      await FileSystem.deleteAsync(`${directory}${file}`, { idempotent: true });
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Delete attachment files no dream refers to any more
+ * Covers Trash purges and dreams deleted on another device. Dreams in the
+ * Trash keep their files so they can still be restored, and pending files
+ * are kept while a draft refers to them.
+ *
+ * @returns {Promise<number>} Number of files removed
+ */
+export const pruneAttachmentFiles = async () => {
+  const dreams = await getAllDreams();
+  const drafts = await getDrafts();
+
+  let removed = 0;
+  for (const kind of ATTACHMENT_KINDS) {
+    const referenced = new Set(dreams.flatMap(dream => getDreamAttachments(dream, kind).map(entry => entry.file)));
+    removed += await pruneFolder(getAttachmentDirectory(kind), referenced);
+  }
+  removed += await pruneFolder(getAttachmentDirectory(PENDING_FOLDER), new Set(drafts.flatMap(getDraftFiles)));
+  return removed;
+};
+
+/**
+ * Delete every attachment file belonging to a user
+ * Used on account deletion alongside clearUserData
+ *
+ * @param {string} uid - Firebase uid of the user
+ * @returns {Promise<void>}
+ */
+export const deleteUserAttachments = async (uid) => {
+  await Promise.all([...ATTACHMENT_KINDS, PENDING_FOLDER].map(kind =>
+    FileSystem.deleteAsync(getAttachmentDirectory(kind, uid), { idempotent: true })
+  ));
+};
+
+/**
+ * Remove attachment files as dreams are deleted for good
+ * Runs a prune straight away to catch anything left from an earlier session.
+ * Stopping (on sign-out or when the journal locks) deletes the decrypted
+ * copies made for playback.
+ *
+ * @returns {Function} Stops listening
+ */
+export const startAttachmentCleanup = () => {
+  const prune = () => pruneAttachmentFiles().catch(error => console.error('Failed to prune attachments:', error));
+
+  prune();
+  const unsubscribe = subscribe(({ type, dream }) => {
+    if (type === 'delete' && dream) {
+      deleteDreamAttachments(dream).catch(error => console.error('Failed to delete attachments:', error));
+    } else if (type === 'purge' || type === 'sync') {
+      prune();
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    clearOpenedAttachments().catch(error => console.error('Failed to clear opened attachments:', error));
+  };
+};
+
+/**
+ * Read every attachment of a set of dreams for an export
+ * Files that aren't on this device are left out; sealed files are decrypted
+ *
+ * @param {Array} dreams - Dreams being exported
+ * @param {Array<string>} [kinds=ATTACHMENT_KINDS] - Kinds to read
+ * @returns {Promise<Object>} Map of export path to base64 file contents
+ */
+export const readAttachmentFiles = async (dreams, kinds = ATTACHMENT_KINDS) => {
+  const attachments = {};
+  for (const kind of kinds) {
+    for (const entry of dreams.flatMap(dream => getDreamAttachments(dream, kind))) {
+      const path = getAttachmentPath(kind, entry);
+      if (attachments[path] || !(await isAttachmentAvailable(kind, entry))) continue;
+      attachments[path] = await readAttachment(kind, entry);
+    }
+  }
+  return attachments;
+};
+
+/**
+ * Find an entry's file contents in an imported archive
+ * Archives made before sketches existed keyed memo audio by bare file name
+ *
+ * @param {Object} attachments - Map of export path to base64 file contents
+ * @param {string} kind - Attachment kind
+ * @param {Object} entry - Attachment entry
+ * @returns {string|undefined} Base64 contents, if the archive has them
+ */
+const findArchivedFile = (attachments, kind, entry) => {
+  const content = attachments[getAttachmentPath(kind, entry)];
+  if (typeof content === 'string') return content;
+  return kind === 'memos' && typeof attachments[entry.file] === 'string' ? attachments[entry.file] : undefined;
+};
+
+/**
+ * Write the files carried by an imported archive for the dreams that were added
+ * They're sealed when encryption is on
+ *
+ * @param {Array} dreams - Dreams that were imported
+ * @param {Object} attachments - Map of export path to base64 file contents
+ * @returns {Promise<number>} Number of files written
+ */
+export const restoreAttachmentFiles = async (dreams, attachments) => {
+  let written = 0;
+  for (const kind of ATTACHMENT_KINDS) {
+    const entries = dreams.flatMap(dream => getDreamAttachments(dream, kind))
+      .filter(entry => findArchivedFile(attachments, kind, entry) !== undefined);
+    if (entries.length === 0) continue;
+
+    const key = await getWriteKey();
+    await FileSystem.makeDirectoryAsync(getAttachmentDirectory(kind), { intermediates: true });
+    for (const entry of entries) {
+      await writeAttachment(kind, entry, findArchivedFile(attachments, kind, entry), key);
+      written++;
+    }
+  }
+  return written;
+};
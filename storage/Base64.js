@@ -0,0 +1,34 @@
+/**
+ * Base64 - Binary Encoding Helpers
+ *
+ * Converts between byte arrays and base64 strings for data that has to
+ * travel as text: encrypted dream fields and binary export files.
+ * Relies on the global btoa/atob provided by Hermes.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Encode bytes as base64
+ * Works in chunks so large files don't overflow the call stack
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode a base64 string
+ *
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
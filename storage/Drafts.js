@@ -0,0 +1,171 @@
+/**
+ * Drafts - Unsaved Dreams Kept While Writing
+ *
+ * The Create screen saves what's being written here every few moments, so
+ * nothing is lost if the app is backgrounded, killed or crashes. Several
+ * drafts can be kept at once; each has a name (defaulting to its opening
+ * words) and can be resumed from Create or Home, or discarded. A draft is
+ * removed once it's saved as a dream.
+ *
+ * Drafts are stored per user and never sync. When encryption is on, their
+ * words are sealed with the journal key like the dreams themselves. Voice
+ * memos and sketches not saved yet are kept as files in the pending folder
+ * (see Attachments); a draft lists them so they come back with it and aren't
+ * pruned while it's kept. A discarded draft's files go with the next prune.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getUserItem, setUserItem } from './UserStorage';
+import { getWriteKey, getActiveKey, encryptFields, decryptFields } from './DreamCrypto';
+import { createDreamId } from './DreamIds';
+
+// Per-user key holding the list of drafts
+const DRAFTS_KEY = 'drafts';
+
+// Draft fields holding the user's own words, encrypted at rest
+const ENCRYPTED_DRAFT_FIELDS = ['name', 'title', 'text', 'tags'];
+
+// Draft fields listing pending attachments as { key, uri, ... }
+const DRAFT_ATTACHMENT_FIELDS = ['recordings', 'sketches'];
+
+// How long Create waits after the last keystroke before saving a draft
+export const DRAFT_SAVE_DELAY_MS = 1000;
+
+// Longest generated draft name, in characters
+const MAX_DEFAULT_NAME_LENGTH = 40;
+
+// Writes are chained so overlapping saves can't drop each other's changes
+let writeQueue = Promise.resolve();
+const listeners = new Set();
+
+/**
+ * Read every draft, most recently edited first
+ *
+ * @returns {Promise<Array<Object>>} Plaintext drafts
+ * @throws {Error} When the journal is encrypted and locked
+ */
+export const getDrafts = async () => {
+  const stored = await getUserItem(DRAFTS_KEY, []);
+  return stored
+    .map(draft => decryptFields(draft, getActiveKey(), ENCRYPTED_DRAFT_FIELDS))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+};
+
+/**
+ * Read one draft
+ *
+ * @param {string} id - Draft id
+ * @returns {Promise<Object|null>} The draft, or null if it's gone
+ */
+export const getDraft = async (id) => (await getDrafts()).find(draft => draft.id === id) || null;
+
+/**
+ * Apply a change to the stored drafts and tell listeners
+ *
+ * @param {Function} updater - Receives the plaintext drafts, returns the new list
+ * @returns {Promise<Array<Object>>} Drafts after the change
+ */
+const mutateDrafts = (updater) => {
+  const run = writeQueue.then(async () => {
+    const key = await getWriteKey();
+    const drafts = updater(await getDrafts());
+    await setUserItem(DRAFTS_KEY, drafts.map(draft => encryptFields(draft, key, ENCRYPTED_DRAFT_FIELDS)));
+    listeners.forEach(listener => listener(drafts));
+    return drafts;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Check whether a draft has anything worth keeping
+ *
+ * @param {Object} draft - Draft fields
+ * @returns {boolean} True if it has a title, text, voice memo or sketch
+ */
+export const hasDraftContent = (draft) => Boolean((draft.title || '').trim() || (draft.text || '').trim())
+  || DRAFT_ATTACHMENT_FIELDS.some(field => (draft[field] || []).length > 0);
+
+/**
+ * Get the pending files a draft refers to
+ *
+ * @param {Object} draft - Draft
+ * @returns {Array<string>} File names inside the pending folder
+ */
+export const getDraftFiles = (draft) => DRAFT_ATTACHMENT_FIELDS
+  .flatMap(field => (draft[field] || []).map(item => String(item.uri).split('/').pop()));
+
+/**
+ * Get the name to show for a draft
+ * Falls back to the title, then the opening words of the text
+ *
+ * @param {Object} draft - Draft
+ * @returns {string} Display name
+ */
+export const getDraftName = (draft) => {
+  const name = (draft.name || '').trim() || (draft.title || '').trim();
+  if (name) return name;
+
+  const opening = (draft.text || '').trim().split(/\s+/).join(' ');
+  if (!opening) return 'Untitled draft';
+  if (opening.length <= MAX_DEFAULT_NAME_LENGTH) return opening;
+  return `${opening.slice(0, MAX_DEFAULT_NAME_LENGTH).replace(/\s+\S*$/, '')}...`;
+};
+
+/**
+ * Create or update a draft
+ *
+ * @param {Object} draft - Draft as { id?, name, title, text, tags, details, recordings, sketches }
+ * @returns {Promise<Object>} The stored draft, with its id
+ */
+export const saveDraft = async (draft) => {
+  const now = new Date().toISOString();
+  let saved = null;
+
+  await mutateDrafts((drafts) => {
+    const existing = drafts.find(item => item.id === draft.id);
+    saved = {
+      ...existing,
+      ...draft,
+      id: draft.id || createDreamId(),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    return [saved, ...drafts.filter(item => item.id !== saved.id)];
+  });
+  return saved;
+};
+
+/**
+ * Discard a draft
+ *
+ * @param {string} id - Draft id
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (id) => {
+  await mutateDrafts(drafts => drafts.filter(draft => draft.id !== id));
+};
+
+/**
+ * Re-write stored drafts with the current encryption setting
+ * Called when encryption is turned on or off
+ *
+ * @returns {Promise<void>}
+ */
+export const resealDrafts = async () => {
+  await mutateDrafts(drafts => drafts);
+};
+
+/**
+ * Listen for changes to the drafts
+ *
+ * @param {Function} listener - Called with the drafts after each change
+ * @returns {Function} Stops listening
+ */
+export const subscribeToDrafts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
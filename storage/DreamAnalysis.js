@@ -0,0 +1,199 @@
+/**
+ * Dream Analysis - Structured AI Analyses
+ *
+ * The AI answers an analysis as JSON (see buildAnalysisPrompt and
+ * parseAnalysisResponse in AIPrompts), which normalizeAnalysis checks and
+ * cleans up:
+ *
+ *   {
+ *     summary: 'A few sentences of interpretation',
+ *     symbols: [{ name: 'Water', meaning: 'Feelings rising to the surface' }],
+ *     emotions: [{ name: 'Fear', intensity: 4 }],   // intensity 1-5, as with moods
+ *     themes: ['Loss of control'],
+ *     characters: ['Mom'],
+ *     settings: ['Childhood home'],
+ *     reflections: ['What felt out of reach this week?'],
+ *   }
+ *
+ * A dream stores the summary as its `analysis`, so everything that shows,
+ * exports or searches analyses as text keeps working, and the rest as
+ * `analysisDetails`. Dreams analyzed before structured analyses only have
+ * the text.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { MIN_INTENSITY, MAX_INTENSITY, DEFAULT_INTENSITY } from './Moods';
+
+// List fields of an analysis with their section titles, in display order
+export const ANALYSIS_LISTS = {
+  symbols: 'Symbols',
+  emotions: 'Emotions',
+  themes: 'Themes',
+  characters: 'Characters',
+  settings: 'Settings',
+  reflections: 'Reflections',
+};
+
+// Longest list kept and longest name, meaning or reflection kept
+const MAX_ITEMS = 8;
+const MAX_NAME_LENGTH = 60;
+const MAX_TEXT_LENGTH = 300;
+
+/**
+ * Clean up one piece of text from the AI
+ *
+ * @param {*} value - Value to clean
+ * @param {number} maxLength - Longest text kept
+ * @returns {string} Trimmed text with collapsed whitespace, '' when not a string
+ */
+const cleanText = (value, maxLength) => (typeof value === 'string'
+  ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength).trim()
+  : '');
+
+/**
+ * Clean up a list field, dropping empty and duplicate entries
+ *
+ * @param {*} value - List sent by the AI
+ * @param {string} field - Field name, for the error message
+ * @param {Function} toItem - Turns an entry into an item, or null to drop it
+ * @returns {Array} Up to MAX_ITEMS items
+ * @throws {Error} When the field is present but isn't a list
+ */
+const cleanList = (value, field, toItem) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`Analysis ${field} should be a list`);
+  }
+
+  const seen = new Set();
+  return value
+    .map(toItem)
+    .filter(item => {
+      const key = (typeof item === 'string' ? item : item?.name || '').toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ITEMS);
+};
+
+/**
+ * Turn an entry into a name
+ * Entries may be plain strings or objects with a name.
+ *
+ * @param {*} entry - List entry
+ * @returns {string} Name, '' when there is none
+ */
+const toName = (entry) => cleanText(typeof entry === 'string' ? entry : entry?.name, MAX_NAME_LENGTH);
+
+/**
+ * Check and clean up a structured analysis
+ * Lenient about shapes the AI gets slightly wrong (a symbol given as a plain
+ * string, an intensity of 4.5 or "high"), strict about what can't be used.
+ *
+ * @param {*} value - Parsed AI answer
+ * @returns {Object} Analysis with every field present (see the module header)
+ * @throws {Error} When it isn't an object, has no summary or a list isn't a list
+ */
+export const normalizeAnalysis = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Analysis should be a JSON object');
+  }
+  const summary = cleanText(value.summary, 2000);
+  if (!summary) {
+    throw new Error('Analysis needs a summary');
+  }
+
+  return {
+    summary,
+    symbols: cleanList(value.symbols, 'symbols', (entry) => {
+      const name = toName(entry);
+      return name ? { name, meaning: cleanText(entry?.meaning, MAX_TEXT_LENGTH) } : null;
+    }),
+    emotions: cleanList(value.emotions, 'emotions', (entry) => {
+      const name = toName(entry);
+      const intensity = Math.round(Number(entry?.intensity));
+      return name ? {
+        name,
+        intensity: Number.isFinite(intensity)
+          ? Math.min(MAX_INTENSITY, Math.max(MIN_INTENSITY, intensity))
+          : DEFAULT_INTENSITY,
+      } : null;
+    }),
+    themes: cleanList(value.themes, 'themes', toName),
+    characters: cleanList(value.characters, 'characters', toName),
+    settings: cleanList(value.settings, 'settings', toName),
+    reflections: cleanList(value.reflections, 'reflections', entry => cleanText(entry, MAX_TEXT_LENGTH)),
+  };
+};
+
+/**
+ * Split an analysis into the fields saved on a dream
+ *
+ * @param {Object} analysis - Normalized analysis
+ * @returns {Object} { analysis: summary text, analysisDetails: the lists }
+ */
+export const toAnalysisFields = ({ summary, ...details }) => ({ analysis: summary, analysisDetails: details });
+
+/**
+ * Get a dream's structured analysis lists
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Object|null} Lists as in ANALYSIS_LISTS, or null for dreams with only a text analysis
+ */
+export const getAnalysisDetails = (dream) => {
+  const details = dream?.analysisDetails;
+  if (!details || typeof details !== 'object') return null;
+  try {
+    const { summary, ...lists } = normalizeAnalysis({ ...details, summary: dream.analysis || '-' });
+    return lists;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the names in one list of a dream's analysis
+ *
+ * @param {Object} dream - Dream to read
+ * @param {string} field - Key of ANALYSIS_LISTS
+ * @returns {Array<string>} Names (the text, for reflections), possibly empty
+ */
+export const getAnalysisNames = (dream, field) => {
+  const details = getAnalysisDetails(dream);
+  if (!details || !details[field]) return [];
+  return details[field].map(item => (typeof item === 'string' ? item : item.name));
+};
+
+/**
+ * Count how many dreams mention each name in one analysis list
+ * Names are compared ignoring case; the first spelling seen wins.
+ *
+ * @param {Array} dreams - Dreams to count
+ * @param {string} field - 'symbols', 'emotions', 'themes', 'characters' or 'settings'
+ * @returns {Array<Object>} { name, count } most common first, then by name;
+ *   emotions also get averageIntensity
+ */
+export const getAnalysisCounts = (dreams, field) => {
+  const counts = new Map();
+  dreams.forEach(dream => {
+    const details = getAnalysisDetails(dream);
+    (details?.[field] || []).forEach(item => {
+      const name = typeof item === 'string' ? item : item.name;
+      const key = name.toLowerCase();
+      const entry = counts.get(key) || { name, count: 0, intensity: 0 };
+      entry.count++;
+      entry.intensity += item.intensity || 0;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()]
+    .map(({ name, count, intensity }) => (field === 'emotions'
+      ? { name, count, averageIntensity: Math.round((intensity / count) * 10) / 10 }
+      : { name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
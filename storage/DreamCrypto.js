@@ -0,0 +1,440 @@
+/**
+ * Dream Crypto - Keys and Field Encryption for the Journal
+ *
+ * Low-level building blocks for optional end-to-end encryption. When the
+ * user turns encryption on, the title, text and analysis of every dream are
+ * stored as ciphertext - on the device, in migration backups and in the cloud.
+ * Unsaved drafts (see Drafts) and attachment files (see Attachments) are
+ * sealed with the same key.
+ *
+ * Key hierarchy:
+ * - A random 256-bit journal key encrypts dream fields (XChaCha20-Poly1305)
+ * - The journal key is stored wrapped by a key derived from the user's
+ *   passphrase (scrypt) and, separately, by a key derived from a random
+ *   recovery key (HKDF) shown once when encryption is turned on
+ * - The wrapped keys ("keyring") are safe to sync; the unwrapped journal
+ *   key only ever lives in memory while the journal is unlocked
+ *
+ * Requires crypto.getRandomValues (polyfilled in index.js).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { randomBytes } from '@noble/ciphers/webcrypto';
+import { utf8ToBytes, bytesToUtf8, bytesToHex, hexToBytes } from '@noble/ciphers/utils';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { getCurrentUser, getUserItem, setUserItem } from './UserStorage';
+import { bytesToBase64, base64ToBytes } from './Base64';
+
+// Dream fields that hold the user's own words and are encrypted at rest
+// (revisions carry earlier titles and texts, see RevisionHistory; tags often name people and places,
+// as do the symbols, characters and settings of structured analyses, see DreamAnalysis)
+export const ENCRYPTED_FIELDS = ['title', 'text', 'analysis', 'analysisDetails', 'revisions', 'tags'];
+
+// Prefix marking an encrypted field value
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+// Base64 of the six header bytes starting an encrypted file ('enc:v1'); six
+// bytes encode to whole base64 characters, so a sealed file's base64 starts with it
+const SEALED_FILE_PREFIX = 'ZW5jOnYx';
+
+// Un-namespaced key of the per-user keyring
+const KEYRING_KEY = 'keyring';
+
+// scrypt cost parameters - tuned to take around a second on a mid-range phone
+const KDF_PARAMS = { N: 2 ** 14, r: 8, p: 1 };
+
+// Journal key of the unlocked user, kept in memory only
+let activeKey = null;
+let activeUid = null;
+
+// Listeners told when the journal becomes locked or unlocked
+const lockListeners = new Set();
+
+/**
+ * Encrypt bytes with a fresh random nonce
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} plaintext - Bytes to encrypt
+ * @param {string} context - Associated data binding the ciphertext to its purpose
+ * @returns {string} Base64 of nonce followed by ciphertext
+ */
+const seal = (key, plaintext, context) => {
+  const nonce = randomBytes(24);
+  const ciphertext = xchacha20poly1305(key, nonce, utf8ToBytes(context)).encrypt(plaintext);
+  const sealed = new Uint8Array(nonce.length + ciphertext.length);
+  sealed.set(nonce);
+  sealed.set(ciphertext, nonce.length);
+  return bytesToBase64(sealed);
+};
+
+/**
+ * Decrypt bytes produced by seal
+ *
+ * @param {Uint8Array} key - 32-byte key
+ * @param {string} sealed - Output of seal
+ * @param {string} context - Associated data used when sealing
+ * @returns {Uint8Array} Decrypted bytes
+ * @throws {Error} When the key is wrong or the data was tampered with
+ */
+const open = (key, sealed, context) => {
+  const bytes = base64ToBytes(sealed);
+  return xchacha20poly1305(key, bytes.subarray(0, 24), utf8ToBytes(context)).decrypt(bytes.subarray(24));
+};
+
+/**
+ * Derive the key that wraps the journal key from a passphrase
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {Object} kdf - { N, r, p, salt } with a hex salt
+ * @returns {Promise<Uint8Array>} 32-byte wrapping key
+ */
+const derivePassphraseKey = (passphrase, kdf) => {
+  return scryptAsync(passphrase.normalize('NFKC'), hexToBytes(kdf.salt), {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    dkLen: 32,
+  });
+};
+
+/**
+ * Derive the key that wraps the journal key from a recovery key
+ * The recovery key is random, so a fast KDF is enough
+ *
+ * @param {Uint8Array} recoveryBytes - Decoded recovery key
+ * @param {string} salt - Hex salt
+ * @returns {Uint8Array} 32-byte wrapping key
+ */
+const deriveRecoveryKey = (recoveryBytes, salt) => {
+  return hkdf(sha256, recoveryBytes, hexToBytes(salt), 'dream-journal recovery', 32);
+};
+
+/**
+ * Format recovery key bytes for display, e.g. 1A2B-3C4D-...
+ *
+ * @param {Uint8Array} bytes - 16 random bytes
+ * @returns {string} Grouped upper-case hex
+ */
+const formatRecoveryKey = (bytes) => bytesToHex(bytes).toUpperCase().match(/.{4}/g).join('-');
+
+/**
+ * Parse a recovery key typed by the user
+ * Dashes, spaces and letter case are ignored
+ *
+ * @param {string} recoveryKey - Recovery key as entered
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} When the key has the wrong length or characters
+ */
+const parseRecoveryKey = (recoveryKey) => {
+  const hex = String(recoveryKey).replace(/[\s-]/g, '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(hex)) {
+    throw new Error('Recovery key is not valid');
+  }
+  return hexToBytes(hex);
+};
+
+/**
+ * Wrap the journal key with a new passphrase
+ *
+ * @param {Uint8Array} journalKey - Unwrapped journal key
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { kdf, wrappedKey } keyring fields
+ */
+export const wrapWithPassphrase = async (journalKey, passphrase) => {
+  const kdf = { ...KDF_PARAMS, salt: bytesToHex(randomBytes(16)) };
+  const wrappingKey = await derivePassphraseKey(passphrase, kdf);
+  return { kdf, wrappedKey: seal(wrappingKey, journalKey, 'journal-key') };
+};
+
+/**
+ * Create a keyring for a brand-new journal key
+ *
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<Object>} { keyring, journalKey, recoveryKey }
+ */
+export const createKeyring = async (passphrase) => {
+  const journalKey = randomBytes(32);
+  const recoveryBytes = randomBytes(16);
+  const recoverySalt = bytesToHex(randomBytes(16));
+
+  const keyring = {
+    version: 1,
+    enabled: true,
+    keyId: bytesToHex(randomBytes(8)),
+    updatedAt: new Date().toISOString(),
+    ...(await wrapWithPassphrase(journalKey, passphrase)),
+    recoverySalt,
+    recoveryWrappedKey: seal(deriveRecoveryKey(recoveryBytes, recoverySalt), journalKey, 'journal-key'),
+  };
+
+  return { keyring, journalKey, recoveryKey: formatRecoveryKey(recoveryBytes) };
+};
+
+/**
+ * Unwrap the journal key with a passphrase
+ *
+ * @param {Object} keyring - Stored keyring
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<Uint8Array>} Journal key
+ * @throws {Error} When the passphrase is wrong
+ */
+export const unwrapWithPassphrase = async (keyring, passphrase) => {
+  const wrappingKey = await derivePassphraseKey(passphrase, keyring.kdf);
+  try {
+    return open(wrappingKey, keyring.wrappedKey, 'journal-key');
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+};
+
+/**
+ * Unwrap the journal key with the recovery key
+ *
+ * @param {Object} keyring - Stored keyring
+ * @param {string} recoveryKey - Recovery key entered by the user
+ * @returns {Uint8Array} Journal key
+ * @throws {Error} When the recovery key is wrong
+ */
+export const unwrapWithRecoveryKey = (keyring, recoveryKey) => {
+  const wrappingKey = deriveRecoveryKey(parseRecoveryKey(recoveryKey), keyring.recoverySalt);
+  try {
+    return open(wrappingKey, keyring.recoveryWrappedKey, 'journal-key');
+  } catch (error) {
+    throw new Error('Incorrect recovery key');
+  }
+};
+
+/**
+ * Load the signed-in user's keyring
+ *
+ * @returns {Promise<Object|null>} Keyring, or null if encryption was never set up
+ */
+export const getKeyring = async () => getUserItem(KEYRING_KEY);
+
+/**
+ * Store the signed-in user's keyring
+ *
+ * @param {Object} keyring - Keyring to store
+ * @returns {Promise<void>}
+ */
+export const saveKeyring = async (keyring) => {
+  await setUserItem(KEYRING_KEY, keyring);
+  await notifyLockState();
+};
+
+/**
+ * Check whether the signed-in user has encryption turned on
+ *
+ * @returns {Promise<boolean>} True if dreams are stored encrypted
+ */
+export const isEncryptionEnabled = async () => {
+  const keyring = await getKeyring();
+  return Boolean(keyring?.enabled);
+};
+
+/**
+ * Get the journal key if the signed-in user has unlocked their journal
+ *
+ * @returns {Uint8Array|null} Journal key, or null when locked
+ */
+export const getActiveKey = () => {
+  return activeUid && activeUid === getCurrentUser() ? activeKey : null;
+};
+
+/**
+ * Check whether reads and writes are blocked until the user unlocks
+ *
+ * @returns {Promise<boolean>} True if encryption is on and the journal is locked
+ */
+export const isJournalLocked = async () => {
+  return !getActiveKey() && await isEncryptionEnabled();
+};
+
+/**
+ * Keep the journal key in memory for the signed-in user
+ *
+ * @param {Uint8Array} journalKey - Unwrapped journal key
+ * @returns {Promise<void>}
+ */
+export const setActiveKey = async (journalKey) => {
+  activeKey = journalKey;
+  activeUid = getCurrentUser();
+  await notifyLockState();
+};
+
+/**
+ * Forget the journal key, e.g. on sign out
+ */
+export const lockJournal = () => {
+  activeKey = null;
+  activeUid = null;
+};
+
+/**
+ * Subscribe to lock state changes
+ *
+ * @param {Function} listener - Called with true when the journal becomes locked, false when unlocked
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLockState = (listener) => {
+  lockListeners.add(listener);
+  return () => {
+    lockListeners.delete(listener);
+  };
+};
+
+const notifyLockState = async () => {
+  if (lockListeners.size === 0) return;
+  const locked = await isJournalLocked();
+  lockListeners.forEach(listener => listener(locked));
+};
+
+/**
+ * Get the key new data must be encrypted with
+ *
+ * @returns {Promise<Uint8Array|null>} Journal key, or null when encryption is off
+ * @throws {Error} When encryption is on but the journal is locked
+ */
+export const getWriteKey = async () => {
+  if (!(await isEncryptionEnabled())) return null;
+  const key = getActiveKey();
+  if (!key) {
+    throw new Error('Journal is locked');
+  }
+  return key;
+};
+
+/**
+ * Check whether a stored value is ciphertext
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value was produced by encryptDream
+ */
+export const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+
+/**
+ * Encrypt some fields of a stored record
+ * Values are JSON-encoded first so non-string values round-trip too
+ *
+ * @param {Object} record - Plaintext record
+ * @param {Uint8Array|null} key - Journal key, or null to leave the record as is
+ * @param {Array<string>} fields - Fields to encrypt
+ * @returns {Object} Record with encrypted fields
+ */
+export const encryptFields = (record, key, fields) => {
+  if (!key || !record) return record;
+
+  const encrypted = { ...record };
+  fields.forEach(field => {
+    const value = record[field];
+    if (value === undefined || value === null || isEncryptedValue(value)) return;
+    encrypted[field] = CIPHERTEXT_PREFIX + seal(key, utf8ToBytes(JSON.stringify(value)), field);
+  });
+  return encrypted;
+};
+
+/**
+ * Decrypt the encrypted fields of a stored record
+ * Plaintext fields (e.g. written before encryption was turned on) pass through
+ *
+ * @param {Object} record - Stored record
+ * @param {Uint8Array|null} key - Journal key
+ * @param {Array<string>} fields - Fields that may be encrypted
+ * @returns {Object} Plaintext record
+ * @throws {Error} When a field is encrypted and the journal is locked or the key is wrong
+ */
+export const decryptFields = (record, key, fields) => {
+  if (!record || !fields.some(field => isEncryptedValue(record[field]))) {
+    return record;
+  }
+  if (!key) {
+    throw new Error('Journal is locked');
+  }
+
+  const decrypted = { ...record };
+  fields.forEach(field => {
+    if (!isEncryptedValue(record[field])) return;
+    try {
+      const bytes = open(key, record[field].slice(CIPHERTEXT_PREFIX.length), field);
+      decrypted[field] = JSON.parse(bytesToUtf8(bytes));
+    } catch (error) {
+      throw new Error('Data could not be decrypted with this key');
+    }
+  });
+  return decrypted;
+};
+
+/**
+ * Encrypt the sensitive fields of a dream
+ *
+ * @param {Object} dream - Plaintext dream
+ * @param {Uint8Array|null} key - Journal key, or null to leave the dream as is
+ * @returns {Object} Dream with encrypted fields
+ */
+export const encryptDream = (dream, key) => encryptFields(dream, key, ENCRYPTED_FIELDS);
+
+/**
+ * Decrypt the sensitive fields of a dream
+ *
+ * @param {Object} dream - Stored dream
+ * @param {Uint8Array|null} [key] - Journal key (defaults to the unlocked key)
+ * @returns {Object} Plaintext dream
+ * @throws {Error} When a field is encrypted and the journal is locked or the key is wrong
+ */
+export const decryptDream = (dream, key = getActiveKey()) => {
+  try {
+    return decryptFields(dream, key, ENCRYPTED_FIELDS);
+  } catch (error) {
+    if (error.message === 'Journal is locked') throw error;
+    throw new Error('Dream could not be decrypted with this key');
+  }
+};
+
+/**
+ * Check whether a file's contents are encrypted
+ *
+ * @param {string} base64 - File contents (or at least their start) as base64
+ * @returns {boolean} True if the contents were produced by sealFile
+ */
+export const isSealedFile = (base64) => typeof base64 === 'string' && base64.startsWith(SEALED_FILE_PREFIX);
+
+/**
+ * Encrypt a file's contents
+ *
+ * @param {string} base64 - Plaintext contents as base64
+ * @param {Uint8Array|null} key - Journal key, or null to leave the contents as is
+ * @param {string} context - Path of the file, binding the ciphertext to it
+ * @returns {string} Contents to store, as base64
+ */
+export const sealFile = (base64, key, context) => {
+  if (!key || isSealedFile(base64)) return base64;
+  return SEALED_FILE_PREFIX + seal(key, base64ToBytes(base64), context);
+};
+
+/**
+ * Decrypt a file's contents
+ * Plaintext files (e.g. stored before encryption was turned on) pass through
+ *
+ * @param {string} base64 - Stored contents as base64
+ * @param {Uint8Array|null} key - Journal key
+ * @param {string} context - Path the file was sealed with
+ * @returns {string} Plaintext contents as base64
+ * @throws {Error} When the file is encrypted and the journal is locked or the key is wrong
+ */
+export const openFile = (base64, key, context) => {
+  if (!isSealedFile(base64)) return base64;
+  if (!key) {
+    throw new Error('Journal is locked');
+  }
+  try {
+    return bytesToBase64(open(key, base64.slice(SEALED_FILE_PREFIX.length), context));
+  } catch (error) {
+    throw new Error('File could not be decrypted with this key');
+  }
+};
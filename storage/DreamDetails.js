@@ -0,0 +1,247 @@
+/**
+ * Dream Details - Lucidity, Vividness, Recurrence and Sleep Quality
+ *
+ * Optional structured fields recorded alongside a dream's text and moods.
+ * Each is stored as its own top-level field on the dream, so sync merges
+ * them independently. Apart from nightOf, which every dream has, a field
+ * that was never answered is left off the dream rather than stored as a
+ * default.
+ *
+ * - lucid / lucidity: whether the dreamer knew they were dreaming, and how
+ *   much control they had (1-5, only kept while lucid)
+ * - vividness: 1 (faint) to 5 (more real than waking life)
+ * - recurring, nightmare: flags
+ * - sleepQuality: 1 (terrible) to 5 (great)
+ * - nightOf: the night the dream happened, as a local 'YYYY-MM-DD' date.
+ *   This is separate from `timestamp`, which is when the dream was recorded:
+ *   a dream written down the next evening or imported later still belongs
+ *   to the night it was dreamed. Lists and Stats go by the night.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// Labels for each 1-5 level, lowest first
+export const LUCIDITY_LABELS = ['Glimpse', 'Aware', 'Some control', 'Strong control', 'Full control'];
+export const VIVIDNESS_LABELS = ['Faint', 'Hazy', 'Clear', 'Vivid', 'Hyper-real'];
+export const SLEEP_QUALITY_LABELS = ['Terrible', 'Poor', 'Okay', 'Good', 'Great'];
+
+// Every detail field, in display order
+export const DETAIL_FIELDS = ['nightOf', 'lucid', 'lucidity', 'vividness', 'recurring', 'nightmare', 'sleepQuality'];
+
+// Fields holding a 1-5 level, with their labels
+export const LEVEL_FIELDS = {
+  lucidity: LUCIDITY_LABELS,
+  vividness: VIVIDNESS_LABELS,
+  sleepQuality: SLEEP_QUALITY_LABELS,
+};
+
+// Fields holding a yes/no flag
+export const FLAG_FIELDS = ['lucid', 'recurring', 'nightmare'];
+
+/**
+ * Format a date as a local 'YYYY-MM-DD' night key
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Night key
+ */
+export const toNightKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Read a night key back as a local date at midnight
+ *
+ * @param {string} key - Night key
+ * @returns {Date|null} The date, or null if the key isn't a real date
+ */
+export const parseNightKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key || ''));
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toNightKey(date) === match[0] ? date : null;
+};
+
+/**
+ * Move a night key by a number of days
+ *
+ * @param {string} key - Night key
+ * @param {number} days - Days to move, negative for earlier
+ * @returns {string} New night key
+ */
+export const shiftNight = (key, days) => {
+  const date = parseNightKey(key) || new Date();
+  return toNightKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+/**
+ * Night a dream recorded at a given time most likely happened on
+ * Before noon it's last night's dream; from noon on, the night just begun
+ * (a nap, or writing it down late) counts as tonight
+ *
+ * @param {Date} [now=new Date()] - When the dream is being recorded
+ * @returns {string} Night key
+ */
+export const getDefaultNight = (now = new Date()) => {
+  return now.getHours() < 12 ? shiftNight(toNightKey(now), -1) : toNightKey(now);
+};
+
+/**
+ * Get the night a dream happened on
+ * Dreams saved before nightOf existed fall back to the night implied by when they were recorded
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {string|null} Night key, or null when the dream has neither a night nor a timestamp
+ */
+export const getNightOf = (dream) => {
+  if (parseNightKey(dream.nightOf)) return dream.nightOf;
+  const recorded = new Date(dream.timestamp || NaN);
+  return isNaN(recorded.getTime()) ? null : getDefaultNight(recorded);
+};
+
+/**
+ * Get the night a dream happened on as a local date at midnight
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Date|null} Night date, or null when it's unknown
+ */
+export const getNightDate = (dream) => parseNightKey(getNightOf(dream));
+
+/**
+ * Compare dreams newest night first
+ * Dreams from the same night are ordered by when they were recorded, newest first;
+ * dreams with no date at all go last
+ *
+ * @param {Object} a - Dream
+ * @param {Object} b - Dream
+ * @returns {number} Sort order
+ */
+export const compareByNight = (a, b) => {
+  const nightA = getNightOf(a) || '';
+  const nightB = getNightOf(b) || '';
+  if (nightA !== nightB) return nightA < nightB ? 1 : -1;
+  return new Date(b.timestamp || 0) - new Date(a.timestamp || 0);
+};
+
+/**
+ * Check a 1-5 level
+ *
+ * @param {*} value - Level to check
+ * @returns {number|undefined} The level, or undefined when it isn't a whole number from 1 to 5
+ */
+const toLevel = (value) => (Number.isInteger(value) && value >= 1 && value <= 5 ? value : undefined);
+
+/**
+ * Read a dream's details, dropping anything that isn't valid
+ *
+ * @param {Object} dream - Dream or form values to read
+ * @returns {Object} Only the detail fields that are set
+ */
+export const getDreamDetails = (dream) => {
+  const details = {};
+  const nightOf = getNightOf(dream);
+  if (nightOf) details.nightOf = nightOf;
+  FLAG_FIELDS.forEach(field => {
+    if (typeof dream[field] === 'boolean') details[field] = dream[field];
+  });
+  Object.keys(LEVEL_FIELDS).forEach(field => {
+    const level = toLevel(dream[field]);
+    if (level !== undefined) details[field] = level;
+  });
+  // Lucidity only means something for lucid dreams
+  if (details.lucid !== true) delete details.lucidity;
+  return details;
+};
+
+/**
+ * Build the changes that save a set of details onto a dream
+ * Fields that are no longer set are cleared with undefined so updateDream drops them
+ *
+ * @param {Object} values - Detail values from the form
+ * @returns {Object} Every detail field, set or undefined
+ */
+export const toDetailChanges = (values) => {
+  const details = getDreamDetails(values);
+  return Object.fromEntries(DETAIL_FIELDS.map(field => [field, details[field]]));
+};
+
+/**
+ * Short labels summarizing a dream's details, for badges on the dream card
+ * Flags are only shown when set; "not lucid" and the like aren't worth a badge
+ *
+ * @param {Object} dream - Dream to describe
+ * @returns {Array<Object>} Badges as { key, label }
+ */
+export const getDetailBadges = (dream) => {
+  const details = getDreamDetails(dream);
+  const badges = [];
+  if (details.lucid) {
+    badges.push({ key: 'lucid', label: details.lucidity ? `Lucid ${details.lucidity}/5` : 'Lucid' });
+  }
+  if (details.nightmare) badges.push({ key: 'nightmare', label: 'Nightmare' });
+  if (details.recurring) badges.push({ key: 'recurring', label: 'Recurring' });
+  if (details.vividness) badges.push({ key: 'vividness', label: VIVIDNESS_LABELS[details.vividness - 1] });
+  if (details.sleepQuality) {
+    badges.push({ key: 'sleepQuality', label: `${SLEEP_QUALITY_LABELS[details.sleepQuality - 1]} sleep` });
+  }
+  return badges;
+};
+
+// Filters offered on the Stats screen
+export const DETAIL_FILTERS = [
+  { key: 'all', label: 'All Dreams', matches: () => true },
+  { key: 'lucid', label: 'Lucid', matches: (details) => details.lucid === true },
+  { key: 'notLucid', label: 'Not Lucid', matches: (details) => details.lucid !== true },
+  { key: 'nightmare', label: 'Nightmares', matches: (details) => details.nightmare === true },
+  { key: 'recurring', label: 'Recurring', matches: (details) => details.recurring === true },
+  { key: 'vivid', label: 'Vivid (4-5)', matches: (details) => details.vividness >= 4 },
+  { key: 'poorSleep', label: 'Poor Sleep (1-2)', matches: (details) => details.sleepQuality <= 2 },
+  { key: 'goodSleep', label: 'Good Sleep (4-5)', matches: (details) => details.sleepQuality >= 4 },
+];
+
+/**
+ * Keep the dreams matching one of DETAIL_FILTERS
+ *
+ * @param {Array} dreams - Dreams to filter
+ * @param {string} key - Filter key
+ * @returns {Array} Matching dreams
+ * @throws {Error} When the filter doesn't exist
+ */
+export const filterByDetails = (dreams, key) => {
+  const filter = DETAIL_FILTERS.find(option => option.key === key);
+  if (!filter) {
+    throw new Error(`Unknown dream filter "${key}"`);
+  }
+  return dreams.filter(dream => filter.matches(getDreamDetails(dream)));
+};
+
+/**
+ * Tally each detail field across dreams
+ *
+ * @param {Array} dreams - Dreams to tally
+ * @returns {Object} { flags: { lucid, recurring, nightmare } as { yes, no, unknown },
+ *   levels: { lucidity, vividness, sleepQuality } as counts for levels 1-5 plus unknown }
+ */
+export const getDetailBreakdown = (dreams) => {
+  const flags = Object.fromEntries(FLAG_FIELDS.map(field => [field, { yes: 0, no: 0, unknown: 0 }]));
+  const levels = Object.fromEntries(Object.keys(LEVEL_FIELDS).map(field => [field, { counts: [0, 0, 0, 0, 0], unknown: 0 }]));
+
+  dreams.forEach(dream => {
+    const details = getDreamDetails(dream);
+    FLAG_FIELDS.forEach(field => {
+      if (details[field] === undefined) flags[field].unknown++;
+      else if (details[field]) flags[field].yes++;
+      else flags[field].no++;
+    });
+    Object.keys(LEVEL_FIELDS).forEach(field => {
+      // Non-lucid dreams have no lucidity to report
+      if (field === 'lucidity' && details.lucid !== true) return;
+      if (details[field] === undefined) levels[field].unknown++;
+      else levels[field].counts[details[field] - 1]++;
+    });
+  });
+
+  return { flags, levels };
+};
@@ -0,0 +1,63 @@
+/**
+ * Dream Ids - Collision-Free Dream Identifiers
+ *
+ * New dreams get random version 4 UUIDs. Dreams created before that used
+ * Date.now() as their id; those are upgraded by schema migration 2 to a UUID
+ * derived from the old id, so every device turns the same old id into the
+ * same new one and synced copies keep matching.
+ *
+ * Requires crypto.getRandomValues (polyfilled in index.js).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { randomBytes } from '@noble/ciphers/webcrypto';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+
+// Namespace mixed into derived ids so they can't clash with ids from other data
+const LEGACY_ID_NAMESPACE = 'dreamio:dream-id:';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Format 16 bytes as a UUID with the given version
+ *
+ * @param {Uint8Array} bytes - 16 bytes, modified in place
+ * @param {number} version - UUID version number
+ * @returns {string} Lower-case UUID
+ */
+const formatUuid = (bytes, version) => {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytesToHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+};
+
+/**
+ * Create the id for a new dream
+ *
+ * @returns {string} Random version 4 UUID
+ */
+export const createDreamId = () => formatUuid(randomBytes(16), 4);
+
+/**
+ * Check whether an id is a UUID
+ *
+ * @param {*} id - Dream id
+ * @returns {boolean} True for UUID ids, false for legacy Date.now() ids
+ */
+export const isDreamId = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
+
+/**
+ * Derive the UUID that replaces a legacy id
+ * Deterministic, so every device maps the same old id to the same UUID
+ *
+ * @param {number|string} legacyId - Date.now() id (or any non-UUID id)
+ * @returns {string} Version 8 (name-based, SHA-256) UUID
+ */
+export const legacyIdToUuid = (legacyId) => {
+  return formatUuid(sha256(utf8ToBytes(LEGACY_ID_NAMESPACE + String(legacyId))).slice(0, 16), 8);
+};
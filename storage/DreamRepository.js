@@ -0,0 +1,485 @@
+/**
+ * Dream Repository - Central Dream Storage Access
+ *
+ * Single entry point for reading and writing the dream journal. Every screen
+ * goes through this module instead of parsing the AsyncStorage 'dreams' key
+ * on its own, so sorting, filtering and persistence behave the same everywhere.
+ * The journal lives in the signed-in user's namespace (see UserStorage) and,
+ * when encryption is on, sensitive fields are encrypted on the way to storage
+ * and decrypted on the way out (see DreamCrypto).
+ *
+ * Key Features:
+ * - CRUD operations for dream entries
+ * - Soft deletion: deleted dreams keep a deletedAt stamp and sit in the Trash
+ *   until they're restored or purged. Reads leave them out unless asked.
+ * - Ranked full-text search with a query language (see SearchQuery), backed
+ *   by an index kept in step with every write
+ * - Serialized writes so concurrent saves never overwrite each other
+ * - Change events for screens that need to stay in sync
+ * - Consistent newest-first ordering by the night each dream happened
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getUserKey, LEGACY_KEYS } from './UserStorage';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersionKey, migrateDreams } from './SchemaMigrations';
+import { getWriteKey, encryptDream, decryptDream } from './DreamCrypto';
+import { isDreamId, legacyIdToUuid } from './DreamIds';
+import { createSearchIndex } from './SearchIndex';
+import { createSymbolIndex } from './SymbolIndex';
+import { parseQuery, parsePlainQuery, evaluateQuery } from './SearchQuery';
+import { hasTag } from './Tags';
+import { getDreamMoods } from './Moods';
+import { compareByNight } from './DreamDetails';
+
+// Un-namespaced name of the key holding the serialized dream array
+const DREAMS_KEY = 'dreams';
+
+// Tail of the write queue - every mutation chains onto this promise
+let writeQueue = Promise.resolve();
+
+// Registered change listeners
+const listeners = new Set();
+
+// Full-text index over the visible journal, updated after every write
+const searchIndex = createSearchIndex();
+
+// Symbols from the analyses of the visible journal, updated alongside the search index
+const symbolIndex = createSymbolIndex();
+
+// Search and mood filter currently applied on Home, reused by export
+let homeFilter = { query: '', mood: 'all', tag: null };
+
+/**
+ * Sort dreams by the night they happened, newest first
+ * Dreams from the same night are ordered by when they were recorded;
+ * dreams with neither a night nor a timestamp go last
+ *
+ * @param {Array} dreamsArray - Array of dream objects to sort
+ * @returns {Array} New sorted array of dreams
+ */
+export const sortDreamsByNight = (dreamsArray) => [...dreamsArray].sort(compareByNight);
+
+/**
+ * Check whether a dream has been moved to the Trash
+ *
+ * @param {Object} dream - Dream to check
+ * @returns {boolean} True if the dream is in the Trash
+ */
+export const isTrashed = (dream) => Boolean(dream.deletedAt);
+
+/**
+ * Read and decrypt the dream array from storage
+ *
+ * @returns {Promise<Array>} Stored dreams, or an empty array
+ * @throws {Error} When the journal is encrypted and locked
+ */
+const readDreams = async () => {
+  const saved = JSON.parse(await AsyncStorage.getItem(getUserKey(DREAMS_KEY)));
+  return Array.isArray(saved) ? saved.map(dream => decryptDream(dream)) : [];
+};
+
+/**
+ * Notify every listener about a change to the journal
+ * Listener errors are logged so one bad subscriber can't break a save
+ *
+ * @param {Object} event - Change event ({ type, dream, dreams })
+ */
+const emitChange = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Dream repository listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Run a read-modify-write cycle against the stored journal
+ *
+ * Mutations are queued so each one sees the result of the previous one,
+ * which prevents two screens from saving stale copies over each other.
+ *
+ * @param {Function} mutator - Receives the current dreams and returns { dreams, event, result }
+ * @returns {Promise<*>} The mutator's result value
+ */
+const mutate = (mutator) => {
+  const run = writeQueue.then(async () => {
+    const current = await readDreams();
+    const { dreams, event, result } = await mutator(current);
+    const sortedDreams = sortDreamsByNight(dreams);
+    const journalKey = getUserKey(DREAMS_KEY);
+    const key = await getWriteKey();
+    await AsyncStorage.setItem(journalKey, JSON.stringify(sortedDreams.map(dream => encryptDream(dream, key))));
+
+    // A brand-new journal is written in the current shape, so stamp it as current.
+    // Existing stamps are left alone - only startup migrations move them forward.
+    const versionKey = getSchemaVersionKey(journalKey);
+    if (await AsyncStorage.getItem(versionKey) === null) {
+      await AsyncStorage.setItem(versionKey, JSON.stringify(CURRENT_SCHEMA_VERSION));
+    }
+    const visibleDreams = sortedDreams.filter(d => !isTrashed(d));
+    searchIndex.sync(visibleDreams);
+    symbolIndex.sync(visibleDreams);
+    if (event) {
+      emitChange({ ...event, dreams: visibleDreams });
+    }
+    return result;
+  });
+
+  // Keep the queue alive even if this mutation fails
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Load all dreams sorted newest first, leaving out the Trash
+ *
+ * @returns {Promise<Array>} Sorted array of dreams
+ */
+export const getDreams = async () => {
+  return sortDreamsByNight((await readDreams()).filter(d => !isTrashed(d)));
+};
+
+/**
+ * Load every stored dream including the Trash (used by sync)
+ *
+ * @returns {Promise<Array>} Sorted array of dreams
+ */
+export const getAllDreams = async () => {
+  return sortDreamsByNight(await readDreams());
+};
+
+/**
+ * Load the dreams in the Trash, most recently deleted first
+ *
+ * @returns {Promise<Array>} Trashed dreams
+ */
+export const getTrashedDreams = async () => {
+  return (await readDreams())
+    .filter(isTrashed)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+};
+
+/**
+ * Find a single dream by id, whether or not it's in the Trash
+ * An old Date.now() id (e.g. from a saved queue) also finds the dream it was migrated to
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @returns {Promise<Object|null>} The dream, or null if it doesn't exist
+ */
+export const getDream = async (id) => {
+  const dreams = await readDreams();
+  const found = dreams.find(d => d.id === id);
+  if (found || isDreamId(id)) return found || null;
+
+  const migratedId = legacyIdToUuid(id);
+  return dreams.find(d => d.id === migratedId) || null;
+};
+
+/**
+ * Filter dreams by search text, mood and tag
+ * See searchDreams for how the search text is matched
+ *
+ * @param {Object} options - Query options
+ * @param {string} [options.query=''] - Text to search for in title and content
+ * @param {string} [options.mood='all'] - Mood to filter by, or 'all'
+ * @param {string|null} [options.tag=null] - Tag to filter by, or null for any
+ * @returns {Promise<Array>} Matching dreams, best match first when searching
+ */
+export const queryDreams = async ({ query = '', mood = 'all', tag = null } = {}) => {
+  return filterDreams(await getDreams(), { query, mood, tag });
+};
+
+/**
+ * Search an already loaded dream list and filter it by mood and tag
+ *
+ * The search text is a query (words, "phrases", OR, -negation and filters
+ * such as mood: or after:, see SearchQuery) matched against the full-text
+ * index, and results are ranked by relevance. A query with a syntax error
+ * is searched as plain words. Without search text the dreams keep their
+ * original order.
+ *
+ * @param {Array} dreams - Dreams to search
+ * @param {Object} options - Same options as queryDreams
+ * @returns {Object} { dreams: matching dreams, terms: Set of matched index terms for highlighting,
+ *   error: syntax error in the query or null }
+ */
+export const searchDreams = (dreams, { query = '', mood = 'all', tag = null } = {}) => {
+  const matchesMood = (d) => (mood === 'all' || getDreamMoods(d).includes(mood)) && (!tag || hasTag(d, tag));
+  const { tree, error } = parseQuery(query);
+  const searchTree = error ? parsePlainQuery(query) : tree;
+  if (!searchTree) {
+    return { dreams: dreams.filter(matchesMood), terms: new Set(), error };
+  }
+
+  searchIndex.sync(dreams);
+  const { ids, terms } = evaluateQuery(searchTree, dreams, searchIndex);
+  const byId = new Map(dreams.map(d => [String(d.id), d]));
+
+  return {
+    dreams: ids.map(id => byId.get(id)).filter(d => d && matchesMood(d)),
+    terms,
+    error,
+  };
+};
+
+/**
+ * Filter an already loaded dream list by search text, mood and tag
+ * Lets screens filter on every keystroke without another storage read
+ *
+ * @param {Array} dreams - Dreams to filter
+ * @param {Object} options - Same options as queryDreams
+ * @returns {Array} Matching dreams, best match first when searching
+ */
+export const filterDreams = (dreams, options) => searchDreams(dreams, options).dreams;
+
+/**
+ * List the symbols, themes, characters and settings of an already loaded dream list
+ *
+ * @param {Array} dreams - Dreams to index
+ * @param {Object} [options] - Passed to the symbol index's getEntries ({ kind })
+ * @returns {Array<Object>} Entries with their dreams, moods and first and last nights (see SymbolIndex)
+ */
+export const getSymbols = (dreams, options) => {
+  symbolIndex.sync(dreams);
+  return symbolIndex.getEntries(options);
+};
+
+/**
+ * Find the symbols that come back across an already loaded dream list
+ *
+ * @param {Array} dreams - Dreams to index
+ * @param {number} [limit] - Most entries returned
+ * @returns {Array<Object>} { kind, name, count } seen in at least two dreams, most dreams first
+ */
+export const getRecurringSymbols = (dreams, limit) => {
+  symbolIndex.sync(dreams);
+  return symbolIndex.getRecurring(limit);
+};
+
+/**
+ * Remember the filter the user has applied on Home
+ *
+ * @param {Object} filter - { query, mood, tag } as passed to filterDreams
+ */
+export const setHomeFilter = (filter) => {
+  homeFilter = { ...homeFilter, ...filter };
+};
+
+/**
+ * Get the filter currently applied on Home
+ *
+ * @returns {Object} { query, mood, tag }
+ */
+export const getHomeFilter = () => homeFilter;
+
+/**
+ * Check whether a filter would hide any dreams
+ *
+ * @param {Object} filter - { query, mood, tag }
+ * @returns {boolean} True if the filter narrows the journal
+ */
+export const isFilterActive = ({ query = '', mood = 'all', tag = null } = {}) => {
+  return query.trim() !== '' || mood !== 'all' || Boolean(tag);
+};
+
+/**
+ * Add a new dream to the journal
+ *
+ * @param {Object} dream - Complete dream object including its id
+ * @returns {Promise<Object>} The saved dream
+ */
+export const addDream = (dream) => {
+  return mutate((dreams) => ({
+    dreams: [...dreams, dream],
+    event: { type: 'add', dream },
+    result: dream,
+  }));
+};
+
+/**
+ * Update an existing dream
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @param {Object|Function} changes - Fields to merge, or a function receiving the current dream and returning them
+ * @returns {Promise<Object|null>} The updated dream, or null if it doesn't exist
+ */
+export const updateDream = (id, changes) => {
+  return mutate((dreams) => {
+    const existing = dreams.find(d => d.id === id);
+    if (!existing) {
+      return { dreams, result: null };
+    }
+
+    const fields = typeof changes === 'function' ? changes(existing) : changes;
+    const updated = { ...existing, ...fields };
+
+    return {
+      dreams: dreams.map(d => d.id === id ? updated : d),
+      event: { type: 'update', dream: updated },
+      result: updated,
+    };
+  });
+};
+
+/**
+ * Move a dream to the Trash
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @returns {Promise<Object|null>} The trashed dream, or null if it doesn't exist
+ */
+export const trashDream = (id) => {
+  return mutate((dreams) => {
+    const existing = dreams.find(d => d.id === id);
+    if (!existing) {
+      return { dreams, result: null };
+    }
+
+    const trashed = { ...existing, deletedAt: new Date().toISOString() };
+    return {
+      dreams: dreams.map(d => d.id === id ? trashed : d),
+      event: { type: 'trash', dream: trashed },
+      result: trashed,
+    };
+  });
+};
+
+/**
+ * Bring a dream back from the Trash
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @returns {Promise<Object|null>} The restored dream, or null if it doesn't exist
+ */
+export const restoreDream = (id) => {
+  return mutate((dreams) => {
+    const existing = dreams.find(d => d.id === id);
+    if (!existing) {
+      return { dreams, result: null };
+    }
+
+    const { deletedAt, ...restored } = existing;
+    return {
+      dreams: dreams.map(d => d.id === id ? restored : d),
+      event: { type: 'restore', dream: restored },
+      result: restored,
+    };
+  });
+};
+
+/**
+ * Permanently remove trashed dreams deleted at or before a cutoff
+ *
+ * @param {Date|string} [cutoff=new Date()] - Dreams trashed up to this moment are removed
+ * @returns {Promise<Array>} The removed dreams
+ */
+export const purgeTrash = (cutoff = new Date()) => {
+  const limit = new Date(cutoff);
+
+  return mutate((dreams) => {
+    const expired = dreams.filter(d => isTrashed(d) && new Date(d.deletedAt) <= limit);
+    if (expired.length === 0) {
+      return { dreams, result: [] };
+    }
+
+    return {
+      dreams: dreams.filter(d => !expired.includes(d)),
+      event: { type: 'purge', dream: null },
+      result: expired,
+    };
+  });
+};
+
+/**
+ * Permanently remove a dream from the journal
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @returns {Promise<Object|null>} The removed dream, or null if it doesn't exist
+ */
+export const deleteDream = (id) => {
+  return mutate((dreams) => {
+    const existing = dreams.find(d => d.id === id);
+    if (!existing) {
+      return { dreams, result: null };
+    }
+
+    return {
+      dreams: dreams.filter(d => d.id !== id),
+      event: { type: 'delete', dream: existing },
+      result: existing,
+    };
+  });
+};
+
+/**
+ * Rewrite the whole journal in a single queued write
+ *
+ * Used for bulk changes such as applying a cloud sync. The updater runs
+ * inside the write queue, so it always sees the latest stored dreams.
+ *
+ * @param {Function} updater - Receives the current dreams and returns the new array
+ * @param {string} [type='reload'] - Change event type reported to subscribers
+ * @returns {Promise<Array>} The saved, sorted journal
+ */
+export const replaceDreams = (updater, type = 'reload') => {
+  return mutate(async (dreams) => {
+    const next = await updater(dreams);
+    return {
+      dreams: next,
+      event: { type, dream: null },
+      result: sortDreamsByNight(next),
+    };
+  });
+};
+
+/**
+ * Hand the journal saved before per-user storage over to the signed-in user
+ *
+ * The shared journal is upgraded from its own schema version first, since it
+ * may never have been migrated, then merged in by id through the write queue
+ * so it's encrypted like any other save (the user's own copy of a dream
+ * wins). The shared keys are removed afterwards so no other account can
+ * claim them.
+ *
+ * @returns {Promise<number>} Number of dreams added to the journal
+ */
+export const claimLegacyDreams = async () => {
+  const raw = await AsyncStorage.getItem(DREAMS_KEY);
+  if (raw === null) return 0;
+
+  const version = JSON.parse(await AsyncStorage.getItem(getSchemaVersionKey(DREAMS_KEY))) || 0;
+  const legacyDreams = migrateDreams(JSON.parse(raw) || [], version);
+
+  const added = await mutate((dreams) => {
+    const existingIds = new Set(dreams.map(d => d.id));
+    const newDreams = legacyDreams.filter(d => !existingIds.has(d.id));
+    return {
+      dreams: [...dreams, ...newDreams],
+      event: { type: 'reload', dream: null },
+      result: newDreams.length,
+    };
+  });
+
+  await AsyncStorage.multiRemove(LEGACY_KEYS);
+  return added;
+};
+
+/**
+ * Subscribe to journal changes
+ *
+ * The listener receives { type, dream, dreams } after every successful
+ * write, where dreams is the full sorted journal without the Trash.
+ *
+ * @param {Function} listener - Callback invoked on every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * Encryption - Passphrase Protection for the Dream Journal
+ *
+ * User-facing flows for optional end-to-end encryption: turning it on and
+ * off, unlocking with the passphrase or the recovery key, and changing the
+ * passphrase. Key handling and field encryption live in DreamCrypto; this
+ * module re-writes the stored journal, sync state, drafts and attachment
+ * files whenever the encryption setting changes so nothing is left behind in
+ * plaintext.
+ *
+ * The passphrase can't be reset by us. Losing both the passphrase and the
+ * recovery key means losing the journal, which the UI makes clear.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import {
+  createKeyring,
+  wrapWithPassphrase,
+  unwrapWithPassphrase,
+  unwrapWithRecoveryKey,
+  getKeyring,
+  saveKeyring,
+  setActiveKey,
+  lockJournal,
+} from './DreamCrypto';
+import { replaceDreams } from './DreamRepository';
+import { resealSyncState } from './SyncEngine';
+import { resealDrafts } from './Drafts';
+import { resealAttachments } from './Attachments';
+
+export { isEncryptionEnabled, isJournalLocked, lockJournal, subscribeToLockState } from './DreamCrypto';
+
+// Shortest passphrase accepted when turning encryption on or changing it
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Check a new passphrase before using it
+ *
+ * @param {string} passphrase - Passphrase to check
+ * @throws {Error} When the passphrase is too short
+ */
+const validatePassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+};
+
+/**
+ * Load the keyring, requiring encryption to be on
+ *
+ * @returns {Promise<Object>} Enabled keyring
+ * @throws {Error} When encryption is off
+ */
+const requireKeyring = async () => {
+  const keyring = await getKeyring();
+  if (!keyring?.enabled) {
+    throw new Error('Encryption is not turned on');
+  }
+  return keyring;
+};
+
+/**
+ * Re-write the journal, sync state, drafts and attachments with the current encryption setting
+ *
+ * @returns {Promise<void>}
+ */
+const rewriteStoredData = async () => {
+  await replaceDreams(dreams => dreams);
+  await resealSyncState();
+  await resealDrafts();
+  await resealAttachments();
+};
+
+/**
+ * Turn encryption on for the signed-in user
+ *
+ * Creates a new journal key, encrypts every stored dream with it and
+ * returns the recovery key, which is shown to the user exactly once.
+ *
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<string>} Recovery key for display
+ * @throws {Error} When encryption is already on or the passphrase is too short
+ */
+export const enableEncryption = async (passphrase) => {
+  validatePassphrase(passphrase);
+  const existing = await getKeyring();
+  if (existing?.enabled) {
+    throw new Error('Encryption is already turned on');
+  }
+
+  const { keyring, journalKey, recoveryKey } = await createKeyring(passphrase);
+  await setActiveKey(journalKey);
+  await saveKeyring(keyring);
+  await rewriteStoredData();
+
+  return recoveryKey;
+};
+
+/**
+ * Unlock the journal with the passphrase
+ *
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+export const unlockWithPassphrase = async (passphrase) => {
+  const keyring = await requireKeyring();
+  await setActiveKey(await unwrapWithPassphrase(keyring, passphrase));
+};
+
+/**
+ * Unlock the journal with the recovery key and set a new passphrase
+ * Used when the passphrase has been forgotten
+ *
+ * @param {string} recoveryKey - Recovery key entered by the user
+ * @param {string} newPassphrase - Replacement passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the recovery key is wrong or the passphrase is too short
+ */
+export const unlockWithRecoveryKey = async (recoveryKey, newPassphrase) => {
+  validatePassphrase(newPassphrase);
+  const keyring = await requireKeyring();
+  const journalKey = unwrapWithRecoveryKey(keyring, recoveryKey);
+
+  await saveKeyring({
+    ...keyring,
+    ...(await wrapWithPassphrase(journalKey, newPassphrase)),
+    updatedAt: new Date().toISOString(),
+  });
+  await setActiveKey(journalKey);
+};
+
+/**
+ * Change the passphrase
+ * Only the wrapped key changes - dreams don't need to be re-encrypted
+ *
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - Replacement passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the current passphrase is wrong or the new one is too short
+ */
+export const changePassphrase = async (currentPassphrase, newPassphrase) => {
+  validatePassphrase(newPassphrase);
+  const keyring = await requireKeyring();
+  const journalKey = await unwrapWithPassphrase(keyring, currentPassphrase);
+
+  await saveKeyring({
+    ...keyring,
+    ...(await wrapWithPassphrase(journalKey, newPassphrase)),
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Turn encryption off and store dreams as plaintext again
+ *
+ * The keyring is kept as a disabled record so the change syncs to other
+ * devices instead of the old keyring being pulled back from the cloud.
+ *
+ * @param {string} passphrase - Current passphrase, confirming the change
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+export const disableEncryption = async (passphrase) => {
+  const keyring = await requireKeyring();
+  const journalKey = await unwrapWithPassphrase(keyring, passphrase);
+
+  // Stored data is still encrypted, so the key is needed to read it back
+  await setActiveKey(journalKey);
+  await saveKeyring({
+    version: keyring.version,
+    enabled: false,
+    keyId: keyring.keyId,
+    updatedAt: new Date().toISOString(),
+  });
+  await rewriteStoredData();
+  lockJournal();
+};
@@ -0,0 +1,278 @@
+/**
+ * Export Formats - Serializers for Journal Exports
+ *
+ * Pure functions turning a list of dreams into the contents of each export
+ * format. Writing files and opening the share sheet happens in JournalExport,
+ * which keeps these easy to test and reuse (e.g. by the importer).
+ *
+ * Formats:
+ * - JSON archive: every field of every dream, lossless and re-importable,
+ *   plus voice memo audio and sketches
+ * - Markdown: one file per dream with YAML front-matter, zipped together
+ *   with memos/ and sketches/ folders the files link to
+ * - CSV: one row per dream for spreadsheets
+ * - HTML: formatted document with sketches inline, printed to PDF
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { CURRENT_SCHEMA_VERSION } from './SchemaMigrations';
+import { getDreamMoods, getMoodEntries, formatMoods } from './Moods';
+import { getDreamTags } from './Tags';
+import { getNightOf, getNightDate } from './DreamDetails';
+import { getDreamMemos, formatDuration } from './VoiceMemos';
+import { getDreamSketches } from './Sketches';
+import { getAttachmentPath } from './Attachments';
+import { base64ToBytes } from './Base64';
+
+// Identifies files produced by this app's JSON export
+export const ARCHIVE_FORMAT = 'dreamio-journal';
+
+// Version of the JSON archive layout
+export const ARCHIVE_VERSION = 1;
+
+// Column order of the CSV export
+export const CSV_COLUMNS = ['id', 'title', 'text', 'mood', 'analysis', 'timestamp', 'lastEdited', 'wasEdited', 'tags', 'nightOf'];
+
+/**
+ * Turn an analysis of any shape into display text
+ *
+ * @param {*} analysis - Stored analysis
+ * @returns {string} Analysis text, or an empty string
+ */
+const formatAnalysis = (analysis) => {
+  if (analysis === undefined || analysis === null) return '';
+  return typeof analysis === 'string' ? analysis : JSON.stringify(analysis, null, 2);
+};
+
+/**
+ * Build the lossless JSON archive
+ * Voice memo audio and sketches are carried base64-encoded under `attachments`,
+ * keyed by their path (e.g. 'memos/x.m4a')
+ *
+ * @param {Array} dreams - Dreams to export
+ * @param {Object} [filter=null] - Home filter the export was limited to, if any
+ * @param {Object} [attachments={}] - Map of attachment path to base64 file contents
+ * @returns {string} Pretty-printed JSON
+ */
+export const toJSONArchive = (dreams, filter = null, attachments = {}) => {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    filter,
+    dreams,
+  };
+  if (Object.keys(attachments).length > 0) {
+    archive.attachments = attachments;
+  }
+  return JSON.stringify(archive, null, 2);
+};
+
+/**
+ * Build a file-name-safe slug from a dream title
+ *
+ * @param {string} title - Dream title
+ * @returns {string} Lower-case slug, at most 40 characters
+ */
+const slugify = (title) => {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return slug || 'untitled';
+};
+
+/**
+ * Build the Markdown document for one dream
+ * Front-matter strings are JSON-quoted, which is valid YAML
+ *
+ * @param {Object} dream - Dream to format
+ * @returns {string} Markdown with front-matter
+ */
+export const toMarkdown = (dream) => {
+  const frontMatter = [
+    `id: ${JSON.stringify(dream.id)}`,
+    `title: ${JSON.stringify(dream.title || '')}`,
+    `moods: [${getDreamMoods(dream).map(mood => JSON.stringify(mood)).join(', ')}]`,
+    `date: ${JSON.stringify(dream.timestamp || '')}`,
+    `nightOf: ${JSON.stringify(getNightOf(dream) || '')}`,
+  ];
+  if (getMoodEntries(dream).length > 0) {
+    frontMatter.splice(3, 0, `moodIntensities: [${getMoodEntries(dream).map(entry => entry.intensity).join(', ')}]`);
+  }
+  if (getDreamTags(dream).length > 0) {
+    frontMatter.push(`tags: [${getDreamTags(dream).map(tag => JSON.stringify(tag)).join(', ')}]`);
+  }
+  if (dream.lastEdited) {
+    frontMatter.push(`lastEdited: ${JSON.stringify(dream.lastEdited)}`);
+  }
+  frontMatter.push(`edited: ${Boolean(dream.wasEdited)}`);
+
+  const sections = [
+    `---\n${frontMatter.join('\n')}\n---`,
+    `# ${dream.title || 'Untitled Dream'}`,
+    dream.text || '',
+  ];
+  const analysis = formatAnalysis(dream.analysis);
+  if (analysis) {
+    sections.push(`## Analysis\n\n${analysis}`);
+  }
+  const memos = getDreamMemos(dream);
+  if (memos.length > 0) {
+    // Links point at the audio stored next to the Markdown files in the zip
+    const links = memos.map((memo, index) => `- [Voice memo ${index + 1} (${formatDuration(memo.durationMs)})](${getAttachmentPath('memos', memo)})`);
+    sections.push(`## Voice Memos\n\n${links.join('\n')}`);
+  }
+  const sketches = getDreamSketches(dream);
+  if (sketches.length > 0) {
+    const images = sketches.map((sketch, index) => `![Sketch ${index + 1}](${getAttachmentPath('sketches', sketch)})`);
+    sections.push(`## Sketches\n\n${images.join('\n\n')}`);
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+/**
+ * Build one Markdown file per dream
+ * File names start with the night of the dream so they sort chronologically
+ *
+ * @param {Array} dreams - Dreams to export
+ * @returns {Array<Object>} Files as { name, content }
+ */
+export const toMarkdownFiles = (dreams) => {
+  const used = new Set();
+
+  return dreams.map(dream => {
+    const date = getNightOf(dream) || 'undated';
+    const base = `${date}-${slugify(dream.title)}`;
+    let name = `${base}.md`;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}-${n}.md`;
+    }
+    used.add(name);
+
+    return { name, content: toMarkdown(dream) };
+  });
+};
+
+/**
+ * Zip the Markdown files into a single archive for sharing
+ * Voice memos and sketches go in memos/ and sketches/ folders the Markdown links to
+ *
+ * @param {Array} dreams - Dreams to export
+ * @param {Object} [attachments={}] - Map of attachment path to base64 file contents
+ * @returns {Uint8Array} Zip file bytes
+ */
+export const toMarkdownZip = (dreams, attachments = {}) => {
+  const entries = {};
+  toMarkdownFiles(dreams).forEach(({ name, content }) => {
+    entries[name] = strToU8(content);
+  });
+  Object.entries(attachments).forEach(([path, base64]) => {
+    // Audio is already compressed
+    entries[path] = path.startsWith('memos/') ? [base64ToBytes(base64), { level: 0 }] : base64ToBytes(base64);
+  });
+  return zipSync(entries);
+};
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCSVCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the CSV export
+ * Starts with a byte order mark so spreadsheet apps detect UTF-8
+ *
+ * @param {Array} dreams - Dreams to export
+ * @returns {string} CSV text with a header row
+ */
+export const toCSV = (dreams) => {
+  const rows = dreams.map(dream => CSV_COLUMNS.map(column => {
+    if (column === 'mood') return toCSVCell(formatMoods(getMoodEntries(dream)));
+    if (column === 'analysis') return toCSVCell(formatAnalysis(dream.analysis));
+    if (column === 'wasEdited') return toCSVCell(Boolean(dream.wasEdited));
+    if (column === 'tags') return toCSVCell(getDreamTags(dream).join(', '));
+    if (column === 'nightOf') return toCSVCell(getNightOf(dream));
+    return toCSVCell(dream[column]);
+  }).join(','));
+
+  return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+};
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the printable HTML document used for the PDF export
+ * Sketches whose file is in attachments are embedded as images
+ *
+ * @param {Array} dreams - Dreams to export
+ * @param {Object} [attachments={}] - Map of attachment path to base64 file contents
+ * @returns {string} Complete HTML document
+ */
+export const toHTML = (dreams, attachments = {}) => {
+  const entries = dreams.map(dream => {
+    const night = getNightDate(dream);
+    const date = night ? night.toLocaleDateString() : '';
+    const analysis = formatAnalysis(dream.analysis);
+    const memos = getDreamMemos(dream);
+    const sketches = getDreamSketches(dream)
+      .map(sketch => attachments[getAttachmentPath('sketches', sketch)])
+      .filter(base64 => typeof base64 === 'string');
+
+    return `
+      <article>
+        <h2>${escapeHTML(dream.title || 'Untitled Dream')}</h2>
+        <p class="meta">${escapeHTML(date)} &middot; ${escapeHTML(getDreamMoods(dream).join(', '))}</p>
+        <p class="text">${escapeHTML(dream.text || '')}</p>
+        ${analysis ? `<h3>Analysis</h3><p class="text">${escapeHTML(analysis)}</p>` : ''}
+        ${memos.length > 0 ? `<p class="meta">Voice memos: ${escapeHTML(memos.map(memo => formatDuration(memo.durationMs)).join(', '))}</p>` : ''}
+        ${sketches.map(base64 => `<img class="sketch" src="data:image/svg+xml;base64,${base64}" />`).join('')}
+      </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #1A1A1A; margin: 40px; }
+      h1 { color: #8B5CF6; }
+      article { page-break-inside: avoid; border-bottom: 1px solid #E5E7EB; padding: 16px 0; }
+      h2 { margin: 0 0 4px; }
+      h3 { color: #6B7280; font-size: 14px; margin: 16px 0 4px; }
+      .meta { color: #6B7280; font-size: 12px; margin: 0 0 12px; }
+      .text { white-space: pre-wrap; line-height: 1.5; }
+      .sketch { display: block; max-width: 100%; max-height: 360px; margin: 12px 0; border-radius: 8px; }
+    </style>
+  </head>
+  <body>
+    <h1>Dream Journal</h1>
+    <p class="meta">${dreams.length} dream${dreams.length === 1 ? '' : 's'} &middot; exported ${escapeHTML(new Date().toLocaleDateString())}</p>
+    ${entries}
+  </body>
+</html>`;
+};
@@ -0,0 +1,96 @@
+/**
+ * Firestore Remote - Cloud Storage Adapter for Dream Sync
+ *
+ * Stores each user's dreams as documents in users/<uid>/dreams/<dreamId>
+ * and their encryption keyring (wrapped keys only) in users/<uid>/meta/keyring.
+ * The sync engine only talks to this adapter through listDreams, putDream,
+ * deleteDream, deleteAll, getKeyring and putKeyring, so it can be swapped for the in-memory stand-in in tests
+ * or pointed at the Firestore emulator (see firebase.js).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { collection, doc, getDoc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+
+/**
+ * Create a sync remote backed by Cloud Firestore
+ *
+ * @param {Object} db - Firestore instance from firebase.js
+ * @returns {Object} Remote with listDreams, putDream, deleteDream, deleteAll, getKeyring and putKeyring
+ */
+export const createFirestoreRemote = (db) => {
+  const dreamsCollection = (uid) => collection(db, 'users', uid, 'dreams');
+
+  return {
+    /**
+     * Load every dream stored for a user
+     *
+     * @param {string} uid - Firebase uid
+     * @returns {Promise<Array>} Remote dream objects
+     */
+    listDreams: async (uid) => {
+      const snapshot = await getDocs(dreamsCollection(uid));
+      return snapshot.docs.map(d => d.data());
+    },
+
+    /**
+     * Create or overwrite a dream document
+     * Firestore rejects undefined values, so the dream is JSON-normalized first
+     *
+     * @param {string} uid - Firebase uid
+     * @param {Object} dream - Dream to store
+     * @returns {Promise<void>}
+     */
+    putDream: async (uid, dream) => {
+      await setDoc(doc(dreamsCollection(uid), String(dream.id)), JSON.parse(JSON.stringify(dream)));
+    },
+
+    /**
+     * Delete a dream document
+     *
+     * @param {string} uid - Firebase uid
+     * @param {number|string} id - Dream id
+     * @returns {Promise<void>}
+     */
+    deleteDream: async (uid, id) => {
+      await deleteDoc(doc(dreamsCollection(uid), String(id)));
+    },
+
+    /**
+     * Load the user's encryption keyring
+     *
+     * @param {string} uid - Firebase uid
+     * @returns {Promise<Object|null>} Keyring, or null if none was uploaded
+     */
+    getKeyring: async (uid) => {
+      const snapshot = await getDoc(doc(db, 'users', uid, 'meta', 'keyring'));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+
+    /**
+     * Store the user's encryption keyring
+     *
+     * @param {string} uid - Firebase uid
+     * @param {Object} keyring - Keyring with wrapped keys
+     * @returns {Promise<void>}
+     */
+    putKeyring: async (uid, keyring) => {
+      await setDoc(doc(db, 'users', uid, 'meta', 'keyring'), keyring);
+    },
+
+    /**
+     * Delete every dream document and the keyring stored for a user
+     * Firestore doesn't remove subcollections with their parent, so each document goes individually
+     *
+     * @param {string} uid - Firebase uid
+     * @returns {Promise<void>}
+     */
+    deleteAll: async (uid) => {
+      const snapshot = await getDocs(dreamsCollection(uid));
+      await Promise.all(snapshot.docs.map(d => deleteDoc(d.ref)));
+      await deleteDoc(doc(db, 'users', uid, 'meta', 'keyring'));
+    },
+  };
+};
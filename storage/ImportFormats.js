@@ -0,0 +1,454 @@
+/**
+ * Import Formats - Parsers for Journal Imports
+ *
+ * Pure functions turning the contents of an imported file into draft
+ * dreams. Reading files and saving the result happens in JournalImport.
+ *
+ * Supported inputs:
+ * - This app's JSON archive (see ExportFormats), or a bare array of dreams,
+ *   including voice memo audio
+ * - CSV from any source, with a column mapping chosen by the user
+ * - Markdown exported by this app (one dream with front-matter)
+ * - Plain-text or Markdown journals where each entry starts with a date heading,
+ *   e.g. "## 2024-03-05 Flying over the city" or "March 5, 2024"
+ *
+ * Drafts are dream-shaped objects without guaranteed ids; duplicates are
+ * detected against the journal before anything is saved.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { ARCHIVE_FORMAT } from './ExportFormats';
+import { CURRENT_SCHEMA_VERSION, migrateDreams } from './SchemaMigrations';
+import { normalizeTags } from './Tags';
+import { normalizeMoods } from './Moods';
+import { toNightKey, getDefaultNight, getNightOf } from './DreamDetails';
+
+// Dream fields a CSV column can be mapped to
+export const CSV_FIELDS = ['title', 'text', 'mood', 'date', 'nightOf', 'analysis', 'tags'];
+
+// Header names recognised when guessing the CSV column mapping
+const CSV_HEADER_HINTS = {
+  title: ['title', 'name', 'subject', 'headline'],
+  text: ['text', 'dream', 'content', 'body', 'description', 'entry', 'notes'],
+  mood: ['mood', 'moods', 'emotion', 'feeling'],
+  date: ['date', 'timestamp', 'created', 'created at', 'day'],
+  nightOf: ['nightof', 'night of', 'night', 'dreamed on', 'dream date'],
+  analysis: ['analysis', 'interpretation', 'meaning'],
+  tags: ['tags', 'tag', 'labels', 'keywords', 'symbols'],
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Date formats recognised in headings and CSV cells, tried in order
+const DATE_PATTERNS = [
+  {
+    // 2024-03-05, 2024/03/05, optionally followed by an ISO time
+    regex: /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?/,
+    toDate: (m) => (m[4] ? new Date(m[0]) : new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]))),
+    hasTime: (m) => Boolean(m[4]),
+  },
+  {
+    // 03/05/2024 (month first)
+    regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/,
+    toDate: (m) => new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2])),
+  },
+  {
+    // March 5, 2024 / Mar 5 2024 / Tuesday, March 5th, 2024
+    regex: /\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/,
+    toDate: (m) => monthDate(m[1], m[2], m[3]),
+  },
+  {
+    // 5 March 2024 / 5th Mar 2024
+    regex: /\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/,
+    toDate: (m) => monthDate(m[2], m[1], m[3]),
+  },
+];
+
+/**
+ * Build a date from a month name, day and year
+ *
+ * @returns {Date|null} Local date, or null if the month name isn't recognised
+ */
+const monthDate = (monthName, day, year) => {
+  const name = monthName.toLowerCase();
+  const month = MONTHS.findIndex(m => m.startsWith(name));
+  return month === -1 ? null : new Date(Number(year), month, Number(day));
+};
+
+/**
+ * Find a date inside a piece of text
+ * A bare date is taken to be the night itself; a full timestamp is when the
+ * dream was written down, so it gets the same night a dream recorded then would
+ *
+ * @param {string} text - Text that may contain a date
+ * @returns {Object|null} { date: ISO string, night: night key, match: matched text }, or null
+ */
+export const findDate = (text) => {
+  for (const pattern of DATE_PATTERNS) {
+    const match = String(text).match(pattern.regex);
+    if (!match) continue;
+    const date = pattern.toDate(match);
+    if (date && !isNaN(date.getTime())) {
+      const night = pattern.hasTime?.(match) ? getDefaultNight(date) : toNightKey(date);
+      return { date: date.toISOString(), night, match: match[0] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Derive a title from the start of the dream text
+ *
+ * @param {string} text - Dream text
+ * @returns {string} First few words, or 'Imported Dream'
+ */
+const titleFromText = (text) => {
+  const words = String(text).trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return 'Imported Dream';
+  return words.slice(0, 6).join(' ') + (words.length > 6 ? '...' : '');
+};
+
+/**
+ * Fill in the fields every dream needs
+ * Moods are left out when the source had none, so they can be generated later.
+ * Moods may be given as `moods` entries or a comma separated `mood` string;
+ * tags as an array or a comma/semicolon separated string. Without a valid
+ * nightOf, the night is worked out from the timestamp
+ *
+ * @param {Object} draft - Partially filled dream
+ * @returns {Object} Draft dream ready for duplicate checks and saving
+ */
+export const normalizeDraft = (draft) => {
+  const text = String(draft.text || '').trim();
+  const normalized = {
+    ...draft,
+    title: String(draft.title || '').trim() || titleFromText(text),
+    text,
+    timestamp: draft.timestamp || new Date().toISOString(),
+    wasEdited: Boolean(draft.wasEdited),
+  };
+  delete normalized.mood;
+  const moods = normalizeMoods(Array.isArray(draft.moods) ? draft.moods : draft.mood);
+  if (moods.length > 0) {
+    normalized.moods = moods;
+  } else {
+    delete normalized.moods;
+  }
+  const tags = normalizeTags(typeof draft.tags === 'string' ? draft.tags.split(/[,;]/) : draft.tags);
+  if (tags.length > 0) {
+    normalized.tags = tags;
+  } else {
+    delete normalized.tags;
+  }
+  const nightOf = getNightOf(normalized);
+  if (nightOf) {
+    normalized.nightOf = nightOf;
+  } else {
+    delete normalized.nightOf;
+  }
+  if (!normalized.analysis) delete normalized.analysis;
+  return normalized;
+};
+
+/**
+ * Parse this app's JSON archive
+ * Archives from older app versions are upgraded with the schema migrations
+ *
+ * @param {string} content - File contents
+ * @returns {Array} Draft dreams
+ * @throws {Error} When the file isn't an archive or comes from a newer app version
+ */
+export const parseJSONArchive = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error('This file is not valid JSON');
+  }
+
+  let dreams;
+  let schemaVersion = CURRENT_SCHEMA_VERSION;
+  if (Array.isArray(data)) {
+    dreams = data;
+    schemaVersion = 0;
+  } else if (data?.format === ARCHIVE_FORMAT && Array.isArray(data.dreams)) {
+    dreams = data.dreams;
+    schemaVersion = data.schemaVersion || 0;
+  } else {
+    throw new Error('This file is not a dream journal archive');
+  }
+
+  if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This archive was made by a newer version of the app. Please update to import it.');
+  }
+
+  return migrateDreams(dreams.filter(d => d && typeof d === 'object'), schemaVersion)
+    .map(normalizeDraft)
+    .filter(d => d.text);
+};
+
+/**
+ * Read the voice memo and sketch files carried by this app's JSON archive
+ *
+ * @param {string} content - File contents
+ * @returns {Object} Map of path to base64 file contents, empty when there is none
+ */
+export const parseArchiveAttachments = (content) => {
+  try {
+    const data = JSON.parse(content);
+    const attachments = data?.format === ARCHIVE_FORMAT ? data.attachments : null;
+    return attachments && typeof attachments === 'object' ? attachments : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180)
+ *
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows, including the header row
+ */
+export const parseCSV = (content) => {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+/**
+ * Guess which CSV column holds which dream field from the header row
+ *
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Map of field -> column index, or null when no column fits
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(h => h.trim().toLowerCase().replace(/[_-]+/g, ' '));
+  const mapping = {};
+  const used = new Set();
+
+  CSV_FIELDS.forEach(field => {
+    const index = normalized.findIndex((header, i) => !used.has(i) && CSV_HEADER_HINTS[field].includes(header));
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+};
+
+/**
+ * Turn CSV rows into draft dreams using a column mapping
+ *
+ * @param {Array<Array<string>>} rows - Parsed rows including the header row
+ * @param {Object} mapping - Map of field -> column index or null
+ * @returns {Array} Draft dreams (rows without text are skipped)
+ * @throws {Error} When no column is mapped to the dream text
+ */
+export const csvRowsToDrafts = (rows, mapping) => {
+  if (mapping.text === null || mapping.text === undefined) {
+    throw new Error('Choose the column that holds the dream text');
+  }
+
+  const cellFor = (row, field) => (mapping[field] === null || mapping[field] === undefined ? '' : (row[mapping[field]] || '').trim());
+
+  return rows.slice(1)
+    .map(row => {
+      const found = findDate(cellFor(row, 'date'));
+      const night = findDate(cellFor(row, 'nightOf'));
+      return normalizeDraft({
+        title: cellFor(row, 'title'),
+        text: cellFor(row, 'text'),
+        mood: cellFor(row, 'mood'),
+        analysis: cellFor(row, 'analysis'),
+        tags: cellFor(row, 'tags'),
+        timestamp: found?.date,
+        nightOf: night?.night || found?.night,
+      });
+    })
+    .filter(d => d.text);
+};
+
+/**
+ * Parse a Markdown file exported by this app
+ *
+ * @param {string} content - File contents starting with front-matter
+ * @returns {Array} A single draft dream
+ */
+const parseFrontMatterMarkdown = (content) => {
+  const end = content.indexOf('\n---', 3);
+  const header = content.slice(3, end).trim();
+  let body = content.slice(end + 4).trim();
+
+  const meta = {};
+  header.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    try {
+      meta[key] = JSON.parse(raw);
+    } catch (error) {
+      meta[key] = raw;
+    }
+  });
+
+  // Drop the "# Title" heading and split off the analysis section
+  body = body.replace(/^#\s+.*(\n|$)/, '').trim();
+  let analysis = '';
+  const analysisIndex = body.search(/^## Analysis\s*$/m);
+  if (analysisIndex !== -1) {
+    analysis = body.slice(analysisIndex).replace(/^## Analysis\s*/, '').trim();
+    body = body.slice(0, analysisIndex).trim();
+  }
+
+  const draft = {
+    title: meta.title,
+    text: body,
+    moods: (Array.isArray(meta.moods) ? meta.moods : [meta.moods]).map((mood, index) => ({
+      mood,
+      intensity: Array.isArray(meta.moodIntensities) ? meta.moodIntensities[index] : undefined,
+    })),
+    analysis,
+    tags: meta.tags,
+    timestamp: findDate(meta.date || '')?.date,
+    nightOf: meta.nightOf,
+    wasEdited: meta.edited === true,
+  };
+  if (meta.id !== undefined) draft.id = meta.id;
+  if (meta.lastEdited) draft.lastEdited = meta.lastEdited;
+
+  return [normalizeDraft(draft)].filter(d => d.text);
+};
+
+/**
+ * Parse a plain-text or Markdown journal
+ *
+ * A new entry starts at every heading (or line on its own) that contains a
+ * date. Whatever else is on that line becomes the title; the lines up to the
+ * next dated heading are the dream text. Text before the first date is ignored.
+ *
+ * @param {string} content - File contents
+ * @returns {Array} Draft dreams
+ */
+export const parseTextJournal = (content) => {
+  const text = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (text.startsWith('---\n')) {
+    return parseFrontMatterMarkdown(text);
+  }
+
+  const entries = [];
+  let current = null;
+
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*)$/);
+    const candidate = heading ? heading[1] : line.trim();
+    const found = findDate(candidate);
+    // Plain lines only count as headings when they're little more than a date
+    const isDateHeading = found && (heading || candidate.length <= found.match.length + 40);
+
+    if (isDateHeading) {
+      current = {
+        timestamp: found.date,
+        nightOf: found.night,
+        title: candidate.replace(found.match, '').replace(/^[\s\-–—:|,.]+|[\s\-–—:|,]+$/g, ''),
+        lines: [],
+      };
+      entries.push(current);
+    } else if (current) {
+      if (heading && !current.title && current.lines.every(l => !l.trim())) {
+        current.title = heading[1].trim();
+      } else {
+        current.lines.push(line);
+      }
+    }
+  });
+
+  return entries
+    .map(entry => normalizeDraft({
+      title: entry.title,
+      text: entry.lines.join('\n'),
+      timestamp: entry.timestamp,
+      nightOf: entry.nightOf,
+    }))
+    .filter(d => d.text);
+};
+
+/**
+ * Key identifying the same dream across journals: its night and normalized text
+ *
+ * @param {Object} dream - Dream or draft
+ * @returns {string} Comparison key
+ */
+const duplicateKey = (dream) => {
+  const day = getNightOf(dream) || '';
+  const text = String(dream.text || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 500);
+  return `${day}|${text}`;
+};
+
+/**
+ * Flag drafts that already exist in the journal or appear twice in the import
+ *
+ * @param {Array} drafts - Draft dreams
+ * @param {Array} existing - Dreams already in the journal
+ * @returns {Array} Drafts with duplicateOf set to 'journal', 'import' or null
+ */
+export const markDuplicates = (drafts, existing) => {
+  const journalKeys = new Set(existing.map(duplicateKey));
+  const journalIds = new Map(existing.map(d => [String(d.id), d]));
+  const seen = new Set();
+
+  return drafts.map(draft => {
+    const key = duplicateKey(draft);
+    const sameId = draft.id !== undefined && journalIds.get(String(draft.id));
+    let duplicateOf = null;
+
+    if (journalKeys.has(key) || (sameId && sameId.text === draft.text)) {
+      duplicateOf = 'journal';
+    } else if (seen.has(key)) {
+      duplicateOf = 'import';
+    }
+    seen.add(key);
+
+    return { ...draft, duplicateOf };
+  });
+};
@@ -0,0 +1,148 @@
+/**
+ * Journal Export - Write Exports and Hand Them to the Share Sheet
+ *
+ * Builds an export file in one of the supported formats (see ExportFormats),
+ * writes it to the cache directory with expo-file-system and opens the
+ * system share sheet so the user can save or send it.
+ *
+ * JSON and Markdown exports carry the voice memo audio and sketches saved on
+ * this device, so they work as complete backups.
+ *
+ * Exports contain readable dream text even when encryption is on - that's
+ * what the user asked for. Previous exports are removed from the cache
+ * before each new one so plaintext copies don't pile up on the device.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as Print from 'expo-print';
+import { toJSONArchive, toMarkdownZip, toCSV, toHTML } from './ExportFormats';
+import { bytesToBase64 } from './Base64';
+import { readAttachmentFiles } from './Attachments';
+
+// Cache folder holding the most recent export
+const EXPORT_DIRECTORY = `${FileSystem.cacheDirectory}exports/`;
+
+/**
+ * Supported export formats, in the order they're offered
+ * label/description are shown on the export screen
+ */
+export const EXPORT_FORMATS = [
+  {
+    id: 'json',
+    label: 'JSON Archive',
+    description: 'Complete backup that can be imported again',
+    extension: 'json',
+    mimeType: 'application/json',
+    uti: 'public.json',
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown',
+    description: 'One file per dream with front-matter, zipped',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    uti: 'public.zip-archive',
+  },
+  {
+    id: 'csv',
+    label: 'CSV',
+    description: 'Spreadsheet with one row per dream',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    uti: 'public.comma-separated-values-text',
+  },
+  {
+    id: 'pdf',
+    label: 'PDF',
+    description: 'Formatted document for reading or printing',
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    uti: 'com.adobe.pdf',
+  },
+];
+
+/**
+ * Remove earlier exports from the cache
+ *
+ * @returns {Promise<void>}
+ */
+const clearExports = async () => {
+  await FileSystem.deleteAsync(EXPORT_DIRECTORY, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(EXPORT_DIRECTORY, { intermediates: true });
+};
+
+/**
+ * Write the export file for a format
+ *
+ * @param {Object} format - Entry from EXPORT_FORMATS
+ * @param {Array} dreams - Dreams to export
+ * @param {Object|null} filter - Home filter the export was limited to
+ * @returns {Promise<string>} File URI of the export
+ */
+const writeExportFile = async (format, dreams, filter) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const uri = `${EXPORT_DIRECTORY}dream-journal-${date}.${format.extension}`;
+
+  switch (format.id) {
+    case 'json':
+      await FileSystem.writeAsStringAsync(uri, toJSONArchive(dreams, filter, await readAttachmentFiles(dreams)));
+      break;
+    case 'markdown':
+      await FileSystem.writeAsStringAsync(uri, bytesToBase64(toMarkdownZip(dreams, await readAttachmentFiles(dreams))), {
+        encoding: FileSystem.EncodingType.Base64,
+      });
+      break;
+    case 'csv':
+      await FileSystem.writeAsStringAsync(uri, toCSV(dreams));
+      break;
+    case 'pdf': {
+      // expo-print renders to its own temporary file - move it next to the others
+      const { uri: printedUri } = await Print.printToFileAsync({ html: toHTML(dreams, await readAttachmentFiles(dreams, ['sketches'])) });
+      await FileSystem.moveAsync({ from: printedUri, to: uri });
+      break;
+    }
+    default:
+      throw new Error(`Unknown export format: ${format.id}`);
+  }
+
+  return uri;
+};
+
+/**
+ * Export dreams and open the share sheet
+ *
+ * @param {Object} options
+ * @param {string} options.format - Format id from EXPORT_FORMATS
+ * @param {Array} options.dreams - Dreams to export
+ * @param {Object|null} [options.filter=null] - Home filter the export was limited to
+ * @returns {Promise<string>} File URI of the export
+ * @throws {Error} When there is nothing to export or sharing isn't available
+ */
+export const exportDreams = async ({ format: formatId, dreams, filter = null }) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+  if (dreams.length === 0) {
+    throw new Error('There are no dreams to export');
+  }
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await clearExports();
+  const uri = await writeExportFile(format, dreams, filter);
+
+  await Sharing.shareAsync(uri, {
+    mimeType: format.mimeType,
+    UTI: format.uti,
+    dialogTitle: 'Export Dream Journal',
+  });
+
+  return uri;
+};
@@ -0,0 +1,111 @@
+/**
+ * Journal Import - Read Import Files and Save Imported Dreams
+ *
+ * Lets the user pick a file with expo-document-picker, parses it with the
+ * matching parser from ImportFormats and, once the user has reviewed the
+ * preview, adds the chosen dreams to the journal in a single write.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { replaceDreams } from './DreamRepository';
+import { createDreamId, isDreamId } from './DreamIds';
+import { parseJSONArchive, parseArchiveAttachments, parseCSV, parseTextJournal } from './ImportFormats';
+import { hasMoods } from './Moods';
+import { restoreAttachmentFiles } from './Attachments';
+
+// File types offered by the picker; anything else is sniffed from its contents
+const PICKER_TYPES = ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain', 'text/markdown', '*/*'];
+
+/**
+ * Work out which parser a file needs
+ *
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ * @returns {string} 'json', 'csv' or 'text'
+ */
+const detectKind = (name, content) => {
+  const extension = String(name || '').split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (['md', 'markdown', 'txt', 'text'].includes(extension)) return 'text';
+
+  const start = content.replace(/^\uFEFF/, '').trimStart();
+  return start.startsWith('{') || start.startsWith('[') ? 'json' : 'text';
+};
+
+/**
+ * Let the user pick a file and parse it
+ * CSV files come back as rows; the caller maps the columns and turns them into drafts
+ *
+ * @returns {Promise<Object|null>} { kind, name, drafts, attachments } or { kind: 'csv', name, rows },
+ *   or null if the user cancelled. attachments maps voice memo and sketch paths to base64 file contents
+ * @throws {Error} When the file can't be read or holds no dreams
+ */
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: PICKER_TYPES,
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const { uri, name } = result.assets[0];
+  const content = await FileSystem.readAsStringAsync(uri);
+  // The picker's copy is no longer needed once it's read
+  await FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+
+  const kind = detectKind(name, content);
+  if (kind === 'csv') {
+    const rows = parseCSV(content);
+    if (rows.length < 2) {
+      throw new Error('This CSV file has no rows to import');
+    }
+    return { kind, name, rows };
+  }
+
+  const drafts = kind === 'json' ? parseJSONArchive(content) : parseTextJournal(content);
+  if (drafts.length === 0) {
+    throw new Error(kind === 'json'
+      ? 'This archive has no dreams in it'
+      : 'No dated entries were found. Start each dream with a date heading such as "## 2024-03-05".');
+  }
+  return { kind, name, drafts, attachments: kind === 'json' ? parseArchiveAttachments(content) : {} };
+};
+
+/**
+ * Add reviewed drafts to the journal
+ * UUIDs from archives are kept unless they're already taken; everything else gets a new one
+ *
+ * @param {Array} drafts - Draft dreams the user chose to import
+ * @param {Object} [options]
+ * @param {boolean} [options.backfillMoods=false] - Queue dreams without a mood for AI mood tagging
+ * @param {Object} [options.attachments={}] - Voice memo and sketch files from the archive, by path
+ * @returns {Promise<Array>} The dreams that were added
+ */
+export const importDreams = async (drafts, { backfillMoods = false, attachments = {} } = {}) => {
+  let added = [];
+
+  await replaceDreams((dreams) => {
+    const usedIds = new Set(dreams.map(d => String(d.id)));
+
+    added = drafts.map(({ duplicateOf, ...draft }) => {
+      const id = isDreamId(draft.id) && !usedIds.has(draft.id) ? draft.id : createDreamId();
+      usedIds.add(id);
+      // The AI queue picks these up once the import lands
+      const pendingAnalysis = backfillMoods && !hasMoods(draft) ? ['mood'] : undefined;
+      return pendingAnalysis ? { ...draft, id, pendingAnalysis } : { ...draft, id };
+    });
+
+    return [...dreams, ...added];
+  }, 'import');
+
+  await restoreAttachmentFiles(added, attachments);
+
+  return added;
+};
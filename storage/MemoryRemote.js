@@ -0,0 +1,82 @@
+/**
+ * Memory Remote - In-Memory Stand-In for the Sync Backend
+ *
+ * Implements the same interface as FirestoreRemote using a plain Map, so
+ * the sync engine can be exercised in tests without network access.
+ * Can simulate going offline to check that failed syncs leave data intact.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Create an in-memory sync remote
+ *
+ * @returns {Object} Remote with listDreams, putDream, deleteDream, deleteAll, keyring access and offline controls
+ */
+export const createMemoryRemote = () => {
+  // uid -> Map(dreamId -> dream)
+  const users = new Map();
+  // uid -> keyring
+  const keyrings = new Map();
+  let offline = false;
+
+  const getUserDreams = (uid) => {
+    if (!users.has(uid)) {
+      users.set(uid, new Map());
+    }
+    return users.get(uid);
+  };
+
+  const ensureOnline = () => {
+    if (offline) {
+      throw new Error('Remote unavailable (offline)');
+    }
+  };
+
+  // Copies keep callers from mutating stored documents, like a real backend
+  const copy = (dream) => JSON.parse(JSON.stringify(dream));
+
+  return {
+    listDreams: async (uid) => {
+      ensureOnline();
+      return [...getUserDreams(uid).values()].map(copy);
+    },
+
+    putDream: async (uid, dream) => {
+      ensureOnline();
+      getUserDreams(uid).set(String(dream.id), copy(dream));
+    },
+
+    deleteDream: async (uid, id) => {
+      ensureOnline();
+      getUserDreams(uid).delete(String(id));
+    },
+
+    getKeyring: async (uid) => {
+      ensureOnline();
+      return keyrings.has(uid) ? copy(keyrings.get(uid)) : null;
+    },
+
+    putKeyring: async (uid, keyring) => {
+      ensureOnline();
+      keyrings.set(uid, copy(keyring));
+    },
+
+    deleteAll: async (uid) => {
+      ensureOnline();
+      users.delete(uid);
+      keyrings.delete(uid);
+    },
+
+    /**
+     * Toggle simulated network failure
+     *
+     * @param {boolean} value - True to make every call fail
+     */
+    setOffline: (value) => {
+      offline = value;
+    },
+  };
+};
@@ -0,0 +1,192 @@
+/**
+ * Moods - The Feelings Recorded on Each Dream
+ *
+ * A dream stores its moods in `moods` as an array of { mood, intensity }
+ * entries. The first entry is the dream's primary mood; intensity runs from
+ * 1 (barely there) to 5 (overwhelming). Dreams saved before moods had
+ * intensities kept them in a comma-joined `mood` string, which schema
+ * migration 3 converts; the readers here still understand it for data that
+ * hasn't been migrated yet, such as a dream synced from an older device.
+ *
+ * Dreams without any mood are treated as Neutral.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// Moods offered when recording and editing dreams
+export const MOODS = ['Joyful', 'Sad', 'Neutral', 'Strange', 'Scary'];
+
+export const MIN_INTENSITY = 1;
+export const MAX_INTENSITY = 5;
+
+// Intensity given to moods that didn't come with one
+export const DEFAULT_INTENSITY = 3;
+
+/**
+ * Clamp an intensity to the supported range
+ *
+ * @param {*} value - Intensity to check
+ * @returns {number} Whole number between MIN_INTENSITY and MAX_INTENSITY
+ */
+const clampIntensity = (value) => {
+  const intensity = Math.round(Number(value));
+  if (!Number.isFinite(intensity)) return DEFAULT_INTENSITY;
+  return Math.min(MAX_INTENSITY, Math.max(MIN_INTENSITY, intensity));
+};
+
+/**
+ * Clean up a mood name, using the built-in spelling when it's one of MOODS
+ *
+ * @param {string} name - Mood name
+ * @returns {string} Mood name, '' when empty
+ */
+const normalizeMoodName = (name) => {
+  const trimmed = String(name || '').trim();
+  return MOODS.find(mood => mood.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+};
+
+/**
+ * Turn any stored mood value into mood entries
+ *
+ * Accepts the legacy comma-joined string, an array of names or an array of
+ * { mood, intensity } entries. Empty names and repeated moods are dropped;
+ * the first occurrence of a mood wins and keeps its place.
+ *
+ * @param {string|Array} value - Mood value to read
+ * @returns {Array<Object>} Entries as { mood, intensity }, primary first
+ */
+export const normalizeMoods = (value) => {
+  let items = [];
+  if (typeof value === 'string') {
+    items = value.split(',');
+  } else if (Array.isArray(value)) {
+    items = value;
+  }
+
+  const seen = new Set();
+  return items.reduce((entries, item) => {
+    const isEntry = item !== null && typeof item === 'object';
+    const mood = normalizeMoodName(isEntry ? item.mood : item);
+    const key = mood.toLowerCase();
+    if (!mood || seen.has(key)) return entries;
+    seen.add(key);
+    entries.push({ mood, intensity: isEntry ? clampIntensity(item.intensity) : DEFAULT_INTENSITY });
+    return entries;
+  }, []);
+};
+
+/**
+ * Get a dream's mood entries
+ * Also reads the legacy `mood` string of dreams that haven't been migrated
+ *
+ * @param {Object} dream - Dream (or revision) to read
+ * @returns {Array<Object>} Entries as { mood, intensity }, possibly empty
+ */
+export const getMoodEntries = (dream) => {
+  return normalizeMoods(Array.isArray(dream.moods) ? dream.moods : dream.mood);
+};
+
+/**
+ * Check whether a dream has any mood recorded
+ *
+ * @param {Object} dream - Dream to check
+ * @returns {boolean} True if at least one mood is set
+ */
+export const hasMoods = (dream) => getMoodEntries(dream).length > 0;
+
+/**
+ * Get the names of a dream's moods, primary first
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array<string>} Mood names, ['Neutral'] when none are set
+ */
+export const getDreamMoods = (dream) => {
+  const entries = getMoodEntries(dream);
+  return entries.length > 0 ? entries.map(entry => entry.mood) : ['Neutral'];
+};
+
+/**
+ * Get a dream's primary mood
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {string} Primary mood name, 'Neutral' when none is set
+ */
+export const getPrimaryMood = (dream) => getDreamMoods(dream)[0];
+
+/**
+ * Make one of the entries the primary mood by moving it to the front
+ *
+ * @param {Array<Object>} entries - Mood entries
+ * @param {string} mood - Mood to make primary
+ * @returns {Array<Object>} Reordered entries
+ */
+export const setPrimaryMood = (entries, mood) => {
+  const primary = entries.find(entry => entry.mood === mood);
+  return primary ? [primary, ...entries.filter(entry => entry !== primary)] : entries;
+};
+
+/**
+ * Join mood names for display, e.g. 'Scary, Strange'
+ *
+ * @param {Array<Object>} entries - Mood entries
+ * @returns {string} Comma-separated names
+ */
+export const formatMoods = (entries) => entries.map(entry => entry.mood).join(', ');
+
+/**
+ * Check whether two mood lists are the same, including order and intensities
+ *
+ * @param {Array<Object>} a - Mood entries
+ * @param {Array<Object>} b - Mood entries
+ * @returns {boolean} True if they match
+ */
+export const isSameMoods = (a, b) => {
+  return a.length === b.length &&
+    a.every((entry, index) => entry.mood === b[index].mood && entry.intensity === b[index].intensity);
+};
+
+/**
+ * Build the changes that save the mood picker's entries onto a dream
+ * An empty picker leaves moods out, so a dream still waiting for its AI
+ * mood isn't marked as tagged by the user
+ *
+ * @param {Array<Object>} entries - Mood entries from the picker
+ * @returns {Object} { moods } or an empty object
+ */
+export const toMoodChanges = (entries) => (entries.length > 0 ? { moods: entries } : {});
+
+/**
+ * Count how many dreams carry each mood
+ *
+ * @param {Array} dreams - Dreams to count over
+ * @returns {Object} Map of mood name to number of dreams
+ */
+export const getMoodCounts = (dreams) => {
+  const counts = {};
+  dreams.forEach(dream => {
+    getDreamMoods(dream).forEach(mood => {
+      counts[mood] = (counts[mood] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Total each mood's intensity across dreams
+ * A dream without moods counts as Neutral at the default intensity
+ *
+ * @param {Array} dreams - Dreams to total over
+ * @returns {Object} Map of mood name to summed intensity
+ */
+export const getMoodWeights = (dreams) => {
+  const weights = {};
+  dreams.forEach(dream => {
+    const entries = getMoodEntries(dream);
+    (entries.length > 0 ? entries : [{ mood: 'Neutral', intensity: DEFAULT_INTENSITY }]).forEach(({ mood, intensity }) => {
+      weights[mood] = (weights[mood] || 0) + intensity;
+    });
+  });
+  return weights;
+};
@@ -0,0 +1,310 @@
+/**
+ * Revision History - Versions of Each Dream and Word-Level Diffs
+ *
+ * Every saved change to a dream's title, text or moods is kept in the dream's
+ * `revisions` array, oldest first, with the last entry matching the current
+ * dream. Text replaced by an AI rewrite is recorded as its own revision so
+ * the user's original wording can always be brought back.
+ *
+ * Revisions live on the dream itself, so they sync, export and are encrypted
+ * (see DreamCrypto) together with the rest of the dream.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { updateDream } from './DreamRepository';
+import { getMoodEntries, isSameMoods } from './Moods';
+
+// Fields captured in each revision
+export const REVISION_FIELDS = ['title', 'text', 'moods'];
+
+// Revisions kept per dream; the original version is always kept
+export const MAX_REVISIONS = 50;
+
+// Where a revision came from, as shown in the history screen
+export const REVISION_SOURCES = {
+  original: 'Original',
+  edit: 'Edited',
+  rewrite: 'AI Rewrite',
+  restore: 'Restored',
+};
+
+// Largest word grid diffed exactly; bigger changes show as replaced blocks
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Take a revision snapshot of a dream
+ * Moods are always captured as entries, even from a legacy mood string
+ *
+ * @param {Object} dream - Dream or field values to capture
+ * @param {string} source - Key of REVISION_SOURCES
+ * @param {string} savedAt - ISO time the version was saved
+ * @returns {Object} Revision
+ */
+const snapshot = (dream, source, savedAt) => {
+  const revision = { savedAt, source };
+  REVISION_FIELDS.forEach(field => {
+    if (field === 'moods') {
+      const moods = getMoodEntries(dream);
+      if (moods.length > 0) revision.moods = moods;
+    } else if (dream[field] !== undefined) {
+      revision[field] = dream[field];
+    }
+  });
+  return revision;
+};
+
+/**
+ * Check whether a revision holds the same content as a dream
+ *
+ * @param {Object} revision - Revision to compare
+ * @param {Object} dream - Dream to compare
+ * @returns {boolean} True if title, text and moods all match
+ */
+const matchesDream = (revision, dream) => {
+  return revision.title === dream.title &&
+    revision.text === dream.text &&
+    isSameMoods(getMoodEntries(revision), getMoodEntries(dream));
+};
+
+/**
+ * Get a dream's revisions, oldest first
+ * Dreams saved before history existed start with their current content as the original
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array} Revisions, the last one matching the current dream
+ */
+export const getRevisions = (dream) => {
+  const revisions = Array.isArray(dream.revisions) ? dream.revisions : [];
+  if (revisions.length === 0) {
+    return [snapshot(dream, 'original', dream.timestamp)];
+  }
+  // Content changed outside the history (e.g. by sync) - record it as an edit
+  if (!matchesDream(revisions[revisions.length - 1], dream)) {
+    return [...revisions, snapshot(dream, 'edit', dream.lastEdited || new Date().toISOString())];
+  }
+  return revisions;
+};
+
+/**
+ * Keep the newest revisions while always keeping the original
+ *
+ * @param {Array} revisions - Revisions oldest first
+ * @returns {Array} At most MAX_REVISIONS revisions
+ */
+const trimRevisions = (revisions) => {
+  if (revisions.length <= MAX_REVISIONS) return revisions;
+  return [revisions[0], ...revisions.slice(revisions.length - MAX_REVISIONS + 1)];
+};
+
+/**
+ * Build the revision list for a dream after a change
+ * Pure function used by the save helpers below and by new dreams
+ *
+ * @param {Object} dream - Dream before the change (may be a brand-new dream)
+ * @param {Object} changes - New title/text/moods values
+ * @param {Object} [options]
+ * @param {string} [options.source='edit'] - Key of REVISION_SOURCES for the new version
+ * @param {string} [options.rewrittenFrom] - The user's text just before an AI rewrite
+ * @param {string} [options.savedAt] - Time of the change, defaults to now
+ * @returns {Array} Updated revisions
+ */
+export const addRevision = (dream, changes, { source = 'edit', rewrittenFrom, savedAt = new Date().toISOString() } = {}) => {
+  const next = { ...dream, ...changes };
+  let revisions = getRevisions(dream);
+
+  if (rewrittenFrom !== undefined && rewrittenFrom !== null) {
+    const beforeRewrite = { ...next, text: rewrittenFrom };
+    if (!matchesDream(revisions[revisions.length - 1], beforeRewrite)) {
+      revisions = [...revisions, snapshot(beforeRewrite, 'edit', savedAt)];
+    }
+  }
+
+  if (!matchesDream(revisions[revisions.length - 1], next)) {
+    revisions = [...revisions, snapshot(next, source, savedAt)];
+  }
+
+  return trimRevisions(revisions);
+};
+
+/**
+ * Save edits to a dream and record them in its history
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @param {Object} changes - Fields to save (title/text/moods plus anything else)
+ * @param {Object} [options] - Same options as addRevision
+ * @returns {Promise<Object|null>} The updated dream, or null if it doesn't exist
+ */
+export const saveDreamEdit = (id, changes, options = {}) => {
+  return updateDream(id, current => ({
+    ...changes,
+    revisions: addRevision(current, changes, options),
+  }));
+};
+
+/**
+ * Bring back an earlier revision as the current version
+ * The restore itself becomes a new revision, so it can be undone the same way
+ *
+ * @param {number|string} id - Unique identifier of the dream
+ * @param {number} index - Position of the revision in getRevisions(dream)
+ * @returns {Promise<Object|null>} The updated dream, or null if it doesn't exist
+ * @throws {Error} When the revision doesn't exist
+ */
+export const restoreRevision = (id, index) => {
+  return updateDream(id, current => {
+    const revision = getRevisions(current)[index];
+    if (!revision) {
+      throw new Error('This revision no longer exists');
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      title: revision.title,
+      text: revision.text,
+      moods: getMoodEntries(revision),
+    };
+
+    return {
+      ...changes,
+      lastEdited: now,
+      wasEdited: true,
+      revisions: addRevision(current, changes, { source: 'restore', savedAt: now }),
+    };
+  });
+};
+
+/**
+ * Split text into words and the whitespace between them
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens that join back into the original text
+ */
+const tokenize = (text) => String(text || '').split(/(\s+)/).filter(token => token !== '');
+
+/**
+ * Append a token to a diff, merging it with the previous part of the same type
+ *
+ * @param {Array} parts - Diff parts built so far
+ * @param {string} type - 'equal', 'added' or 'removed'
+ * @param {string} text - Token text
+ */
+const pushPart = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+/**
+ * Group changes so each run of edits reads as "old words" then "new words"
+ * A single space kept between two changes would otherwise split them up
+ *
+ * @param {Array} parts - Raw diff parts
+ * @returns {Array} Cleaned-up diff parts
+ */
+const groupChanges = (parts) => {
+  const grouped = [];
+  let removed = '';
+  let added = '';
+
+  const flush = () => {
+    if (removed) grouped.push({ type: 'removed', text: removed });
+    if (added) grouped.push({ type: 'added', text: added });
+    removed = '';
+    added = '';
+  };
+
+  parts.forEach((part, index) => {
+    const between = index > 0 && index < parts.length - 1 &&
+      parts[index - 1].type !== 'equal' && parts[index + 1].type !== 'equal';
+
+    if (part.type === 'equal' && between && !/\S/.test(part.text)) {
+      removed += part.text;
+      added += part.text;
+    } else if (part.type === 'equal') {
+      flush();
+      grouped.push(part);
+    } else if (part.type === 'removed') {
+      removed += part.text;
+    } else {
+      added += part.text;
+    }
+  });
+  flush();
+
+  return grouped;
+};
+
+/**
+ * Compute a word-level diff between two texts
+ *
+ * Uses the longest common subsequence of words. Common leading and trailing
+ * words are skipped first, which keeps typical edits small; a change too large
+ * to compare word by word is shown as the old block removed and the new one added.
+ *
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<Object>} Parts as { type: 'equal' | 'added' | 'removed', text }
+ */
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const parts = [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(token => pushPart(parts, 'equal', token));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length;
+  const cols = midB.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    midA.forEach(token => pushPart(parts, 'removed', token));
+    midB.forEach(token => pushPart(parts, 'added', token));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..], stored row by row
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i * (cols + 1) + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1]) {
+        pushPart(parts, 'removed', midA[i]);
+        i++;
+      } else {
+        pushPart(parts, 'added', midB[j]);
+        j++;
+      }
+    }
+    midA.slice(i).forEach(token => pushPart(parts, 'removed', token));
+    midB.slice(j).forEach(token => pushPart(parts, 'added', token));
+  }
+
+  a.slice(endA).forEach(token => pushPart(parts, 'equal', token));
+  return groupChanges(parts);
+};
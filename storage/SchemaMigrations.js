@@ -0,0 +1,222 @@
+/**
+ * Schema Migrations - Versioned Upgrades for Stored Dreams
+ *
+ * Every journal in AsyncStorage carries a schema version stamp. At startup
+ * (while the splash screen is showing) each journal is upgraded by running
+ * the ordered migration steps it hasn't seen yet.
+ *
+ * Key Features:
+ * - Ordered, numbered migration steps
+ * - Upgrades the legacy shared journal and every per-user journal
+ * - All-or-nothing: steps run on a copy and storage is restored from a
+ *   backup if anything fails, so a journal is never left half-migrated
+ *
+ * Adding a migration: append a step with the next version number. Steps
+ * receive the whole dream array and must return a new array.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isDreamId, legacyIdToUuid } from './DreamIds';
+import { normalizeMoods } from './Moods';
+import { getNightOf } from './DreamDetails';
+
+/**
+ * Ordered list of migration steps
+ * Each step upgrades a journal from version - 1 to version
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Backfill missing fields on legacy dreams',
+    migrate: (dreams) => dreams.map(dream => ({
+      ...dream,
+      title: typeof dream.title === 'string' ? dream.title : '',
+      text: typeof dream.text === 'string' ? dream.text : '',
+      // Legacy ids are Date.now() values, so they double as the creation time
+      timestamp: dream.timestamp || new Date(typeof dream.id === 'number' ? dream.id : 0).toISOString(),
+      wasEdited: Boolean(dream.wasEdited),
+    })),
+  },
+  {
+    version: 2,
+    description: 'Replace Date.now() ids with UUIDs',
+    migrate: (dreams) => {
+      const used = new Set();
+      return dreams.map(dream => {
+        if (isDreamId(dream.id) && !used.has(dream.id)) {
+          used.add(dream.id);
+          return dream;
+        }
+        // Dreams that shared an id (e.g. two saves in the same millisecond) each get their own
+        let id = legacyIdToUuid(dream.id);
+        for (let n = 2; used.has(id); n++) {
+          id = legacyIdToUuid(`${dream.id}:${n}`);
+        }
+        used.add(id);
+        return { ...dream, id };
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Replace the comma-joined mood string with mood entries',
+    migrate: (dreams) => dreams.map(dream => {
+      const { mood, ...rest } = dream;
+      const moods = normalizeMoods(Array.isArray(dream.moods) ? dream.moods : mood);
+      return moods.length > 0 ? { ...rest, moods } : rest;
+    }),
+  },
+  {
+    version: 4,
+    description: 'Record the night each dream happened, separate from when it was recorded',
+    migrate: (dreams) => dreams.map(dream => {
+      const nightOf = getNightOf(dream);
+      return nightOf ? { ...dream, nightOf } : dream;
+    }),
+  },
+];
+
+/**
+ * Schema version written by this build of the app
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Build the key holding the schema version for a journal key
+ *
+ * @param {string} journalKey - AsyncStorage key of the dream array
+ * @returns {string} Key of its schema version stamp
+ */
+export const getSchemaVersionKey = (journalKey) => `${journalKey}:schemaVersion`;
+
+/**
+ * Build the key holding the pre-migration backup for a journal key
+ *
+ * @param {string} journalKey - AsyncStorage key of the dream array
+ * @returns {string} Key of its backup copy
+ */
+const getBackupKey = (journalKey) => `${journalKey}:migrationBackup`;
+
+/**
+ * Check whether an AsyncStorage key holds a dream journal
+ * Matches the legacy shared key and every per-user journal key
+ *
+ * @param {string} key - AsyncStorage key
+ * @returns {boolean} True if the key holds a dream array
+ */
+const isJournalKey = (key) => key === 'dreams' || /^user:[^:]+:dreams$/.test(key);
+
+/**
+ * Apply every pending migration step to a dream array
+ * Pure function - the input array is never modified
+ *
+ * @param {Array} dreams - Dreams stored at fromVersion
+ * @param {number} fromVersion - Schema version the dreams are stored at
+ * @param {Array} [steps=MIGRATIONS] - Migration steps to consider
+ * @returns {Array} Dreams upgraded to the latest step's version
+ * @throws {Error} If a step fails or returns something other than an array
+ */
+export const migrateDreams = (dreams, fromVersion, steps = MIGRATIONS) => {
+  return steps
+    .filter(step => step.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((current, step) => {
+      const next = step.migrate(current);
+      if (!Array.isArray(next)) {
+        throw new Error(`Migration ${step.version} did not return a dream array`);
+      }
+      return next;
+    }, JSON.parse(JSON.stringify(dreams)));
+};
+
+/**
+ * Upgrade a single stored journal to the latest schema version
+ *
+ * The original data is backed up first. If a step throws or the write
+ * fails, the backup is restored and the error is re-thrown.
+ *
+ * @param {string} journalKey - AsyncStorage key of the dream array
+ * @param {Array} [steps=MIGRATIONS] - Migration steps to run
+ * @returns {Promise<boolean>} True if the journal was upgraded, false if it was already current
+ */
+export const migrateJournal = async (journalKey, steps = MIGRATIONS) => {
+  const versionKey = getSchemaVersionKey(journalKey);
+  const backupKey = getBackupKey(journalKey);
+  const targetVersion = Math.max(0, ...steps.map(step => step.version));
+
+  // A leftover backup means a previous run was interrupted - start from it
+  const leftoverBackup = await AsyncStorage.getItem(backupKey);
+  if (leftoverBackup !== null) {
+    const { dreams, version } = JSON.parse(leftoverBackup);
+    await AsyncStorage.multiSet([
+      [journalKey, JSON.stringify(dreams)],
+      [versionKey, JSON.stringify(version)],
+    ]);
+  }
+
+  const storedVersion = JSON.parse(await AsyncStorage.getItem(versionKey)) || 0;
+  if (storedVersion >= targetVersion) {
+    await AsyncStorage.removeItem(backupKey);
+    return false;
+  }
+
+  const raw = await AsyncStorage.getItem(journalKey);
+  if (raw === null) {
+    // Nothing stored yet - new dreams are written in the current shape
+    await AsyncStorage.setItem(versionKey, JSON.stringify(targetVersion));
+    return false;
+  }
+  const dreams = JSON.parse(raw) || [];
+
+  await AsyncStorage.setItem(backupKey, JSON.stringify({ dreams, version: storedVersion }));
+
+  try {
+    const migrated = migrateDreams(dreams, storedVersion, steps);
+    await AsyncStorage.multiSet([
+      [journalKey, JSON.stringify(migrated)],
+      [versionKey, JSON.stringify(targetVersion)],
+    ]);
+  } catch (error) {
+    console.error(`Migration of ${journalKey} failed, rolling back:`, error);
+    await AsyncStorage.multiSet([
+      [journalKey, raw],
+      [versionKey, JSON.stringify(storedVersion)],
+    ]);
+    await AsyncStorage.removeItem(backupKey);
+    throw error;
+  }
+
+  await AsyncStorage.removeItem(backupKey);
+  console.log(`Migrated ${journalKey} from schema ${storedVersion} to ${targetVersion}`);
+  return true;
+};
+
+/**
+ * Upgrade every journal on the device
+ *
+ * Journals are migrated independently: a failure in one is logged and
+ * leaves that journal at its old version without blocking the others.
+ *
+ * @param {Array} [steps=MIGRATIONS] - Migration steps to run
+ * @returns {Promise<Object>} Summary with migrated and failed journal keys
+ */
+export const runMigrations = async (steps = MIGRATIONS) => {
+  const keys = await AsyncStorage.getAllKeys();
+  const summary = { migrated: [], failed: [] };
+
+  for (const key of keys.filter(isJournalKey)) {
+    try {
+      if (await migrateJournal(key, steps)) {
+        summary.migrated.push(key);
+      }
+    } catch (error) {
+      summary.failed.push(key);
+    }
+  }
+
+  return summary;
+};
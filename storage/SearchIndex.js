@@ -0,0 +1,422 @@
+/**
+ * Search Index - Ranked Full-Text Search Over Dreams
+ *
+ * An inverted index from stemmed words to the dreams containing them. The
+ * repository keeps one index in step with the journal (see DreamRepository),
+ * updating only the dreams that changed, so searching stays fast with
+ * thousands of entries.
+ *
+ * Matching:
+ * - Words are lower-cased and stemmed, so "flying", "flies" and "fly" match
+ * - The last word of the query also matches as a prefix (search as you type)
+ * - Words of four or more letters tolerate typos (one edit, two for long words)
+ * - Every query word must match; results are ranked with BM25, and title
+ *   matches count double
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+// Words are runs of letters (including accented Latin) and digits, with an optional apostrophe part
+const WORD_PATTERN = /[a-z0-9\u00C0-\u024F]+(?:'[a-z]+)?/gi;
+
+// Relative weight of a word in the title versus the text
+const TITLE_WEIGHT = 2;
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// How much prefix and typo-tolerant matches count compared to exact ones
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHTS = [1, 0.5, 0.3];
+
+/**
+ * Reduce an English word to its stem with a few suffix rules
+ * Deliberately light: it only has to map related forms to the same key
+ *
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+export const stem = (word) => {
+  let result = word.replace(/'s$/, '').replace(/'/g, '');
+  if (result.length <= 3) return result;
+
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+    result = result.slice(0, -1);
+  }
+
+  if (result.endsWith('ing') && result.length > 5) {
+    result = result.slice(0, -3);
+  } else if (result.endsWith('ed') && !result.endsWith('eed') && result.length > 4) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ly') && result.length > 4) {
+    result = result.slice(0, -2);
+  }
+
+  // running -> runn -> run, stopped -> stopp -> stop
+  if (/([^aeiouslz])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  // chase, chased and chasing all become "chas"
+  if (result.endsWith('e') && result.length > 3) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+};
+
+/**
+ * Split text into words with their positions
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Tokens as { term, start, end } where term is the stem
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  WORD_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = WORD_PATTERN.exec(source)) !== null) {
+    tokens.push({
+      term: stem(match[0].toLowerCase()),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+};
+
+/**
+ * Split text into lower-case words without stemming them
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words in order
+ */
+export const splitWords = (text) => String(text || '').toLowerCase().match(WORD_PATTERN) || [];
+
+/**
+ * Edit distance between two words, giving up once it exceeds a limit
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it's larger than max
+ */
+const boundedDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Number of typos tolerated for a word
+ *
+ * @param {string} term - Stemmed query word
+ * @returns {number} Allowed edit distance
+ */
+const allowedTypos = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Find the highlight ranges for matched words in a piece of text
+ *
+ * @param {string} text - Title or dream text
+ * @param {Set<string>} terms - Matched index terms (from search)
+ * @returns {Array<Array<number>>} [start, end] character ranges
+ */
+export const findHighlights = (text, terms) => {
+  if (!terms || terms.size === 0) return [];
+  return tokenize(text)
+    .filter(token => terms.has(token.term))
+    .map(token => [token.start, token.end]);
+};
+
+/**
+ * Cut an excerpt around the first highlighted word
+ *
+ * @param {string} text - Full text
+ * @param {Array<Array<number>>} ranges - Highlight ranges in the full text
+ * @param {number} [length=120] - Rough excerpt length in characters
+ * @returns {Object} { text, ranges } with ranges shifted into the excerpt
+ */
+export const buildSnippet = (text, ranges, length = 120) => {
+  const source = String(text || '');
+  if (source.length <= length) {
+    return { text: source, ranges };
+  }
+
+  let start = 0;
+  if (ranges.length > 0) {
+    start = Math.max(0, ranges[0][0] - Math.floor(length / 3));
+    // Start on a word boundary
+    const space = source.lastIndexOf(' ', start);
+    start = start === 0 || space === -1 ? start : space + 1;
+  }
+  const end = Math.min(source.length, start + length);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < source.length ? '...' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + source.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset]),
+  };
+};
+
+/**
+ * Create an empty search index
+ *
+ * @returns {Object} Index with sync, search, matchWord, matchPhrase, rankResults, size and clear
+ */
+export const createSearchIndex = () => {
+  // Dream id -> { dream, order, length, terms: Map<term, weighted frequency> }
+  const docs = new Map();
+  // Term -> Set of dream ids containing it
+  const postings = new Map();
+  let totalLength = 0;
+  let lastSynced = null;
+
+  const removeDoc = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.terms.forEach((_, term) => {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+  };
+
+  const addDoc = (id, dream, order) => {
+    const terms = new Map();
+    const titleTokens = tokenize(dream.title);
+    const textTokens = tokenize(dream.text);
+    titleTokens.forEach(({ term }) => terms.set(term, (terms.get(term) || 0) + TITLE_WEIGHT));
+    textTokens.forEach(({ term }) => terms.set(term, (terms.get(term) || 0) + 1));
+
+    terms.forEach((_, term) => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(id);
+    });
+
+    const length = titleTokens.length * TITLE_WEIGHT + textTokens.length;
+    totalLength += length;
+    docs.set(id, { dream, order, length, terms });
+  };
+
+  /**
+   * Bring the index in line with a dream list
+   * Only dreams that were added, removed or whose title/text changed are re-indexed
+   *
+   * @param {Array} dreams - Dreams that should be searchable
+   */
+  const sync = (dreams) => {
+    if (dreams === lastSynced) return;
+    lastSynced = dreams;
+
+    const seen = new Set();
+    dreams.forEach((dream, order) => {
+      const id = String(dream.id);
+      seen.add(id);
+      const doc = docs.get(id);
+      if (doc && (doc.dream === dream || (doc.dream.title === dream.title && doc.dream.text === dream.text))) {
+        doc.dream = dream;
+        doc.order = order;
+        return;
+      }
+      removeDoc(id);
+      addDoc(id, dream, order);
+    });
+
+    [...docs.keys()].forEach(id => {
+      if (!seen.has(id)) removeDoc(id);
+    });
+  };
+
+  /**
+   * Find the index terms a query word matches, with how much each match counts
+   *
+   * @param {string} word - Lower-case query word
+   * @param {boolean} prefix - Whether the word may also match as a prefix
+   * @returns {Map<string, number>} Term -> match weight
+   */
+  const expandWord = (word, prefix) => {
+    const term = stem(word);
+    const expansions = new Map();
+    const typos = allowedTypos(term);
+
+    postings.forEach((_, candidate) => {
+      let weight = 0;
+      if (candidate === term) {
+        weight = 1;
+      } else if (prefix && word.length >= 2 && (candidate.startsWith(word) || candidate.startsWith(term))) {
+        weight = PREFIX_WEIGHT;
+      } else if (typos > 0) {
+        const distance = boundedDistance(term, candidate, typos);
+        if (distance <= typos) weight = FUZZY_WEIGHTS[distance];
+      }
+      if (weight > 0) expansions.set(candidate, weight);
+    });
+
+    return expansions;
+  };
+
+  /**
+   * BM25 score of one term in one dream
+   *
+   * @param {string} term - Index term
+   * @param {string} id - Dream id
+   * @returns {number} Score
+   */
+  const scoreTerm = (term, id) => {
+    const ids = postings.get(term);
+    const doc = docs.get(id);
+    const averageLength = totalLength / docs.size || 1;
+    const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+    const frequency = doc.terms.get(term);
+    return idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+  };
+
+  /**
+   * Score every dream matching a single query word
+   *
+   * @param {string} word - Query word
+   * @param {Object} [options]
+   * @param {boolean} [options.prefix=false] - Also match words starting with it (search as you type)
+   * @returns {Object} { scores: Map of dream id -> score, terms: Set of matched index terms }
+   */
+  const matchWord = (word, { prefix = false } = {}) => {
+    const scores = new Map();
+    const terms = new Set();
+
+    expandWord(String(word).toLowerCase(), prefix).forEach((weight, term) => {
+      terms.add(term);
+      postings.get(term).forEach(id => {
+        // A word counts once per dream, through its best-matching term
+        scores.set(id, Math.max(scores.get(id) || 0, weight * scoreTerm(term, id)));
+      });
+    });
+
+    return { scores, terms };
+  };
+
+  /**
+   * Score every dream containing an exact phrase in its title or text
+   *
+   * @param {string} phrase - Words that must appear next to each other, in order
+   * @returns {Object} { scores: Map of dream id -> score, terms: Set of the phrase's index terms }
+   */
+  const matchPhrase = (phrase) => {
+    const phraseTerms = tokenize(phrase).map(token => token.term);
+    const scores = new Map();
+    const terms = new Set(phraseTerms);
+    if (phraseTerms.length === 0 || phraseTerms.some(term => !postings.has(term))) {
+      return { scores, terms };
+    }
+
+    const containsPhrase = (text) => {
+      const tokens = tokenize(text).map(token => token.term);
+      for (let i = 0; i + phraseTerms.length <= tokens.length; i++) {
+        if (phraseTerms.every((term, offset) => tokens[i + offset] === term)) return true;
+      }
+      return false;
+    };
+
+    // Only dreams holding every word of the phrase can contain it
+    const [first, ...rest] = phraseTerms;
+    postings.get(first).forEach(id => {
+      if (!rest.every(term => postings.get(term).has(id))) return;
+      const { dream } = docs.get(id);
+      if (containsPhrase(dream.title) || containsPhrase(dream.text)) {
+        scores.set(id, [...terms].reduce((sum, term) => sum + scoreTerm(term, id), 0));
+      }
+    });
+
+    return { scores, terms };
+  };
+
+  /**
+   * Order scored dreams best first, ties in the order they were synced
+   *
+   * @param {Map<string, number>} scores - Dream id -> score
+   * @returns {Array<Object>} Results as { id, score }
+   */
+  const rankResults = (scores) => {
+    return [...scores.entries()]
+      .filter(([id]) => docs.has(id))
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || docs.get(a.id).order - docs.get(b.id).order);
+  };
+
+  /**
+   * Search the index
+   *
+   * @param {string} query - Free text typed by the user
+   * @returns {Object} { results: [{ id, score }] best first, terms: Set of matched index terms }
+   */
+  const search = (query) => {
+    const words = splitWords(query);
+    const terms = new Set();
+    if (words.length === 0 || docs.size === 0) {
+      return { results: [], terms };
+    }
+
+    let scores = null;
+    words.forEach((word, index) => {
+      const match = matchWord(word, { prefix: index === words.length - 1 });
+      match.terms.forEach(term => terms.add(term));
+
+      if (scores === null) {
+        scores = match.scores;
+      } else {
+        // Every word has to match
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (match.scores.has(id)) combined.set(id, score + match.scores.get(id));
+        });
+        scores = combined;
+      }
+    });
+
+    return { results: rankResults(scores), terms };
+  };
+
+  return {
+    sync,
+    search,
+    matchWord,
+    matchPhrase,
+    rankResults,
+    size: () => docs.size,
+    clear: () => {
+      docs.clear();
+      postings.clear();
+      totalLength = 0;
+      lastSynced = null;
+    },
+  };
+};
@@ -0,0 +1,521 @@
+/**
+ * Search Query - Query Language for the Home Search Bar
+ *
+ * Turns what the user types into a query tree and runs it against the
+ * full-text index (see SearchIndex). Plain words behave exactly like the
+ * simple search: every word must match and results are ranked.
+ *
+ * Syntax:
+ * - dark forest         both words (stemmed, prefix and typo-tolerant)
+ * - "dark forest"       the exact phrase
+ * - -flying             leave out dreams matching the word (works on anything below)
+ * - cat OR dog          either side; binds looser than the implicit AND
+ * - ( ... )             grouping
+ * - mood:scary          dreams tagged with the mood
+ * - tag:mom             dreams carrying the tag (quote tags with spaces: tag:"old house")
+ * - title:castle        words or a "quoted phrase" in the title (text: for the dream text)
+ * - after:2025-01-01    dreamed on or after the night; before: and on: work the same way,
+ *                       and 2025 or 2025-03 select a whole year or month
+ * - edited:true         dreams edited after they were saved (or false)
+ * - symbol:water        dreams whose analysis names the symbol; theme:, emotion:, character:
+ *                       and setting: search the other analysis lists (see DreamAnalysis)
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getDreamMoods } from './Moods';
+import { splitWords, tokenize } from './SearchIndex';
+import { hasTag } from './Tags';
+import { getNightDate } from './DreamDetails';
+import { getAnalysisNames } from './DreamAnalysis';
+
+// Filters on structured analyses, and the analysis list each one searches
+const ANALYSIS_FIELDS = {
+  symbol: 'symbols',
+  theme: 'themes',
+  emotion: 'emotions',
+  character: 'characters',
+  setting: 'settings',
+};
+
+// Filters understood before a colon, in the order they're suggested
+export const QUERY_FIELDS = ['mood', 'tag', 'title', 'text', 'after', 'before', 'on', 'edited', ...Object.keys(ANALYSIS_FIELDS)];
+
+const DATE_FIELDS = ['after', 'before', 'on'];
+
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a syntax error pointing at part of the query
+ *
+ * @param {string} message - Hint shown under the search bar
+ * @param {number} start - Offset of the offending text
+ * @param {number} end - Offset just past it
+ * @returns {Error} Error with start and end offsets
+ */
+const queryError = (message, start, end) => {
+  const error = new Error(message);
+  error.start = start;
+  error.end = end;
+  return error;
+};
+
+/**
+ * Parse a date filter value into the local-time period it covers
+ *
+ * @param {string} value - 2025, 2025-03 or 2025-03-14
+ * @returns {Object|null} { start, end } Dates (end exclusive), or null if it isn't a valid date
+ */
+const parseDateRange = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+
+  if (month === null) {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+  if (day === null) {
+    return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+  }
+  const start = new Date(year, month, day);
+  if (start.getMonth() !== month) return null;
+  return { start, end: new Date(year, month, day + 1) };
+};
+
+/**
+ * Turn a field filter into a query node, checking its value
+ *
+ * @param {string} field - One of QUERY_FIELDS
+ * @param {string} value - Text after the colon
+ * @param {number} start - Offset of the filter in the query
+ * @param {number} end - Offset just past it
+ * @returns {Object} Query node
+ * @throws {Error} When the value doesn't fit the field
+ */
+const fieldNode = (field, value, start, end) => {
+  if (!value) {
+    throw queryError(`Add a value after "${field}:"`, start, end);
+  }
+
+  if (DATE_FIELDS.includes(field)) {
+    const range = parseDateRange(value);
+    if (!range) {
+      throw queryError(`"${value}" isn't a date. Use a date like 2025-01-31, 2025-01 or 2025`, start, end);
+    }
+    return { type: 'field', field, value, range };
+  }
+
+  if (field === 'edited') {
+    const flag = BOOLEAN_VALUES[value.toLowerCase()];
+    if (flag === undefined) {
+      throw queryError('edited: takes true or false', start, end);
+    }
+    return { type: 'field', field, value: flag };
+  }
+
+  return { type: 'field', field, value };
+};
+
+/**
+ * Split a query into tokens
+ *
+ * @param {string} text - Raw query
+ * @returns {Array<Object>} Tokens as { type, value, negated, start, end }
+ * @throws {Error} On an unclosed quote or an unknown filter
+ */
+const lex = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (from) => {
+    const close = text.indexOf('"', from + 1);
+    if (close === -1) {
+      throw queryError('Missing closing quote', from, text.length);
+    }
+    return { value: text.slice(from + 1, close), next: close + 1 };
+  };
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    if (text[i] === '(' || text[i] === ')') {
+      tokens.push({ type: text[i], negated, start, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (text[i] === '"') {
+      const { value, next } = readQuoted(i);
+      tokens.push({ type: 'phrase', value, negated, start, end: next });
+      i = next;
+      continue;
+    }
+
+    let end = i;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+    const raw = text.slice(i, end);
+    const field = /^([a-z]+):(.*)$/i.exec(raw);
+
+    if (raw === 'OR' && !negated) {
+      tokens.push({ type: 'OR', start, end });
+    } else if (field) {
+      const name = field[1].toLowerCase();
+      if (!QUERY_FIELDS.includes(name)) {
+        throw queryError(
+          `Unknown filter "${field[1]}:". Try ${QUERY_FIELDS.map(f => `${f}:`).join(', ')}`,
+          start,
+          end
+        );
+      }
+      let value = field[2];
+      if (!value && text[end] === '"') {
+        const quoted = readQuoted(end);
+        value = quoted.value;
+        end = quoted.next;
+      }
+      tokens.push({ type: 'field', field: name, value: value.trim(), negated, start, end });
+    } else {
+      tokens.push({ type: 'word', value: raw, negated, start, end });
+    }
+    i = end;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a search query
+ *
+ * @param {string} text - What the user typed
+ * @returns {Object} { tree, error } - tree is null for an empty query or when error is set;
+ *   error is an Error with start and end offsets
+ */
+export const parseQuery = (text) => {
+  const source = String(text || '');
+  let tokens;
+  try {
+    tokens = lex(source);
+  } catch (error) {
+    return { tree: null, error };
+  }
+
+  // The word being typed matches as a prefix, like the simple search
+  const endsMidWord = source.length > 0 && !/[\s")]$/.test(source);
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+
+  const negate = (node, negated) => (negated ? { type: 'not', child: node } : node);
+
+  const parseTerm = () => {
+    const token = tokens[position++];
+
+    if (token.type === '(') {
+      depth++;
+      const inner = parseOr();
+      const close = peek();
+      if (!close || close.type !== ')') {
+        throw queryError('Missing closing parenthesis', token.start, source.length);
+      }
+      position++;
+      depth--;
+      return inner && negate(inner, token.negated);
+    }
+    if (token.type === 'field') {
+      return negate(fieldNode(token.field, token.value, token.start, token.end), token.negated);
+    }
+    if (token.type === 'phrase') {
+      if (splitWords(token.value).length === 0) {
+        throw queryError('Put some words between the quotes', token.start, token.end);
+      }
+      return negate({ type: 'phrase', value: token.value }, token.negated);
+    }
+
+    const words = splitWords(token.value);
+    if (words.length === 0) return null;
+    if (words.length > 1) {
+      // Hyphenated and similar compounds match as a phrase
+      return negate({ type: 'phrase', value: token.value }, token.negated);
+    }
+    const prefix = !token.negated && endsMidWord && token.end === source.length;
+    return negate({ type: 'word', value: words[0], prefix }, token.negated);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    const first = position;
+    const start = peek() ? peek().start : source.length;
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      const node = parseTerm();
+      if (node) children.push(node);
+    }
+    // Only punctuation, e.g. "!!!" - nothing to match on, but nothing wrong either
+    if (children.length === 0 && position > first) return null;
+    if (children.length === 0) {
+      const token = peek() || { start, end: source.length };
+      throw queryError(
+        token.type !== ')' ? 'OR needs something to search for on both sides'
+          : depth > 0 ? 'Nothing to search for inside the parentheses' : 'Unexpected ")"',
+        token.start,
+        token.end
+      );
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    const nodes = children.filter(Boolean);
+    if (nodes.length === 0) return null;
+    return nodes.length === 1 ? nodes[0] : { type: 'or', children: nodes };
+  };
+
+  if (tokens.length === 0) {
+    return { tree: null, error: null };
+  }
+
+  try {
+    const tree = parseOr();
+    if (peek()) {
+      throw queryError('Unexpected ")"', peek().start, peek().end);
+    }
+    return { tree, error: null };
+  } catch (error) {
+    return { tree: null, error };
+  }
+};
+
+/**
+ * Build the query tree for a plain word search
+ * Used when the query has a syntax error, so the list still follows what's typed
+ *
+ * @param {string} text - What the user typed
+ * @returns {Object|null} Query tree, or null when there are no words
+ */
+export const parsePlainQuery = (text) => {
+  const words = splitWords(text);
+  if (words.length === 0) return null;
+  const endsMidWord = !/\s$/.test(text);
+  const children = words.map((value, index) => ({
+    type: 'word',
+    value,
+    prefix: endsMidWord && index === words.length - 1,
+  }));
+  return children.length === 1 ? children[0] : { type: 'and', children };
+};
+
+/**
+ * Check whether text contains a phrase, word for word after stemming
+ *
+ * @param {string} text - Text to look in
+ * @param {string} phrase - Words that must appear next to each other, in order
+ * @returns {boolean} True if the phrase is found
+ */
+const containsPhrase = (text, phrase) => {
+  const wanted = tokenize(phrase).map(token => token.term);
+  const terms = tokenize(text).map(token => token.term);
+  for (let i = 0; i + wanted.length <= terms.length; i++) {
+    if (wanted.every((term, offset) => terms[i + offset] === term)) return true;
+  }
+  return false;
+};
+
+/**
+ * Check whether a field filter matches a dream
+ *
+ * @param {Object} node - Field node
+ * @param {Object} dream - Dream to test
+ * @returns {boolean} True if the dream passes the filter
+ */
+const matchesField = (node, dream) => {
+  switch (node.field) {
+    case 'mood': {
+      const mood = node.value.toLowerCase();
+      return getDreamMoods(dream).some(m => m.toLowerCase() === mood);
+    }
+    case 'tag':
+      return hasTag(dream, node.value);
+    case 'title':
+    case 'text':
+      return containsPhrase(dream[node.field], node.value);
+    case 'symbol':
+    case 'theme':
+    case 'emotion':
+    case 'character':
+    case 'setting':
+      return getAnalysisNames(dream, ANALYSIS_FIELDS[node.field]).some(name => containsPhrase(name, node.value));
+    case 'after':
+    case 'before':
+    case 'on': {
+      const night = getNightDate(dream);
+      if (!night) return false;
+      const time = night.getTime();
+      if (node.field === 'after') return time >= node.range.start.getTime();
+      if (node.field === 'before') return time < node.range.end.getTime();
+      return time >= node.range.start.getTime() && time < node.range.end.getTime();
+    }
+    case 'edited':
+      return Boolean(dream.wasEdited) === node.value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Run a query tree against the indexed dreams
+ *
+ * Text nodes add to a dream's relevance score; filters and negations only
+ * decide whether it's included. Results are best match first, ties in the
+ * order of the dream list.
+ *
+ * @param {Object} tree - Output of parseQuery or parsePlainQuery
+ * @param {Array} dreams - Dreams to search (already synced into the index)
+ * @param {Object} index - Search index from createSearchIndex
+ * @returns {Object} { ids: matching dream ids best first, terms: Set of index terms to highlight }
+ */
+export const evaluateQuery = (tree, dreams, index) => {
+  const terms = new Set();
+  const allIds = dreams.map(dream => String(dream.id));
+
+  const evaluate = (node, positive) => {
+    switch (node.type) {
+      case 'word':
+      case 'phrase': {
+        const match = node.type === 'word'
+          ? index.matchWord(node.value, { prefix: node.prefix })
+          : index.matchPhrase(node.value);
+        if (positive) match.terms.forEach(term => terms.add(term));
+        return match.scores;
+      }
+      case 'field': {
+        if (positive && (node.field === 'title' || node.field === 'text')) {
+          tokenize(node.value).forEach(token => terms.add(token.term));
+        }
+        const scores = new Map();
+        dreams.forEach(dream => {
+          if (matchesField(node, dream)) scores.set(String(dream.id), 0);
+        });
+        return scores;
+      }
+      case 'not': {
+        const excluded = evaluate(node.child, !positive);
+        return new Map(allIds.filter(id => !excluded.has(id)).map(id => [id, 0]));
+      }
+      case 'and':
+        return node.children.reduce((scores, child) => {
+          const next = evaluate(child, positive);
+          const combined = new Map();
+          scores.forEach((score, id) => {
+            if (next.has(id)) combined.set(id, score + next.get(id));
+          });
+          return combined;
+        }, new Map(allIds.map(id => [id, 0])));
+      case 'or':
+        return node.children.reduce((scores, child) => {
+          evaluate(child, positive).forEach((score, id) => {
+            scores.set(id, Math.max(scores.get(id) || 0, score));
+          });
+          return scores;
+        }, new Map());
+      default:
+        return new Map();
+    }
+  };
+
+  const results = index.rankResults(evaluate(tree, true));
+  return { ids: results.map(result => result.id), terms };
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Date as typed in a query
+ */
+const formatQueryDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Suggest completions for the word being typed
+ *
+ * @param {string} text - Current query
+ * @param {Object} [options]
+ * @param {Array<string>} [options.moods=[]] - Moods to offer after "mood:"
+ * @param {Array<string>} [options.tags=[]] - Tags to offer after "tag:"
+ * @param {Object} [options.analysisNames={}] - Names to offer after "symbol:", "theme:" and the
+ *   other analysis filters, keyed by analysis list (e.g. { symbols: ['Water'] })
+ * @param {Date} [options.now=new Date()] - Reference time for date suggestions
+ * @returns {Array<Object>} Suggestions as { label, query } where query is the completed text
+ */
+export const getQuerySuggestions = (text, { moods = [], tags = [], analysisNames = {}, now = new Date() } = {}) => {
+  const source = String(text || '');
+  const current = /(\S*)$/.exec(source)[1];
+  const before = source.slice(0, source.length - current.length);
+  const negation = current.startsWith('-') ? '-' : '';
+  const partial = current.slice(negation.length);
+
+  const complete = (token, label = token) => ({
+    label: negation + label,
+    query: `${before}${negation}${token}${token.endsWith(':') ? '' : ' '}`,
+  });
+
+  if (!partial) {
+    const fields = QUERY_FIELDS.map(name => complete(`${name}:`));
+    return before.trim() && !negation ? [complete('OR'), ...fields] : fields;
+  }
+
+  const field = /^([a-z]+):(.*)$/i.exec(partial);
+  if (!field) {
+    return QUERY_FIELDS
+      .filter(name => name.startsWith(partial.toLowerCase()) && name !== partial.toLowerCase())
+      .map(name => complete(`${name}:`));
+  }
+
+  const name = field[1].toLowerCase();
+  const value = field[2].toLowerCase();
+  let values = [];
+
+  if (name === 'mood' || name === 'tag' || ANALYSIS_FIELDS[name]) {
+    const options = name === 'mood' ? moods : name === 'tag' ? tags : analysisNames[ANALYSIS_FIELDS[name]] || [];
+    values = options.map(option => (/\s/.test(option) ? `"${option}"` : option));
+  } else if (name === 'edited') {
+    values = ['true', 'false'];
+  } else if (DATE_FIELDS.includes(name)) {
+    values = [
+      formatQueryDate(new Date(now.getTime() - 7 * DAY_MS)),
+      formatQueryDate(new Date(now.getTime() - 30 * DAY_MS)),
+      String(now.getFullYear()),
+    ];
+  }
+
+  return values
+    .filter(option => option.toLowerCase().replace(/"/g, '').startsWith(value) && option.toLowerCase() !== value)
+    .map(option => complete(`${name}:${option}`));
+};
@@ -0,0 +1,185 @@
+/**
+ * Sketches - Drawings of Dream Scenes
+ *
+ * The sketch canvas (see screens/Sketch) records strokes as
+ * { color, width, points: [[x, y], ...], erase } in canvas coordinates.
+ * Finished sketches are written as SVG files - small, sharp at any size and
+ * viewable outside the app - to the pending folder, where a draft can keep
+ * them, then moved into the signed-in user's sketch folder when attached to
+ * a dream. The dream
+ * carries a `sketches` array of { id, file, width, height, createdAt }
+ * entries. Storage, cleanup, backups and encryption are shared with voice
+ * memos (see Attachments).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import * as FileSystem from 'expo-file-system';
+import { bytesToUtf8, utf8ToBytes } from '@noble/ciphers/utils';
+import {
+  getDreamAttachments,
+  getAttachmentUri,
+  isAttachmentAvailable,
+  readAttachment,
+  moveIntoAttachments,
+  storePendingFile,
+  readPendingFile,
+} from './Attachments';
+import { createDreamId } from './DreamIds';
+import { base64ToBytes, bytesToBase64 } from './Base64';
+
+// Canvas color; the eraser paints with it
+export const SKETCH_BACKGROUND = '#1A1A1A';
+
+// Pen colors offered on the canvas
+export const SKETCH_COLORS = ['#FFFFFF', '#A78BFA', '#3B82F6', '#06D6A0', '#FBBF24', '#F97316', '#EF4444', '#EC4899'];
+
+// Stroke widths for the pen and the eraser
+export const PEN_WIDTH = 4;
+export const ERASER_WIDTH = 24;
+
+/**
+ * Round a coordinate to keep files small
+ *
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to one decimal place
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Build SVG path data for a stroke
+ * Curves pass through the midpoints between samples so strokes look smooth
+ *
+ * @param {Array<Array<number>>} points - Stroke points as [x, y]
+ * @returns {string} Path data, or an empty string for no points
+ */
+export const toPathData = (points) => {
+  if (!points || points.length === 0) return '';
+
+  const [first, ...rest] = points.map(([x, y]) => [round(x), round(y)]);
+  // A tap draws a dot through the round line cap
+  if (rest.length === 0) return `M${first[0]} ${first[1]}L${first[0]} ${first[1]}`;
+
+  let data = `M${first[0]} ${first[1]}`;
+  rest.forEach((point, index) => {
+    const next = rest[index + 1];
+    if (next) {
+      data += `Q${point[0]} ${point[1]} ${round((point[0] + next[0]) / 2)} ${round((point[1] + next[1]) / 2)}`;
+    } else {
+      data += `L${point[0]} ${point[1]}`;
+    }
+  });
+  return data;
+};
+
+/**
+ * Get the color a stroke is drawn in
+ *
+ * @param {Object} stroke - Stroke
+ * @returns {string} Hex color
+ */
+export const getStrokeColor = (stroke) => (stroke.erase ? SKETCH_BACKGROUND : stroke.color);
+
+/**
+ * Build the SVG document for a sketch
+ *
+ * @param {Object} sketch - Sketch as { strokes, width, height }
+ * @returns {string} SVG markup
+ */
+export const toSketchSVG = ({ strokes, width, height }) => {
+  const paths = strokes
+    .filter(stroke => stroke.points && stroke.points.length > 0)
+    .map(stroke => `<path d="${toPathData(stroke.points)}" stroke="${getStrokeColor(stroke)}" stroke-width="${stroke.width}" stroke-linecap="round" stroke-linejoin="round" fill="none"/>`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+    `<rect width="100%" height="100%" fill="${SKETCH_BACKGROUND}"/>`,
+    ...paths,
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * Write a finished sketch to the pending folder
+ * It stays there until attachSketches moves it next to its dream
+ *
+ * @param {Object} sketch - Sketch as { strokes, width, height }
+ * @returns {Promise<Object>} Pending sketch as { key, uri, width, height, createdAt }
+ */
+export const writeSketch = async (sketch) => {
+  const key = createDreamId();
+  const uri = await storePendingFile(`sketch-${key}.svg`, { base64: bytesToBase64(utf8ToBytes(toSketchSVG(sketch))) });
+  return {
+    key,
+    uri,
+    width: round(sketch.width),
+    height: round(sketch.height),
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Move pending sketches into the sketch folder
+ * Called just before the dream they belong to is saved
+ *
+ * @param {Array<Object>} pending - Sketches from writeSketch
+ * @returns {Promise<Array<Object>>} Sketch entries to store on the dream
+ */
+export const attachSketches = async (pending) => {
+  const sketches = pending.map(sketch => {
+    const id = createDreamId();
+    return {
+      id,
+      file: `${id}.svg`,
+      width: sketch.width,
+      height: sketch.height,
+      createdAt: sketch.createdAt,
+    };
+  });
+
+  await moveIntoAttachments('sketches', pending.map((sketch, index) => ({ uri: sketch.uri, file: sketches[index].file })));
+  return sketches;
+};
+
+/**
+ * Delete pending sketches that were never attached to a dream
+ *
+ * @param {Array<Object>} pending - Sketches as { uri }
+ * @returns {Promise<void>}
+ */
+export const discardSketches = async (pending) => {
+  await Promise.all(pending.map(sketch => FileSystem.deleteAsync(sketch.uri, { idempotent: true })));
+};
+
+/**
+ * Get the sketches attached to a dream
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array<Object>} Sketch entries, oldest first
+ */
+export const getDreamSketches = (dream) => getDreamAttachments(dream, 'sketches');
+
+/**
+ * Build the file URI of a saved sketch
+ *
+ * @param {Object} sketch - Sketch entry
+ * @returns {string} File URI
+ */
+export const getSketchUri = (sketch) => getAttachmentUri('sketches', sketch);
+
+/**
+ * Read a sketch's SVG markup
+ * Sketches drawn on another device sync without their file; saved and
+ * pending ones are decrypted when journal encryption sealed them
+ *
+ * @param {Object} sketch - Sketch entry, or a pending sketch with a uri
+ * @returns {Promise<string|null>} SVG markup, or null if the file isn't on this device
+ * @throws {Error} When the file is sealed and the journal is locked
+ */
+export const readSketchSVG = async (sketch) => {
+  if (sketch.uri) return bytesToUtf8(base64ToBytes(await readPendingFile(sketch.uri)));
+  if (!(await isAttachmentAvailable('sketches', sketch))) return null;
+  return bytesToUtf8(base64ToBytes(await readAttachment('sketches', sketch)));
+};
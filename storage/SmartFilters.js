@@ -0,0 +1,79 @@
+/**
+ * Smart Filters - Saved Search Queries
+ *
+ * A smart filter is a search query (see SearchQuery) saved under a name so
+ * it can be applied from Home with one tap. Filters are stored per user and
+ * names are unique, ignoring case: saving under an existing name replaces
+ * that filter's query.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getUserItem, setUserItem } from './UserStorage';
+import { parseQuery } from './SearchQuery';
+
+// Per-user key holding the saved filters
+const SMART_FILTERS_KEY = 'smartFilters';
+
+// Longest name accepted, so chips stay readable
+export const MAX_SMART_FILTER_NAME_LENGTH = 30;
+
+/**
+ * Load the saved smart filters in the order they were created
+ *
+ * @returns {Promise<Array>} Filters as { name, query, createdAt }
+ */
+export const getSmartFilters = async () => {
+  return getUserItem(SMART_FILTERS_KEY, []);
+};
+
+/**
+ * Save a search query as a smart filter
+ *
+ * @param {string} name - Name shown on the filter chip
+ * @param {string} query - Search query to save
+ * @returns {Promise<Array>} The updated filter list
+ * @throws {Error} When the name is empty or too long, or the query is empty or invalid
+ */
+export const saveSmartFilter = async (name, query) => {
+  const trimmedName = String(name || '').trim();
+  const trimmedQuery = String(query || '').trim();
+
+  if (!trimmedName) {
+    throw new Error('Give the filter a name');
+  }
+  if (trimmedName.length > MAX_SMART_FILTER_NAME_LENGTH) {
+    throw new Error(`Filter names can be at most ${MAX_SMART_FILTER_NAME_LENGTH} characters`);
+  }
+  if (!trimmedQuery) {
+    throw new Error('Type a search before saving it as a filter');
+  }
+  const { error } = parseQuery(trimmedQuery);
+  if (error) {
+    throw new Error(`Fix the search before saving it: ${error.message}`);
+  }
+
+  const filters = await getSmartFilters();
+  const existing = filters.find(filter => filter.name.toLowerCase() === trimmedName.toLowerCase());
+  const updated = existing
+    ? filters.map(filter => (filter === existing ? { ...filter, name: trimmedName, query: trimmedQuery } : filter))
+    : [...filters, { name: trimmedName, query: trimmedQuery, createdAt: new Date().toISOString() }];
+
+  await setUserItem(SMART_FILTERS_KEY, updated);
+  return updated;
+};
+
+/**
+ * Delete a smart filter
+ *
+ * @param {string} name - Name of the filter to delete
+ * @returns {Promise<Array>} The updated filter list
+ */
+export const deleteSmartFilter = async (name) => {
+  const filters = await getSmartFilters();
+  const updated = filters.filter(filter => filter.name !== name);
+  await setUserItem(SMART_FILTERS_KEY, updated);
+  return updated;
+};
@@ -0,0 +1,185 @@
+/**
+ * Symbol Index - Recurring Symbols Across the Journal
+ *
+ * Maps every symbol, theme, character and setting named in the dreams'
+ * structured analyses (see DreamAnalysis) to the dreams that contain it. The
+ * repository keeps one index in step with the journal (see DreamRepository),
+ * re-reading only the dreams whose analysis changed, so the Symbols screen and
+ * the analysis prompt can see the whole journal rather than the last few
+ * dreams.
+ *
+ * Names are compared ignoring case; an entry shows the spelling from the
+ * newest dream that uses it.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getAnalysisNames } from './DreamAnalysis';
+import { getMoodCounts } from './Moods';
+import { getNightDate, compareByNight } from './DreamDetails';
+
+// Analysis lists that are indexed, with the search filter finding each (see SearchQuery)
+export const SYMBOL_KINDS = {
+  symbols: 'symbol',
+  themes: 'theme',
+  characters: 'character',
+  settings: 'setting',
+};
+
+/**
+ * Build the Home search finding the dreams with a symbol
+ *
+ * @param {string} kind - Key of SYMBOL_KINDS
+ * @param {string} name - Symbol name
+ * @returns {string} Query such as symbol:Water or theme:"Loss of control"
+ */
+export const toSymbolQuery = (kind, name) => {
+  const value = name.replace(/"/g, '');
+  return `${SYMBOL_KINDS[kind]}:${/\s/.test(value) ? `"${value}"` : value}`;
+};
+
+/**
+ * Create an empty symbol index
+ *
+ * @returns {Object} Index with sync, getEntries, getEntry, getRecurring, size and clear
+ */
+export const createSymbolIndex = () => {
+  // Dream id -> { dream, details: serialized analysisDetails, keys: entry keys }
+  const docs = new Map();
+  // Entry key ('symbols:water') -> { kind, ids: Set of dream ids }
+  const entries = new Map();
+  let lastSynced = null;
+
+  const removeDoc = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.keys.forEach(key => {
+      const entry = entries.get(key);
+      entry.ids.delete(id);
+      if (entry.ids.size === 0) entries.delete(key);
+    });
+    docs.delete(id);
+  };
+
+  const addDoc = (id, dream, details) => {
+    const keys = new Set();
+    Object.keys(SYMBOL_KINDS).forEach(kind => {
+      getAnalysisNames(dream, kind).forEach(name => {
+        const key = `${kind}:${name.toLowerCase()}`;
+        if (!entries.has(key)) entries.set(key, { kind, ids: new Set() });
+        entries.get(key).ids.add(id);
+        keys.add(key);
+      });
+    });
+    docs.set(id, { dream, details, keys: [...keys] });
+  };
+
+  /**
+   * Bring the index in line with a dream list
+   * Only dreams that were added, removed or whose analysis changed are re-read
+   *
+   * @param {Array} dreams - Dreams that should be indexed
+   */
+  const sync = (dreams) => {
+    if (dreams === lastSynced) return;
+    lastSynced = dreams;
+
+    const seen = new Set();
+    dreams.forEach(dream => {
+      const id = String(dream.id);
+      seen.add(id);
+      const details = JSON.stringify(dream.analysisDetails || null);
+      const doc = docs.get(id);
+      if (doc && doc.details === details) {
+        // Keep the latest copy for its mood and night
+        doc.dream = dream;
+        return;
+      }
+      removeDoc(id);
+      addDoc(id, dream, details);
+    });
+
+    [...docs.keys()].forEach(id => {
+      if (!seen.has(id)) removeDoc(id);
+    });
+  };
+
+  /**
+   * Describe one entry from the dreams that contain it
+   *
+   * @param {string} key - Entry key
+   * @returns {Object} { kind, name, query, count, firstNight, lastNight, moods, dreams }
+   */
+  const describe = (key) => {
+    const { kind, ids } = entries.get(key);
+    const dreams = [...ids].map(id => docs.get(id).dream).sort(compareByNight);
+    const lowerName = key.slice(kind.length + 1);
+    const name = getAnalysisNames(dreams[0], kind).find(candidate => candidate.toLowerCase() === lowerName);
+    const nights = dreams.map(getNightDate).filter(Boolean);
+
+    return {
+      kind,
+      name,
+      query: toSymbolQuery(kind, name),
+      count: dreams.length,
+      firstNight: nights.length > 0 ? nights[nights.length - 1] : null,
+      lastNight: nights.length > 0 ? nights[0] : null,
+      moods: Object.entries(getMoodCounts(dreams))
+        .map(([mood, count]) => ({ mood, count }))
+        .sort((a, b) => b.count - a.count || a.mood.localeCompare(b.mood)),
+      dreams,
+    };
+  };
+
+  /**
+   * List the indexed symbols
+   *
+   * @param {Object} [options]
+   * @param {string} [options.kind] - Only list one key of SYMBOL_KINDS
+   * @returns {Array<Object>} Entries (see describe), most dreams first, then by name
+   */
+  const getEntries = ({ kind } = {}) => [...entries.keys()]
+    .filter(key => !kind || entries.get(key).kind === kind)
+    .map(describe)
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  /**
+   * Look up one symbol
+   *
+   * @param {string} kind - Key of SYMBOL_KINDS
+   * @param {string} name - Symbol name, in any case
+   * @returns {Object|null} Entry (see describe), or null when no dream has it
+   */
+  const getEntry = (kind, name) => {
+    const key = `${kind}:${String(name).toLowerCase()}`;
+    return entries.has(key) ? describe(key) : null;
+  };
+
+  /**
+   * Get the symbols that come back across several dreams
+   *
+   * @param {number} [limit=10] - Most entries returned
+   * @returns {Array<Object>} { kind, name, count } seen in at least two dreams, most dreams first
+   */
+  const getRecurring = (limit = 10) => [...entries.keys()]
+    .filter(key => entries.get(key).ids.size > 1)
+    .map(describe)
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ kind, name, count }) => ({ kind, name, count }));
+
+  return {
+    sync,
+    getEntries,
+    getEntry,
+    getRecurring,
+    size: () => entries.size,
+    clear: () => {
+      docs.clear();
+      entries.clear();
+      lastSynced = null;
+    },
+  };
+};
@@ -0,0 +1,511 @@
+/**
+ * Sync Engine - Offline-First Cloud Sync for Dreams
+ *
+ * Keeps the local journal and the user's cloud copy in step. The local
+ * journal stays the source of truth: the app works fully offline and a sync
+ * simply reconciles both sides whenever the network is available.
+ *
+ * How it works:
+ * - After every sync the engine stores a "base" snapshot of each dream
+ * - The next sync compares local, remote and base (three-way merge) to tell
+ *   which side changed each field
+ * - Fields changed on one side are taken from that side
+ * - Fields changed on both sides are resolved by the newer lastEdited,
+ *   except title and text, which are held for review in the conflict screen
+ *   so no writing is silently lost
+ *
+ * When encryption is on, dreams leave the device as ciphertext and the
+ * wrapped keyring is synced alongside them so other devices can unlock.
+ *
+ * The remote is any object with listDreams, putDream, deleteDream, deleteAll,
+ * getKeyring and putKeyring (see FirestoreRemote and MemoryRemote).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { AppState } from 'react-native';
+import { getAllDreams, replaceDreams, subscribe } from './DreamRepository';
+import { getCurrentUser, getUserItem, setUserItem } from './UserStorage';
+import { getKeyring, saveKeyring, getWriteKey, encryptDream, decryptDream } from './DreamCrypto';
+
+// Fields where conflicting edits need the user's decision
+export const REVIEW_FIELDS = ['title', 'text'];
+
+// Un-namespaced key of the per-user sync state
+const SYNC_STATE_KEY = 'syncState';
+
+// Delay between a local change and the automatic sync it triggers
+const AUTO_SYNC_DELAY = 5000;
+
+// Remote used by syncNow, set by startAutoSync
+let activeRemote = null;
+
+// Sync currently running, shared by overlapping callers
+let syncInFlight = null;
+
+// Listeners interested in sync status (last sync time, conflicts)
+const statusListeners = new Set();
+
+/**
+ * Structural equality for JSON-like values
+ * Object key order doesn't matter, unlike comparing JSON strings
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+const isDeepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => isDeepEqual(a[key], b[key]));
+};
+
+/**
+ * Get the time a dream was last changed, for newest-wins resolution
+ *
+ * @param {Object} dream - Dream object
+ * @returns {number} Milliseconds since epoch
+ */
+const getEditTime = (dream) => new Date(dream.lastEdited || dream.timestamp || 0).getTime();
+
+/**
+ * Merge one dream field by field
+ *
+ * @param {Object|null} base - Dream as of the last sync, or null if never synced
+ * @param {Object} local - Dream on this device
+ * @param {Object} remote - Dream in the cloud
+ * @returns {Object} { merged, conflicts } where conflicts maps field -> { local, remote }, or null
+ */
+export const mergeDream = (base, local, remote) => {
+  const merged = {};
+  const conflicts = {};
+  const localIsNewer = getEditTime(local) >= getEditTime(remote);
+  const fields = new Set([...Object.keys(base || {}), ...Object.keys(local), ...Object.keys(remote)]);
+
+  fields.forEach(field => {
+    const baseValue = base ? base[field] : undefined;
+    const localValue = local[field];
+    const remoteValue = remote[field];
+    let value;
+
+    if (isDeepEqual(localValue, remoteValue)) {
+      value = localValue;
+    } else if (base && isDeepEqual(localValue, baseValue)) {
+      // Only the cloud copy changed
+      value = remoteValue;
+    } else if (base && isDeepEqual(remoteValue, baseValue)) {
+      // Only this device changed
+      value = localValue;
+    } else if (REVIEW_FIELDS.includes(field)) {
+      // Both sides rewrote the user's own words - keep local until reviewed
+      conflicts[field] = { local: localValue, remote: remoteValue };
+      value = localValue;
+    } else {
+      value = localIsNewer ? localValue : remoteValue;
+    }
+
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+  });
+
+  return {
+    merged,
+    conflicts: Object.keys(conflicts).length > 0 ? conflicts : null,
+  };
+};
+
+/**
+ * Work out everything a sync needs to do
+ * Pure function so the reconciliation rules can be tested on their own
+ *
+ * @param {Object} params
+ * @param {Array} params.local - Dreams on this device
+ * @param {Array} params.remote - Dreams in the cloud
+ * @param {Object} params.base - Map of dream id -> dream as of the last sync
+ * @param {Array} [params.skipIds=[]] - Dream ids with unresolved conflicts to leave alone
+ * @returns {Object} Plan with localUpserts, localDeletes, remoteUpserts, remoteDeletes, conflicts and nextBase
+ */
+export const planSync = ({ local, remote, base, skipIds = [] }) => {
+  const plan = {
+    localUpserts: [],
+    localDeletes: [],
+    remoteUpserts: [],
+    remoteDeletes: [],
+    conflicts: [],
+    nextBase: {},
+  };
+
+  const localById = new Map(local.map(d => [String(d.id), d]));
+  const remoteById = new Map(remote.map(d => [String(d.id), d]));
+  const skipped = new Set(skipIds.map(String));
+  const ids = new Set([...localById.keys(), ...remoteById.keys(), ...Object.keys(base)]);
+
+  ids.forEach(id => {
+    const baseDream = base[id] || null;
+    const localDream = localById.get(id);
+    const remoteDream = remoteById.get(id);
+
+    if (skipped.has(id)) {
+      if (baseDream) plan.nextBase[id] = baseDream;
+      return;
+    }
+
+    if (localDream && remoteDream) {
+      const { merged, conflicts } = mergeDream(baseDream, localDream, remoteDream);
+      if (conflicts) {
+        plan.conflicts.push({ id: localDream.id, fields: conflicts, remote: remoteDream, detectedAt: new Date().toISOString() });
+        if (baseDream) plan.nextBase[id] = baseDream;
+        return;
+      }
+      if (!isDeepEqual(merged, localDream)) plan.localUpserts.push(merged);
+      if (!isDeepEqual(merged, remoteDream)) plan.remoteUpserts.push(merged);
+      plan.nextBase[id] = merged;
+    } else if (localDream) {
+      if (baseDream && isDeepEqual(localDream, baseDream)) {
+        // Deleted in the cloud and untouched here
+        plan.localDeletes.push(localDream.id);
+      } else {
+        // New here, or edited here after being deleted elsewhere - keep it
+        plan.remoteUpserts.push(localDream);
+        plan.nextBase[id] = localDream;
+      }
+    } else if (remoteDream) {
+      if (baseDream && isDeepEqual(remoteDream, baseDream)) {
+        // Deleted here and untouched in the cloud
+        plan.remoteDeletes.push(remoteDream.id);
+      } else {
+        // New in the cloud, or edited there after being deleted here - keep it
+        plan.localUpserts.push(remoteDream);
+        plan.nextBase[id] = remoteDream;
+      }
+    }
+    // Deleted on both sides: simply drops out of the base
+  });
+
+  return plan;
+};
+
+/**
+ * Apply a dream transform to every dream copy held in sync state
+ * Conflict values are wrapped in partial dreams so field encryption applies to them too
+ *
+ * @param {Object} state - Sync state
+ * @param {Function} transform - encryptDream or decryptDream bound to a key
+ * @returns {Object} Transformed sync state
+ */
+const mapStateDreams = (state, transform) => {
+  const base = {};
+  Object.entries(state.base).forEach(([id, dream]) => {
+    base[id] = transform(dream);
+  });
+
+  const conflicts = state.conflicts.map(conflict => {
+    const sides = { local: {}, remote: {} };
+    Object.entries(conflict.fields).forEach(([field, values]) => {
+      sides.local[field] = values.local;
+      sides.remote[field] = values.remote;
+    });
+    const local = transform(sides.local);
+    const remote = transform(sides.remote);
+
+    const fields = {};
+    Object.keys(conflict.fields).forEach(field => {
+      fields[field] = { local: local[field], remote: remote[field] };
+    });
+    return { ...conflict, fields, remote: transform(conflict.remote) };
+  });
+
+  return { ...state, base, conflicts };
+};
+
+/**
+ * Load the signed-in user's sync state
+ *
+ * @returns {Promise<Object>} { base, conflicts, lastSyncedAt }
+ * @throws {Error} When the state is encrypted and the journal is locked
+ */
+export const getSyncState = async () => {
+  const state = await getUserItem(SYNC_STATE_KEY, { base: {}, conflicts: [], lastSyncedAt: null });
+  return mapStateDreams(state, dream => decryptDream(dream));
+};
+
+/**
+ * Persist sync state and tell status listeners about it
+ * Dream copies are encrypted like the journal itself
+ *
+ * @param {Object} state - New sync state
+ * @returns {Promise<void>}
+ */
+const saveSyncState = async (state) => {
+  const key = await getWriteKey();
+  await setUserItem(SYNC_STATE_KEY, mapStateDreams(state, dream => encryptDream(dream, key)));
+  statusListeners.forEach(listener => listener(state));
+};
+
+/**
+ * Re-save sync state with the current encryption setting
+ * Called after encryption is turned on or off
+ *
+ * @returns {Promise<void>}
+ */
+export const resealSyncState = async () => {
+  await saveSyncState(await getSyncState());
+};
+
+/**
+ * Bring the local and cloud keyrings in step before dreams are exchanged
+ *
+ * The most recently updated keyring wins, so passphrase changes and turning
+ * encryption on or off carry over to other devices. Two different journal
+ * keys can't be reconciled automatically, so that case stops the sync.
+ *
+ * @param {Object} remote - Sync remote
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<void>}
+ * @throws {Error} When this device and the cloud use different journal keys
+ */
+const syncKeyring = async (remote, uid) => {
+  const [localKeyring, remoteKeyring] = await Promise.all([getKeyring(), remote.getKeyring(uid)]);
+
+  if (localKeyring?.enabled && remoteKeyring?.enabled && localKeyring.keyId !== remoteKeyring.keyId) {
+    throw new Error('This journal is encrypted with a different key on another device');
+  }
+
+  if (remoteKeyring && (!localKeyring || remoteKeyring.updatedAt > localKeyring.updatedAt)) {
+    await saveKeyring(remoteKeyring);
+  } else if (localKeyring && !isDeepEqual(localKeyring, remoteKeyring)) {
+    await remote.putKeyring(uid, localKeyring);
+  }
+};
+
+/**
+ * Run one full sync against a remote
+ *
+ * Local changes made while the sync is talking to the network are never
+ * overwritten: any dream that changed in the meantime is left for the next sync.
+ * Overlapping calls share the sync already in progress.
+ *
+ * @param {Object} remote - Sync remote (listDreams, putDream, deleteDream, getKeyring, putKeyring)
+ * @returns {Promise<Object>} Summary with pushed, pulled and conflicts counts
+ * @throws {Error} When no user is signed in, the journal is locked or the remote is unreachable
+ */
+export const syncDreams = (remote) => {
+  if (!syncInFlight) {
+    syncInFlight = runSync(remote).finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
+
+const runSync = async (remote) => {
+  const uid = getCurrentUser();
+  if (!uid) {
+    throw new Error('Sign in to sync your dreams');
+  }
+
+  await syncKeyring(remote, uid);
+
+  const state = await getSyncState();
+  const key = await getWriteKey();
+  const [local, remoteDreams] = await Promise.all([
+    getAllDreams(),
+    remote.listDreams(uid).then(dreams => dreams.map(dream => decryptDream(dream))),
+  ]);
+
+  const plan = planSync({
+    local,
+    remote: remoteDreams,
+    base: state.base,
+    skipIds: state.conflicts.map(c => c.id),
+  });
+
+  for (const dream of plan.remoteUpserts) {
+    await remote.putDream(uid, encryptDream(dream, key));
+  }
+  for (const id of plan.remoteDeletes) {
+    await remote.deleteDream(uid, id);
+  }
+
+  // The user may have signed out while we were talking to the network
+  if (getCurrentUser() !== uid) {
+    throw new Error('Signed-in user changed during sync');
+  }
+
+  const nextBase = { ...plan.nextBase };
+
+  if (plan.localUpserts.length > 0 || plan.localDeletes.length > 0) {
+    const snapshot = new Map(local.map(d => [String(d.id), d]));
+    const upserts = new Map(plan.localUpserts.map(d => [String(d.id), d]));
+    const deletes = new Set(plan.localDeletes.map(String));
+
+    await replaceDreams((current) => {
+      const currentById = new Map(current.map(d => [String(d.id), d]));
+      const touched = new Set([...upserts.keys(), ...deletes]);
+
+      touched.forEach(id => {
+        if (!isDeepEqual(currentById.get(id), snapshot.get(id))) {
+          // Edited during the sync - keep the local version and retry next time
+          if (state.base[id]) nextBase[id] = state.base[id];
+          else delete nextBase[id];
+          return;
+        }
+        if (deletes.has(id)) currentById.delete(id);
+        else currentById.set(id, upserts.get(id));
+      });
+
+      return [...currentById.values()];
+    }, 'sync');
+  }
+
+  const conflictIds = new Set(plan.conflicts.map(c => String(c.id)));
+  const nextState = {
+    base: nextBase,
+    conflicts: [...state.conflicts.filter(c => !conflictIds.has(String(c.id))), ...plan.conflicts],
+    lastSyncedAt: new Date().toISOString(),
+  };
+  await saveSyncState(nextState);
+
+  return {
+    pushed: plan.remoteUpserts.length + plan.remoteDeletes.length,
+    pulled: plan.localUpserts.length + plan.localDeletes.length,
+    conflicts: nextState.conflicts.length,
+  };
+};
+
+/**
+ * Resolve a held conflict with the user's choices
+ *
+ * Writes the chosen values into the local dream and records the cloud
+ * version as the new base, so the next sync pushes the resolution.
+ *
+ * @param {number|string} id - Dream id of the conflict
+ * @param {Object} choices - Map of field -> 'local' | 'remote'
+ * @returns {Promise<void>}
+ */
+export const resolveConflict = async (id, choices) => {
+  const state = await getSyncState();
+  const conflict = state.conflicts.find(c => String(c.id) === String(id));
+  if (!conflict) return;
+
+  await replaceDreams((current) => current.map(dream => {
+    if (String(dream.id) !== String(id)) return dream;
+
+    const resolved = { ...dream, lastEdited: new Date().toISOString() };
+    Object.entries(conflict.fields).forEach(([field, values]) => {
+      resolved[field] = choices[field] === 'remote' ? values.remote : values.local;
+    });
+    return resolved;
+  }), 'sync');
+
+  await saveSyncState({
+    ...state,
+    base: { ...state.base, [String(id)]: conflict.remote },
+    conflicts: state.conflicts.filter(c => c !== conflict),
+  });
+
+  // Push the resolution right away when possible
+  if (activeRemote) {
+    syncDreams(activeRemote).catch(error => console.log('Sync after conflict resolution failed:', error.message));
+  }
+};
+
+/**
+ * Delete the signed-in user's cloud copy of the journal
+ *
+ * Removes every synced dream and the wrapped keyring, e.g. before the
+ * account itself is deleted. Waits for a sync in progress so it can't
+ * upload dreams again afterwards. The local journal is left as it is.
+ *
+ * @param {Object} remote - Sync remote
+ * @returns {Promise<void>}
+ * @throws {Error} When no user is signed in or the remote is unreachable
+ */
+export const deleteCloudJournal = async (remote) => {
+  const uid = getCurrentUser();
+  if (!uid) {
+    throw new Error('Sign in to delete your cloud journal');
+  }
+
+  if (syncInFlight) {
+    await syncInFlight.catch(() => {});
+  }
+  await remote.deleteAll(uid);
+};
+
+/**
+ * Sync now with the remote registered by startAutoSync
+ *
+ * @returns {Promise<Object>} Sync summary
+ * @throws {Error} When sync hasn't been started or the remote is unreachable
+ */
+export const syncNow = () => {
+  if (!activeRemote) {
+    return Promise.reject(new Error('Cloud sync is not available'));
+  }
+  return syncDreams(activeRemote);
+};
+
+/**
+ * Subscribe to sync status changes
+ *
+ * @param {Function} listener - Called with the new sync state after every sync
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => {
+    statusListeners.delete(listener);
+  };
+};
+
+/**
+ * Keep the journal synced in the background for the signed-in user
+ *
+ * Syncs immediately, a few seconds after local changes, and whenever the app
+ * returns to the foreground. Failures (e.g. offline) are logged and retried
+ * on the next trigger.
+ *
+ * @param {Object} remote - Sync remote to use
+ * @returns {Function} Stop function
+ */
+export const startAutoSync = (remote) => {
+  activeRemote = remote;
+  let timer = null;
+
+  const run = () => {
+    syncDreams(remote).catch(error => console.log('Background sync skipped:', error.message));
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, AUTO_SYNC_DELAY);
+  };
+
+  const unsubscribeDreams = subscribe(({ type }) => {
+    // Changes written by the sync itself don't need another sync
+    if (type !== 'sync') schedule();
+  });
+
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') run();
+  });
+
+  run();
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribeDreams();
+    appStateSubscription.remove();
+    if (activeRemote === remote) activeRemote = null;
+  };
+};
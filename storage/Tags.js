@@ -0,0 +1,186 @@
+/**
+ * Tags - Free-Form Labels on Dreams
+ *
+ * Besides its mood, a dream can carry any number of tags for the people,
+ * places, symbols and themes in it. Tags are stored on the dream as an array
+ * of names. Names keep the case they were typed in but are compared ignoring
+ * case, so "Mom" and "mom" are the same tag.
+ *
+ * Renaming, merging and deleting a tag rewrite every dream carrying it,
+ * including dreams in the Trash, in a single write.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { replaceDreams } from './DreamRepository';
+
+// Longest tag name accepted
+export const MAX_TAG_LENGTH = 40;
+
+/**
+ * Clean up a typed tag name
+ * Surrounding spaces and a leading # are dropped and inner whitespace collapsed
+ *
+ * @param {string} name - Tag as typed
+ * @returns {string} Tag name, '' when nothing is left
+ */
+export const normalizeTag = (name) => {
+  return String(name || '')
+    .replace(/^\s*#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+};
+
+/**
+ * Key used to compare tag names
+ *
+ * @param {string} name - Tag name
+ * @returns {string} Case-insensitive key
+ */
+export const tagKey = (name) => normalizeTag(name).toLowerCase();
+
+/**
+ * Get a dream's tags
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array<string>} Tag names, possibly empty
+ */
+export const getDreamTags = (dream) => (Array.isArray(dream.tags) ? dream.tags : []);
+
+/**
+ * Check whether a dream carries a tag
+ *
+ * @param {Object} dream - Dream to check
+ * @param {string} name - Tag name, any case
+ * @returns {boolean} True if the dream has the tag
+ */
+export const hasTag = (dream, name) => {
+  const key = tagKey(name);
+  return getDreamTags(dream).some(tag => tagKey(tag) === key);
+};
+
+/**
+ * Clean up a list of tags, dropping empty names and duplicates
+ * The first spelling of a duplicate wins
+ *
+ * @param {Array<string>} tags - Tag names
+ * @returns {Array<string>} Normalized, unique tag names in their original order
+ */
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map(normalizeTag)
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Count how often each tag is used
+ *
+ * @param {Array} dreams - Dreams to count over
+ * @returns {Array<Object>} Tags as { name, count }, most used first, then by name
+ */
+export const getTagCounts = (dreams) => {
+  const counts = new Map();
+  dreams.forEach(dream => {
+    getDreamTags(dream).forEach(tag => {
+      const key = tagKey(tag);
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Suggest existing tags for what's being typed
+ * Tags starting with the text come before tags that merely contain it
+ *
+ * @param {string} input - Text typed so far
+ * @param {Array<Object>} tagCounts - Output of getTagCounts
+ * @param {Array<string>} [exclude=[]] - Tags already on the dream
+ * @param {number} [limit=6] - Most suggestions returned
+ * @returns {Array<string>} Tag names
+ */
+export const suggestTags = (input, tagCounts, exclude = [], limit = 6) => {
+  const key = tagKey(input);
+  const excluded = new Set(exclude.map(tagKey));
+  const candidates = tagCounts.filter(({ name }) => !excluded.has(tagKey(name)));
+
+  if (!key) {
+    return candidates.slice(0, limit).map(({ name }) => name);
+  }
+
+  const starts = candidates.filter(({ name }) => tagKey(name).startsWith(key));
+  const contains = candidates.filter(({ name }) => !tagKey(name).startsWith(key) && tagKey(name).includes(key));
+  return [...starts, ...contains].slice(0, limit).map(({ name }) => name);
+};
+
+/**
+ * Rename a tag on every dream
+ * Renaming to the name of another tag merges the two
+ *
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @returns {Promise<number>} Number of dreams changed
+ * @throws {Error} When the new name is empty
+ */
+export const renameTag = (from, to) => mergeTags([from], to);
+
+/**
+ * Merge several tags into one
+ *
+ * @param {Array<string>} sources - Tags to fold into the target
+ * @param {string} target - Tag that remains
+ * @returns {Promise<number>} Number of dreams changed
+ * @throws {Error} When the target name is empty
+ */
+export const mergeTags = async (sources, target) => {
+  const targetName = normalizeTag(target);
+  if (!targetName) {
+    throw new Error("Tag names can't be empty");
+  }
+
+  // Other spellings of the target are folded in too, so one spelling remains
+  const sourceKeys = new Set([...sources, targetName].map(tagKey));
+  let changed = 0;
+  await replaceDreams(dreams => dreams.map(dream => {
+    const tags = getDreamTags(dream);
+    if (!tags.some(tag => sourceKeys.has(tagKey(tag)))) return dream;
+    changed++;
+    return {
+      ...dream,
+      tags: normalizeTags(tags.map(tag => (sourceKeys.has(tagKey(tag)) ? targetName : tag))),
+    };
+  }), 'tags');
+  return changed;
+};
+
+/**
+ * Remove a tag from every dream
+ *
+ * @param {string} name - Tag to delete
+ * @returns {Promise<number>} Number of dreams changed
+ */
+export const deleteTag = async (name) => {
+  const key = tagKey(name);
+  let changed = 0;
+  await replaceDreams(dreams => dreams.map(dream => {
+    if (!hasTag(dream, name)) return dream;
+    changed++;
+    const tags = getDreamTags(dream).filter(tag => tagKey(tag) !== key);
+    const { tags: _removed, ...rest } = dream;
+    return tags.length > 0 ? { ...dream, tags } : rest;
+  }), 'tags');
+  return changed;
+};
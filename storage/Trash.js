@@ -0,0 +1,72 @@
+/**
+ * Trash - Retention Setting and Automatic Purge
+ *
+ * Deleted dreams stay in the Trash (see DreamRepository) for a retention
+ * period the user can choose, then they're removed for good. The purge runs
+ * when the journal is opened and whenever the Trash screen is shown.
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { getUserItem, setUserItem } from './UserStorage';
+import { purgeTrash } from './DreamRepository';
+
+// Per-user key holding the retention period in days
+const RETENTION_KEY = 'trashRetentionDays';
+
+// Retention periods offered in the Trash screen, in days
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+// Retention used until the user picks one
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how many days dreams stay in the Trash
+ *
+ * @returns {Promise<number>} Retention period in days
+ */
+export const getTrashRetentionDays = async () => {
+  return getUserItem(RETENTION_KEY, DEFAULT_TRASH_RETENTION_DAYS);
+};
+
+/**
+ * Change how many days dreams stay in the Trash
+ * Dreams already past the new period are purged straight away
+ *
+ * @param {number} days - One of TRASH_RETENTION_OPTIONS
+ * @returns {Promise<Array>} Dreams purged because of the change
+ * @throws {Error} When the period isn't one of the offered options
+ */
+export const setTrashRetentionDays = async (days) => {
+  if (!TRASH_RETENTION_OPTIONS.includes(days)) {
+    throw new Error(`Unsupported trash retention period: ${days} days`);
+  }
+  await setUserItem(RETENTION_KEY, days);
+  return purgeExpiredTrash();
+};
+
+/**
+ * Work out when a trashed dream will be purged
+ *
+ * @param {Object} dream - Trashed dream
+ * @param {number} retentionDays - Retention period in days
+ * @returns {Date} Moment the dream is removed for good
+ */
+export const getPurgeDate = (dream, retentionDays) => {
+  return new Date(new Date(dream.deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+/**
+ * Permanently remove dreams that have been in the Trash longer than the retention period
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Array>} The purged dreams
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const retentionDays = await getTrashRetentionDays();
+  return purgeTrash(new Date(now.getTime() - retentionDays * DAY_MS));
+};
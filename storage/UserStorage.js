@@ -0,0 +1,135 @@
+/**
+ * User Storage - Per-Account Namespacing for Local Data
+ *
+ * Partitions everything the app keeps in AsyncStorage by the signed-in
+ * Firebase user, so accounts sharing a device never see each other's
+ * journal, drafts or settings.
+ *
+ * Key Features:
+ * - Namespaced keys in the form user:<uid>:<name>
+ * - JSON read/write helpers for the current user
+ * - Detection of data saved before namespacing existed (handed over by
+ *   DreamRepository's claimLegacyDreams)
+ * - Removal of a single user's data on account deletion
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Keys that were shared by every account before namespacing
+export const LEGACY_KEYS = ['dreams', 'dreams:schemaVersion'];
+
+// Per-user flag recording that the legacy hand-over prompt was declined
+const LEGACY_DECLINED_KEY = 'legacyDataDeclined';
+
+// Uid of the signed-in user, kept in sync by App.js
+let currentUid = null;
+
+/**
+ * Set the user whose namespace subsequent reads and writes use
+ * Called from the auth state listener before any screen mounts
+ *
+ * @param {string|null} uid - Firebase uid, or null when signed out
+ */
+export const setCurrentUser = (uid) => {
+  currentUid = uid || null;
+};
+
+/**
+ * Get the uid of the user whose data is currently active
+ *
+ * @returns {string|null} Firebase uid, or null when signed out
+ */
+export const getCurrentUser = () => currentUid;
+
+/**
+ * Build the namespaced storage key for a user
+ *
+ * @param {string} name - Un-namespaced key name (e.g. 'dreams')
+ * @param {string} [uid] - User to build the key for (defaults to the current user)
+ * @returns {string} Namespaced AsyncStorage key
+ * @throws {Error} When no user is signed in
+ */
+export const getUserKey = (name, uid = currentUid) => {
+  if (!uid) {
+    throw new Error('No signed-in user for local storage access');
+  }
+  return `user:${uid}:${name}`;
+};
+
+/**
+ * Read and parse a JSON value from the current user's namespace
+ *
+ * @param {string} name - Un-namespaced key name
+ * @param {*} [fallback=null] - Value returned when nothing is stored
+ * @returns {Promise<*>} Parsed value or the fallback
+ */
+export const getUserItem = async (name, fallback = null) => {
+  const raw = await AsyncStorage.getItem(getUserKey(name));
+  return raw === null ? fallback : JSON.parse(raw);
+};
+
+/**
+ * Serialize and store a JSON value in the current user's namespace
+ *
+ * @param {string} name - Un-namespaced key name
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export const setUserItem = async (name, value) => {
+  await AsyncStorage.setItem(getUserKey(name), JSON.stringify(value));
+};
+
+/**
+ * Remove a value from the current user's namespace
+ *
+ * @param {string} name - Un-namespaced key name
+ * @returns {Promise<void>}
+ */
+export const removeUserItem = async (name) => {
+  await AsyncStorage.removeItem(getUserKey(name));
+};
+
+/**
+ * Remove every key belonging to a user
+ * Used on account deletion instead of clearing the whole device
+ *
+ * @param {string} uid - Firebase uid of the user
+ * @returns {Promise<void>}
+ */
+export const clearUserData = async (uid) => {
+  const prefix = `user:${uid}:`;
+  const keys = await AsyncStorage.getAllKeys();
+  const userKeys = keys.filter(key => key.startsWith(prefix));
+  if (userKeys.length > 0) {
+    await AsyncStorage.multiRemove(userKeys);
+  }
+};
+
+/**
+ * Check whether un-namespaced data from an older version should be offered to a user
+ *
+ * @param {string} uid - Firebase uid of the user who just signed in
+ * @returns {Promise<number>} Number of legacy dreams waiting, or 0 if there is nothing to offer
+ */
+export const getPendingLegacyDreamCount = async (uid) => {
+  const declined = await AsyncStorage.getItem(getUserKey(LEGACY_DECLINED_KEY, uid));
+  if (declined) return 0;
+
+  const legacyDreams = JSON.parse(await AsyncStorage.getItem('dreams'));
+  return Array.isArray(legacyDreams) ? legacyDreams.length : 0;
+};
+
+/**
+ * Remember that a user declined the legacy data so they aren't asked again
+ * The data stays on the device for another account to claim
+ *
+ * @param {string} uid - Firebase uid of the user
+ * @returns {Promise<void>}
+ */
+export const declineLegacyData = async (uid) => {
+  await AsyncStorage.setItem(getUserKey(LEGACY_DECLINED_KEY, uid), JSON.stringify(true));
+};
@@ -0,0 +1,136 @@
+/**
+ * Voice Memos - Audio Clips Attached to Dreams
+ *
+ * Clips are recorded with expo-av (see VoiceMemoRecorder) into the cache
+ * directory and kept in the pending folder, where a draft can keep them,
+ * then moved into the signed-in user's memo folder when the dream is saved. The dream itself only carries a `memos` array of
+ * { id, file, durationMs, recordedAt } entries. Storage, cleanup, backups and
+ * encryption of the audio are shared with sketches (see Attachments).
+ *
+ * @author Cole Puls
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import * as FileSystem from 'expo-file-system';
+import {
+  getAttachmentDirectory,
+  getDreamAttachments,
+  getAttachmentUri,
+  isAttachmentAvailable,
+  openAttachment,
+  moveIntoAttachments,
+  storePendingFile,
+  openPendingFile,
+} from './Attachments';
+import { createDreamId } from './DreamIds';
+
+/**
+ * Get the folder holding a user's memo files
+ *
+ * @param {string} [uid] - User to get the folder for (defaults to the current user)
+ * @returns {string} Folder URI ending in a slash
+ * @throws {Error} When no user is signed in
+ */
+export const getMemoDirectory = (uid) => getAttachmentDirectory('memos', uid);
+
+/**
+ * Get the voice memos attached to a dream
+ * Entries without a file name are ignored
+ *
+ * @param {Object} dream - Dream to read
+ * @returns {Array<Object>} Memo entries, oldest first
+ */
+export const getDreamMemos = (dream) => getDreamAttachments(dream, 'memos');
+
+/**
+ * Build the file URI of a saved memo
+ *
+ * @param {Object} memo - Memo entry
+ * @returns {string} File URI
+ */
+export const getMemoUri = (memo) => getAttachmentUri('memos', memo);
+
+/**
+ * Check whether a memo's audio is on this device
+ * Memos recorded on another device sync without their audio
+ *
+ * @param {Object} memo - Memo entry
+ * @returns {Promise<boolean>} True if the file exists
+ */
+export const isMemoAvailable = (memo) => isAttachmentAvailable('memos', memo);
+
+/**
+ * Get a URI the player can read a memo's audio from
+ * Audio sealed by journal encryption is decrypted into the cache first
+ *
+ * @param {Object} memo - Memo entry whose audio is on this device
+ * @returns {Promise<string>} File URI
+ * @throws {Error} When the audio is sealed and the journal is locked
+ */
+export const openMemo = (memo) => openAttachment('memos', memo);
+
+/**
+ * Format a clip length as m:ss
+ *
+ * @param {number} durationMs - Length in milliseconds
+ * @returns {string} e.g. '1:05'
+ */
+export const formatDuration = (durationMs) => {
+  const totalSeconds = Math.max(0, Math.round((durationMs || 0) / 1000));
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+};
+
+/**
+ * Move a finished recording out of the cache into the pending folder
+ *
+ * @param {string} uri - Recording in the cache
+ * @returns {Promise<string>} URI of the kept recording
+ */
+export const keepRecording = async (uri) => {
+  const extension = (uri.match(/\.(\w+)$/) || [null, 'm4a'])[1];
+  return storePendingFile(`memo-${createDreamId()}.${extension}`, { uri });
+};
+
+/**
+ * Get a URI the player can read a recording from before its dream is saved
+ *
+ * @param {Object} recording - Clip as { uri } from keepRecording
+ * @returns {Promise<string>} File URI
+ * @throws {Error} When the clip is sealed and the journal is locked
+ */
+export const openRecording = (recording) => openPendingFile(recording.uri);
+
+/**
+ * Move finished recordings into the memo folder
+ * Called just before the dream they belong to is saved
+ *
+ * @param {Array<Object>} recordings - Clips as { uri, durationMs } from the recorder
+ * @returns {Promise<Array<Object>>} Memo entries to store on the dream
+ */
+export const attachRecordings = async (recordings) => {
+  const memos = recordings.map(recording => {
+    const extension = (recording.uri.match(/\.(\w+)$/) || [null, 'm4a'])[1];
+    const id = createDreamId();
+    return {
+      id,
+      file: `${id}.${extension}`,
+      durationMs: Math.round(recording.durationMs || 0),
+      recordedAt: recording.recordedAt || new Date().toISOString(),
+    };
+  });
+
+  await moveIntoAttachments('memos', recordings.map((recording, index) => ({ uri: recording.uri, file: memos[index].file })));
+  return memos;
+};
+
+/**
+ * Delete recordings that were never attached to a dream
+ *
+ * @param {Array<Object>} recordings - Clips as { uri } from the recorder
+ * @returns {Promise<void>}
+ */
+export const discardRecordings = async (recordings) => {
+  await Promise.all(recordings.map(recording => FileSystem.deleteAsync(recording.uri, { idempotent: true })));
+};